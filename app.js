@@ -1,6 +1,7 @@
 const API_BASE = '';
 const AUTH_TOKEN_KEY = 'organijob_token';
 const AUTH_EMAIL_KEY = 'organijob_email';
+const { html, render } = safeHtml;
 
 const tabs = document.querySelectorAll('.tab');
 const panels = document.querySelectorAll('.tab-panel');
@@ -18,7 +19,37 @@ for (const tab of tabs) {
 
 const contactForm = document.getElementById('contact-form');
 const contactsList = document.getElementById('contacts-list');
+const contactSubmitBtn = document.getElementById('contact-submit');
+const contactCancelBtn = document.getElementById('contact-cancel');
+const undoBar = document.getElementById('undo-bar');
+const undoMessage = document.getElementById('undo-message');
+const undoBtn = document.getElementById('undo-delete');
+const contactsSearchInput = document.getElementById('contacts-search');
+const contactsOrganisationSelect = document.getElementById('contacts-organisation');
+const contactsTagSelect = document.getElementById('contacts-tag');
+const contactsFromInput = document.getElementById('contacts-from');
+const contactsToInput = document.getElementById('contacts-to');
+const contactsSortSelect = document.getElementById('contacts-sort');
+const contactsResetBtn = document.getElementById('contacts-reset');
+const contactsCount = document.getElementById('contacts-count');
+const contactsPagination = document.getElementById('contacts-pagination');
+const contactsPrevBtn = document.getElementById('contacts-prev');
+const contactsNextBtn = document.getElementById('contacts-next');
+const contactsPageLabel = document.getElementById('contacts-page');
+const interactionPanel = document.getElementById('interaction-panel');
+const interactionTitle = document.getElementById('interaction-title');
+const interactionList = document.getElementById('interaction-list');
+const interactionForm = document.getElementById('interaction-form');
+const interactionTypeSelect = document.getElementById('interaction-type');
+const interactionDateInput = document.getElementById('interaction-date');
+const interactionNotesInput = document.getElementById('interaction-notes');
 const exportBtn = document.getElementById('export-contacts');
+const exportPanel = document.getElementById('export-panel');
+const exportFormatSelect = document.getElementById('export-format');
+const exportFromInput = document.getElementById('export-from');
+const exportToInput = document.getElementById('export-to');
+const exportDownloadBtn = document.getElementById('export-download');
+const exportCancelBtn = document.getElementById('export-cancel');
 
 const loginForm = document.getElementById('login-form');
 const emailInput = document.getElementById('email-login');
@@ -28,8 +59,31 @@ const logoutBtn = document.getElementById('logout-btn');
 const syncBtn = document.getElementById('sync-now');
 const authStatus = document.getElementById('auth-status');
 const syncStatus = document.getElementById('sync-status');
+const forgotBtn = document.getElementById('forgot-btn');
+const resetForm = document.getElementById('reset-form');
+const resetPasswordInput = document.getElementById('reset-password');
+const resetPasswordConfirmInput = document.getElementById('reset-password-confirm');
+const resetCancelBtn = document.getElementById('reset-cancel');
+const verifyBanner = document.getElementById('verify-banner');
+const verifyResendBtn = document.getElementById('verify-resend');
+const passwordPanel = document.getElementById('password-panel');
+const passwordForm = document.getElementById('password-form');
+const sessionsPanel = document.getElementById('sessions-panel');
+const sessionsList = document.getElementById('sessions-list');
+const revokeOtherSessionsBtn = document.getElementById('sessions-revoke-others');
+const accountDataPanel = document.getElementById('account-data-panel');
+const accountDeleteForm = document.getElementById('account-delete-form');
 
 let contactsCache = [];
+let syncCursor = null;
+let editingContact = null;
+let undoState = null;
+
+const CONTACT_FIELDS = ['nom', 'organisation', 'dateAppel', 'expertise', 'inclusivite', 'notes', 'dateRelance', 'actionRelance'];
+const DATETIME_FIELDS = ['dateAppel', 'dateRelance'];
+const UNDO_DELAY_MS = 10000;
+const CONTACTS_PAGE_SIZE = 20;
+let contactsPage = 1;
 
 function getToken() {
   return localStorage.getItem(AUTH_TOKEN_KEY) || '';
@@ -53,76 +107,385 @@ function getEmail() {
 }
 
 function formatDate(isoLike) {
-  if (!isoLike) return 'Date non renseignee';
+  if (!isoLike) return i18n.t('date.missing');
+  const date = new Date(isoLike);
+  return Number.isNaN(date.getTime()) ? i18n.t('date.invalid') : date.toLocaleString(i18n.locale());
+}
+
+function toDateTimeLocal(isoLike) {
   const date = new Date(isoLike);
-  return Number.isNaN(date.getTime()) ? 'Date invalide' : date.toLocaleString('fr-FR');
+  if (Number.isNaN(date.getTime())) return '';
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().slice(0, 16);
 }
 
 function setSyncStatus(message, isError = false) {
+  delete syncStatus.dataset.i18n;
   syncStatus.textContent = message;
   syncStatus.classList.toggle('is-error', isError);
 }
 
+// Known after login or the first sync; null (unknown) hides the banner.
+let emailVerified = null;
+let isAdmin = false;
+
 function updateAuthUi() {
   const email = getEmail();
   const isLogged = Boolean(getToken() && email);
 
-  authStatus.textContent = isLogged ? `Connecte: ${email}` : 'Non connecte';
+  if (isLogged) i18n.setText(authStatus, 'auth.signedIn', { email });
+  else i18n.setText(authStatus, 'auth.signedOut');
   logoutBtn.disabled = !isLogged;
   syncBtn.disabled = !isLogged;
   emailInput.disabled = isLogged;
   passwordInput.disabled = isLogged;
   loginForm.querySelector('button[type="submit"]').disabled = isLogged;
   registerBtn.disabled = isLogged;
+  forgotBtn.disabled = isLogged;
+  verifyBanner.hidden = !isLogged || emailVerified !== false;
+  passwordPanel.hidden = !isLogged;
+  sessionsPanel.hidden = !isLogged;
+  accountDataPanel.hidden = !isLogged;
+  formationSuiviesLabel.hidden = !isLogged;
+  formationsAdminPanel.hidden = !isLogged || !isAdmin;
+  servicesAdminPanel.hidden = !isLogged || !isAdmin;
+  if (!isLogged) {
+    emailVerified = null;
+    isAdmin = false;
+    formationSuiviesInput.checked = false;
+    passwordPanel.open = false;
+    passwordForm.reset();
+    sessionsPanel.open = false;
+    sessionsList.replaceChildren();
+    accountDataPanel.open = false;
+    accountDeleteForm.reset();
+  }
 }
 
 async function api(path, options = {}) {
-  const headers = { 'Content-Type': 'application/json', ...(options.headers || {}) };
+  const headers = {
+    'Content-Type': 'application/json',
+    'Accept-Language': i18n.language(),
+    ...(options.headers || {}),
+  };
   const token = getToken();
   if (token) headers.Authorization = `Bearer ${token}`;
 
   const response = await fetch(`${API_BASE}${path}`, { ...options, headers });
   const data = await response.json().catch(() => ({}));
-  if (!response.ok) throw new Error(data.error || 'Erreur API');
+  if (!response.ok) {
+    const error = new Error(data.error || i18n.t('api.error'));
+    error.status = response.status;
+    throw error;
+  }
   return data;
 }
 
+// Like api(), for endpoints answering with a file: resolves to { blob, filename }.
+async function apiDownload(path) {
+  const headers = { 'Accept-Language': i18n.language() };
+  const token = getToken();
+  if (token) headers.Authorization = `Bearer ${token}`;
+
+  const response = await fetch(`${API_BASE}${path}`, { headers });
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    const error = new Error(data.error || i18n.t('api.error'));
+    error.status = response.status;
+    throw error;
+  }
+  const match = (response.headers.get('Content-Disposition') || '').match(/filename="([^"]+)"/);
+  return { blob: await response.blob(), filename: match ? match[1] : 'organijob-export' };
+}
+
+// Same rules as the server (normalizeTag in server.js).
+function normalizeTag(tag) {
+  return String(tag || '')
+    .trim()
+    .replace(/^#+/, '')
+    .replace(/\s+/g, ' ')
+    .toLowerCase();
+}
+
+function parseTags(value) {
+  return [...new Set(String(value || '').split(/[,;]/).map(normalizeTag).filter(Boolean))];
+}
+
+function foldText(value) {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+function compareText(a, b) {
+  return foldText(a).localeCompare(foldText(b), i18n.language());
+}
+
+const CONTACT_SORTS = {
+  recent: (a, b) => new Date(b.dateAppel) - new Date(a.dateAppel),
+  ancien: (a, b) => new Date(a.dateAppel) - new Date(b.dateAppel),
+  nom: (a, b) => compareText(a.nom, b.nom) || new Date(b.dateAppel) - new Date(a.dateAppel),
+  organisation: (a, b) => compareText(a.organisation, b.organisation) || compareText(a.nom, b.nom),
+  relance: (a, b) =>
+    (a.dateRelance ? new Date(a.dateRelance) : Infinity) - (b.dateRelance ? new Date(b.dateRelance) : Infinity) ||
+    new Date(b.dateAppel) - new Date(a.dateAppel),
+};
+
+// The filters of GET /api/contacts, applied to the local copy: the list keeps
+// working offline and shows changes that are not synced yet.
+function filterContacts(contacts) {
+  const terms = foldText(contactsSearchInput.value).split(/\s+/).filter(Boolean);
+  const organisation = foldText(contactsOrganisationSelect.value);
+  const tag = contactsTagSelect.value;
+  const from = contactsFromInput.value;
+  const to = contactsToInput.value;
+
+  return contacts
+    .filter((contact) => {
+      const text = foldText([contact.nom, contact.organisation, contact.expertise, contact.notes].join(' '));
+      if (!terms.every((term) => text.includes(term))) return false;
+      if (organisation && foldText(contact.organisation) !== organisation) return false;
+      if (tag && !(contact.tags || []).includes(tag)) return false;
+      const day = toDateInput(contact.dateAppel);
+      return (!from || day >= from) && (!to || day <= to);
+    })
+    .sort(CONTACT_SORTS[contactsSortSelect.value] || CONTACT_SORTS.recent);
+}
+
+function hasContactFilters() {
+  return Boolean(
+    contactsSearchInput.value.trim() ||
+      contactsOrganisationSelect.value ||
+      contactsTagSelect.value ||
+      contactsFromInput.value ||
+      contactsToInput.value
+  );
+}
+
+// Rebuilds a filter select from the values in use, keeping the selection.
+function fillFilterSelect(select, values) {
+  const selected = select.value;
+  const placeholder = select.options[0];
+  select.replaceChildren(placeholder);
+  for (const value of values) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = value;
+    select.appendChild(option);
+  }
+  select.value = values.includes(selected) ? selected : '';
+}
+
+function renderContactFilterOptions() {
+  const organisations = new Map();
+  for (const contact of contactsCache) {
+    const key = foldText(contact.organisation);
+    if (!organisations.has(key)) organisations.set(key, contact.organisation);
+  }
+  fillFilterSelect(contactsOrganisationSelect, [...organisations.values()].sort(compareText));
+  fillFilterSelect(contactsTagSelect, [...new Set(contactsCache.flatMap((c) => c.tags || []))].sort(compareText));
+}
+
 function renderContacts() {
-  contactsList.innerHTML = '';
-  const sorted = [...contactsCache].sort((a, b) => new Date(b.dateAppel) - new Date(a.dateAppel));
+  contactsList.replaceChildren();
+  renderContactFilterOptions();
+  renderAiContactOptions();
+
+  const matches = filterContacts(contactsCache);
+  const pages = Math.max(1, Math.ceil(matches.length / CONTACTS_PAGE_SIZE));
+  contactsPage = Math.min(Math.max(contactsPage, 1), pages);
+  contactsPagination.hidden = pages === 1;
+  contactsPageLabel.textContent = i18n.t('common.page', { page: contactsPage, pages });
+  contactsPrevBtn.disabled = contactsPage === 1;
+  contactsNextBtn.disabled = contactsPage === pages;
+  contactsCount.textContent = hasContactFilters()
+    ? i18n.t('contacts.countFiltered', { count: matches.length, total: contactsCache.length })
+    : i18n.t('contacts.count', { count: contactsCache.length });
 
-  if (!sorted.length) {
-    contactsList.innerHTML = '<li class="item">Aucun contact ajoute pour le moment.</li>';
+  if (!contactsCache.length) {
+    render(contactsList, html`<li class="item">${i18n.t('contacts.empty')}</li>`);
+    return;
+  }
+  if (!matches.length) {
+    render(contactsList, html`<li class="item">${i18n.t('contacts.noMatch')}</li>`);
     return;
   }
 
-  for (const contact of sorted) {
+  const start = (contactsPage - 1) * CONTACTS_PAGE_SIZE;
+  for (const contact of matches.slice(start, start + CONTACTS_PAGE_SIZE)) {
     const li = document.createElement('li');
     li.className = 'item';
-    li.innerHTML = `
-      <p><strong>${contact.nom}</strong> - ${contact.organisation}</p>
-      <p><strong>Quand:</strong> ${formatDate(contact.dateAppel)}</p>
-      <p><strong>Expertise:</strong> ${contact.expertise || 'Non precisee'}</p>
-      <p><strong>Valeurs inclusives:</strong> ${contact.inclusivite || 'Non precisees'}</p>
-      <p><strong>Notes:</strong> ${contact.notes || 'Aucune note'}</p>
-    `;
+    li.classList.toggle('is-editing', Boolean(editingContact && editingContact.id === contact.id));
+    const tags = (contact.tags || []).map(
+      (tag) => html`<button type="button" class="tag" data-action="filter-tag" data-tag="${tag}">#${tag}</button>`
+    );
+    const organisation = contact.organisationId
+      ? html`<button type="button" class="link-button" data-action="open-organisation" data-organisation="${contact.organisationId}">${contact.organisation}</button>`
+      : contact.organisation;
+    render(li, html`
+      <p><strong>${contact.nom}</strong> - ${organisation}</p>
+      <p><strong>${i18n.t('contact.when')}</strong> ${formatDate(contact.dateAppel)}</p>
+      <p><strong>${i18n.t('contact.expertise')}</strong> ${contact.expertise || i18n.t('common.notGiven')}</p>
+      <p><strong>${i18n.t('contact.inclusivity')}</strong> ${contact.inclusivite || i18n.t('contact.noInclusivity')}</p>
+      <p><strong>${i18n.t('contact.notes')}</strong> ${contact.notes || i18n.t('contact.noNotes')}</p>
+      ${
+        contact.dateRelance
+          ? html`<p><strong>${i18n.t('contact.followUp')}</strong> ${formatDate(contact.dateRelance)}${contact.actionRelance ? ` - ${contact.actionRelance}` : ''}</p>`
+          : ''
+      }
+      ${tags.length ? html`<div class="tag-list">${tags}</div>` : ''}
+      <div class="item-actions">
+        <button type="button" class="btn-secondary" data-action="edit">${i18n.t('common.edit')}</button>
+        <button type="button" class="btn-secondary" data-action="interactions">${i18n.t('interactions.title')}</button>
+        <button type="button" class="btn-secondary" data-action="delete">${i18n.t('common.delete')}</button>
+      </div>
+    `);
+    li.dataset.id = contact.id;
     contactsList.appendChild(li);
   }
 }
 
+async function persistContacts() {
+  await offlineStore.replaceContacts(contactsCache);
+}
+
+async function loadLocalData() {
+  contactsCache = await offlineStore.getContacts();
+  syncCursor = (await offlineStore.getMeta('syncCursor')) || null;
+  renderContacts();
+}
+
+function mergeRemoteContacts(contacts = [], deletedIds = [], pendingIds = new Set()) {
+  const byId = new Map(contactsCache.map((c) => [c.id, c]));
+  for (const contact of contacts) {
+    if (!pendingIds.has(contact.id)) byId.set(contact.id, contact);
+  }
+  for (const id of deletedIds) {
+    if (!pendingIds.has(id)) byId.delete(id);
+  }
+  contactsCache = [...byId.values()];
+}
+
 async function pullRemoteData() {
-  const data = await api('/api/sync', { method: 'GET' });
-  contactsCache = Array.isArray(data.contacts) ? data.contacts : [];
+  const query = syncCursor ? `?since=${encodeURIComponent(syncCursor)}` : '';
+  const data = await api(`/api/sync${query}`, { method: 'GET' });
+  const pendingIds = new Set((await offlineStore.getOutbox()).map((change) => change.id));
+  if (data.full) {
+    const pendingContacts = contactsCache.filter((c) => pendingIds.has(c.id));
+    contactsCache = Array.isArray(data.contacts) ? data.contacts : [];
+    mergeRemoteContacts(pendingContacts);
+  } else {
+    mergeRemoteContacts(data.contacts, data.deleted, pendingIds);
+  }
+  syncCursor = data.cursor;
+  emailVerified = data.user.emailVerified;
+  isAdmin = Boolean(data.user.admin);
+  updateAuthUi();
+  await persistContacts();
+  await offlineStore.setMeta('syncCursor', syncCursor);
   renderContacts();
-  setSyncStatus(`Synchronise le ${new Date(data.syncedAt).toLocaleString('fr-FR')}`);
+  return data;
 }
 
-async function pushRemoteData() {
+// Sends queued local changes. Records the server accepted or refused replace
+// the local copies, so both devices converge on the server state; conflicts
+// and rejections are returned for the status message.
+async function flushOutbox() {
+  const changes = await offlineStore.getOutbox();
+  if (!changes.length) return { conflicts: [], rejected: [] };
+
   const data = await api('/api/sync', {
     method: 'PUT',
-    body: JSON.stringify({ contacts: contactsCache }),
+    body: JSON.stringify({ changes }),
+  });
+
+  const byId = new Map(contactsCache.map((c) => [c.id, c]));
+  const serverVersions = {};
+  const conflictNames = [];
+
+  for (const { id, contact } of data.applied) {
+    if (contact && contact.deletedAt && undoState && undoState.contact.id === id) {
+      undoState.contact.version = contact.version;
+    }
+    if (contact && !contact.deletedAt) byId.set(id, contact);
+    else byId.delete(id);
+    if (contact) serverVersions[id] = contact.version;
+  }
+  for (const { id, current } of data.conflicts) {
+    conflictNames.push((byId.get(id) || current || {}).nom || id);
+    if (current && !current.deletedAt) byId.set(id, current);
+    else byId.delete(id);
+    if (current) serverVersions[id] = current.version;
+  }
+  for (const { id } of data.rejected) {
+    const local = byId.get(id);
+    if (local && !local.version) byId.delete(id);
+  }
+
+  contactsCache = [...byId.values()];
+  await offlineStore.removeFromOutbox(changes, serverVersions);
+  await persistContacts();
+  renderContacts();
+  return { conflicts: conflictNames, rejected: data.rejected };
+}
+
+function handleExpiredSession(error) {
+  setSyncStatus(i18n.t('sync.expired', { error: error.message }), true);
+  clearAuth();
+  updateAuthUi();
+  emailInput.value = '';
+  passwordInput.value = '';
+}
+
+let syncInFlight = null;
+let syncQueued = false;
+
+async function runSync() {
+  try {
+    const { conflicts, rejected } = await flushOutbox();
+    const data = await pullRemoteData();
+    await loadApplications();
+    await loadTodo();
+    const syncedAt = new Date(data.syncedAt).toLocaleString(i18n.locale());
+
+    if (conflicts.length) {
+      setSyncStatus(i18n.t('sync.conflicts', { names: conflicts.join(', ') }), true);
+    } else if (rejected.length) {
+      setSyncStatus(i18n.t('sync.rejected', { count: rejected.length, error: rejected[0].error }), true);
+    } else {
+      setSyncStatus(i18n.t('sync.done', { date: syncedAt }));
+    }
+  } catch (error) {
+    if (error.status === 401) {
+      handleExpiredSession(error);
+      return;
+    }
+
+    const pending = (await offlineStore.getOutbox().catch(() => [])).length;
+    setSyncStatus(
+      pending ? i18n.t('sync.offline', { count: pending }) : error.message,
+      true
+    );
+  }
+}
+
+function syncNow() {
+  if (!getToken()) return Promise.resolve();
+  if (syncInFlight) {
+    // Changes queued during a sync are sent by a follow-up run.
+    syncQueued = true;
+    return syncInFlight;
+  }
+
+  syncInFlight = runSync().finally(() => {
+    syncInFlight = null;
+    if (syncQueued) {
+      syncQueued = false;
+      syncNow();
+    }
   });
-  setSyncStatus(`Enregistre (${data.count} contacts) le ${new Date(data.syncedAt).toLocaleString('fr-FR')}`);
+  return syncInFlight;
 }
 
 async function authenticate(path) {
@@ -130,7 +493,7 @@ async function authenticate(path) {
   const password = passwordInput.value;
 
   if (!email || !password) {
-    setSyncStatus('Email et mot de passe requis.', true);
+    setSyncStatus(i18n.t('auth.missing'), true);
     return;
   }
 
@@ -140,10 +503,28 @@ async function authenticate(path) {
       body: JSON.stringify({ email, password }),
     });
 
+    const owner = await offlineStore.getMeta('owner');
+    if (owner && owner !== result.user.email) {
+      await offlineStore.clear();
+      contactsCache = [];
+      syncCursor = null;
+    }
+    await offlineStore.setMeta('owner', result.user.email);
+
     setToken(result.token);
     setEmail(result.user.email);
+    emailVerified = result.user.emailVerified;
     updateAuthUi();
-    await pullRemoteData();
+    await loadLocalData();
+    await syncNow();
+    loadFormations();
+    loadStats();
+    if (pendingShareToken) {
+      await acceptShare(pendingShareToken);
+      pendingShareToken = null;
+    } else {
+      loadShares();
+    }
   } catch (error) {
     setSyncStatus(error.message, true);
   }
@@ -159,6 +540,11 @@ registerBtn.addEventListener('click', async () => {
 });
 
 logoutBtn.addEventListener('click', async () => {
+  const pending = (await offlineStore.getOutbox().catch(() => [])).length;
+  if (pending && !window.confirm(i18n.t('auth.logoutConfirm', { count: pending }))) {
+    return;
+  }
+
   try {
     if (getToken()) {
       await api('/api/auth/logout', { method: 'POST' });
@@ -167,185 +553,2318 @@ logoutBtn.addEventListener('click', async () => {
     // no-op
   }
 
+  await forgetAccount();
+  setSyncStatus(i18n.t('auth.loggedOut'));
+  emailInput.value = '';
+  passwordInput.value = '';
+});
+
+// Drops the session and everything kept on this device for the account.
+async function forgetAccount() {
   clearAuth();
+  await offlineStore.clear().catch(() => {});
   contactsCache = [];
+  syncCursor = null;
+  applicationsCache = [];
+  organisationsCache = [];
+  todoData = { overdue: [], upcoming: [] };
+  calendarUrlInput.value = '';
+  stopEditing();
+  stopEditingApplication();
+  hideUndo();
+  closeInteractions();
+  closeOrganisation();
+  renderApplications();
+  renderTodo();
   renderContacts();
   updateAuthUi();
-  setSyncStatus('Deconnecte.');
-  emailInput.value = '';
-  passwordInput.value = '';
-});
+  loadFormations();
+  loadStats();
+  loadShares();
+}
+
+forgotBtn.addEventListener('click', async () => {
+  const email = emailInput.value.trim().toLowerCase();
+  if (!email) {
+    setSyncStatus(i18n.t('auth.forgotNeedsEmail'), true);
+    emailInput.focus();
+    return;
+  }
 
-syncBtn.addEventListener('click', async () => {
   try {
-    await pushRemoteData();
-    await pullRemoteData();
+    await api('/api/auth/password-reset/request', { method: 'POST', body: JSON.stringify({ email }) });
+    setSyncStatus(i18n.t('auth.resetSent', { email }));
   } catch (error) {
     setSyncStatus(error.message, true);
   }
 });
 
-contactForm.addEventListener('submit', async (event) => {
-  event.preventDefault();
+// Links sent by email open the app with #reset=<token>, #verify=<token> or,
+// for an invitation from a candidate, #share=<token>.
+function readEmailLink() {
+  const match = window.location.hash.match(/^#(reset|verify|share)=([a-f0-9]+)$/);
+  if (!match) return null;
+  history.replaceState(null, '', window.location.pathname + window.location.search);
+  return { type: match[1], token: match[2] };
+}
 
-  if (!getToken()) {
-    setSyncStatus('Connecte-toi pour enregistrer et synchroniser tes contacts.', true);
-    return;
-  }
+let resetToken = null;
 
-  const payload = {
-    id: crypto.randomUUID(),
-    nom: document.getElementById('nom').value.trim(),
-    organisation: document.getElementById('organisation').value.trim(),
-    dateAppel: document.getElementById('dateAppel').value,
-    expertise: document.getElementById('expertise').value.trim(),
-    inclusivite: document.getElementById('inclusivite').value.trim(),
-    notes: document.getElementById('notes').value.trim(),
-  };
+function showResetForm(token) {
+  resetToken = token;
+  resetForm.hidden = !token;
+  loginForm.hidden = Boolean(token);
+  resetForm.reset();
+  if (token) {
+    setSyncStatus(i18n.t('auth.chooseNew'));
+    resetPasswordInput.focus();
+  }
+}
 
-  contactsCache.push(payload);
-  contactForm.reset();
-  renderContacts();
+resetForm.addEventListener('submit', async (event) => {
+  event.preventDefault();
+  if (resetPasswordInput.value !== resetPasswordConfirmInput.value) {
+    setSyncStatus(i18n.t('auth.mismatch'), true);
+    return;
+  }
 
   try {
-    await pushRemoteData();
+    const result = await api('/api/auth/password-reset/confirm', {
+      method: 'POST',
+      body: JSON.stringify({ token: resetToken, password: resetPasswordInput.value }),
+    });
+    showResetForm(null);
+    // A reset closes every session, including one stored on this device.
+    if (getToken()) {
+      clearAuth();
+      updateAuthUi();
+    }
+    emailInput.value = result.email;
+    passwordInput.value = '';
+    passwordInput.focus();
+    setSyncStatus(i18n.t('auth.resetDone'));
   } catch (error) {
-    setSyncStatus(`Ajout local uniquement: ${error.message}`, true);
+    setSyncStatus(error.message, true);
   }
 });
 
-exportBtn.addEventListener('click', () => {
-  const blob = new Blob([JSON.stringify(contactsCache, null, 2)], { type: 'application/json' });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = 'contacts-organijob.json';
-  a.click();
-  URL.revokeObjectURL(url);
+resetCancelBtn.addEventListener('click', () => {
+  showResetForm(null);
+  setSyncStatus(i18n.t('auth.resetCancelled'));
 });
 
-const iaTemplates = {
-  relance: ({ domaine, contexte }) =>
-    `Objet: Relance candidature ${domaine || 'poste cible'}\n\nBonjour,\nJe me permets de revenir vers vous suite a notre echange. Je reste tres motive(e) pour contribuer sur des missions en ${domaine || 'lien avec mon profil'}. ${contexte ? `Contexte: ${contexte}.` : ''}\nAuriez-vous une visibilite sur la suite du processus ?\n\nMerci pour votre retour.`,
-  motivation: ({ domaine, contexte }) =>
-    `Plan anti-demotivation (7 jours):\n1) 2 candidatures qualitatives ciblees ${domaine ? `en ${domaine}` : ''}.\n2) 1 prise de contact reseau par jour.\n3) 1 bloc de formation de 45 minutes.\n4) Bilan chaque soir: ce qui a marche et prochaine micro-action.\n${contexte ? `Point de depart: ${contexte}.` : ''}`,
-  organisation: ({ domaine, contexte }) =>
-    `Semaine structuree:\n- Lundi/Mardi: candidatures ciblees ${domaine ? `(${domaine})` : ''}.\n- Mercredi: suivi des relances et appels.\n- Jeudi: simulation d'entretien + optimisation CV.\n- Vendredi: reseau + veille d'offres.\n${contexte ? `Ajustement: ${contexte}.` : ''}`,
-  reseau: ({ domaine, contexte }) =>
-    `Message reseau court:\n\"Bonjour, je recherche actuellement une opportunite ${domaine ? `en ${domaine}` : ''}. Si vous avez 10 minutes cette semaine, j'aimerais beneficier de votre retour terrain. ${contexte ? `Contexte: ${contexte}.` : ''} Merci d'avance.\"`,
-};
+async function verifyEmail(token) {
+  try {
+    const result = await api('/api/auth/verify-email', { method: 'POST', body: JSON.stringify({ token }) });
+    if (getEmail() === result.email) {
+      emailVerified = true;
+      updateAuthUi();
+    }
+    setSyncStatus(i18n.t('auth.verified', { email: result.email }));
+  } catch (error) {
+    setSyncStatus(i18n.t('auth.verifyFailed', { error: error.message }), true);
+  }
+}
 
-document.getElementById('generer-ia').addEventListener('click', () => {
-  const objectif = document.getElementById('objectif').value;
-  const domaine = document.getElementById('domaine-cible').value.trim();
-  const contexte = document.getElementById('contexte-ia').value.trim();
+verifyResendBtn.addEventListener('click', async () => {
+  try {
+    const result = await api('/api/auth/verify-email/resend', { method: 'POST' });
+    if (result.alreadyVerified) {
+      emailVerified = true;
+      updateAuthUi();
+      setSyncStatus(i18n.t('auth.alreadyVerified'));
+      return;
+    }
+    setSyncStatus(i18n.t('auth.linkSent', { email: getEmail() }));
+  } catch (error) {
+    if (error.status === 401) {
+      handleExpiredSession(error);
+      return;
+    }
+    setSyncStatus(error.message, true);
+  }
+});
 
-  const generator = iaTemplates[objectif];
-  const result = generator ? generator({ domaine, contexte }) : 'Aucune suggestion disponible.';
-  const resultBox = document.getElementById('resultat-ia');
-  resultBox.innerHTML = `<pre>${result}</pre>`;
+passwordForm.addEventListener('submit', async (event) => {
+  event.preventDefault();
+  try {
+    await api('/api/auth/password', {
+      method: 'POST',
+      body: JSON.stringify({
+        currentPassword: document.getElementById('password-current').value,
+        newPassword: document.getElementById('password-new').value,
+      }),
+    });
+    passwordForm.reset();
+    passwordPanel.open = false;
+    setSyncStatus(i18n.t('account.passwordChanged'));
+    if (sessionsPanel.open) await loadSessions();
+  } catch (error) {
+    if (error.status === 401) {
+      handleExpiredSession(error);
+      return;
+    }
+    setSyncStatus(error.message, true);
+  }
 });
 
-const formationsData = [
-  { titre: 'Initiation Data Analyst', ville: 'Paris', duree: '8 semaines', niveau: 'Debutant' },
-  { titre: 'Bootcamp Developpement Web', ville: 'Lyon', duree: '12 semaines', niveau: 'Intermediaire' },
-  { titre: 'Marketing Digital Inclusif', ville: 'Lille', duree: '6 semaines', niveau: 'Tous niveaux' },
-  { titre: 'Anglais Professionnel', ville: 'Marseille', duree: '10 semaines', niveau: 'Debutant' },
-  { titre: 'UX/UI Design', ville: 'Toulouse', duree: '9 semaines', niveau: 'Intermediaire' },
-  { titre: 'Bureautique et gestion de projet', ville: 'Nantes', duree: '5 semaines', niveau: 'Debutant' },
+// Checked in order: Edge and Chrome also announce Safari, iOS announces Mac OS X.
+const BROWSER_PATTERNS = [
+  [/Edg\//, 'Edge'],
+  [/Firefox\//, 'Firefox'],
+  [/Chrome\//, 'Chrome'],
+  [/Safari\//, 'Safari'],
+];
+const SYSTEM_PATTERNS = [
+  [/Android/, 'Android'],
+  [/iPhone|iPad/, 'iOS'],
+  [/Windows/, 'Windows'],
+  [/Mac OS X/, 'macOS'],
+  [/Linux/, 'Linux'],
 ];
 
-function renderFormationCards(items) {
-  const container = document.getElementById('formations-results');
-  container.innerHTML = '';
+function describeUserAgent(userAgent) {
+  const ua = userAgent || '';
+  const find = (patterns) => (patterns.find(([pattern]) => pattern.test(ua)) || [])[1];
+  const parts = [find(BROWSER_PATTERNS), find(SYSTEM_PATTERNS)].filter(Boolean);
+  return parts.join(i18n.t('account.deviceOn')) || i18n.t('account.unknownDevice');
+}
 
-  if (!items.length) {
-    container.innerHTML = '<p class="card">Aucune formation trouvee avec ces criteres.</p>';
-    return;
+function renderSessions(sessions) {
+  sessionsList.replaceChildren();
+  for (const session of sessions) {
+    const li = document.createElement('li');
+    li.className = 'item';
+    const device = describeUserAgent(session.userAgent);
+    appendCardLine(li, session.current ? i18n.t('account.thisDevice', { device }) : device, 'strong');
+    appendCardLine(
+      li,
+      i18n.t('account.sessionDates', { seen: formatDate(session.lastSeenAt), created: formatDate(session.createdAt) })
+    );
+    if (!session.current) {
+      const revoke = document.createElement('button');
+      revoke.type = 'button';
+      revoke.className = 'btn-secondary';
+      revoke.dataset.action = 'revoke-session';
+      revoke.dataset.id = session.id;
+      revoke.textContent = i18n.t('account.revoke');
+      li.appendChild(revoke);
+    }
+    sessionsList.appendChild(li);
   }
+  revokeOtherSessionsBtn.disabled = !sessions.some((session) => !session.current);
+}
 
-  for (const item of items) {
-    const card = document.createElement('article');
-    card.className = 'formation-card';
-    card.innerHTML = `
-      <h3>${item.titre}</h3>
-      <p><strong>Ville:</strong> ${item.ville}</p>
-      <p><strong>Duree:</strong> ${item.duree}</p>
-      <p><strong>Niveau:</strong> ${item.niveau}</p>
-    `;
-    container.appendChild(card);
+async function loadSessions() {
+  try {
+    const { sessions } = await api('/api/auth/sessions');
+    renderSessions(sessions);
+  } catch (error) {
+    if (error.status === 401) {
+      handleExpiredSession(error);
+      return;
+    }
+    setSyncStatus(i18n.t('account.sessionsFailed', { error: error.message }), true);
   }
 }
 
-document.getElementById('search-formations').addEventListener('click', () => {
-  const motCle = document.getElementById('formation-motcle').value.trim().toLowerCase();
-  const ville = document.getElementById('formation-ville').value.trim().toLowerCase();
+async function revokeSessions(path, message) {
+  try {
+    await api(path, { method: 'DELETE' });
+    setSyncStatus(message);
+  } catch (error) {
+    if (error.status === 401) {
+      handleExpiredSession(error);
+      return;
+    }
+    setSyncStatus(i18n.t('account.revokeFailed', { error: error.message }), true);
+  }
+  await loadSessions();
+}
 
-  const results = formationsData.filter((f) => {
-    const matchMotCle = !motCle || f.titre.toLowerCase().includes(motCle);
-    const matchVille = !ville || f.ville.toLowerCase().includes(ville);
-    return matchMotCle && matchVille;
-  });
+sessionsPanel.addEventListener('toggle', () => {
+  if (sessionsPanel.open) loadSessions();
+});
 
-  renderFormationCards(results);
+sessionsList.addEventListener('click', (event) => {
+  const button = event.target.closest('[data-action="revoke-session"]');
+  if (!button) return;
+  revokeSessions(`/api/auth/sessions/${encodeURIComponent(button.dataset.id)}`, i18n.t('account.revoked'));
 });
 
-const servicesData = [
-  { nom: 'France Travail - Accompagnement renforce', ville: 'Paris', type: 'Public', contact: '3949' },
-  { nom: 'Mission Locale Metropole', ville: 'Lyon', type: 'Jeunes', contact: 'mission-locale.example' },
-  { nom: 'Cap Emploi', ville: 'Lille', type: 'Handicap', contact: 'cap-emploi.example' },
-  { nom: 'Maison de l Emploi', ville: 'Marseille', type: 'Orientation', contact: 'maison-emploi.example' },
-  { nom: 'CIDFF - Accompagnement femmes', ville: 'Toulouse', type: 'Inclusion', contact: 'cidff.example' },
-  { nom: 'Club Recherche Emploi', ville: 'Nantes', type: 'Associatif', contact: 'club-emploi.example' },
-];
+revokeOtherSessionsBtn.addEventListener('click', () => {
+  revokeSessions('/api/auth/sessions', i18n.t('account.othersRevoked'));
+});
+
+document.getElementById('account-export').addEventListener('click', async () => {
+  try {
+    // Pending offline changes belong in the archive too.
+    if ((await offlineStore.getOutbox()).length) await syncNow();
+    const { blob, filename } = await apiDownload('/api/account/export');
+    saveBlob(blob, filename);
+    setSyncStatus(i18n.t('account.exported', { filename }));
+  } catch (error) {
+    if (error.status === 401) {
+      handleExpiredSession(error);
+      return;
+    }
+    setSyncStatus(error.status ? error.message : i18n.t('account.exportOffline'), true);
+  }
+});
 
-function renderServiceCards(items) {
-  const container = document.getElementById('services-results');
-  container.innerHTML = '';
+accountDeleteForm.addEventListener('submit', async (event) => {
+  event.preventDefault();
+  const email = getEmail();
+  if (!window.confirm(i18n.t('account.deleteConfirm', { email }))) return;
 
-  if (!items.length) {
-    container.innerHTML = '<p class="card">Aucun service trouve. Essaie une autre ville.</p>';
+  try {
+    await api('/api/account', {
+      method: 'DELETE',
+      body: JSON.stringify({ password: document.getElementById('account-delete-password').value }),
+    });
+  } catch (error) {
+    if (error.status === 401) {
+      handleExpiredSession(error);
+      return;
+    }
+    setSyncStatus(error.status ? error.message : i18n.t('account.deleteOffline'), true);
     return;
   }
 
-  for (const service of items) {
-    const card = document.createElement('article');
-    card.className = 'service-card';
-    card.innerHTML = `
-      <h3>${service.nom}</h3>
-      <p><strong>Ville:</strong> ${service.ville}</p>
-      <p><strong>Type:</strong> ${service.type}</p>
-      <p><strong>Contact:</strong> ${service.contact}</p>
-    `;
-    container.appendChild(card);
+  await forgetAccount();
+  setSyncStatus(i18n.t('account.deleted', { email }));
+  emailInput.value = '';
+  passwordInput.value = '';
+});
+
+syncBtn.addEventListener('click', () => {
+  syncNow();
+});
+
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'visible') syncNow();
+});
+
+window.addEventListener('online', () => {
+  syncNow();
+});
+
+function startEditing(contact) {
+  editingContact = { id: contact.id, version: contact.version };
+  for (const field of CONTACT_FIELDS) {
+    const value = contact[field] || '';
+    document.getElementById(field).value = DATETIME_FIELDS.includes(field) ? toDateTimeLocal(value) : value;
   }
+  document.getElementById('tags').value = (contact.tags || []).join(', ');
+  i18n.setText(contactSubmitBtn, 'common.saveChanges');
+  contactCancelBtn.hidden = false;
+  renderContacts();
+  contactForm.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  document.getElementById('nom').focus();
 }
 
-document.getElementById('search-services').addEventListener('click', () => {
-  const ville = document.getElementById('localisation-input').value.trim().toLowerCase();
-  const results = servicesData.filter((s) => !ville || s.ville.toLowerCase().includes(ville));
-  renderServiceCards(results);
+function stopEditing() {
+  editingContact = null;
+  contactForm.reset();
+  i18n.setText(contactSubmitBtn, 'contacts.add');
+  contactCancelBtn.hidden = true;
+}
+
+// Queues a local change and tries to push it right away; without network the
+// change stays in the outbox until the next sync.
+async function saveLocalChange(change, failureMessage) {
+  renderContacts();
+  try {
+    await persistContacts();
+    await offlineStore.queueChange(change);
+  } catch (error) {
+    setSyncStatus(`${failureMessage}: ${error.message}`, true);
+    return;
+  }
+
+  await syncNow();
+}
+
+function hideUndo() {
+  if (undoState) clearTimeout(undoState.timer);
+  undoState = null;
+  undoBar.hidden = true;
+}
+
+async function deleteContact(contact) {
+  if (editingContact && editingContact.id === contact.id) stopEditing();
+  hideUndo();
+
+  undoState = {
+    contact: { ...contact },
+    timer: setTimeout(hideUndo, UNDO_DELAY_MS),
+  };
+  undoMessage.textContent = i18n.t('contacts.deleted', { name: contact.nom });
+  undoBar.hidden = false;
+
+  contactsCache = contactsCache.filter((c) => c.id !== contact.id);
+  await saveLocalChange({ id: contact.id, version: contact.version, deleted: true }, i18n.t('contacts.deleteLocal'));
+}
+
+async function undoDelete() {
+  if (!undoState) return;
+  const { contact } = undoState;
+  hideUndo();
+
+  contactsCache.push(contact);
+  await saveLocalChange({ ...contact, deleted: false }, i18n.t('contacts.restoreLocal'));
+}
+
+contactsList.addEventListener('click', (event) => {
+  const button = event.target.closest('button[data-action]');
+  if (!button) return;
+  if (button.dataset.action === 'filter-tag') {
+    contactsTagSelect.value = button.dataset.tag;
+    contactsPage = 1;
+    renderContacts();
+    return;
+  }
+  if (button.dataset.action === 'open-organisation') {
+    openOrganisation(button.dataset.organisation);
+    return;
+  }
+  const contact = contactsCache.find((c) => c.id === button.closest('li').dataset.id);
+  if (!contact) return;
+
+  if (button.dataset.action === 'edit') startEditing(contact);
+  if (button.dataset.action === 'interactions') openInteractions(contact);
+  if (button.dataset.action === 'delete') deleteContact(contact);
 });
 
-async function init() {
-  updateAuthUi();
+contactCancelBtn.addEventListener('click', () => {
+  stopEditing();
   renderContacts();
-  renderFormationCards(formationsData);
-  renderServiceCards(servicesData);
+});
 
-  if (getToken() && getEmail()) {
-    emailInput.value = getEmail();
-    try {
-      await pullRemoteData();
-    } catch (error) {
-      setSyncStatus(`Session expiree: ${error.message}`, true);
-      clearAuth();
-      updateAuthUi();
-      emailInput.value = '';
-      passwordInput.value = '';
-    }
-  } else {
-    setSyncStatus('Connecte-toi pour activer la synchronisation inter appareils.');
+undoBtn.addEventListener('click', () => {
+  undoDelete();
+});
+
+// Interactions live on the server only: the panel needs a connection, and the
+// contact the server sends back (its call date follows the latest exchange)
+// replaces the local copy without going through the outbox.
+let interactionContactId = null;
+
+function renderInteractions(interactions) {
+  interactionList.replaceChildren();
+  if (!interactions.length) {
+    render(interactionList, html`<li class="item">${i18n.t('interactions.empty')}</li>`);
+    return;
+  }
+
+  for (const interaction of interactions) {
+    const li = document.createElement('li');
+    li.className = 'item';
+    li.dataset.id = interaction.id;
+    render(li, html`
+      <p><strong>${i18n.label('interaction', interaction.type)}</strong> - ${formatDate(interaction.date)}</p>
+      ${interaction.notes ? html`<p>${interaction.notes}</p>` : ''}
+      <div class="item-actions">
+        <button type="button" class="btn-secondary" data-action="delete-interaction">${i18n.t('common.delete')}</button>
+      </div>
+    `);
+    interactionList.appendChild(li);
+  }
+}
+
+async function loadInteractions() {
+  const data = await api(`/api/contacts/${encodeURIComponent(interactionContactId)}/interactions`, { method: 'GET' });
+  renderInteractions(data.interactions);
+}
+
+async function applyServerContact(contact) {
+  contactsCache = contactsCache.map((c) => (c.id === contact.id ? contact : c));
+  await persistContacts();
+  renderContacts();
+}
+
+async function openInteractions(contact) {
+  if (!getToken()) {
+    setSyncStatus(i18n.t('interactions.signIn'), true);
+    return;
+  }
+
+  interactionContactId = contact.id;
+  i18n.setText(interactionTitle, 'interactions.with', { name: contact.nom });
+  interactionForm.reset();
+  interactionDateInput.value = toDateTimeLocal(new Date().toISOString());
+  interactionList.replaceChildren();
+  interactionPanel.hidden = false;
+  interactionPanel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  try {
+    await loadInteractions();
+  } catch (error) {
+    setSyncStatus(i18n.t('interactions.loadFailed', { error: error.message }), true);
+  }
+}
+
+function closeInteractions() {
+  interactionContactId = null;
+  interactionPanel.hidden = true;
+  interactionList.replaceChildren();
+}
+
+interactionForm.addEventListener('submit', async (event) => {
+  event.preventDefault();
+  if (!interactionContactId) return;
+
+  try {
+    const data = await api(`/api/contacts/${encodeURIComponent(interactionContactId)}/interactions`, {
+      method: 'POST',
+      body: JSON.stringify({
+        type: interactionTypeSelect.value,
+        date: new Date(interactionDateInput.value).toISOString(),
+        notes: interactionNotesInput.value.trim(),
+      }),
+    });
+    interactionNotesInput.value = '';
+    await applyServerContact(data.contact);
+    await loadInteractions();
+  } catch (error) {
+    setSyncStatus(i18n.t('interactions.saveFailed', { error: error.message }), true);
+  }
+});
+
+interactionList.addEventListener('click', async (event) => {
+  const button = event.target.closest('button[data-action="delete-interaction"]');
+  if (!button || !interactionContactId) return;
+
+  const id = button.closest('li').dataset.id;
+  try {
+    const data = await api(
+      `/api/contacts/${encodeURIComponent(interactionContactId)}/interactions/${encodeURIComponent(id)}`,
+      { method: 'DELETE' }
+    );
+    await applyServerContact(data.contact);
+    await loadInteractions();
+  } catch (error) {
+    setSyncStatus(i18n.t('interactions.deleteFailed', { error: error.message }), true);
+  }
+});
+
+document.getElementById('interaction-close').addEventListener('click', closeInteractions);
+
+for (const [element, eventName] of [
+  [contactsSearchInput, 'input'],
+  [contactsOrganisationSelect, 'change'],
+  [contactsTagSelect, 'change'],
+  [contactsFromInput, 'change'],
+  [contactsToInput, 'change'],
+  [contactsSortSelect, 'change'],
+]) {
+  element.addEventListener(eventName, () => {
+    contactsPage = 1;
+    renderContacts();
+  });
+}
+
+contactsResetBtn.addEventListener('click', () => {
+  for (const field of [contactsSearchInput, contactsOrganisationSelect, contactsTagSelect, contactsFromInput, contactsToInput]) {
+    field.value = '';
+  }
+  contactsSortSelect.value = 'recent';
+  contactsPage = 1;
+  renderContacts();
+});
+
+contactsPrevBtn.addEventListener('click', () => {
+  contactsPage -= 1;
+  renderContacts();
+});
+
+contactsNextBtn.addEventListener('click', () => {
+  contactsPage += 1;
+  renderContacts();
+});
+
+contactForm.addEventListener('submit', async (event) => {
+  event.preventDefault();
+
+  if (!getToken()) {
+    setSyncStatus(i18n.t('contacts.signIn'), true);
+    return;
+  }
+
+  const dateRelance = document.getElementById('dateRelance').value;
+  const payload = {
+    id: editingContact ? editingContact.id : crypto.randomUUID(),
+    nom: document.getElementById('nom').value.trim(),
+    organisation: document.getElementById('organisation').value.trim(),
+    dateAppel: new Date(document.getElementById('dateAppel').value).toISOString(),
+    expertise: document.getElementById('expertise').value.trim(),
+    inclusivite: document.getElementById('inclusivite').value.trim(),
+    notes: document.getElementById('notes').value.trim(),
+    dateRelance: dateRelance ? new Date(dateRelance).toISOString() : null,
+    actionRelance: document.getElementById('actionRelance').value.trim(),
+    tags: parseTags(document.getElementById('tags').value),
+  };
+
+  if (editingContact) {
+    const existing = contactsCache.find((c) => c.id === payload.id);
+    // A contact created offline gets its first server version only after the
+    // edit started; any other version change means another device edited it.
+    const version = editingContact.version ?? (existing && existing.version);
+    contactsCache = existing
+      ? contactsCache.map((c) => (c.id === payload.id ? { ...c, ...payload } : c))
+      : [...contactsCache, { ...payload, version }];
+    stopEditing();
+    await saveLocalChange({ ...payload, version }, i18n.t('contacts.editLocal'));
+    return;
+  }
+
+  contactsCache.push(payload);
+  contactForm.reset();
+  await saveLocalChange(payload, i18n.t('contacts.addLocal'));
+});
+
+function saveBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// JSON stays a client-side backup of the local data (works offline); the
+// other formats are generated by the server from the synced contacts.
+async function downloadExport() {
+  const format = exportFormatSelect.value;
+  const from = exportFromInput.value;
+  const to = exportToInput.value;
+  if (from && to && from > to) {
+    setSyncStatus(i18n.t('export.invalidPeriod'), true);
+    return;
+  }
+
+  if (format === 'json') {
+    const contacts = contactsCache.filter((contact) => {
+      const day = toDateInput(contact.dateAppel);
+      return (!from || day >= from) && (!to || day <= to);
+    });
+    saveBlob(new Blob([JSON.stringify(contacts, null, 2)], { type: 'application/json' }), 'contacts-organijob.json');
+    return;
+  }
+
+  if (!getToken()) {
+    setSyncStatus(i18n.t('export.signIn'), true);
+    return;
+  }
+
+  const params = new URLSearchParams({ format });
+  if (from) params.set('from', from);
+  if (to) params.set('to', to);
+
+  exportDownloadBtn.disabled = true;
+  try {
+    // Send pending offline changes first so they appear in the export.
+    if ((await offlineStore.getOutbox()).length) await syncNow();
+    const { blob, filename } = await apiDownload(`/api/export?${params}`);
+    saveBlob(blob, filename);
+    setSyncStatus(i18n.t('export.done', { filename }));
+  } catch (error) {
+    if (error.status === 401) {
+      handleExpiredSession(error);
+      return;
+    }
+    setSyncStatus(
+      error.status ? i18n.t('export.failed', { error: error.message }) : i18n.t('export.offline'),
+      true
+    );
+  } finally {
+    exportDownloadBtn.disabled = false;
+  }
+}
+
+exportBtn.addEventListener('click', () => {
+  exportPanel.hidden = !exportPanel.hidden;
+});
+
+exportDownloadBtn.addEventListener('click', downloadExport);
+
+exportCancelBtn.addEventListener('click', () => {
+  exportPanel.hidden = true;
+});
+
+const importBtn = document.getElementById('import-contacts');
+const importFileInput = document.getElementById('import-file');
+const importPanel = document.getElementById('import-panel');
+const importSummary = document.getElementById('import-summary');
+const importMapping = document.getElementById('import-mapping');
+const importDetails = document.getElementById('import-details');
+const importDefaultDate = document.getElementById('import-default-date');
+const importDuplicates = document.getElementById('import-duplicates');
+
+const IMPORT_FIELDS = [...CONTACT_FIELDS, 'tags'];
+
+let importState = null;
+
+function detectImportFormat(file, content) {
+  const name = file.name.toLowerCase();
+  if (name.endsWith('.json') || /^\s*[[{]/.test(content)) return 'json';
+  if (name.endsWith('.vcf') || name.endsWith('.vcard') || /^\s*BEGIN:VCARD/i.test(content)) return 'vcf';
+  return 'csv';
+}
+
+function renderImportMapping(columns, mapping) {
+  importMapping.replaceChildren();
+  if (!columns) return;
+
+  for (const field of IMPORT_FIELDS) {
+    const wrapper = document.createElement('label');
+    wrapper.textContent = i18n.label('importField', field);
+    const select = document.createElement('select');
+    select.dataset.field = field;
+    select.appendChild(new Option(i18n.t('import.ignoreColumn'), ''));
+    for (const column of columns) select.appendChild(new Option(column, column, false, mapping[field] === column));
+    wrapper.appendChild(select);
+    importMapping.appendChild(wrapper);
+  }
+}
+
+function renderImportPreview(preview) {
+  const { summary } = preview;
+  importSummary.textContent = i18n.t('import.preview', summary);
+
+  importDetails.replaceChildren();
+  for (const duplicate of preview.duplicates) {
+    const action = i18n.t(duplicate.action === 'merge' ? 'import.willMerge' : 'import.willSkip');
+    const origin = i18n.t(duplicate.inFile ? 'import.inFile' : 'import.inContacts');
+    appendCardLine(importDetails, i18n.t('import.duplicate', { ...duplicate, origin, action }), 'li').className = 'item';
+  }
+  for (const invalid of preview.invalid) {
+    appendCardLine(importDetails, i18n.t('import.invalid', invalid), 'li').className = 'item is-overdue';
+  }
+}
+
+function currentImportMapping() {
+  const mapping = {};
+  for (const select of importMapping.querySelectorAll('select[data-field]')) {
+    if (select.value) mapping[select.dataset.field] = select.value;
+  }
+  return mapping;
+}
+
+async function runImport(dryRun) {
+  const defaultDate = importDefaultDate.value ? new Date(importDefaultDate.value).toISOString() : null;
+  return api('/api/contacts/import', {
+    method: 'POST',
+    body: JSON.stringify({
+      format: importState.format,
+      content: importState.content,
+      mapping: importState.format === 'csv' && importMapping.childElementCount ? currentImportMapping() : undefined,
+      defaultDate,
+      duplicates: importDuplicates.value,
+      dryRun,
+    }),
+  });
+}
+
+async function previewImport() {
+  try {
+    const preview = await runImport(true);
+    if (!importMapping.childElementCount) renderImportMapping(preview.columns, preview.mapping || {});
+    renderImportPreview(preview);
+  } catch (error) {
+    importSummary.textContent = i18n.t('import.previewFailed', { error: error.message });
+    importDetails.replaceChildren();
+  }
+}
+
+function closeImport() {
+  importState = null;
+  importPanel.hidden = true;
+  importMapping.replaceChildren();
+  importDetails.replaceChildren();
+  importFileInput.value = '';
+}
+
+importBtn.addEventListener('click', () => {
+  if (!getToken()) {
+    setSyncStatus(i18n.t('import.signIn'), true);
+    return;
+  }
+  importFileInput.click();
+});
+
+importFileInput.addEventListener('change', async () => {
+  const file = importFileInput.files[0];
+  if (!file) return;
+
+  const content = await file.text();
+  importState = { format: detectImportFormat(file, content), content };
+  importMapping.replaceChildren();
+  importSummary.textContent = i18n.t('import.reading', { name: file.name });
+  importPanel.hidden = false;
+  await previewImport();
+});
+
+importMapping.addEventListener('change', previewImport);
+importDefaultDate.addEventListener('change', () => importState && previewImport());
+importDuplicates.addEventListener('change', () => importState && previewImport());
+
+document.getElementById('import-cancel').addEventListener('click', closeImport);
+
+document.getElementById('import-confirm').addEventListener('click', async () => {
+  if (!importState) return;
+  try {
+    const result = await runImport(false);
+    closeImport();
+    await syncNow();
+    const { summary } = result;
+    setSyncStatus(i18n.t('import.done', summary), summary.conflicts > 0);
+  } catch (error) {
+    importSummary.textContent = i18n.t('import.failed', { error: error.message });
+  }
+});
+
+const applicationForm = document.getElementById('application-form');
+const applicationSubmitBtn = document.getElementById('application-submit');
+const applicationCancelBtn = document.getElementById('application-cancel');
+const applicationContactsSelect = document.getElementById('app-contacts');
+const applicationsBoard = document.getElementById('applications-board');
+
+const APPLICATION_STAGES = ['a_postuler', 'envoyee', 'entretien', 'offre', 'refus'];
+
+let applicationsCache = [];
+let editingApplicationId = null;
+
+function formatSalary(application) {
+  const amounts = [application.salaireMin, application.salaireMax].filter((v) => v !== null && v !== undefined);
+  if (!amounts.length) return '';
+  return `${[...new Set(amounts)].map((v) => v.toLocaleString(i18n.locale())).join(' - ')} EUR`;
+}
+
+function toDateInput(isoLike) {
+  return toDateTimeLocal(isoLike).slice(0, 10);
+}
+
+function renderApplicationContactOptions() {
+  const selected = new Set([...applicationContactsSelect.selectedOptions].map((o) => o.value));
+  applicationContactsSelect.replaceChildren();
+  const sorted = [...contactsCache].sort((a, b) => a.nom.localeCompare(b.nom, i18n.language()));
+  for (const contact of sorted) {
+    const option = document.createElement('option');
+    option.value = contact.id;
+    option.textContent = `${contact.nom} - ${contact.organisation}`;
+    option.selected = selected.has(contact.id);
+    applicationContactsSelect.appendChild(option);
+  }
+}
+
+function appendCardLine(card, text, tag = 'p') {
+  const line = document.createElement(tag);
+  line.textContent = text;
+  card.appendChild(line);
+  return line;
+}
+
+function renderApplicationCard(application, stageIndex) {
+  const card = document.createElement('article');
+  card.className = 'kanban-card';
+  card.draggable = true;
+  card.dataset.id = application.id;
+
+  const title = appendCardLine(card, '', 'p');
+  title.appendChild(document.createElement('strong')).textContent = application.poste;
+  appendCardLine(card, application.entreprise);
+
+  const stageDate = application.datesEtapes && application.datesEtapes[application.statut];
+  if (stageDate) {
+    appendCardLine(card, i18n.t('applications.since', { date: new Date(stageDate).toLocaleDateString(i18n.locale()) }));
+  }
+  const salary = formatSalary(application);
+  if (salary) appendCardLine(card, salary);
+  if (application.dateRelance) {
+    const action = application.actionRelance ? ` - ${application.actionRelance}` : '';
+    appendCardLine(card, i18n.t('applications.followUp', { date: formatDate(application.dateRelance), action }));
+  }
+
+  const contactNames = (application.contactIds || [])
+    .map((id) => contactsCache.find((c) => c.id === id))
+    .filter(Boolean)
+    .map((c) => c.nom);
+  if (contactNames.length) {
+    appendCardLine(card, i18n.t('applications.contactNames', { names: contactNames.join(', ') }));
+  }
+
+  if (application.lien) {
+    const link = document.createElement('a');
+    link.href = application.lien;
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+    link.textContent = i18n.t('applications.viewAd');
+    card.appendChild(link);
+  }
+
+  const actions = document.createElement('div');
+  actions.className = 'item-actions';
+  render(actions, html`
+    <button type="button" class="btn-secondary" data-action="prev" aria-label="${i18n.t('applications.previousStage')}">&larr;</button>
+    <button type="button" class="btn-secondary" data-action="next" aria-label="${i18n.t('applications.nextStage')}">&rarr;</button>
+    <button type="button" class="btn-secondary" data-action="edit">${i18n.t('common.edit')}</button>
+    <button type="button" class="btn-secondary" data-action="delete">${i18n.t('common.delete')}</button>
+  `);
+  actions.querySelector('[data-action="prev"]').disabled = stageIndex === 0;
+  actions.querySelector('[data-action="next"]').disabled = stageIndex === APPLICATION_STAGES.length - 1;
+  card.appendChild(actions);
+  return card;
+}
+
+function renderApplications() {
+  renderApplicationContactOptions();
+  applicationsBoard.replaceChildren();
+
+  APPLICATION_STAGES.forEach((statut, stageIndex) => {
+    const items = applicationsCache.filter((a) => a.statut === statut);
+    const column = document.createElement('section');
+    column.className = 'kanban-column';
+    column.dataset.statut = statut;
+    render(
+      column,
+      html`<h3><span>${i18n.label('stage', statut)}</span><span>${items.length}</span></h3><div class="kanban-cards"></div>`
+    );
+
+    const cards = column.querySelector('.kanban-cards');
+    for (const application of items) cards.appendChild(renderApplicationCard(application, stageIndex));
+    applicationsBoard.appendChild(column);
+  });
+}
+
+async function loadApplications() {
+  const data = await api('/api/applications', { method: 'GET' });
+  applicationsCache = Array.isArray(data.applications) ? data.applications : [];
+  renderApplications();
+}
+
+function replaceApplication(application) {
+  const exists = applicationsCache.some((a) => a.id === application.id);
+  applicationsCache = exists
+    ? applicationsCache.map((a) => (a.id === application.id ? application : a))
+    : [application, ...applicationsCache];
+}
+
+async function moveApplication(id, statut) {
+  const application = applicationsCache.find((a) => a.id === id);
+  if (!application || application.statut === statut) return;
+
+  replaceApplication({ ...application, statut });
+  renderApplications();
+  try {
+    const data = await api(`/api/applications/${encodeURIComponent(id)}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ statut }),
+    });
+    replaceApplication(data.application);
+    renderApplications();
+  } catch (error) {
+    replaceApplication(application);
+    renderApplications();
+    setSyncStatus(i18n.t('applications.moveFailed', { error: error.message }), true);
+  }
+}
+
+function startEditingApplication(application) {
+  editingApplicationId = application.id;
+  document.getElementById('app-poste').value = application.poste;
+  document.getElementById('app-entreprise').value = application.entreprise;
+  document.getElementById('app-lien').value = application.lien || '';
+  document.getElementById('app-statut').value = application.statut;
+  document.getElementById('app-date-etape').value = toDateInput((application.datesEtapes || {})[application.statut]);
+  document.getElementById('app-salaire-min').value = application.salaireMin ?? '';
+  document.getElementById('app-salaire-max').value = application.salaireMax ?? '';
+  document.getElementById('app-notes').value = application.notes || '';
+  document.getElementById('app-date-relance').value = toDateTimeLocal(application.dateRelance || '');
+  document.getElementById('app-action-relance').value = application.actionRelance || '';
+  for (const option of applicationContactsSelect.options) {
+    option.selected = (application.contactIds || []).includes(option.value);
+  }
+  i18n.setText(applicationSubmitBtn, 'common.saveChanges');
+  applicationCancelBtn.hidden = false;
+  applicationForm.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+function stopEditingApplication() {
+  editingApplicationId = null;
+  applicationForm.reset();
+  i18n.setText(applicationSubmitBtn, 'applications.add');
+  applicationCancelBtn.hidden = true;
+}
+
+applicationForm.addEventListener('submit', async (event) => {
+  event.preventDefault();
+
+  if (!getToken()) {
+    setSyncStatus(i18n.t('applications.signIn'), true);
+    return;
+  }
+
+  const statut = document.getElementById('app-statut').value;
+  const dateEtape = document.getElementById('app-date-etape').value;
+  const dateRelance = document.getElementById('app-date-relance').value;
+  const payload = {
+    poste: document.getElementById('app-poste').value.trim(),
+    entreprise: document.getElementById('app-entreprise').value.trim(),
+    lien: document.getElementById('app-lien').value.trim(),
+    statut,
+    salaireMin: document.getElementById('app-salaire-min').value,
+    salaireMax: document.getElementById('app-salaire-max').value,
+    notes: document.getElementById('app-notes').value.trim(),
+    dateRelance: dateRelance ? new Date(dateRelance).toISOString() : null,
+    actionRelance: document.getElementById('app-action-relance').value.trim(),
+    contactIds: [...applicationContactsSelect.selectedOptions].map((o) => o.value),
+  };
+  if (dateEtape) payload.datesEtapes = { [statut]: new Date(`${dateEtape}T12:00`).toISOString() };
+
+  try {
+    const data = editingApplicationId
+      ? await api(`/api/applications/${encodeURIComponent(editingApplicationId)}`, {
+          method: 'PATCH',
+          body: JSON.stringify(payload),
+        })
+      : await api('/api/applications', { method: 'POST', body: JSON.stringify(payload) });
+    replaceApplication(data.application);
+    stopEditingApplication();
+    renderApplications();
+  } catch (error) {
+    setSyncStatus(i18n.t('applications.saveFailed', { error: error.message }), true);
+  }
+});
+
+applicationCancelBtn.addEventListener('click', () => {
+  stopEditingApplication();
+});
+
+applicationsBoard.addEventListener('click', async (event) => {
+  const button = event.target.closest('button[data-action]');
+  if (!button) return;
+  const application = applicationsCache.find((a) => a.id === button.closest('.kanban-card').dataset.id);
+  if (!application) return;
+
+  const stageIndex = APPLICATION_STAGES.indexOf(application.statut);
+  if (button.dataset.action === 'prev') await moveApplication(application.id, APPLICATION_STAGES[stageIndex - 1]);
+  if (button.dataset.action === 'next') await moveApplication(application.id, APPLICATION_STAGES[stageIndex + 1]);
+  if (button.dataset.action === 'edit') startEditingApplication(application);
+  if (button.dataset.action === 'delete') {
+    if (!window.confirm(i18n.t('applications.deleteConfirm', { title: application.poste }))) return;
+    try {
+      await api(`/api/applications/${encodeURIComponent(application.id)}`, { method: 'DELETE' });
+      applicationsCache = applicationsCache.filter((a) => a.id !== application.id);
+      if (editingApplicationId === application.id) stopEditingApplication();
+      renderApplications();
+    } catch (error) {
+      setSyncStatus(i18n.t('common.deleteFailed', { error: error.message }), true);
+    }
+  }
+});
+
+applicationsBoard.addEventListener('dragstart', (event) => {
+  const card = event.target.closest('.kanban-card');
+  if (card) event.dataTransfer.setData('text/plain', card.dataset.id);
+});
+
+applicationsBoard.addEventListener('dragover', (event) => {
+  const column = event.target.closest('.kanban-column');
+  if (!column) return;
+  event.preventDefault();
+  column.classList.add('is-drop-target');
+});
+
+applicationsBoard.addEventListener('dragleave', (event) => {
+  const column = event.target.closest('.kanban-column');
+  if (column && !column.contains(event.relatedTarget)) column.classList.remove('is-drop-target');
+});
+
+applicationsBoard.addEventListener('drop', (event) => {
+  const column = event.target.closest('.kanban-column');
+  if (!column) return;
+  event.preventDefault();
+  column.classList.remove('is-drop-target');
+  moveApplication(event.dataTransfer.getData('text/plain'), column.dataset.statut);
+});
+
+const organisationsTab = document.querySelector('.tab[data-tab="organisations"]');
+const organisationsList = document.getElementById('organisations-list');
+const organisationDetail = document.getElementById('organisation-detail');
+const organisationName = document.getElementById('organisation-name');
+const organisationRenameInput = document.getElementById('organisation-rename');
+const organisationMergeSelect = document.getElementById('organisation-merge');
+const organisationContactsList = document.getElementById('organisation-contacts');
+const organisationTimeline = document.getElementById('organisation-timeline');
+
+let organisationsCache = [];
+let currentOrganisationId = null;
+
+function renderOrganisations() {
+  organisationsList.replaceChildren();
+  if (!organisationsCache.length) {
+    render(
+      organisationsList,
+      html`<li class="item">${i18n.t('organisations.empty')}</li>`
+    );
+    return;
+  }
+
+  for (const organisation of organisationsCache) {
+    const li = document.createElement('li');
+    li.className = 'item';
+    li.classList.toggle('is-editing', organisation.id === currentOrganisationId);
+    li.dataset.id = organisation.id;
+    render(li, html`
+      <p><strong>${organisation.name}</strong></p>
+      <p>${i18n.t('organisations.counts', { contacts: organisation.contactCount, applications: organisation.applicationCount })}</p>
+      ${
+        organisation.lastCallAt
+          ? html`<p><strong>${i18n.t('organisations.lastExchange')}</strong> ${formatDate(organisation.lastCallAt)}</p>`
+          : ''
+      }
+      <div class="item-actions">
+        <button type="button" class="btn-secondary" data-action="open">${i18n.t('organisations.open')}</button>
+      </div>
+    `);
+    organisationsList.appendChild(li);
+  }
+}
+
+async function loadOrganisations() {
+  const data = await api('/api/organisations', { method: 'GET' });
+  organisationsCache = Array.isArray(data.organisations) ? data.organisations : [];
+  renderOrganisations();
+}
+
+function describeTimelineEvent(event) {
+  if (event.source === 'application') {
+    return i18n.t('organisations.applicationEvent', { title: event.poste, stage: i18n.label('stage', event.type) });
+  }
+  return `${i18n.label('interaction', event.type)} - ${event.contactNom}`;
+}
+
+function renderOrganisationDetail({ organisation, contacts, timeline }) {
+  currentOrganisationId = organisation.id;
+  organisationName.textContent = organisation.name;
+  organisationRenameInput.value = organisation.name;
+
+  const others = organisationsCache.filter((o) => o.id !== organisation.id);
+  render(organisationMergeSelect, html`
+    <option value="">${i18n.t('organisations.choose')}</option>
+    ${others.map((o) => html`<option value="${o.id}">${o.name}</option>`)}
+  `);
+
+  organisationContactsList.replaceChildren();
+  if (!contacts.length) render(organisationContactsList, html`<li class="item">${i18n.t('common.noContacts')}</li>`);
+  for (const contact of contacts) {
+    const li = document.createElement('li');
+    li.className = 'item';
+    render(
+      li,
+      html`<p><strong>${contact.nom}</strong> - ${i18n.t('organisations.contactLast', { date: formatDate(contact.dateAppel) })}</p>`
+    );
+    organisationContactsList.appendChild(li);
+  }
+
+  organisationTimeline.replaceChildren();
+  if (!timeline.length) render(organisationTimeline, html`<li class="item">${i18n.t('organisations.noEvents')}</li>`);
+  for (const event of timeline) {
+    const li = document.createElement('li');
+    li.className = 'item';
+    li.classList.toggle('is-application', event.source === 'application');
+    render(li, html`
+      <p><strong>${formatDate(event.date)}</strong></p>
+      <p>${describeTimelineEvent(event)}</p>
+      ${event.notes ? html`<p>${event.notes}</p>` : ''}
+    `);
+    organisationTimeline.appendChild(li);
+  }
+
+  organisationDetail.hidden = false;
+  renderOrganisations();
+}
+
+async function showOrganisation(id) {
+  renderOrganisationDetail(await api(`/api/organisations/${encodeURIComponent(id)}`, { method: 'GET' }));
+}
+
+// From a contact: switch to the tab and show the organisation's history.
+async function openOrganisation(id) {
+  organisationsTab.click();
+  try {
+    await showOrganisation(id);
+    organisationDetail.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  } catch (error) {
+    setSyncStatus(i18n.t('organisations.loadFailed', { error: error.message }), true);
+  }
+}
+
+function closeOrganisation() {
+  currentOrganisationId = null;
+  organisationDetail.hidden = true;
+  renderOrganisations();
+}
+
+// Renames and merges change contacts on the server: a sync brings them back.
+async function updateOrganisation(path, options, failureMessage) {
+  try {
+    const data = await api(path, options);
+    await syncNow();
+    await loadOrganisations();
+    await showOrganisation(data.organisation.id);
+  } catch (error) {
+    setSyncStatus(`${failureMessage}: ${error.message}`, true);
+  }
+}
+
+organisationsTab.addEventListener('click', async () => {
+  if (!getToken()) return;
+  try {
+    await loadOrganisations();
+  } catch (error) {
+    setSyncStatus(i18n.t('organisations.listFailed', { error: error.message }), true);
+  }
+});
+
+organisationsList.addEventListener('click', async (event) => {
+  const button = event.target.closest('button[data-action="open"]');
+  if (!button) return;
+  try {
+    await showOrganisation(button.closest('li').dataset.id);
+  } catch (error) {
+    setSyncStatus(i18n.t('organisations.loadFailed', { error: error.message }), true);
+  }
+});
+
+document.getElementById('organisation-close').addEventListener('click', closeOrganisation);
+
+document.getElementById('organisation-rename-form').addEventListener('submit', (event) => {
+  event.preventDefault();
+  updateOrganisation(
+    `/api/organisations/${encodeURIComponent(currentOrganisationId)}`,
+    { method: 'PATCH', body: JSON.stringify({ name: organisationRenameInput.value.trim() }) },
+    i18n.t('organisations.renameFailed')
+  );
+});
+
+document.getElementById('organisation-merge-form').addEventListener('submit', (event) => {
+  event.preventDefault();
+  const into = organisationsCache.find((o) => o.id === organisationMergeSelect.value);
+  if (!into) return;
+  const from = organisationName.textContent;
+  if (!window.confirm(i18n.t('organisations.mergeConfirm', { from, into: into.name }))) return;
+  updateOrganisation(
+    `/api/organisations/${encodeURIComponent(currentOrganisationId)}/merge`,
+    { method: 'POST', body: JSON.stringify({ into: into.id }) },
+    i18n.t('organisations.mergeFailed')
+  );
+});
+
+const todoDaysSelect = document.getElementById('todo-days');
+const todoOverdueList = document.getElementById('todo-overdue');
+const todoUpcomingList = document.getElementById('todo-upcoming');
+const calendarUrlInput = document.getElementById('calendar-url');
+
+const POSTPONE_DAYS = 7;
+
+let todoData = { overdue: [], upcoming: [] };
+
+function renderTodoList(list, items, emptyMessage, isOverdue) {
+  list.replaceChildren();
+  if (!items.length) {
+    render(list, html`<li class="item">${emptyMessage}</li>`);
+    return;
+  }
+
+  for (const item of items) {
+    const li = document.createElement('li');
+    li.className = 'item';
+    li.classList.toggle('is-overdue', isOverdue);
+    li.dataset.type = item.type;
+    li.dataset.id = item.id;
+
+    const title = document.createElement('p');
+    title.appendChild(document.createElement('strong')).textContent = item.titre;
+    title.append(` - ${item.sousTitre} (${i18n.t(item.type === 'contact' ? 'todo.contact' : 'todo.application')})`);
+    li.appendChild(title);
+    appendCardLine(li, i18n.t('todo.when', { date: formatDate(item.dateRelance) }));
+    appendCardLine(li, i18n.t('todo.action', { action: item.actionRelance || i18n.t('todo.noAction') }));
+
+    const actions = document.createElement('div');
+    actions.className = 'item-actions';
+    render(actions, html`
+      <button type="button" class="btn-secondary" data-action="done">${i18n.t('todo.done')}</button>
+      <button type="button" class="btn-secondary" data-action="postpone">${i18n.t('todo.postpone', { days: POSTPONE_DAYS })}</button>
+    `);
+    li.appendChild(actions);
+    list.appendChild(li);
+  }
+}
+
+function renderTodo() {
+  renderTodoList(todoOverdueList, todoData.overdue, i18n.t('todo.noneOverdue'), true);
+  renderTodoList(todoUpcomingList, todoData.upcoming, i18n.t('todo.noneUpcoming'), false);
+}
+
+async function loadTodo() {
+  todoData = await api(`/api/todo?days=${encodeURIComponent(todoDaysSelect.value)}`, { method: 'GET' });
+  renderTodo();
+}
+
+// "Fait" clears the follow-up, "Reporter" moves it; contacts go through the
+// offline outbox like any other contact edit, applications are patched directly.
+async function updateFollowUp(type, id, dateRelance) {
+  if (type === 'contact') {
+    const contact = contactsCache.find((c) => c.id === id);
+    if (!contact) return;
+    const updated = { ...contact, dateRelance, actionRelance: dateRelance ? contact.actionRelance : '' };
+    contactsCache = contactsCache.map((c) => (c.id === id ? updated : c));
+    await saveLocalChange(updated, i18n.t('todo.updateLocal'));
+    return;
+  }
+
+  try {
+    const application = applicationsCache.find((a) => a.id === id);
+    const data = await api(`/api/applications/${encodeURIComponent(id)}`, {
+      method: 'PATCH',
+      body: JSON.stringify({
+        dateRelance,
+        actionRelance: dateRelance && application ? application.actionRelance : '',
+      }),
+    });
+    replaceApplication(data.application);
+    renderApplications();
+    await loadTodo();
+  } catch (error) {
+    setSyncStatus(i18n.t('todo.updateFailed', { error: error.message }), true);
+  }
+}
+
+async function handleTodoClick(event) {
+  const button = event.target.closest('button[data-action]');
+  if (!button) return;
+  const { type, id } = button.closest('li').dataset;
+  const item = [...todoData.overdue, ...todoData.upcoming].find((i) => i.type === type && i.id === id);
+  if (!item) return;
+
+  if (button.dataset.action === 'done') await updateFollowUp(type, id, null);
+  if (button.dataset.action === 'postpone') {
+    const base = Math.max(Date.now(), new Date(item.dateRelance).getTime());
+    await updateFollowUp(type, id, new Date(base + POSTPONE_DAYS * 24 * 60 * 60 * 1000).toISOString());
+  }
+}
+
+function showCalendarFeed(data) {
+  calendarUrlInput.value = data.path ? new URL(data.path, window.location.origin).href : '';
+}
+
+async function calendarFeedRequest(method) {
+  if (!getToken()) {
+    setSyncStatus(i18n.t('todo.calendarSignIn'), true);
+    return;
+  }
+  try {
+    showCalendarFeed(await api('/api/todo/calendar', { method }));
+  } catch (error) {
+    setSyncStatus(i18n.t('todo.calendarFailed', { error: error.message }), true);
+  }
+}
+
+todoOverdueList.addEventListener('click', handleTodoClick);
+todoUpcomingList.addEventListener('click', handleTodoClick);
+
+todoDaysSelect.addEventListener('change', async () => {
+  if (!getToken()) return;
+  try {
+    await loadTodo();
+  } catch (error) {
+    setSyncStatus(error.message, true);
+  }
+});
+
+document.querySelector('.tab[data-tab="a-faire"]').addEventListener('click', () => {
+  if (getToken()) calendarFeedRequest('GET');
+});
+
+document.getElementById('calendar-enable').addEventListener('click', () => {
+  calendarFeedRequest('POST');
+});
+
+document.getElementById('calendar-disable').addEventListener('click', () => {
+  calendarFeedRequest('DELETE');
+});
+
+document.getElementById('calendar-copy').addEventListener('click', async () => {
+  if (!calendarUrlInput.value) return;
+  try {
+    await navigator.clipboard.writeText(calendarUrlInput.value);
+    setSyncStatus(i18n.t('todo.calendarCopied'));
+  } catch {
+    calendarUrlInput.select();
+  }
+});
+
+const statsMessage = document.getElementById('stats-message');
+const statsContent = document.getElementById('stats-content');
+const statsGoalsForm = document.getElementById('stats-goals-form');
+const statsChart = document.getElementById('stats-chart');
+
+const STATS_WEEKS = 12;
+const STATS_LEADS_SHOWN = 10;
+// Leads without news for this long are highlighted.
+const STALE_LEAD_DAYS = 14;
+const STAT_METRICS = ['calls', 'exchanges', 'applications'];
+
+let statsData = null;
+
+function showStatsMessage(message) {
+  statsData = null;
+  statsContent.hidden = true;
+  statsMessage.hidden = false;
+  delete statsMessage.dataset.i18n;
+  statsMessage.textContent = message;
+}
+
+function formatWeek(day) {
+  return new Date(`${day}T12:00:00`).toLocaleDateString(i18n.locale(), { day: '2-digit', month: '2-digit' });
+}
+
+function renderStatsWeek() {
+  const current = statsData.weeks[statsData.weeks.length - 1];
+  render(
+    document.getElementById('stats-week'),
+    html`${STAT_METRICS.map((metric) => {
+      const goal = statsData.goals[metric];
+      return html`<li class="item">
+        <p><strong>${i18n.label('stat', metric)}:</strong> ${current[metric]}${goal ? ` / ${goal}` : ''}</p>
+        ${goal ? html`<progress max="${goal}" value="${Math.min(current[metric], goal)}"></progress>` : ''}
+      </li>`;
+    })}`
+  );
+
+  const { current: streak, longest } = statsData.streak;
+  document.getElementById('stats-streak').textContent = streak
+    ? i18n.t('stats.streak', { streak, longest })
+    : i18n.t(longest ? 'stats.noStreakRecord' : 'stats.noStreak', { longest });
+}
+
+// Weekly bars for calls and applications, with their goals as dashed lines.
+function renderStatsChart() {
+  const width = 640;
+  const height = 220;
+  const top = 12;
+  const bottom = 28;
+  const { weeks, goals } = statsData;
+  const metrics = ['calls', 'applications'];
+  const values = weeks.flatMap((week) => metrics.map((metric) => week[metric]));
+  const max = Math.max(1, ...values, ...metrics.map((metric) => goals[metric] || 0));
+  const y = (value) => top + (height - top - bottom) * (1 - value / max);
+  const slot = width / weeks.length;
+  const bar = slot * 0.35;
+
+  const bars = weeks.map((week, index) => {
+    const x = index * slot + slot / 2;
+    return html`
+      ${metrics.map((metric, offset) => {
+        const value = week[metric];
+        const title = i18n.t('stats.barTitle', { metric: i18n.label('stat', metric), week: formatWeek(week.start), value });
+        return html`<rect class="chart-${metric}" x="${x - bar + offset * bar}" y="${y(value)}" width="${bar - 2}"
+          height="${y(0) - y(value)}"><title>${title}</title></rect>`;
+      })}
+      <text class="chart-label" x="${x}" y="${height - 8}">${formatWeek(week.start)}</text>
+    `;
+  });
+  const goalLines = metrics
+    .filter((metric) => goals[metric])
+    .map((metric) => {
+      const level = y(goals[metric]);
+      return html`<line class="chart-goal chart-${metric}" x1="0" x2="${width}" y1="${level}" y2="${level}"></line>`;
+    });
+
+  render(
+    statsChart,
+    html`<svg viewBox="0 0 ${width} ${height}" role="img" aria-label="${i18n.t('stats.chartLabel')}">
+      <line class="chart-axis" x1="0" x2="${width}" y1="${y(0)}" y2="${y(0)}"></line>
+      ${bars}${goalLines}
+    </svg>`
+  );
+}
+
+function renderResponseRates(id, rates) {
+  const list = document.getElementById(id);
+  if (!rates.length) {
+    render(list, html`<li class="item">${i18n.t('stats.noRates')}</li>`);
+    return;
+  }
+  render(
+    list,
+    html`${rates.map(
+      (rate) => html`<li class="item">
+        <p><strong>${rate.name}:</strong> ${i18n.t('stats.rate', { ...rate, percent: Math.round(rate.rate * 100) })}</p>
+        <meter min="0" max="1" value="${rate.rate}"></meter>
+      </li>`
+    )}`
+  );
+}
+
+function renderStatsLeads() {
+  const list = document.getElementById('stats-leads');
+  const leads = statsData.leads.slice(0, STATS_LEADS_SHOWN);
+  if (!leads.length) {
+    render(list, html`<li class="item">${i18n.t('stats.noLeads')}</li>`);
+    return;
+  }
+  render(
+    list,
+    html`${leads.map(
+      (lead) => html`<li class="item ${lead.daysSince >= STALE_LEAD_DAYS ? 'is-overdue' : ''}">
+        <p><strong>${lead.nom}</strong> - ${lead.organisation}</p>
+        <p>${i18n.t(lead.daysSince ? 'stats.leadDays' : 'stats.leadToday', { days: lead.daysSince, date: formatDate(lead.lastContact) })}</p>
+        ${lead.dateRelance ? html`<p>${i18n.t('common.followUpOn', { date: formatDate(lead.dateRelance) })}</p>` : ''}
+      </li>`
+    )}`
+  );
+}
+
+function renderStats() {
+  statsMessage.hidden = true;
+  statsContent.hidden = false;
+  for (const [metric, goal] of Object.entries(statsData.goals)) {
+    document.getElementById(`goal-${metric}`).value = goal ?? '';
+  }
+  renderStatsWeek();
+  renderStatsChart();
+  renderResponseRates('stats-organisations', statsData.responseRates.organisations);
+  renderResponseRates('stats-expertises', statsData.responseRates.expertises);
+  renderStatsLeads();
+}
+
+async function loadStats() {
+  if (!getToken()) {
+    showStatsMessage(i18n.t('stats.signIn'));
+    return;
+  }
+  try {
+    statsData = await api(`/api/stats?weeks=${STATS_WEEKS}`);
+    renderStats();
+  } catch (error) {
+    showStatsMessage(error.status ? error.message : i18n.t('stats.offline'));
+  }
+}
+
+document.querySelector('.tab[data-tab="tableau-de-bord"]').addEventListener('click', loadStats);
+
+statsGoalsForm.addEventListener('submit', async (event) => {
+  event.preventDefault();
+  const goals = {};
+  for (const metric of STAT_METRICS) {
+    goals[metric] = document.getElementById(`goal-${metric}`).value.trim() || null;
+  }
+  try {
+    const data = await api('/api/stats/goals', { method: 'PUT', body: JSON.stringify(goals) });
+    statsData.goals = data.goals;
+    renderStats();
+    setSyncStatus(i18n.t('stats.goalsSaved'));
+  } catch (error) {
+    setSyncStatus(error.message, true);
+  }
+});
+
+const sharesMessage = document.getElementById('shares-message');
+const sharesContent = document.getElementById('shares-content');
+const shareInviteForm = document.getElementById('share-invite-form');
+const sharesGrantedList = document.getElementById('shares-granted');
+const sharesReceivedList = document.getElementById('shares-received');
+const sharesAuditList = document.getElementById('shares-audit');
+const shareDetail = document.getElementById('share-detail');
+const shareCommentForm = document.getElementById('share-comment-form');
+const shareCommentTarget = document.getElementById('share-comment-target');
+
+const SHARE_ACCESSES = ['lecture', 'commentaire'];
+
+let sharesData = { granted: [], received: [] };
+// The share shown in the detail card, with what was read through it.
+let openedShare = null;
+// Token of an invitation link opened while signed out, accepted after login.
+let pendingShareToken = null;
+
+function showSharesMessage(message) {
+  sharesData = { granted: [], received: [] };
+  closeShare();
+  sharesContent.hidden = true;
+  sharesMessage.hidden = false;
+  delete sharesMessage.dataset.i18n;
+  sharesMessage.textContent = message;
+}
+
+function renderShares() {
+  sharesMessage.hidden = true;
+  sharesContent.hidden = false;
+
+  const accessOptions = SHARE_ACCESSES.map(
+    (access) => html`<option value="${access}">${i18n.label('shareAccess', access)}</option>`
+  );
+  if (!sharesData.granted.length) {
+    render(sharesGrantedList, html`<li class="item">${i18n.t('shares.noneGranted')}</li>`);
+  } else {
+    render(
+      sharesGrantedList,
+      html`${sharesData.granted.map(
+        (share) => html`<li class="item" data-id="${share.id}">
+          <p><strong>${share.email}</strong> - ${i18n.label('shareStatus', share.status)}</p>
+          <div class="item-actions">
+            <select data-action="share-access" aria-label="${i18n.t('shares.accessOf', { email: share.email })}">
+              ${accessOptions}
+            </select>
+            ${share.status === 'active' ? html`<button type="button" class="btn-secondary" data-action="open-share">${i18n.t('shares.comments')}</button>` : ''}
+            <button type="button" class="btn-secondary" data-action="revoke-share">${i18n.t('shares.revoke')}</button>
+          </div>
+        </li>`
+      )}`
+    );
+    for (const share of sharesData.granted) {
+      sharesGrantedList.querySelector(`[data-id="${share.id}"] select`).value = share.access;
+    }
+  }
+
+  render(
+    sharesReceivedList,
+    sharesData.received.length
+      ? html`${sharesData.received.map(
+          (share) => html`<li class="item" data-id="${share.id}">
+            <p><strong>${share.ownerEmail}</strong> - ${i18n.label('shareAccess', share.access)}</p>
+            <div class="item-actions">
+              <button type="button" class="btn-secondary" data-action="open-share">${i18n.t('shares.open')}</button>
+            </div>
+          </li>`
+        )}`
+      : html`<li class="item">${i18n.t('shares.noneReceived')}</li>`
+  );
+}
+
+function renderShareAudit(entries) {
+  render(
+    sharesAuditList,
+    entries.length
+      ? html`${entries.map(
+          (entry) => html`<li class="item">
+            <p><strong>${entry.actorEmail}</strong> ${i18n.label('shareAudit', entry.action)}</p>
+            <p>${formatDate(entry.createdAt)}</p>
+          </li>`
+        )}`
+      : html`<li class="item">${i18n.t('shares.noAudit')}</li>`
+  );
+}
+
+async function loadShares() {
+  if (!getToken()) {
+    showSharesMessage(i18n.t('shares.signIn'));
+    return;
+  }
+  try {
+    const [shares, audit] = await Promise.all([api('/api/shares'), api('/api/shares/audit')]);
+    sharesData = shares;
+    renderShares();
+    renderShareAudit(audit.entries);
+  } catch (error) {
+    showSharesMessage(error.status ? error.message : i18n.t('shares.offline'));
+  }
+}
+
+function shareTargetLabel(comment) {
+  if (!openedShare) return '';
+  if (comment.targetType === 'contact') {
+    const contact = openedShare.contacts.find((item) => item.id === comment.targetId);
+    return contact ? i18n.t('shares.contactTarget', { name: contact.nom }) : i18n.t('shares.contactDeleted');
+  }
+  const application = openedShare.applications.find((item) => item.id === comment.targetId);
+  return application ? i18n.t('shares.applicationTarget', application) : i18n.t('shares.applicationDeleted');
+}
+
+function renderShareDetail() {
+  const { share, contacts, applications, comments } = openedShare;
+  document.getElementById('share-detail-title').textContent = share.ownerEmail
+    ? i18n.t('shares.progressOf', { email: share.ownerEmail })
+    : i18n.t('shares.commentsWith', { email: share.email });
+  render(
+    document.getElementById('share-contacts'),
+    contacts.length
+      ? html`${contacts.map(
+          (contact) => html`<li class="item">
+            <p><strong>${contact.nom}</strong> - ${contact.organisation}</p>
+            <p>${i18n.t('shares.lastExchange', { date: formatDate(contact.dateAppel) })}</p>
+            ${contact.dateRelance ? html`<p>${i18n.t('common.followUpOn', { date: formatDate(contact.dateRelance) })}</p>` : ''}
+            ${contact.notes ? html`<p>${contact.notes}</p>` : ''}
+          </li>`
+        )}`
+      : html`<li class="item">${i18n.t('common.noContacts')}</li>`
+  );
+  render(
+    document.getElementById('share-applications'),
+    applications.length
+      ? html`${applications.map(
+          (application) => html`<li class="item">
+            <p><strong>${application.poste}</strong> - ${application.entreprise}</p>
+            <p>${i18n.label('stage', application.statut)}</p>
+          </li>`
+        )}`
+      : html`<li class="item">${i18n.t('shares.noApplications')}</li>`
+  );
+  render(
+    document.getElementById('share-comments'),
+    comments.length
+      ? html`${comments.map(
+          (comment) => html`<li class="item">
+            <p><strong>${comment.authorEmail}</strong> - ${shareTargetLabel(comment)}</p>
+            <p>${comment.body}</p>
+            <p>${formatDate(comment.createdAt)}</p>
+          </li>`
+        )}`
+      : html`<li class="item">${i18n.t('shares.noComments')}</li>`
+  );
+
+  // The candidate always answers; a counsellor needs comment access.
+  shareCommentForm.hidden = share.role === 'conseiller' && share.access !== 'commentaire';
+  render(
+    shareCommentTarget,
+    html`${contacts.map(
+      (contact) => html`<option value="contact:${contact.id}">${i18n.t('shares.contactTarget', { name: contact.nom })}</option>`
+    )}
+    ${applications.map(
+      (application) =>
+        html`<option value="application:${application.id}">${i18n.t('shares.applicationTarget', application)}</option>`
+    )}`
+  );
+}
+
+async function openShare(share) {
+  const path = `/api/shares/${encodeURIComponent(share.id)}`;
+  try {
+    const [contacts, applications, comments] = await Promise.all([
+      api(`${path}/contacts`),
+      api(`${path}/applications`),
+      api(`${path}/comments`),
+    ]);
+    openedShare = {
+      share,
+      contacts: contacts.contacts,
+      applications: applications.applications,
+      comments: comments.comments,
+    };
+    shareDetail.hidden = false;
+    renderShareDetail();
+    shareDetail.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  } catch (error) {
+    setSyncStatus(i18n.t('shares.openFailed', { error: error.message }), true);
+  }
+}
+
+function closeShare() {
+  openedShare = null;
+  shareDetail.hidden = true;
+  shareCommentForm.reset();
+}
+
+async function acceptShare(token) {
+  try {
+    const { share } = await api('/api/shares/accept', { method: 'POST', body: JSON.stringify({ token }) });
+    setSyncStatus(i18n.t('shares.accepted', { email: share.ownerEmail }));
+    await loadShares();
+  } catch (error) {
+    setSyncStatus(i18n.t('shares.acceptFailed', { error: error.message }), true);
+  }
+}
+
+document.querySelector('.tab[data-tab="partage"]').addEventListener('click', loadShares);
+
+shareInviteForm.addEventListener('submit', async (event) => {
+  event.preventDefault();
+  const email = document.getElementById('share-email').value.trim();
+  try {
+    await api('/api/shares', {
+      method: 'POST',
+      body: JSON.stringify({ email, access: document.getElementById('share-access').value }),
+    });
+    shareInviteForm.reset();
+    setSyncStatus(i18n.t('shares.invited', { email }));
+    await loadShares();
+  } catch (error) {
+    setSyncStatus(error.message, true);
+  }
+});
+
+sharesGrantedList.addEventListener('change', async (event) => {
+  const select = event.target.closest('[data-action="share-access"]');
+  if (!select) return;
+  try {
+    const { share } = await api(`/api/shares/${encodeURIComponent(select.closest('li').dataset.id)}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ access: select.value }),
+    });
+    sharesData.granted = sharesData.granted.map((item) => (item.id === share.id ? share : item));
+    const access = i18n.label('shareAccess', share.access);
+    setSyncStatus(i18n.t('shares.accessChanged', { email: share.email, access }));
+  } catch (error) {
+    setSyncStatus(error.message, true);
+  }
+  renderShares();
+});
+
+sharesGrantedList.addEventListener('click', async (event) => {
+  const button = event.target.closest('button[data-action]');
+  if (!button) return;
+  const share = sharesData.granted.find((item) => item.id === button.closest('li').dataset.id);
+  if (button.dataset.action === 'open-share') {
+    await openShare(share);
+    return;
+  }
+  if (!window.confirm(i18n.t('shares.revokeConfirm', { email: share.email }))) return;
+  try {
+    await api(`/api/shares/${encodeURIComponent(share.id)}`, { method: 'DELETE' });
+    if (openedShare && openedShare.share.id === share.id) closeShare();
+    setSyncStatus(i18n.t('shares.revoked', { email: share.email }));
+    await loadShares();
+  } catch (error) {
+    setSyncStatus(error.message, true);
+  }
+});
+
+sharesReceivedList.addEventListener('click', async (event) => {
+  const button = event.target.closest('button[data-action="open-share"]');
+  if (!button) return;
+  await openShare(sharesData.received.find((item) => item.id === button.closest('li').dataset.id));
+});
+
+document.getElementById('share-detail-close').addEventListener('click', closeShare);
+
+shareCommentForm.addEventListener('submit', async (event) => {
+  event.preventDefault();
+  const [targetType, targetId] = shareCommentTarget.value.split(':');
+  try {
+    const { comment } = await api(`/api/shares/${encodeURIComponent(openedShare.share.id)}/comments`, {
+      method: 'POST',
+      body: JSON.stringify({ targetType, targetId, body: document.getElementById('share-comment-body').value }),
+    });
+    openedShare.comments.push(comment);
+    shareCommentForm.reset();
+    renderShareDetail();
+  } catch (error) {
+    setSyncStatus(error.message, true);
+  }
+});
+
+const aiContactSelect = document.getElementById('contact-ia');
+
+// Offline or signed out, the suggestions come from these texts, the same as
+// the server's 'templates' provider (lib/ai.js) without a contact, in each language.
+const iaTemplates = {
+  fr: {
+    relance: ({ domaine, contexte }) =>
+      `Objet : Relance candidature ${domaine || 'poste cible'}\n\nBonjour,\nJe me permets de revenir vers vous suite à notre échange. Je reste très motivé(e) pour contribuer sur des missions en ${domaine || 'lien avec mon profil'}. ${contexte ? `Contexte : ${contexte}.` : ''}\nAuriez-vous une visibilité sur la suite du processus ?\n\nMerci pour votre retour.`,
+    motivation: ({ domaine, contexte }) =>
+      `Plan anti-démotivation (7 jours) :\n1) 2 candidatures qualitatives ciblées ${domaine ? `en ${domaine}` : ''}.\n2) 1 prise de contact réseau par jour.\n3) 1 bloc de formation de 45 minutes.\n4) Bilan chaque soir : ce qui a marché et prochaine micro-action.\n${contexte ? `Point de départ : ${contexte}.` : ''}`,
+    organisation: ({ domaine, contexte }) =>
+      `Semaine structurée :\n- Lundi/Mardi : candidatures ciblées ${domaine ? `(${domaine})` : ''}.\n- Mercredi : suivi des relances et appels.\n- Jeudi : simulation d'entretien + optimisation CV.\n- Vendredi : réseau + veille d'offres.\n${contexte ? `Ajustement : ${contexte}.` : ''}`,
+    reseau: ({ domaine, contexte }) =>
+      `Message réseau court :\n"Bonjour, je recherche actuellement une opportunité ${domaine ? `en ${domaine}` : ''}. Si vous avez 10 minutes cette semaine, j'aimerais bénéficier de votre retour terrain. ${contexte ? `Contexte : ${contexte}.` : ''} Merci d'avance."`,
+  },
+  en: {
+    relance: ({ domaine, contexte }) =>
+      `Subject: Following up on my application ${domaine ? `in ${domaine}` : 'for the role'}\n\nHello,\nI am following up on our conversation. I am still very keen to work in ${domaine || 'a role matching my profile'}. ${contexte ? `Context: ${contexte}.` : ''}\nCould you let me know about the next steps?\n\nThank you for your reply.`,
+    motivation: ({ domaine, contexte }) =>
+      `Motivation plan (7 days):\n1) 2 targeted, quality applications ${domaine ? `in ${domaine}` : ''}.\n2) 1 networking contact a day.\n3) 1 45-minute training session.\n4) Each evening: what worked and the next micro-step.\n${contexte ? `Starting point: ${contexte}.` : ''}`,
+    organisation: ({ domaine, contexte }) =>
+      `Structured week:\n- Monday/Tuesday: targeted applications ${domaine ? `(${domaine})` : ''}.\n- Wednesday: follow-ups and calls.\n- Thursday: mock interview + CV review.\n- Friday: networking + job alerts.\n${contexte ? `Adjustment: ${contexte}.` : ''}`,
+    reseau: ({ domaine, contexte }) =>
+      `Short networking message:\n"Hello, I am currently looking for an opportunity ${domaine ? `in ${domaine}` : ''}. If you have 10 minutes this week, I would value your first-hand advice. ${contexte ? `Context: ${contexte}.` : ''} Thanks in advance."`,
+  },
+};
+
+function renderAiContactOptions() {
+  const selected = aiContactSelect.value;
+  const placeholder = aiContactSelect.options[0];
+  aiContactSelect.replaceChildren(placeholder);
+  for (const contact of [...contactsCache].sort((a, b) => compareText(a.nom, b.nom))) {
+    const option = document.createElement('option');
+    option.value = contact.id;
+    option.textContent = `${contact.nom} - ${contact.organisation}`;
+    aiContactSelect.appendChild(option);
+  }
+  aiContactSelect.value = contactsCache.some((c) => c.id === selected) ? selected : '';
+}
+
+document.getElementById('generer-ia').addEventListener('click', async () => {
+  const objectif = document.getElementById('objectif').value;
+  const domaine = document.getElementById('domaine-cible').value.trim();
+  const contexte = document.getElementById('contexte-ia').value.trim();
+  const contactId = aiContactSelect.value;
+  const resultBox = document.getElementById('resultat-ia');
+
+  if (getToken()) {
+    render(resultBox, html`<p>${i18n.t('ai.writing')}</p>`);
+    try {
+      const data = await api('/api/ai/generate', {
+        method: 'POST',
+        body: JSON.stringify({ objectif, domaine, contexte, contactId: contactId || null }),
+      });
+      render(resultBox, html`
+        <pre>${data.text}</pre>
+        ${data.fallback ? html`<p class="section-subtitle">${i18n.t('ai.fallback')}</p>` : ''}
+      `);
+      return;
+    } catch (error) {
+      if (error.status) {
+        render(resultBox, html`<p>${error.message}</p>`);
+        return;
+      }
+      // Offline: the local texts below.
+    }
+  }
+
+  const generator = iaTemplates[i18n.language()][objectif];
+  const result = generator ? generator({ domaine, contexte }) : i18n.t('ai.none');
+  render(resultBox, html`<pre>${result}</pre>`);
+});
+
+const formationsCount = document.getElementById('formations-count');
+const formationsResults = document.getElementById('formations-results');
+const formationsPagination = document.getElementById('formations-pagination');
+const formationsPrevBtn = document.getElementById('formations-prev');
+const formationsNextBtn = document.getElementById('formations-next');
+const formationsPageLabel = document.getElementById('formations-page');
+const formationRayonSelect = document.getElementById('formation-rayon');
+const formationSuiviesLabel = document.getElementById('formation-suivies-label');
+const formationSuiviesInput = document.getElementById('formation-suivies');
+const formationsAdminPanel = document.getElementById('formations-admin');
+
+const FORMATIONS_PAGE_SIZE = 20;
+const FORMATION_STATUSES = ['favori', 'candidature', 'inscrit', 'en_cours', 'terminee', 'abandon'];
+
+let formationsCache = [];
+let formationsTotal = 0;
+let formationsPage = 1;
+let userPosition = null;
+
+function formatDay(day) {
+  return day ? new Date(`${day}T12:00:00`).toLocaleDateString(i18n.locale()) : '';
+}
+
+function describeSession(formation) {
+  if (formation.dateDebut && formation.dateFin) {
+    return i18n.t('formations.between', { from: formatDay(formation.dateDebut), to: formatDay(formation.dateFin) });
+  }
+  if (formation.dateDebut) return i18n.t('formations.startsOn', { from: formatDay(formation.dateDebut) });
+  return i18n.t('formations.noDates');
+}
+
+function renderFormationCards() {
+  formationsResults.replaceChildren();
+  const pages = Math.max(1, Math.ceil(formationsTotal / FORMATIONS_PAGE_SIZE));
+  formationsPagination.hidden = pages === 1;
+  formationsPageLabel.textContent = i18n.t('common.page', { page: formationsPage, pages });
+  formationsPrevBtn.disabled = formationsPage === 1;
+  formationsNextBtn.disabled = formationsPage >= pages;
+  formationsCount.textContent = i18n.t('formations.count', { count: formationsTotal });
+
+  if (!formationsCache.length) {
+    render(formationsResults, html`<p class="card">${i18n.t('formations.empty')}</p>`);
+    return;
+  }
+
+  const isLogged = Boolean(getToken());
+  for (const item of formationsCache) {
+    const card = document.createElement('article');
+    card.className = 'formation-card';
+    card.dataset.id = item.id;
+    const distance = item.distanceKm !== null ? i18n.t('common.distance', { km: item.distanceKm }) : '';
+    const place = [item.ville, distance].filter(Boolean).join(', ');
+    const options = FORMATION_STATUSES.map(
+      (statut) => html`<option value="${statut}">${i18n.label('formationStatus', statut)}</option>`
+    );
+    const duration = item.dureeHeures !== null ? i18n.t('formations.hours', { hours: item.dureeHeures }) : '';
+    render(card, html`
+      <h3>${item.titre}</h3>
+      ${item.organisme ? html`<p>${item.organisme}</p>` : ''}
+      <p><strong>${i18n.t('formation.town')}</strong> ${place || i18n.t('common.notGiven')}</p>
+      <p><strong>${i18n.t('formation.duration')}</strong> ${duration || i18n.t('common.notGiven')}</p>
+      <p><strong>${i18n.t('formation.level')}</strong> ${i18n.label('level', item.niveau)}</p>
+      <p><strong>${i18n.t('formation.mode')}</strong> ${i18n.label('mode', item.modalite)}</p>
+      <p><strong>${i18n.t('formation.session')}</strong> ${describeSession(item)}</p>
+      ${item.cpf ? html`<div class="tag-list"><span class="tag">${i18n.t('formation.cpf')}</span></div>` : ''}
+      ${item.lien ? html`<p><a href="${item.lien}" target="_blank" rel="noopener noreferrer">${i18n.t('formation.open')}</a></p>` : ''}
+      ${
+        isLogged
+          ? html`<label>
+              ${i18n.t('formation.tracking')}
+              <select data-action="suivi">
+                <option value="">${i18n.t('formation.notTracked')}</option>
+                ${options}
+              </select>
+            </label>`
+          : ''
+      }
+    `);
+    const suivi = card.querySelector('[data-action="suivi"]');
+    if (suivi) suivi.value = item.suivi || '';
+    formationsResults.appendChild(card);
+  }
+}
+
+function currentPosition() {
+  if (userPosition) return Promise.resolve(userPosition);
+  return new Promise((resolve, reject) => {
+    if (!navigator.geolocation) {
+      reject(new Error(i18n.t('geo.unavailable')));
+      return;
+    }
+    navigator.geolocation.getCurrentPosition(
+      ({ coords }) => {
+        userPosition = { latitude: coords.latitude, longitude: coords.longitude };
+        resolve(userPosition);
+      },
+      () => reject(new Error(i18n.t('geo.denied'))),
+      { timeout: 10000, maximumAge: 10 * 60 * 1000 }
+    );
+  });
+}
+
+async function formationQuery() {
+  const params = new URLSearchParams({ page: String(formationsPage), pageSize: String(FORMATIONS_PAGE_SIZE) });
+  const fields = {
+    q: 'formation-motcle',
+    ville: 'formation-ville',
+    niveau: 'formation-niveau',
+    dureeMax: 'formation-duree',
+    modalite: 'formation-modalite',
+    from: 'formation-from',
+    to: 'formation-to',
+  };
+  for (const [name, id] of Object.entries(fields)) {
+    const value = document.getElementById(id).value.trim();
+    if (value) params.set(name, value);
+  }
+  if (document.getElementById('formation-cpf').checked) params.set('cpf', 'true');
+  if (getToken() && formationSuiviesInput.checked) params.set('suivies', 'true');
+  if (formationRayonSelect.value) {
+    const { latitude, longitude } = await currentPosition();
+    params.set('near', `${latitude.toFixed(4)},${longitude.toFixed(4)}`);
+    params.set('rayon', formationRayonSelect.value);
+  }
+  return params;
+}
+
+function showFormationsMessage(message) {
+  formationsCache = [];
+  formationsTotal = 0;
+  formationsPagination.hidden = true;
+  formationsCount.textContent = '';
+  render(formationsResults, html`<p class="card">${message}</p>`);
+}
+
+async function loadFormations() {
+  let query;
+  try {
+    query = await formationQuery();
+  } catch (error) {
+    showFormationsMessage(error.message);
+    return;
+  }
+
+  try {
+    const data = await api(`/api/formations?${query}`);
+    formationsCache = data.formations;
+    formationsTotal = data.total;
+    renderFormationCards();
+  } catch (error) {
+    showFormationsMessage(error.status ? error.message : i18n.t('formations.offline'));
+  }
+}
+
+document.getElementById('search-formations').addEventListener('click', () => {
+  formationsPage = 1;
+  loadFormations();
+});
+
+formationsPrevBtn.addEventListener('click', () => {
+  formationsPage -= 1;
+  loadFormations();
+});
+
+formationsNextBtn.addEventListener('click', () => {
+  formationsPage += 1;
+  loadFormations();
+});
+
+formationsResults.addEventListener('change', async (event) => {
+  const select = event.target.closest('[data-action="suivi"]');
+  if (!select) return;
+  const card = select.closest('.formation-card');
+  const path = `/api/formations/${encodeURIComponent(card.dataset.id)}/suivi`;
+  try {
+    const data = select.value
+      ? await api(path, { method: 'PUT', body: JSON.stringify({ statut: select.value }) })
+      : await api(path, { method: 'DELETE' });
+    formationsCache = formationsCache.map((item) => (item.id === data.formation.id ? data.formation : item));
+    if (formationSuiviesInput.checked && !data.formation.suivi) await loadFormations();
+  } catch (error) {
+    setSyncStatus(error.message, true);
+    renderFormationCards();
+  }
+});
+
+// Admin import panel of a catalogue (`prefix`-import-file, -summary, -details
+// and -confirm): the chosen file is checked first (dry run), then saved with
+// the confirm button.
+function setupCatalogueImport({ prefix, path, nameField, onImported }) {
+  const fileInput = document.getElementById(`${prefix}-import-file`);
+  const summary = document.getElementById(`${prefix}-import-summary`);
+  const details = document.getElementById(`${prefix}-import-details`);
+  const confirmBtn = document.getElementById(`${prefix}-import-confirm`);
+  let pending = null;
+
+  function close() {
+    pending = null;
+    fileInput.value = '';
+    details.replaceChildren();
+    confirmBtn.disabled = true;
+  }
+
+  async function run(dryRun) {
+    const result = await api(path, { method: 'POST', body: JSON.stringify({ ...pending, dryRun }) });
+    const counts = result.summary;
+    summary.textContent = i18n.t(dryRun ? 'catalogue.preview' : 'catalogue.done', counts);
+    details.replaceChildren();
+    for (const line of result.invalid) {
+      const li = document.createElement('li');
+      li.className = 'item';
+      const name = line[nameField] ? ` (${line[nameField]})` : '';
+      render(li, html`<p>${i18n.t('catalogue.invalid', { line: line.line, name, error: line.error })}</p>`);
+      details.appendChild(li);
+    }
+  }
+
+  fileInput.addEventListener('change', async () => {
+    const file = fileInput.files[0];
+    if (!file) return;
+    const content = await file.text();
+    pending = { format: /\.json$/i.test(file.name) || /^\s*[[{]/.test(content) ? 'json' : 'csv', content };
+    summary.textContent = i18n.t('import.reading', { name: file.name });
+    try {
+      await run(true);
+      confirmBtn.disabled = false;
+    } catch (error) {
+      summary.textContent = i18n.t('import.failed', { error: error.message });
+      confirmBtn.disabled = true;
+    }
+  });
+
+  confirmBtn.addEventListener('click', async () => {
+    if (!pending) return;
+    try {
+      await run(false);
+      close();
+      await onImported();
+    } catch (error) {
+      summary.textContent = i18n.t('import.failed', { error: error.message });
+    }
+  });
+}
+
+setupCatalogueImport({
+  prefix: 'formation',
+  path: '/api/admin/formations/import',
+  nameField: 'titre',
+  onImported: () => {
+    formationsPage = 1;
+    return loadFormations();
+  },
+});
+
+const servicesCount = document.getElementById('services-count');
+const servicesResults = document.getElementById('services-results');
+const servicesPagination = document.getElementById('services-pagination');
+const servicesPrevBtn = document.getElementById('services-prev');
+const servicesNextBtn = document.getElementById('services-next');
+const servicesPageLabel = document.getElementById('services-page');
+const servicesRayonSelect = document.getElementById('services-rayon');
+const servicesAdminPanel = document.getElementById('services-admin');
+
+const SERVICES_PAGE_SIZE = 20;
+
+let servicesCache = [];
+let servicesTotal = 0;
+let servicesPage = 1;
+
+function renderServiceCards() {
+  servicesResults.replaceChildren();
+  const pages = Math.max(1, Math.ceil(servicesTotal / SERVICES_PAGE_SIZE));
+  servicesPagination.hidden = pages === 1;
+  servicesPageLabel.textContent = i18n.t('common.page', { page: servicesPage, pages });
+  servicesPrevBtn.disabled = servicesPage === 1;
+  servicesNextBtn.disabled = servicesPage >= pages;
+  servicesCount.textContent = i18n.t('services.count', { count: servicesTotal });
+
+  if (!servicesCache.length) {
+    render(servicesResults, html`<p class="card">${i18n.t('services.empty')}</p>`);
+    return;
+  }
+
+  for (const service of servicesCache) {
+    const card = document.createElement('article');
+    card.className = 'service-card';
+    const town = [service.codePostal, service.ville].filter(Boolean).join(' ');
+    const address = [service.adresse, town].filter(Boolean).join(', ');
+    const distance = service.distanceKm !== null ? i18n.t('common.distance', { km: service.distanceKm }) : '';
+    render(card, html`
+      <h3>${service.nom}</h3>
+      <div class="tag-list"><span class="tag">${i18n.label('serviceType', service.type)}</span></div>
+      <p><strong>${i18n.t('service.address')}</strong> ${address}${distance ? ` (${distance})` : ''}</p>
+      ${service.horaires ? html`<p><strong>${i18n.t('service.hours')}</strong> ${service.horaires}</p>` : ''}
+      ${
+        service.telephone
+          ? html`<p><strong>${i18n.t('service.phone')}</strong>
+              <a href="tel:${service.telephone.replace(/[^\d+]/g, '')}">${service.telephone}</a></p>`
+          : ''
+      }
+      ${service.email ? html`<p><strong>${i18n.t('service.email')}</strong> <a href="mailto:${service.email}">${service.email}</a></p>` : ''}
+      ${service.site ? html`<p><a href="${service.site}" target="_blank" rel="noopener noreferrer">${i18n.t('service.website')}</a></p>` : ''}
+    `);
+    servicesResults.appendChild(card);
+  }
+}
+
+// The localisation field takes a postcode, a department number or a town.
+async function serviceQuery() {
+  const params = new URLSearchParams({ page: String(servicesPage), pageSize: String(SERVICES_PAGE_SIZE) });
+  const place = document.getElementById('localisation-input').value.trim();
+  if (/^\d{5}$/.test(place)) params.set('codePostal', place);
+  else if (/^(\d{2}|2[ab]|9[78]\d)$/i.test(place)) params.set('departement', place.toUpperCase());
+  else if (place) params.set('ville', place);
+  const type = document.getElementById('services-type').value;
+  if (type) params.set('type', type);
+  if (servicesRayonSelect.value) {
+    const { latitude, longitude } = await currentPosition();
+    params.set('near', `${latitude.toFixed(4)},${longitude.toFixed(4)}`);
+    params.set('rayon', servicesRayonSelect.value);
+  }
+  return params;
+}
+
+function showServicesMessage(message) {
+  servicesCache = [];
+  servicesTotal = 0;
+  servicesPagination.hidden = true;
+  servicesCount.textContent = '';
+  render(servicesResults, html`<p class="card">${message}</p>`);
+}
+
+async function loadServices() {
+  let query;
+  try {
+    query = await serviceQuery();
+  } catch (error) {
+    showServicesMessage(error.message);
+    return;
+  }
+
+  try {
+    const data = await api(`/api/services?${query}`);
+    servicesCache = data.services;
+    servicesTotal = data.total;
+    renderServiceCards();
+  } catch (error) {
+    showServicesMessage(error.status ? error.message : i18n.t('services.offline'));
+  }
+}
+
+document.getElementById('search-services').addEventListener('click', () => {
+  servicesPage = 1;
+  loadServices();
+});
+
+servicesPrevBtn.addEventListener('click', () => {
+  servicesPage -= 1;
+  loadServices();
+});
+
+servicesNextBtn.addEventListener('click', () => {
+  servicesPage += 1;
+  loadServices();
+});
+
+setupCatalogueImport({
+  prefix: 'service',
+  path: '/api/admin/services/import',
+  nameField: 'nom',
+  onImported: () => {
+    servicesPage = 1;
+    return loadServices();
+  },
+});
+
+const languageSelect = document.getElementById('language-select');
+
+// What app.js built is rendered again in the new language, and what came from
+// the server is fetched again so its messages follow.
+languageSelect.addEventListener('change', () => {
+  i18n.setLanguage(languageSelect.value);
+  i18n.translatePage();
+  updateAuthUi();
+  renderContacts();
+  renderOrganisations();
+  renderApplications();
+  renderTodo();
+  if (currentOrganisationId) showOrganisation(currentOrganisationId).catch(() => {});
+  if (sessionsPanel.open) loadSessions();
+  if (statsData) renderStats();
+  else loadStats();
+  if (openedShare) renderShareDetail();
+  loadShares();
+  loadFormations();
+  loadServices();
+});
+
+async function init() {
+  languageSelect.value = i18n.language();
+  i18n.translatePage();
+  updateAuthUi();
+  renderContacts();
+  renderOrganisations();
+  renderApplications();
+  renderTodo();
+  loadFormations();
+  loadServices();
+
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.register('/sw.js').catch(() => {
+      // The app still works online without the service worker.
+    });
+  }
+
+  const emailLink = readEmailLink();
+  if (emailLink && emailLink.type === 'reset') {
+    showResetForm(emailLink.token);
+  } else if (getToken() && getEmail()) {
+    emailInput.value = getEmail();
+    try {
+      await loadLocalData();
+    } catch (error) {
+      setSyncStatus(i18n.t('sync.storageFailed', { error: error.message }), true);
+    }
+    await syncNow();
+  } else {
+    i18n.setText(syncStatus, 'sync.signIn');
+  }
+
+  if (emailLink && emailLink.type === 'verify') await verifyEmail(emailLink.token);
+  if (emailLink && emailLink.type === 'share') {
+    if (getToken()) {
+      await acceptShare(emailLink.token);
+    } else {
+      pendingShareToken = emailLink.token;
+      setSyncStatus(i18n.t('shares.signInToAccept'));
+    }
   }
 }
 
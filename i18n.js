@@ -0,0 +1,1136 @@
+// Texts of the interface in each language. index.html marks its texts with
+// data-i18n* attributes that translatePage() fills; app.js builds the others
+// with t(). The language chosen in the header is kept on the device and sent
+// to the API as Accept-Language, so errors come back in it too. Loaded
+// before app.js.
+const i18n = (() => {
+  const STORAGE_KEY = 'organijob_language';
+  const DEFAULT_LANGUAGE = 'fr';
+  const LOCALES = { fr: 'fr-FR', en: 'en-GB' };
+
+  const MESSAGES = {
+    fr: {
+      'app.title': "OrganiJob - Assistant de recherche d'emploi",
+
+      'header.tagline': "Ton espace pour organiser ta recherche d'emploi avec clarté et impact.",
+      'header.badge': 'Inclusif • Humain • Structuré',
+      'header.language': 'Langue',
+
+      'auth.email': 'Adresse email',
+      'auth.emailPlaceholder': 'ton.email@exemple.com',
+      'auth.password': 'Mot de passe',
+      'auth.passwordPlaceholder': '8 caractères minimum',
+      'auth.login': 'Se connecter',
+      'auth.register': 'Créer un compte',
+      'auth.forgot': 'Mot de passe oublié ?',
+      'auth.logout': 'Se déconnecter',
+      'auth.syncNow': 'Synchroniser maintenant',
+      'auth.newPassword': 'Nouveau mot de passe',
+      'auth.confirmPassword': 'Confirmation',
+      'auth.resetSubmit': 'Changer le mot de passe',
+      'auth.signedOut': 'Non connecté',
+      'auth.unverified': 'Adresse email non vérifiée: ouvre le lien reçu par email pour pouvoir récupérer ton compte.',
+      'auth.resendLink': 'Renvoyer le lien',
+      'auth.signedIn': 'Connecté: {email}',
+      'auth.missing': 'Email et mot de passe requis.',
+      'auth.logoutConfirm': '{count} modification(s) non synchronisée(s) seront perdues. Se déconnecter ?',
+      'auth.loggedOut': 'Déconnecté.',
+      'auth.forgotNeedsEmail': 'Saisis ton adresse email puis clique sur "Mot de passe oublié ?".',
+      'auth.resetSent': "Si un compte existe pour {email}, un lien de réinitialisation vient d'y être envoyé.",
+      'auth.chooseNew': 'Choisis un nouveau mot de passe.',
+      'auth.mismatch': 'Les deux mots de passe ne correspondent pas.',
+      'auth.resetDone': 'Mot de passe modifié. Connecte-toi avec le nouveau mot de passe.',
+      'auth.resetCancelled': 'Réinitialisation annulée.',
+      'auth.verified': 'Adresse {email} confirmée.',
+      'auth.verifyFailed': 'Confirmation impossible: {error}',
+      'auth.alreadyVerified': 'Adresse email déjà confirmée.',
+      'auth.linkSent': 'Nouveau lien envoyé à {email}.',
+
+      'common.cancel': 'Annuler',
+      'common.save': 'Enregistrer',
+      'common.organisation': 'Organisation',
+      'common.companyPlaceholder': 'Ex: Entreprise ABC',
+      'common.nextAction': 'Prochaine action',
+      'common.notes': 'Notes',
+      'common.cancelEdit': 'Annuler la modification',
+      'common.history': 'Historique',
+      'common.download': 'Télécharger',
+      'common.close': 'Fermer',
+      'common.import': 'Importer',
+      'common.search': 'Rechercher',
+      'common.previous': 'Précédent',
+      'common.next': 'Suivant',
+      'common.contacts': 'Contacts',
+      'common.followUpPlanned': 'Relance prévue',
+      'common.nearMe': 'Autour de moi',
+      'common.anywhere': 'Partout',
+      'common.within5': 'À moins de 5 km',
+      'common.within10': 'À moins de 10 km',
+      'common.within30': 'À moins de 30 km',
+      'common.within50': 'À moins de 50 km',
+      'common.within100': 'À moins de 100 km',
+      'common.page': 'Page {page} / {pages}',
+      'common.edit': 'Modifier',
+      'common.delete': 'Supprimer',
+      'common.saveChanges': 'Enregistrer les modifications',
+      'common.deleteFailed': 'Suppression impossible: {error}',
+      'common.noContacts': 'Aucun contact.',
+      'common.followUpOn': 'Relance prévue: {date}',
+      'common.distance': 'à {km} km',
+      'common.notGiven': 'Non précisée',
+
+      'sync.signIn': 'Connecte-toi pour activer la synchronisation inter appareils.',
+      'sync.expired': 'Session expirée: {error}',
+      'sync.conflicts': 'Modifié sur un autre appareil, version serveur conservée: {names}.',
+      'sync.rejected': '{count} modification(s) refusée(s): {error}',
+      'sync.done': 'Synchronisé le {date}',
+      'sync.offline': 'Hors ligne: {count} modification(s) en attente de synchronisation.',
+      'sync.storageFailed': 'Stockage local indisponible: {error}',
+
+      'account.passwordTitle': 'Changer de mot de passe',
+      'account.currentPassword': 'Mot de passe actuel',
+      'account.sessionsTitle': 'Appareils connectés',
+      'account.revokeOthers': 'Déconnecter les autres appareils',
+      'account.dataTitle': 'Mes données',
+      'account.dataHelp':
+        'Télécharge tout ce que ton compte contient: contacts, échanges, candidatures, partages et appareils connectés.',
+      'account.export': 'Télécharger mes données',
+      'account.delete': 'Supprimer mon compte et mes données',
+      'account.passwordChanged': 'Mot de passe modifié. Les autres appareils devront se reconnecter.',
+      'account.deviceOn': ' sur ',
+      'account.unknownDevice': 'Appareil inconnu',
+      'account.thisDevice': '{device} (cet appareil)',
+      'account.sessionDates': 'Dernière activité: {seen} - connecté le {created}',
+      'account.revoke': 'Déconnecter',
+      'account.sessionsFailed': 'Appareils indisponibles: {error}',
+      'account.revokeFailed': 'Déconnexion impossible: {error}',
+      'account.revoked': 'Appareil déconnecté.',
+      'account.othersRevoked': 'Les autres appareils ont été déconnectés.',
+      'account.exported': 'Données téléchargées: {filename}',
+      'account.exportOffline': 'Téléchargement indisponible hors connexion.',
+      'account.deleteConfirm': 'Supprimer définitivement le compte {email}, ses contacts, candidatures et partages ?',
+      'account.deleteOffline': 'Suppression impossible hors connexion.',
+      'account.deleted': 'Compte {email} supprimé, avec toutes ses données.',
+
+      'tabs.label': 'Navigation principale',
+      'tabs.contacts': 'Suivi des contacts',
+      'tabs.organisations': 'Organisations',
+      'tabs.applications': 'Candidatures',
+      'tabs.todo': 'À faire',
+      'tabs.dashboard': 'Tableau de bord',
+      'tabs.sharing': 'Partage',
+      'tabs.ai': 'IA Booster',
+      'tabs.formations': 'Formations',
+      'tabs.services': 'Accompagnement local',
+
+      'contacts.title': 'Suivi des appels et contacts importants',
+      'contacts.subtitle': 'Garde une trace de **qui** tu as appelé, **quand**, et dans quel contexte.',
+      'contacts.name': 'Nom du contact',
+      'contacts.namePlaceholder': 'Ex: Mme Martin',
+      'contacts.callDate': "Date et heure de l'appel",
+      'contacts.expertise': "Domaine d'expertise",
+      'contacts.expertisePlaceholder': 'Ex: RH, Data, Marketing',
+      'contacts.inclusivity': 'Valeurs inclusives observées',
+      'contacts.inclusivityPlaceholder': 'Ex: diversité, accessibilité',
+      'contacts.followUpDate': 'Date de relance',
+      'contacts.nextActionPlaceholder': 'Ex: Envoyer mon CV mis à jour',
+      'contacts.tags': 'Tags (séparés par des virgules)',
+      'contacts.tagsPlaceholder': 'Ex: rh, salon emploi, lyon',
+      'contacts.notesPlaceholder': "Résumé de l'échange, prochaine action...",
+      'contacts.add': 'Ajouter ce contact',
+      'contacts.importButton': 'Importer (JSON, CSV, vCard)',
+      'contacts.searchPlaceholder': 'Nom, organisation, expertise, notes...',
+      'contacts.allOrganisations': 'Toutes',
+      'contacts.tag': 'Tag',
+      'contacts.allTags': 'Tous',
+      'contacts.from': 'Appel du',
+      'contacts.to': 'au',
+      'contacts.sort': 'Trier par',
+      'contacts.sortRecent': 'Appel le plus récent',
+      'contacts.sortOldest': 'Appel le plus ancien',
+      'contacts.sortName': 'Nom',
+      'contacts.sortFollowUp': 'Prochaine relance',
+      'contacts.resetFilters': 'Effacer les filtres',
+      'contacts.countFiltered': '{count} contact(s) sur {total}',
+      'contacts.count': '{count} contact(s)',
+      'contacts.empty': 'Aucun contact ajouté pour le moment.',
+      'contacts.noMatch': 'Aucun contact ne correspond à ces filtres.',
+      'contacts.deleted': 'Contact "{name}" supprimé.',
+      'contacts.deleteLocal': 'Suppression locale uniquement',
+      'contacts.restoreLocal': 'Restauration locale uniquement',
+      'contacts.signIn': 'Connecte-toi pour enregistrer et synchroniser tes contacts.',
+      'contacts.editLocal': 'Modification locale uniquement',
+      'contacts.addLocal': 'Ajout local uniquement',
+
+      'export.title': 'Exporter',
+      'export.format': 'Format',
+      'export.pdf': "Journal d'activité à imprimer (PDF)",
+      'export.csv': 'Tableur (CSV)',
+      'export.vcf': "Carnet d'adresses (vCard)",
+      'export.ics': 'Agenda des appels (iCalendar)',
+      'export.json': 'Sauvegarde complète (JSON)',
+      'export.from': 'Du',
+      'export.to': 'Au',
+      'export.help':
+        "Sans dates, toute l'activité est exportée. Le journal PDF liste les contacts et les étapes de candidature de la période, datés, pour France Travail ou la Mission Locale.",
+      'export.invalidPeriod': 'Période invalide: la date de début doit précéder la date de fin.',
+      'export.signIn': 'Connecte-toi pour exporter dans ce format.',
+      'export.done': 'Export téléchargé: {filename}',
+      'export.failed': 'Export impossible: {error}',
+      'export.offline': 'Export indisponible hors ligne (le JSON reste disponible).',
+
+      'import.title': 'Importer des contacts',
+      'import.defaultDate': "Date d'appel si absente du fichier",
+      'import.duplicates': 'Doublons (même nom et organisation)',
+      'import.merge': 'Fusionner avec le contact existant',
+      'import.skip': 'Ignorer la ligne importée',
+      'import.ignoreColumn': '(ignorer)',
+      'import.preview':
+        '{total} ligne(s) lue(s): {created} nouveau(x) contact(s), {duplicates} doublon(s), {invalid} ligne(s) invalide(s).',
+      'import.willMerge': 'sera fusionné',
+      'import.willSkip': 'sera ignoré',
+      'import.inFile': 'déjà présent dans le fichier',
+      'import.inContacts': 'déjà dans tes contacts',
+      'import.duplicate': 'Ligne {line}: {nom} - {organisation} ({origin}, {action})',
+      'import.invalid': 'Ligne {line}: {error}',
+      'import.previewFailed': 'Aperçu impossible: {error}',
+      'import.signIn': 'Connecte-toi pour importer des contacts.',
+      'import.reading': 'Analyse de {name}...',
+      'import.done': 'Import terminé: {created} ajouté(s), {merged} fusionné(s), {invalid} ligne(s) ignorée(s).',
+      'import.failed': 'Import impossible: {error}',
+
+      'interactions.title': 'Échanges',
+      'interactions.type': "Type d'échange",
+      'interactions.date': 'Date et heure',
+      'interactions.notesPlaceholder': "Ce qui s'est dit, ce qui a été convenu...",
+      'interactions.add': "Ajouter l'échange",
+      'interactions.empty': 'Aucun échange enregistré.',
+      'interactions.signIn': 'Connecte-toi pour suivre tes échanges.',
+      'interactions.with': 'Échanges avec {name}',
+      'interactions.loadFailed': 'Échanges indisponibles: {error}',
+      'interactions.saveFailed': 'Échange non enregistré: {error}',
+      'interactions.deleteFailed': 'Échange non supprimé: {error}',
+
+      'interaction.appel': 'Appel',
+      'interaction.email': 'Email',
+      'interaction.rendez_vous': 'Rendez-vous',
+      'interaction.message': 'Message',
+      'interaction.note': 'Note',
+
+      'organisations.subtitle':
+        "Retrouve, pour chaque entreprise ou structure, tes contacts, tes échanges et tes candidatures dans l'ordre où ils se sont passés.",
+      'organisations.list': 'Tes organisations',
+      'organisations.newName': 'Nouveau nom',
+      'organisations.rename': 'Renommer',
+      'organisations.mergeInto': 'Fusionner dans',
+      'organisations.merge': 'Fusionner',
+      'organisations.applicationEvent': 'Candidature {title}: {stage}',
+      'organisations.empty':
+        'Aucune organisation pour le moment: elles apparaissent avec tes contacts et candidatures.',
+      'organisations.counts': '{contacts} contact(s), {applications} candidature(s)',
+      'organisations.lastExchange': 'Dernier échange:',
+      'organisations.open': "Voir l'historique",
+      'organisations.choose': 'Choisir une organisation',
+      'organisations.contactLast': 'dernier échange le {date}',
+      'organisations.noEvents': 'Rien pour le moment.',
+      'organisations.loadFailed': 'Organisation indisponible: {error}',
+      'organisations.listFailed': 'Organisations indisponibles: {error}',
+      'organisations.renameFailed': 'Renommage impossible',
+      'organisations.mergeConfirm': 'Rattacher tous les contacts et candidatures de "{from}" à "{into}" ?',
+      'organisations.mergeFailed': 'Fusion impossible',
+
+      'applications.title': 'Pipeline de candidatures',
+      'applications.subtitle':
+        "Suis chaque candidature, de l'offre repérée jusqu'à la réponse, et glisse-la d'une étape à l'autre.",
+      'applications.jobTitle': 'Intitulé du poste',
+      'applications.jobTitlePlaceholder': 'Ex: Développeuse front-end',
+      'applications.company': 'Entreprise',
+      'applications.link': "Lien vers l'offre",
+      'applications.stage': 'Étape',
+      'applications.stageDate': "Date de l'étape",
+      'applications.salary': 'Salaire annuel brut (€)',
+      'applications.salaryMin': 'Min',
+      'applications.salaryMax': 'Max',
+      'applications.nextActionPlaceholder': 'Ex: Relancer par email',
+      'applications.contacts': 'Contacts liés',
+      'applications.notesPlaceholder': 'Process, interlocuteurs, points à préparer...',
+      'applications.add': 'Ajouter la candidature',
+      'applications.board': 'Tableau des candidatures',
+      'applications.since': 'Depuis le {date}',
+      'applications.followUp': 'Relance le {date}{action}',
+      'applications.contactNames': 'Contacts: {names}',
+      'applications.viewAd': "Voir l'offre",
+      'applications.previousStage': 'Étape précédente',
+      'applications.nextStage': 'Étape suivante',
+      'applications.moveFailed': 'Déplacement impossible: {error}',
+      'applications.signIn': 'Connecte-toi pour suivre tes candidatures.',
+      'applications.saveFailed': 'Candidature non enregistrée: {error}',
+      'applications.deleteConfirm': 'Supprimer la candidature "{title}" ?',
+
+      'stage.a_postuler': 'À postuler',
+      'stage.envoyee': 'Envoyée',
+      'stage.entretien': 'Entretien',
+      'stage.offre': 'Offre',
+      'stage.refus': 'Refus',
+
+      'todo.subtitle': 'Tes relances en retard et à venir, pour ne laisser filer aucune opportunité.',
+      'todo.horizon': 'Horizon',
+      'todo.days7': '7 prochains jours',
+      'todo.days14': '14 prochains jours',
+      'todo.days30': '30 prochains jours',
+      'todo.overdue': 'En retard',
+      'todo.upcoming': 'À venir',
+      'todo.calendar': 'Agenda',
+      'todo.calendarHelp': 'Abonne ton agenda (Google, Outlook, Apple) à ce lien privé pour y retrouver tes relances.',
+      'todo.calendarOff': 'Flux agenda désactivé',
+      'todo.calendarEnable': 'Activer / régénérer',
+      'todo.calendarCopy': 'Copier',
+      'todo.calendarDisable': 'Désactiver',
+      'todo.contact': 'contact',
+      'todo.application': 'candidature',
+      'todo.when': 'Quand: {date}',
+      'todo.action': 'Action: {action}',
+      'todo.noAction': 'À définir',
+      'todo.done': 'Fait',
+      'todo.postpone': 'Reporter de {days} jours',
+      'todo.noneOverdue': 'Aucune relance en retard.',
+      'todo.noneUpcoming': 'Rien de prévu sur cette période.',
+      'todo.updateLocal': 'Relance mise à jour localement uniquement',
+      'todo.updateFailed': 'Relance non mise à jour: {error}',
+      'todo.calendarSignIn': 'Connecte-toi pour gérer ton flux agenda.',
+      'todo.calendarFailed': 'Flux agenda indisponible: {error}',
+      'todo.calendarCopied': 'Lien agenda copié.',
+
+      'stats.subtitle': 'Ta progression semaine après semaine: appels, candidatures, réponses et objectifs.',
+      'stats.signIn': 'Connecte-toi pour suivre ta progression.',
+      'stats.thisWeek': 'Cette semaine',
+      'stats.goalCalls': 'Appels par semaine',
+      'stats.noGoal': "Pas d'objectif",
+      'stats.goalExchanges': 'Échanges par semaine',
+      'stats.goalApplications': 'Candidatures par semaine',
+      'stats.saveGoals': 'Enregistrer mes objectifs',
+      'stats.activity': 'Activité des 12 dernières semaines',
+      'stats.calls': 'Appels',
+      'stats.goal': 'Objectif',
+      'stats.ratesOrganisations': 'Taux de réponse par organisation',
+      'stats.ratesExpertises': 'Taux de réponse par expertise',
+      'stats.leads': 'Contacts sans nouvelles',
+      'stats.streak': "Série en cours: {streak} jour(s) d'affilée avec au moins une action (record: {longest}).",
+      'stats.noStreak': "Pas encore d'action aujourd'hui ni hier.",
+      'stats.noStreakRecord': "Pas encore d'action aujourd'hui ni hier (record: {longest} jour(s) d'affilée).",
+      'stats.barTitle': '{metric}, semaine du {week}: {value}',
+      'stats.chartLabel': 'Appels et candidatures par semaine',
+      'stats.noRates': 'Aucune candidature envoyée pour le moment.',
+      'stats.rate': '{responses} réponse(s) pour {sent} candidature(s) ({percent} %)',
+      'stats.noLeads': 'Aucun contact pour le moment.',
+      'stats.leadDays': 'Dernier contact il y a {days} jour(s) ({date})',
+      'stats.leadToday': "Dernier contact aujourd'hui ({date})",
+      'stats.offline': 'Statistiques indisponibles hors connexion.',
+      'stats.goalsSaved': 'Objectifs enregistrés.',
+
+      'shares.title': 'Partage avec un conseiller',
+      'shares.subtitle':
+        "Invite ton conseiller ou ta conseillère à consulter tes contacts et tes candidatures, et à les commenter si tu le souhaites. Tu peux retirer l'accès à tout moment et voir chaque consultation.",
+      'shares.signIn': 'Connecte-toi pour partager ton suivi.',
+      'shares.email': 'Email du conseiller',
+      'shares.access': 'Accès',
+      'shares.invite': "Envoyer l'invitation",
+      'shares.granted': 'Mes partages',
+      'shares.received': 'Mes candidats',
+      'shares.comments': 'Commentaires',
+      'shares.commentTarget': 'À propos de',
+      'shares.comment': 'Commentaire',
+      'shares.commentSubmit': 'Commenter',
+      'shares.audit': 'Historique des consultations',
+      'shares.noneGranted': "Tu n'as invité personne pour le moment.",
+      'shares.accessOf': 'Accès de {email}',
+      'shares.revoke': "Retirer l'accès",
+      'shares.open': 'Consulter',
+      'shares.noneReceived': "Aucun candidat ne t'a encore invité.",
+      'shares.noAudit': "Personne n'a encore consulté ton suivi.",
+      'shares.offline': 'Partage indisponible hors connexion.',
+      'shares.contactTarget': 'Contact {name}',
+      'shares.contactDeleted': 'Contact supprimé',
+      'shares.applicationTarget': 'Candidature {poste} - {entreprise}',
+      'shares.applicationDeleted': 'Candidature supprimée',
+      'shares.progressOf': 'Suivi de {email}',
+      'shares.commentsWith': 'Commentaires partagés avec {email}',
+      'shares.lastExchange': 'Dernier échange: {date}',
+      'shares.noApplications': 'Aucune candidature.',
+      'shares.noComments': 'Aucun commentaire.',
+      'shares.openFailed': 'Partage indisponible: {error}',
+      'shares.accepted': 'Tu suis maintenant {email} (onglet Partage).',
+      'shares.acceptFailed': "Impossible d'accepter l'invitation: {error}",
+      'shares.invited': 'Invitation envoyée à {email}.',
+      'shares.accessChanged': 'Accès de {email}: {access}.',
+      'shares.revokeConfirm': "Retirer l'accès de {email} à ton suivi ?",
+      'shares.revoked': "{email} n'a plus accès à ton suivi.",
+      'shares.signInToAccept': "Connecte-toi ou crée un compte avec l'adresse invitée pour suivre ce candidat.",
+
+      'shareAccess.lecture': 'Lecture seule',
+      'shareAccess.commentaire': 'Lecture et commentaires',
+
+      'ai.title': 'IA générative pour te booster',
+      'ai.subtitle': "Génère des idées de messages, relances, et plans d'action.",
+      'ai.objective': 'Ton objectif immédiat',
+      'ai.relance': 'Relancer un recruteur',
+      'ai.motivation': 'Retrouver la motivation',
+      'ai.organisation': 'Mieux organiser la semaine',
+      'ai.reseau': 'Activer son réseau',
+      'ai.domain': 'Ton domaine cible',
+      'ai.domainPlaceholder': 'Ex: Développement web',
+      'ai.contact': 'Contact concerné (facultatif)',
+      'ai.noContact': 'Aucun contact en particulier',
+      'ai.context': 'Contexte (facultatif)',
+      'ai.contextPlaceholder': "Ex: J'ai passé 2 entretiens et j'attends une réponse",
+      'ai.generate': 'Générer une suggestion',
+      'ai.placeholder': 'Ta suggestion apparaîtra ici.',
+      'ai.writing': 'Suggestion en cours de rédaction...',
+      'ai.fallback': "L'assistant IA ne répond pas: voici une suggestion type.",
+      'ai.none': 'Aucune suggestion disponible.',
+
+      'formations.title': 'Recherche de formations',
+      'formations.subtitle': 'Trouve des formations selon ton objectif, ta ville, ton niveau et ton financement.',
+      'formations.keyword': 'Mot-clé',
+      'formations.keywordPlaceholder': 'Ex: data, design, anglais',
+      'formations.town': 'Localisation',
+      'formations.townPlaceholder': 'Ex: Paris, Lyon, Lille',
+      'formations.level': 'Niveau',
+      'formations.anyLevel': 'Indifférent',
+      'formations.allLevels': 'Ouverte à tous les niveaux',
+      'formations.duration': 'Durée',
+      'formations.any': 'Indifférente',
+      'formations.hours35': '35 heures maximum',
+      'formations.hours150': '150 heures maximum',
+      'formations.hours400': '400 heures maximum',
+      'formations.hours800': '800 heures maximum',
+      'formations.mode': 'Modalité',
+      'formations.from': 'Début entre le',
+      'formations.to': 'et le',
+      'formations.cpf': 'Finançable par le CPF',
+      'formations.followedOnly': 'Seulement mes formations suivies',
+      'formations.importTitle': 'Importer un catalogue (administration)',
+      'formations.importHelp':
+        "Fichier CSV ou JSON issu de l'open data (Carif-Oref, Mon Compte Formation...). Les formations déjà présentes sont mises à jour.",
+      'formations.between': 'du {from} au {to}',
+      'formations.startsOn': 'à partir du {from}',
+      'formations.noDates': 'Entrée permanente ou dates à confirmer',
+      'formations.count': '{count} formation(s)',
+      'formations.empty': 'Aucune formation trouvée avec ces critères.',
+      'formations.hours': '{hours} heures',
+      'formations.offline': 'Catalogue indisponible hors connexion.',
+
+      'level.debutant': 'Débutant',
+      'level.intermediaire': 'Intermédiaire',
+      'level.avance': 'Avancé',
+      'level.tous': 'Tous niveaux',
+
+      'mode.presentiel': 'Présentiel',
+      'mode.distanciel': 'À distance',
+      'mode.mixte': 'Mixte',
+
+      'services.title': "Services d'accompagnement selon ta localisation",
+      'services.subtitle':
+        'France Travail, Missions Locales, Cap Emploi, associations... les structures utiles près de chez toi.',
+      'services.place': 'Code postal, département ou ville',
+      'services.placePlaceholder': 'Ex: 69003, 13, Toulouse',
+      'services.audience': 'Public',
+      'services.allAudiences': 'Tous les publics',
+      'services.youth': 'Jeunes (16-25 ans)',
+      'services.disability': 'Situation de handicap',
+      'services.search': 'Voir les services',
+      'services.importTitle': 'Importer un annuaire (administration)',
+      'services.importHelp':
+        'Fichier CSV ou JSON des agences France Travail, Missions Locales, Cap Emploi ou de data.inclusion. Les structures déjà présentes sont mises à jour.',
+      'services.count': '{count} structure(s)',
+      'services.empty': 'Aucun service trouvé. Essaie une autre localisation.',
+      'services.offline': 'Annuaire indisponible hors connexion.',
+
+      'serviceType.public': "Service public de l'emploi",
+      'serviceType.inclusion': 'Insertion et inclusion',
+      'serviceType.orientation': 'Orientation',
+      'serviceType.associatif': 'Associatif',
+      'serviceType.autre': 'Autre',
+      'serviceType.jeunes': 'Jeunes',
+      'serviceType.handicap': 'Handicap',
+
+      'date.missing': 'Date non renseignée',
+      'date.invalid': 'Date invalide',
+
+      'api.error': 'Erreur API',
+
+      'contact.when': 'Quand:',
+      'contact.expertise': 'Expertise:',
+      'contact.inclusivity': 'Valeurs inclusives:',
+      'contact.noInclusivity': 'Non précisées',
+      'contact.notes': 'Notes:',
+      'contact.noNotes': 'Aucune note',
+      'contact.followUp': 'Relance:',
+
+      'importField.nom': 'Nom',
+      'importField.organisation': 'Organisation',
+      'importField.dateAppel': "Date d'appel",
+      'importField.expertise': 'Expertise',
+      'importField.inclusivite': 'Valeurs inclusives',
+      'importField.notes': 'Notes',
+      'importField.dateRelance': 'Date de relance',
+      'importField.actionRelance': 'Prochaine action',
+      'importField.tags': 'Tags',
+
+      'stat.calls': 'Appels',
+      'stat.exchanges': 'Échanges',
+      'stat.applications': 'Candidatures',
+
+      'shareStatus.active': 'Actif',
+      'shareStatus.en_attente': 'Invitation envoyée',
+      'shareStatus.expiree': 'Invitation expirée',
+
+      'shareAudit.contacts.read': 'a consulté tes contacts',
+      'shareAudit.applications.read': 'a consulté tes candidatures',
+      'shareAudit.comments.read': 'a lu les commentaires',
+      'shareAudit.comments.create': 'a ajouté un commentaire',
+
+      'formationStatus.favori': 'Favori',
+      'formationStatus.candidature': 'Candidature envoyée',
+      'formationStatus.inscrit': 'Inscrit(e)',
+      'formationStatus.en_cours': 'En cours',
+      'formationStatus.terminee': 'Terminée',
+      'formationStatus.abandon': 'Abandonnée',
+
+      'formation.town': 'Ville:',
+      'formation.duration': 'Durée:',
+      'formation.level': 'Niveau:',
+      'formation.mode': 'Modalité:',
+      'formation.session': 'Session:',
+      'formation.cpf': 'Éligible CPF',
+      'formation.open': 'Voir la formation',
+      'formation.tracking': 'Mon suivi',
+      'formation.notTracked': 'Pas suivie',
+
+      'geo.unavailable': "La localisation n'est pas disponible sur cet appareil.",
+      'geo.denied': 'Autorise la localisation pour chercher autour de toi.',
+
+      'catalogue.preview': '{total} ligne(s): {created} nouvelle(s), {updated} mise(s) à jour, {invalid} ignorée(s).',
+      'catalogue.done':
+        'Import terminé: {created} ajoutée(s), {updated} mise(s) à jour, {invalid} ligne(s) ignorée(s).',
+      'catalogue.invalid': 'Ligne {line}{name}: {error}',
+
+      'service.address': 'Adresse:',
+      'service.hours': 'Horaires:',
+      'service.phone': 'Téléphone:',
+      'service.email': 'Email:',
+      'service.website': 'Site web',
+    },
+    en: {
+      'app.title': 'OrganiJob - Job search assistant',
+
+      'header.tagline': 'Your space to organise your job search with clarity and impact.',
+      'header.badge': 'Inclusive • Human • Structured',
+      'header.language': 'Language',
+
+      'auth.email': 'Email address',
+      'auth.emailPlaceholder': 'your.email@example.com',
+      'auth.password': 'Password',
+      'auth.passwordPlaceholder': 'At least 8 characters',
+      'auth.login': 'Sign in',
+      'auth.register': 'Create an account',
+      'auth.forgot': 'Forgot your password?',
+      'auth.logout': 'Sign out',
+      'auth.syncNow': 'Sync now',
+      'auth.newPassword': 'New password',
+      'auth.confirmPassword': 'Confirm',
+      'auth.resetSubmit': 'Change the password',
+      'auth.signedOut': 'Not signed in',
+      'auth.unverified':
+        'Email address not confirmed: open the link we emailed you so that you can recover your account.',
+      'auth.resendLink': 'Send the link again',
+      'auth.signedIn': 'Signed in: {email}',
+      'auth.missing': 'Email and password required.',
+      'auth.logoutConfirm': '{count} unsynced change(s) will be lost. Sign out?',
+      'auth.loggedOut': 'Signed out.',
+      'auth.forgotNeedsEmail': 'Type your email address, then click "Forgot your password?".',
+      'auth.resetSent': 'If there is an account for {email}, a reset link has just been sent to it.',
+      'auth.chooseNew': 'Choose a new password.',
+      'auth.mismatch': 'The two passwords do not match.',
+      'auth.resetDone': 'Password changed. Sign in with the new password.',
+      'auth.resetCancelled': 'Password reset cancelled.',
+      'auth.verified': 'Address {email} confirmed.',
+      'auth.verifyFailed': 'Could not confirm: {error}',
+      'auth.alreadyVerified': 'Email address already confirmed.',
+      'auth.linkSent': 'New link sent to {email}.',
+
+      'common.cancel': 'Cancel',
+      'common.save': 'Save',
+      'common.organisation': 'Organisation',
+      'common.companyPlaceholder': 'e.g. ABC Ltd',
+      'common.nextAction': 'Next step',
+      'common.notes': 'Notes',
+      'common.cancelEdit': 'Cancel the changes',
+      'common.history': 'History',
+      'common.download': 'Download',
+      'common.close': 'Close',
+      'common.import': 'Import',
+      'common.search': 'Search',
+      'common.previous': 'Previous',
+      'common.next': 'Next',
+      'common.contacts': 'Contacts',
+      'common.followUpPlanned': 'Follow-up planned',
+      'common.nearMe': 'Near me',
+      'common.anywhere': 'Anywhere',
+      'common.within5': 'Within 5 km',
+      'common.within10': 'Within 10 km',
+      'common.within30': 'Within 30 km',
+      'common.within50': 'Within 50 km',
+      'common.within100': 'Within 100 km',
+      'common.page': 'Page {page} / {pages}',
+      'common.edit': 'Edit',
+      'common.delete': 'Delete',
+      'common.saveChanges': 'Save the changes',
+      'common.deleteFailed': 'Could not delete: {error}',
+      'common.noContacts': 'No contacts.',
+      'common.followUpOn': 'Follow-up planned: {date}',
+      'common.distance': '{km} km away',
+      'common.notGiven': 'Not given',
+
+      'sync.signIn': 'Sign in to sync across your devices.',
+      'sync.expired': 'Session expired: {error}',
+      'sync.conflicts': 'Changed on another device, the server version was kept: {names}.',
+      'sync.rejected': '{count} change(s) refused: {error}',
+      'sync.done': 'Synced on {date}',
+      'sync.offline': 'Offline: {count} change(s) waiting to be synced.',
+      'sync.storageFailed': 'Local storage unavailable: {error}',
+
+      'account.passwordTitle': 'Change password',
+      'account.currentPassword': 'Current password',
+      'account.sessionsTitle': 'Signed-in devices',
+      'account.revokeOthers': 'Sign out the other devices',
+      'account.dataTitle': 'My data',
+      'account.dataHelp':
+        'Download everything your account holds: contacts, exchanges, applications, shares and signed-in devices.',
+      'account.export': 'Download my data',
+      'account.delete': 'Delete my account and my data',
+      'account.passwordChanged': 'Password changed. Your other devices will have to sign in again.',
+      'account.deviceOn': ' on ',
+      'account.unknownDevice': 'Unknown device',
+      'account.thisDevice': '{device} (this device)',
+      'account.sessionDates': 'Last active: {seen} - signed in on {created}',
+      'account.revoke': 'Sign out',
+      'account.sessionsFailed': 'Devices unavailable: {error}',
+      'account.revokeFailed': 'Could not sign out: {error}',
+      'account.revoked': 'Device signed out.',
+      'account.othersRevoked': 'The other devices were signed out.',
+      'account.exported': 'Data downloaded: {filename}',
+      'account.exportOffline': 'Download unavailable offline.',
+      'account.deleteConfirm': 'Permanently delete the account {email}, its contacts, applications and shares?',
+      'account.deleteOffline': 'Cannot delete while offline.',
+      'account.deleted': 'Account {email} deleted, with all its data.',
+
+      'tabs.label': 'Main navigation',
+      'tabs.contacts': 'Contacts',
+      'tabs.organisations': 'Organisations',
+      'tabs.applications': 'Applications',
+      'tabs.todo': 'To do',
+      'tabs.dashboard': 'Dashboard',
+      'tabs.sharing': 'Sharing',
+      'tabs.ai': 'AI Booster',
+      'tabs.formations': 'Training',
+      'tabs.services': 'Local support',
+
+      'contacts.title': 'Calls and key contacts',
+      'contacts.subtitle': 'Keep track of **who** you called, **when**, and in what context.',
+      'contacts.name': 'Contact name',
+      'contacts.namePlaceholder': 'e.g. Ms Martin',
+      'contacts.callDate': 'Date and time of the call',
+      'contacts.expertise': 'Field of expertise',
+      'contacts.expertisePlaceholder': 'e.g. HR, Data, Marketing',
+      'contacts.inclusivity': 'Inclusive values seen',
+      'contacts.inclusivityPlaceholder': 'e.g. diversity, accessibility',
+      'contacts.followUpDate': 'Follow-up date',
+      'contacts.nextActionPlaceholder': 'e.g. Send my updated CV',
+      'contacts.tags': 'Tags (comma-separated)',
+      'contacts.tagsPlaceholder': 'e.g. hr, job fair, lyon',
+      'contacts.notesPlaceholder': 'Summary of the conversation, next step...',
+      'contacts.add': 'Add this contact',
+      'contacts.importButton': 'Import (JSON, CSV, vCard)',
+      'contacts.searchPlaceholder': 'Name, organisation, expertise, notes...',
+      'contacts.allOrganisations': 'All',
+      'contacts.tag': 'Tag',
+      'contacts.allTags': 'All',
+      'contacts.from': 'Call from',
+      'contacts.to': 'to',
+      'contacts.sort': 'Sort by',
+      'contacts.sortRecent': 'Latest call',
+      'contacts.sortOldest': 'Oldest call',
+      'contacts.sortName': 'Name',
+      'contacts.sortFollowUp': 'Next follow-up',
+      'contacts.resetFilters': 'Clear the filters',
+      'contacts.countFiltered': '{count} contact(s) out of {total}',
+      'contacts.count': '{count} contact(s)',
+      'contacts.empty': 'No contacts yet.',
+      'contacts.noMatch': 'No contact matches these filters.',
+      'contacts.deleted': 'Contact "{name}" deleted.',
+      'contacts.deleteLocal': 'Deleted on this device only',
+      'contacts.restoreLocal': 'Restored on this device only',
+      'contacts.signIn': 'Sign in to save and sync your contacts.',
+      'contacts.editLocal': 'Changed on this device only',
+      'contacts.addLocal': 'Added on this device only',
+
+      'export.title': 'Export',
+      'export.format': 'Format',
+      'export.pdf': 'Printable activity log (PDF)',
+      'export.csv': 'Spreadsheet (CSV)',
+      'export.vcf': 'Address book (vCard)',
+      'export.ics': 'Calendar of calls (iCalendar)',
+      'export.json': 'Full backup (JSON)',
+      'export.from': 'From',
+      'export.to': 'To',
+      'export.help':
+        'Without dates, all the activity is exported. The PDF log lists the dated contacts and application stages of the period, for France Travail or the Mission Locale.',
+      'export.invalidPeriod': 'Invalid period: the start date must come before the end date.',
+      'export.signIn': 'Sign in to export in this format.',
+      'export.done': 'Export downloaded: {filename}',
+      'export.failed': 'Export failed: {error}',
+      'export.offline': 'Export unavailable offline (JSON still works).',
+
+      'import.title': 'Import contacts',
+      'import.defaultDate': 'Call date when the file has none',
+      'import.duplicates': 'Duplicates (same name and organisation)',
+      'import.merge': 'Merge with the existing contact',
+      'import.skip': 'Skip the imported line',
+      'import.ignoreColumn': '(ignore)',
+      'import.preview':
+        '{total} line(s) read: {created} new contact(s), {duplicates} duplicate(s), {invalid} invalid line(s).',
+      'import.willMerge': 'will be merged',
+      'import.willSkip': 'will be skipped',
+      'import.inFile': 'already in the file',
+      'import.inContacts': 'already in your contacts',
+      'import.duplicate': 'Line {line}: {nom} - {organisation} ({origin}, {action})',
+      'import.invalid': 'Line {line}: {error}',
+      'import.previewFailed': 'Preview failed: {error}',
+      'import.signIn': 'Sign in to import contacts.',
+      'import.reading': 'Reading {name}...',
+      'import.done': 'Import done: {created} added, {merged} merged, {invalid} line(s) skipped.',
+      'import.failed': 'Import failed: {error}',
+
+      'interactions.title': 'Exchanges',
+      'interactions.type': 'Type of exchange',
+      'interactions.date': 'Date and time',
+      'interactions.notesPlaceholder': 'What was said, what was agreed...',
+      'interactions.add': 'Add the exchange',
+      'interactions.empty': 'No exchanges recorded.',
+      'interactions.signIn': 'Sign in to keep track of your exchanges.',
+      'interactions.with': 'Exchanges with {name}',
+      'interactions.loadFailed': 'Exchanges unavailable: {error}',
+      'interactions.saveFailed': 'Exchange not saved: {error}',
+      'interactions.deleteFailed': 'Exchange not deleted: {error}',
+
+      'interaction.appel': 'Call',
+      'interaction.email': 'Email',
+      'interaction.rendez_vous': 'Meeting',
+      'interaction.message': 'Message',
+      'interaction.note': 'Note',
+
+      'organisations.subtitle':
+        'For each company or organisation, find your contacts, exchanges and applications in the order they happened.',
+      'organisations.list': 'Your organisations',
+      'organisations.newName': 'New name',
+      'organisations.rename': 'Rename',
+      'organisations.mergeInto': 'Merge into',
+      'organisations.merge': 'Merge',
+      'organisations.applicationEvent': 'Application {title}: {stage}',
+      'organisations.empty': 'No organisations yet: they appear with your contacts and applications.',
+      'organisations.counts': '{contacts} contact(s), {applications} application(s)',
+      'organisations.lastExchange': 'Last exchange:',
+      'organisations.open': 'See the history',
+      'organisations.choose': 'Choose an organisation',
+      'organisations.contactLast': 'last exchange on {date}',
+      'organisations.noEvents': 'Nothing yet.',
+      'organisations.loadFailed': 'Organisation unavailable: {error}',
+      'organisations.listFailed': 'Organisations unavailable: {error}',
+      'organisations.renameFailed': 'Could not rename',
+      'organisations.mergeConfirm': 'Move all the contacts and applications of "{from}" to "{into}"?',
+      'organisations.mergeFailed': 'Could not merge',
+
+      'applications.title': 'Application pipeline',
+      'applications.subtitle':
+        'Follow each application from the job ad you spotted to the answer, and drag it from one stage to the next.',
+      'applications.jobTitle': 'Job title',
+      'applications.jobTitlePlaceholder': 'e.g. Front-end developer',
+      'applications.company': 'Company',
+      'applications.link': 'Link to the job ad',
+      'applications.stage': 'Stage',
+      'applications.stageDate': 'Stage date',
+      'applications.salary': 'Gross annual salary (€)',
+      'applications.salaryMin': 'Min',
+      'applications.salaryMax': 'Max',
+      'applications.nextActionPlaceholder': 'e.g. Follow up by email',
+      'applications.contacts': 'Linked contacts',
+      'applications.notesPlaceholder': 'Process, people to talk to, points to prepare...',
+      'applications.add': 'Add the application',
+      'applications.board': 'Application board',
+      'applications.since': 'Since {date}',
+      'applications.followUp': 'Follow up on {date}{action}',
+      'applications.contactNames': 'Contacts: {names}',
+      'applications.viewAd': 'See the job ad',
+      'applications.previousStage': 'Previous stage',
+      'applications.nextStage': 'Next stage',
+      'applications.moveFailed': 'Could not move: {error}',
+      'applications.signIn': 'Sign in to keep track of your applications.',
+      'applications.saveFailed': 'Application not saved: {error}',
+      'applications.deleteConfirm': 'Delete the application "{title}"?',
+
+      'stage.a_postuler': 'To apply',
+      'stage.envoyee': 'Sent',
+      'stage.entretien': 'Interview',
+      'stage.offre': 'Offer',
+      'stage.refus': 'Rejected',
+
+      'todo.subtitle': 'Your overdue and upcoming follow-ups, so that no opportunity slips away.',
+      'todo.horizon': 'Horizon',
+      'todo.days7': 'Next 7 days',
+      'todo.days14': 'Next 14 days',
+      'todo.days30': 'Next 30 days',
+      'todo.overdue': 'Overdue',
+      'todo.upcoming': 'Upcoming',
+      'todo.calendar': 'Calendar',
+      'todo.calendarHelp':
+        'Subscribe your calendar (Google, Outlook, Apple) to this private link to see your follow-ups there.',
+      'todo.calendarOff': 'Calendar feed turned off',
+      'todo.calendarEnable': 'Turn on / renew',
+      'todo.calendarCopy': 'Copy',
+      'todo.calendarDisable': 'Turn off',
+      'todo.contact': 'contact',
+      'todo.application': 'application',
+      'todo.when': 'When: {date}',
+      'todo.action': 'Action: {action}',
+      'todo.noAction': 'To be decided',
+      'todo.done': 'Done',
+      'todo.postpone': 'Postpone by {days} days',
+      'todo.noneOverdue': 'No overdue follow-ups.',
+      'todo.noneUpcoming': 'Nothing planned for this period.',
+      'todo.updateLocal': 'Follow-up updated on this device only',
+      'todo.updateFailed': 'Follow-up not updated: {error}',
+      'todo.calendarSignIn': 'Sign in to manage your calendar feed.',
+      'todo.calendarFailed': 'Calendar feed unavailable: {error}',
+      'todo.calendarCopied': 'Calendar link copied.',
+
+      'stats.subtitle': 'Your progress week after week: calls, applications, answers and goals.',
+      'stats.signIn': 'Sign in to follow your progress.',
+      'stats.thisWeek': 'This week',
+      'stats.goalCalls': 'Calls per week',
+      'stats.noGoal': 'No goal',
+      'stats.goalExchanges': 'Exchanges per week',
+      'stats.goalApplications': 'Applications per week',
+      'stats.saveGoals': 'Save my goals',
+      'stats.activity': 'Activity over the last 12 weeks',
+      'stats.calls': 'Calls',
+      'stats.goal': 'Goal',
+      'stats.ratesOrganisations': 'Response rate by organisation',
+      'stats.ratesExpertises': 'Response rate by expertise',
+      'stats.leads': 'Contacts gone quiet',
+      'stats.streak': 'Current streak: {streak} day(s) in a row with at least one action (record: {longest}).',
+      'stats.noStreak': 'No action yet today or yesterday.',
+      'stats.noStreakRecord': 'No action yet today or yesterday (record: {longest} day(s) in a row).',
+      'stats.barTitle': '{metric}, week of {week}: {value}',
+      'stats.chartLabel': 'Calls and applications per week',
+      'stats.noRates': 'No applications sent yet.',
+      'stats.rate': '{responses} answer(s) for {sent} application(s) ({percent}%)',
+      'stats.noLeads': 'No contacts yet.',
+      'stats.leadDays': 'Last contact {days} day(s) ago ({date})',
+      'stats.leadToday': 'Last contact today ({date})',
+      'stats.offline': 'Statistics unavailable offline.',
+      'stats.goalsSaved': 'Goals saved.',
+
+      'shares.title': 'Sharing with a counsellor',
+      'shares.subtitle':
+        'Invite your counsellor to read your contacts and applications, and to comment on them if you wish. You can remove the access at any time and see every visit.',
+      'shares.signIn': 'Sign in to share your progress.',
+      'shares.email': "Counsellor's email",
+      'shares.access': 'Access',
+      'shares.invite': 'Send the invitation',
+      'shares.granted': 'My shares',
+      'shares.received': 'My candidates',
+      'shares.comments': 'Comments',
+      'shares.commentTarget': 'About',
+      'shares.comment': 'Comment',
+      'shares.commentSubmit': 'Comment',
+      'shares.audit': 'Visit history',
+      'shares.noneGranted': "You haven't invited anyone yet.",
+      'shares.accessOf': 'Access of {email}',
+      'shares.revoke': 'Remove access',
+      'shares.open': 'Open',
+      'shares.noneReceived': 'No candidate has invited you yet.',
+      'shares.noAudit': 'Nobody has read your progress yet.',
+      'shares.offline': 'Sharing unavailable offline.',
+      'shares.contactTarget': 'Contact {name}',
+      'shares.contactDeleted': 'Deleted contact',
+      'shares.applicationTarget': 'Application {poste} - {entreprise}',
+      'shares.applicationDeleted': 'Deleted application',
+      'shares.progressOf': 'Progress of {email}',
+      'shares.commentsWith': 'Comments shared with {email}',
+      'shares.lastExchange': 'Last exchange: {date}',
+      'shares.noApplications': 'No applications.',
+      'shares.noComments': 'No comments.',
+      'shares.openFailed': 'Share unavailable: {error}',
+      'shares.accepted': 'You now follow {email} (Sharing tab).',
+      'shares.acceptFailed': 'Could not accept the invitation: {error}',
+      'shares.invited': 'Invitation sent to {email}.',
+      'shares.accessChanged': 'Access of {email}: {access}.',
+      'shares.revokeConfirm': "Remove {email}'s access to your progress?",
+      'shares.revoked': '{email} no longer has access to your progress.',
+      'shares.signInToAccept': 'Sign in or create an account with the invited address to follow this candidate.',
+
+      'shareAccess.lecture': 'Read only',
+      'shareAccess.commentaire': 'Read and comment',
+
+      'ai.title': 'Generative AI to boost you',
+      'ai.subtitle': 'Get ideas for messages, follow-ups and action plans.',
+      'ai.objective': 'Your immediate goal',
+      'ai.relance': 'Follow up with a recruiter',
+      'ai.motivation': 'Get motivated again',
+      'ai.organisation': 'Organise the week better',
+      'ai.reseau': 'Reach out to your network',
+      'ai.domain': 'Your target field',
+      'ai.domainPlaceholder': 'e.g. Web development',
+      'ai.contact': 'Contact concerned (optional)',
+      'ai.noContact': 'No contact in particular',
+      'ai.context': 'Context (optional)',
+      'ai.contextPlaceholder': "e.g. I've had 2 interviews and I'm waiting for an answer",
+      'ai.generate': 'Get a suggestion',
+      'ai.placeholder': 'Your suggestion will appear here.',
+      'ai.writing': 'Writing a suggestion...',
+      'ai.fallback': 'The AI assistant is not answering: here is a standard suggestion.',
+      'ai.none': 'No suggestion available.',
+
+      'formations.title': 'Training search',
+      'formations.subtitle': 'Find training courses by goal, town, level and funding.',
+      'formations.keyword': 'Keyword',
+      'formations.keywordPlaceholder': 'e.g. data, design, English',
+      'formations.town': 'Location',
+      'formations.townPlaceholder': 'e.g. Paris, Lyon, Lille',
+      'formations.level': 'Level',
+      'formations.anyLevel': 'Any',
+      'formations.allLevels': 'Open to all levels',
+      'formations.duration': 'Length',
+      'formations.any': 'Any',
+      'formations.hours35': '35 hours at most',
+      'formations.hours150': '150 hours at most',
+      'formations.hours400': '400 hours at most',
+      'formations.hours800': '800 hours at most',
+      'formations.mode': 'Mode',
+      'formations.from': 'Starting between',
+      'formations.to': 'and',
+      'formations.cpf': 'Fundable through the CPF',
+      'formations.followedOnly': 'Only the training I follow',
+      'formations.importTitle': 'Import a catalogue (administration)',
+      'formations.importHelp':
+        'CSV or JSON file from open data (Carif-Oref, Mon Compte Formation...). Training already in the catalogue is updated.',
+      'formations.between': 'from {from} to {to}',
+      'formations.startsOn': 'from {from}',
+      'formations.noDates': 'Rolling entry or dates to be confirmed',
+      'formations.count': '{count} course(s)',
+      'formations.empty': 'No training matches these criteria.',
+      'formations.hours': '{hours} hours',
+      'formations.offline': 'Catalogue unavailable offline.',
+
+      'level.debutant': 'Beginner',
+      'level.intermediaire': 'Intermediate',
+      'level.avance': 'Advanced',
+      'level.tous': 'All levels',
+
+      'mode.presentiel': 'In person',
+      'mode.distanciel': 'Remote',
+      'mode.mixte': 'Blended',
+
+      'services.title': 'Support services near you',
+      'services.subtitle': 'France Travail, Missions Locales, Cap Emploi, charities... the useful services near you.',
+      'services.place': 'Postcode, department or town',
+      'services.placePlaceholder': 'e.g. 69003, 13, Toulouse',
+      'services.audience': 'Audience',
+      'services.allAudiences': 'Everyone',
+      'services.youth': 'Young people (16-25)',
+      'services.disability': 'Disability',
+      'services.search': 'Show the services',
+      'services.importTitle': 'Import a directory (administration)',
+      'services.importHelp':
+        'CSV or JSON file of France Travail, Missions Locales or Cap Emploi offices, or from data.inclusion. Services already in the directory are updated.',
+      'services.count': '{count} service(s)',
+      'services.empty': 'No services found. Try another location.',
+      'services.offline': 'Directory unavailable offline.',
+
+      'serviceType.public': 'Public employment service',
+      'serviceType.inclusion': 'Integration and inclusion',
+      'serviceType.orientation': 'Career guidance',
+      'serviceType.associatif': 'Charity',
+      'serviceType.autre': 'Other',
+      'serviceType.jeunes': 'Young people',
+      'serviceType.handicap': 'Disability',
+
+      'date.missing': 'No date given',
+      'date.invalid': 'Invalid date',
+
+      'api.error': 'API error',
+
+      'contact.when': 'When:',
+      'contact.expertise': 'Expertise:',
+      'contact.inclusivity': 'Inclusive values:',
+      'contact.noInclusivity': 'Not given',
+      'contact.notes': 'Notes:',
+      'contact.noNotes': 'No notes',
+      'contact.followUp': 'Follow-up:',
+
+      'importField.nom': 'Name',
+      'importField.organisation': 'Organisation',
+      'importField.dateAppel': 'Call date',
+      'importField.expertise': 'Expertise',
+      'importField.inclusivite': 'Inclusive values',
+      'importField.notes': 'Notes',
+      'importField.dateRelance': 'Follow-up date',
+      'importField.actionRelance': 'Next step',
+      'importField.tags': 'Tags',
+
+      'stat.calls': 'Calls',
+      'stat.exchanges': 'Exchanges',
+      'stat.applications': 'Applications',
+
+      'shareStatus.active': 'Active',
+      'shareStatus.en_attente': 'Invitation sent',
+      'shareStatus.expiree': 'Invitation expired',
+
+      'shareAudit.contacts.read': 'read your contacts',
+      'shareAudit.applications.read': 'read your applications',
+      'shareAudit.comments.read': 'read the comments',
+      'shareAudit.comments.create': 'added a comment',
+
+      'formationStatus.favori': 'Bookmarked',
+      'formationStatus.candidature': 'Application sent',
+      'formationStatus.inscrit': 'Enrolled',
+      'formationStatus.en_cours': 'In progress',
+      'formationStatus.terminee': 'Completed',
+      'formationStatus.abandon': 'Dropped',
+
+      'formation.town': 'Town:',
+      'formation.duration': 'Length:',
+      'formation.level': 'Level:',
+      'formation.mode': 'Mode:',
+      'formation.session': 'Session:',
+      'formation.cpf': 'CPF eligible',
+      'formation.open': 'See the course',
+      'formation.tracking': 'My tracking',
+      'formation.notTracked': 'Not tracked',
+
+      'geo.unavailable': 'Location is not available on this device.',
+      'geo.denied': 'Allow location access to search near you.',
+
+      'catalogue.preview': '{total} line(s): {created} new, {updated} updated, {invalid} skipped.',
+      'catalogue.done': 'Import done: {created} added, {updated} updated, {invalid} line(s) skipped.',
+      'catalogue.invalid': 'Line {line}{name}: {error}',
+
+      'service.address': 'Address:',
+      'service.hours': 'Opening hours:',
+      'service.phone': 'Phone:',
+      'service.email': 'Email:',
+      'service.website': 'Website',
+    },
+  };
+
+  function isLanguage(value) {
+    return typeof value === 'string' && Object.hasOwn(MESSAGES, value);
+  }
+
+  // The stored choice, else the first language of the browser we know.
+  function initialLanguage() {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    if (isLanguage(stored)) return stored;
+    const preferred = (navigator.languages || [navigator.language])
+      .map((tag) => String(tag || '').split('-')[0].toLowerCase())
+      .find(isLanguage);
+    return preferred || DEFAULT_LANGUAGE;
+  }
+
+  let current = initialLanguage();
+
+  function language() {
+    return current;
+  }
+
+  function locale() {
+    return LOCALES[current];
+  }
+
+  function setLanguage(value) {
+    if (!isLanguage(value)) return;
+    current = value;
+    localStorage.setItem(STORAGE_KEY, value);
+  }
+
+  function has(key) {
+    return Object.hasOwn(MESSAGES[current], key);
+  }
+
+  // The text of `key` with its {placeholders} taken from `params`. An unknown
+  // key shows as itself rather than as an empty text.
+  function t(key, params = {}) {
+    const text = has(key) ? MESSAGES[current][key] : MESSAGES[DEFAULT_LANGUAGE][key] ?? key;
+    return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+  }
+
+  // The label of a stored value (a stage, a level...), or the value itself.
+  function label(group, value) {
+    const key = `${group}.${value}`;
+    return has(key) ? t(key) : value;
+  }
+
+  // Sets the text of an element and remembers its key, so translatePage()
+  // keeps it in the chosen language.
+  function setText(element, key, params) {
+    element.dataset.i18n = key;
+    if (params) element.dataset.i18nParams = JSON.stringify(params);
+    else delete element.dataset.i18nParams;
+    element.textContent = t(key, params);
+  }
+
+  // A label holding its field: only its own text changes.
+  function setLeadingText(element, text) {
+    const node = [...element.childNodes].find((child) => child.nodeType === Node.TEXT_NODE && child.data.trim());
+    if (!node) {
+      element.prepend(text);
+      return;
+    }
+    const [, before, , after] = node.data.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    node.data = `${before}${text}${after}`;
+  }
+
+  // **bold** parts become <strong> nodes, without going through innerHTML.
+  function setRichText(element, text) {
+    element.replaceChildren(
+      ...text.split('**').map((part, index) => {
+        if (index % 2 === 0) return part;
+        const strong = document.createElement('strong');
+        strong.textContent = part;
+        return strong;
+      })
+    );
+  }
+
+  function translatePage(root = document) {
+    document.documentElement.lang = current;
+    for (const element of root.querySelectorAll('[data-i18n]')) {
+      const params = element.dataset.i18nParams ? JSON.parse(element.dataset.i18nParams) : {};
+      const text = t(element.dataset.i18n, params);
+      if (element.children.length) setLeadingText(element, text);
+      else element.textContent = text;
+    }
+    for (const element of root.querySelectorAll('[data-i18n-rich]')) {
+      setRichText(element, t(element.dataset.i18nRich));
+    }
+    for (const element of root.querySelectorAll('[data-i18n-placeholder]')) {
+      element.placeholder = t(element.dataset.i18nPlaceholder);
+    }
+    for (const element of root.querySelectorAll('[data-i18n-aria-label]')) {
+      element.setAttribute('aria-label', t(element.dataset.i18nAriaLabel));
+    }
+  }
+
+  return { t, has, label, language, locale, setLanguage, setText, translatePage };
+})();
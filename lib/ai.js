@@ -0,0 +1,200 @@
+// Suggestions for the "IA Booster" tab behind one interface:
+// createAssistant(options).generate({ objectif, domaine, contexte, contact, interactions, applications, language }).
+// `language` ('fr', the default, or 'en') picks the texts, prompts and dates.
+// Providers: 'templates' (fixed texts filled with the request, default, no
+// network) and 'openai' (any OpenAI-compatible /chat/completions endpoint: a
+// local llama.cpp or Ollama server, vLLM, OpenAI...). When the model fails or
+// is too slow, the templates answer instead and the result says so.
+const OBJECTIVES = ['relance', 'motivation', 'organisation', 'reseau'];
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const MAX_NOTES_LENGTH = 1000;
+const MAX_INTERACTIONS = 5;
+
+// Everything the assistant writes or asks for, in each language it speaks.
+const TEXTS = {
+  fr: {
+    locale: 'fr-FR',
+    interactionLabels: {
+      appel: 'appel',
+      email: 'email',
+      rendez_vous: 'rendez-vous',
+      message: 'message',
+      note: 'note',
+    },
+    objectivePrompts: {
+      relance: 'Écris un email de relance court et poli, avec une ligne "Objet :" en premier.',
+      motivation: 'Propose un plan de 7 jours pour retrouver la motivation, en étapes concrètes et réalistes.',
+      organisation: "Propose une semaine de recherche d'emploi structurée, jour par jour.",
+      reseau: "Écris un message court pour demander 10 minutes d'échange à une personne de mon réseau.",
+    },
+    systemPrompt: [
+      "Tu aides une personne en recherche d'emploi. Réponds en français, avec bienveillance et sans jargon.",
+      'Donne uniquement le texte demandé, en texte brut sans markdown, prêt à copier.',
+      "N'invente ni nom, ni date, ni fait absent des informations fournies.",
+    ].join(' '),
+    prompt: {
+      domaine: (domaine) => `Domaine visé : ${domaine}.`,
+      contexte: (contexte) => `Contexte donné par la personne : ${contexte}`,
+      contact: (contact) => `Destinataire : ${contact.nom}, ${contact.organisation}.`,
+      expertise: (expertise) => `Domaine du contact : ${expertise}.`,
+      notes: (notes) => `Notes sur ce contact : ${notes}`,
+      interactions: 'Derniers échanges (du plus récent au plus ancien) :',
+      application: (application) =>
+        `Candidature dans cette organisation : ${application.poste} (étape : ${application.statut}).`,
+    },
+    templates: ({ domaine, contexte, contact, day }) => {
+      const greeting = contact ? `Bonjour ${contact.nom},` : 'Bonjour,';
+      const lastExchange = contact ? ` du ${day(contact.dateAppel)}` : '';
+      return {
+        relance: `Objet : Relance candidature ${domaine || 'poste cible'}\n\n${greeting}\nJe me permets de revenir vers vous suite à notre échange${lastExchange}. Je reste très motivé(e) pour contribuer sur des missions en ${domaine || 'lien avec mon profil'}${contact ? ` chez ${contact.organisation}` : ''}. ${contexte ? `Contexte : ${contexte}.` : ''}\nAuriez-vous une visibilité sur la suite du processus ?\n\nMerci pour votre retour.`,
+        motivation: `Plan anti-démotivation (7 jours) :\n1) 2 candidatures qualitatives ciblées ${domaine ? `en ${domaine}` : ''}.\n2) 1 prise de contact réseau par jour.\n3) 1 bloc de formation de 45 minutes.\n4) Bilan chaque soir : ce qui a marché et prochaine micro-action.\n${contexte ? `Point de départ : ${contexte}.` : ''}`,
+        organisation: `Semaine structurée :\n- Lundi/Mardi : candidatures ciblées ${domaine ? `(${domaine})` : ''}.\n- Mercredi : suivi des relances et appels.\n- Jeudi : simulation d'entretien + optimisation CV.\n- Vendredi : réseau + veille d'offres.\n${contexte ? `Ajustement : ${contexte}.` : ''}`,
+        reseau: `Message réseau court :\n"${greeting} je recherche actuellement une opportunité ${domaine ? `en ${domaine}` : ''}. Si vous avez 10 minutes cette semaine, j'aimerais bénéficier de votre retour terrain. ${contexte ? `Contexte : ${contexte}.` : ''} Merci d'avance."`,
+      };
+    },
+  },
+  en: {
+    locale: 'en-GB',
+    interactionLabels: {
+      appel: 'call',
+      email: 'email',
+      rendez_vous: 'meeting',
+      message: 'message',
+      note: 'note',
+    },
+    objectivePrompts: {
+      relance: 'Write a short and polite follow-up email, starting with a "Subject:" line.',
+      motivation: 'Suggest a 7-day plan to get motivated again, in concrete and realistic steps.',
+      organisation: 'Suggest a structured week of job hunting, day by day.',
+      reseau: 'Write a short message asking someone in my network for a 10-minute chat.',
+    },
+    systemPrompt: [
+      'You help someone looking for a job. Answer in English, kindly and without jargon.',
+      'Give only the requested text, as plain text without markdown, ready to copy.',
+      'Do not make up any name, date or fact missing from the information given.',
+    ].join(' '),
+    prompt: {
+      domaine: (domaine) => `Target field: ${domaine}.`,
+      contexte: (contexte) => `Context given by the person: ${contexte}`,
+      contact: (contact) => `Recipient: ${contact.nom}, ${contact.organisation}.`,
+      expertise: (expertise) => `Field of the contact: ${expertise}.`,
+      notes: (notes) => `Notes about this contact: ${notes}`,
+      interactions: 'Latest exchanges (most recent first):',
+      application: (application) => `Application at this organisation: ${application.poste} (stage: ${application.statut}).`,
+    },
+    templates: ({ domaine, contexte, contact, day }) => {
+      const greeting = contact ? `Hello ${contact.nom},` : 'Hello,';
+      const lastExchange = contact ? ` on ${day(contact.dateAppel)}` : '';
+      return {
+        relance: `Subject: Following up on my application ${domaine ? `in ${domaine}` : 'for the role'}\n\n${greeting}\nI am following up on our conversation${lastExchange}. I am still very keen to work in ${domaine || 'a role matching my profile'}${contact ? ` at ${contact.organisation}` : ''}. ${contexte ? `Context: ${contexte}.` : ''}\nCould you let me know about the next steps?\n\nThank you for your reply.`,
+        motivation: `Motivation plan (7 days):\n1) 2 targeted, quality applications ${domaine ? `in ${domaine}` : ''}.\n2) 1 networking contact a day.\n3) 1 45-minute training session.\n4) Each evening: what worked and the next micro-step.\n${contexte ? `Starting point: ${contexte}.` : ''}`,
+        organisation: `Structured week:\n- Monday/Tuesday: targeted applications ${domaine ? `(${domaine})` : ''}.\n- Wednesday: follow-ups and calls.\n- Thursday: mock interview + CV review.\n- Friday: networking + job alerts.\n${contexte ? `Adjustment: ${contexte}.` : ''}`,
+        reseau: `Short networking message:\n"${greeting} I am currently looking for an opportunity ${domaine ? `in ${domaine}` : ''}. If you have 10 minutes this week, I would value your first-hand advice. ${contexte ? `Context: ${contexte}.` : ''} Thanks in advance."`,
+      };
+    },
+  },
+};
+
+function textsFor(language) {
+  return TEXTS[language] || TEXTS.fr;
+}
+
+function truncate(value, length) {
+  const text = String(value || '').trim();
+  return text.length > length ? `${text.slice(0, length)}...` : text;
+}
+
+function formatDay(value, { locale, timeZone }) {
+  return new Intl.DateTimeFormat(locale, { dateStyle: 'long', timeZone }).format(new Date(value));
+}
+
+// The fixed texts the app has always offered, in the request's language; a
+// contact, when given, is addressed by name and its latest exchange is recalled.
+function buildTemplate({ objectif, domaine, contexte, contact, language }, { timeZone } = {}) {
+  const texts = textsFor(language);
+  const day = (value) => formatDay(value, { locale: texts.locale, timeZone });
+  return texts.templates({ domaine, contexte, contact, day })[objectif];
+}
+
+// Chat messages for the model: the objective, then what the user wrote and
+// what the app knows about the chosen contact (notes and latest exchanges).
+function buildMessages(request, { timeZone } = {}) {
+  const { objectif, domaine, contexte, contact, interactions = [], applications = [], language } = request;
+  const texts = textsFor(language);
+  const lines = [texts.objectivePrompts[objectif]];
+  if (domaine) lines.push(texts.prompt.domaine(domaine));
+  if (contexte) lines.push(texts.prompt.contexte(contexte));
+  if (contact) {
+    lines.push('', texts.prompt.contact(contact));
+    if (contact.expertise) lines.push(texts.prompt.expertise(contact.expertise));
+    if (contact.notes) lines.push(texts.prompt.notes(truncate(contact.notes, MAX_NOTES_LENGTH)));
+    const recent = interactions.slice(0, MAX_INTERACTIONS);
+    if (recent.length) {
+      lines.push(texts.prompt.interactions);
+      for (const interaction of recent) {
+        const notes = interaction.notes ? `: ${truncate(interaction.notes, MAX_NOTES_LENGTH)}` : '';
+        const label = texts.interactionLabels[interaction.type] || interaction.type;
+        lines.push(`- ${formatDay(interaction.date, { locale: texts.locale, timeZone })}, ${label}${notes}`);
+      }
+    }
+    for (const application of applications) {
+      lines.push(texts.prompt.application(application));
+    }
+  }
+  return [
+    { role: 'system', content: texts.systemPrompt },
+    { role: 'user', content: lines.join('\n') },
+  ];
+}
+
+async function chatCompletion({ url, apiKey, model, timeoutMs }, messages) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+  const response = await fetch(`${url.replace(/\/+$/, '')}/chat/completions`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ model, messages, temperature: 0.7 }),
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  const data = await response.json();
+  const text = data && data.choices && data.choices[0] && data.choices[0].message && data.choices[0].message.content;
+  if (!text || !String(text).trim()) throw new Error('Empty answer.');
+  return String(text).trim();
+}
+
+function createAssistant({
+  provider = 'templates',
+  url,
+  apiKey,
+  model = 'local',
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  timeZone,
+  logger = console,
+} = {}) {
+  // Resolves to { text, provider, fallback }.
+  async function generate(request) {
+    if (provider === 'openai') {
+      try {
+        const messages = buildMessages(request, { timeZone });
+        return { text: await chatCompletion({ url, apiKey, model, timeoutMs }, messages), provider, fallback: false };
+      } catch (error) {
+        logger.error(`[ai] ${provider} unavailable, template answer used: ${error.message}`);
+        return { text: buildTemplate(request, { timeZone }), provider: 'templates', fallback: true };
+      }
+    }
+    return { text: buildTemplate(request, { timeZone }), provider: 'templates', fallback: false };
+  }
+
+  if (!['templates', 'openai'].includes(provider)) {
+    throw new Error(`Unknown AI provider: ${provider}`);
+  }
+  if (provider === 'openai' && !url) {
+    throw new Error('AI_API_URL is required with AI_PROVIDER=openai.');
+  }
+
+  return { provider, generate };
+}
+
+module.exports = { createAssistant, buildMessages, buildTemplate, OBJECTIVES };
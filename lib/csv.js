@@ -0,0 +1,102 @@
+// RFC 4180 CSV parsing and writing. Spreadsheets configured for French often
+// export with ';' instead of ',', so the delimiter is detected from the header
+// line when reading and ';' is the default when writing.
+
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  const candidates = [',', ';', '\t'];
+  let best = ',';
+  let bestCount = 0;
+  for (const delimiter of candidates) {
+    const count = firstLine.split(delimiter).length - 1;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+// Returns an array of records, each an array of field strings.
+function parseRecords(text, delimiter = detectDelimiter(text)) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+
+  return records.filter((r) => r.some((value) => value.trim() !== ''));
+}
+
+// Parses a CSV document with a header line into { columns, rows }, where each
+// row maps column names to values.
+function parse(text) {
+  const clean = String(text || '').replace(/^\uFEFF/, '');
+  const [header = [], ...records] = parseRecords(clean);
+  const columns = header.map((name) => name.trim());
+  const rows = records.map((record) => {
+    const row = {};
+    columns.forEach((name, index) => {
+      row[name] = (record[index] || '').trim();
+    });
+    return row;
+  });
+  return { columns, rows };
+}
+
+function formatField(value, delimiter) {
+  let text = value === undefined || value === null ? '' : String(value);
+  // A leading =, +, - or @ would be evaluated as a formula by spreadsheets.
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  if (text.includes('"') || text.includes(delimiter) || /[\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+// Writes rows (objects) as CSV with the given columns ({ key, label }). The
+// BOM lets Excel detect UTF-8 so accents survive a double-click open.
+function stringify(columns, rows, { delimiter = ';' } = {}) {
+  const lines = [columns.map((column) => formatField(column.label, delimiter)).join(delimiter)];
+  for (const row of rows) {
+    lines.push(columns.map((column) => formatField(row[column.key], delimiter)).join(delimiter));
+  }
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = { parse, parseRecords, detectDelimiter, stringify };
@@ -0,0 +1,13 @@
+// PostgreSQL connection pool shared by the server and the migrate command.
+// Render databases require TLS; PGSSLMODE=require forces it elsewhere.
+const { Pool } = require('pg');
+
+function createPool(databaseUrl = process.env.DATABASE_URL) {
+  const shouldUseSSL = process.env.PGSSLMODE === 'require' || databaseUrl.includes('render.com');
+  return new Pool({
+    connectionString: databaseUrl,
+    ssl: shouldUseSSL ? { rejectUnauthorized: false } : undefined,
+  });
+}
+
+module.exports = { createPool };
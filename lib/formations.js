@@ -0,0 +1,121 @@
+// Training catalogue: turns open-data dumps (CSV or JSON, e.g. the Carif-Oref
+// or Mon Compte Formation exports) into formation records.
+const crypto = require('crypto');
+const { normalizeKey, text, number, flag, validateCoordinates, parseDump } = require('./open-data');
+
+const FORMATION_LEVELS = ['debutant', 'intermediaire', 'avance', 'tous'];
+const FORMATION_MODES = ['presentiel', 'distanciel', 'mixte'];
+const FORMATION_STATUSES = ['favori', 'candidature', 'inscrit', 'en_cours', 'terminee', 'abandon'];
+
+// Header names recognised for each field (see mapColumns in lib/open-data.js).
+const COLUMN_ALIASES = {
+  id: ['id', 'identifiant', 'numeroformation', 'numeroaction', 'idaction', 'codeaction', 'numerosession'],
+  titre: ['titre', 'intitule', 'intituleformation', 'intituleaction', 'libelleformation', 'title'],
+  organisme: ['organisme', 'nomof', 'organismeformation', 'nomorganisme', 'raisonsociale', 'organismeformateur'],
+  description: ['description', 'objectif', 'objectifformation', 'pointsforts', 'contenu', 'contenuformation'],
+  ville: ['ville', 'commune', 'nomcommune', 'villeformation', 'lieu', 'lieuformation', 'city'],
+  latitude: ['latitude', 'lat'],
+  longitude: ['longitude', 'lon', 'lng', 'long'],
+  niveau: ['niveau', 'niveauentree', 'niveaudentree', 'niveauacces', 'libelleniveau', 'level'],
+  dureeHeures: ['dureeheures', 'duree', 'nombreheures', 'nombreheurestotal', 'nombreheurestotalmean', 'nbheures'],
+  modalite: ['modalite', 'modaliteenseignement', 'modalitesenseignement', 'modaliteformation', 'distanciel'],
+  cpf: ['cpf', 'eligiblecpf', 'eligibilitecpf', 'financementcpf'],
+  dateDebut: ['datedebut', 'debut', 'datedebutsession', 'debutsession'],
+  dateFin: ['datefin', 'fin', 'datefinsession', 'finsession'],
+  lien: ['lien', 'url', 'urlformation', 'urlaction', 'link'],
+};
+
+function normalizeLevel(value) {
+  const key = normalizeKey(value);
+  if (!key) return 'tous';
+  if (FORMATION_LEVELS.includes(key)) return key;
+  if (/debut|initiation|decouverte|aucun|sansniveau/.test(key)) return 'debutant';
+  if (/interm|moyen/.test(key)) return 'intermediaire';
+  if (/avance|confirme|expert|perfectionnement/.test(key)) return 'avance';
+  return 'tous';
+}
+
+// Carif-Oref codes the teaching mode as 0 (in person), 1 (remote), 2 (mixed).
+function normalizeMode(value) {
+  const key = normalizeKey(value);
+  if (key === '2' || /mixte|hybride|blended/.test(key)) return 'mixte';
+  if (key === '1' || /distan|ligne|remote|elearning|foad/.test(key)) return 'distanciel';
+  return 'presentiel';
+}
+
+// YYYY-MM-DD or DD/MM/YYYY to YYYY-MM-DD; empty is null, anything else undefined.
+function normalizeDay(value) {
+  const raw = text(value);
+  if (!raw) return null;
+  const match = raw.match(/^(\d{4})-(\d{2})-(\d{2})/) || raw.match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
+  if (!match) return undefined;
+  const [year, month, day] = match[1].length === 4 ? match.slice(1, 4) : [match[3], match[2], match[1]];
+  const date = new Date(`${year}-${month}-${day}T00:00:00Z`);
+  return Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== `${year}-${month}-${day}`
+    ? undefined
+    : `${year}-${month}-${day}`;
+}
+
+// Dumps without an id column get one from what identifies a session, so that
+// importing the same file again updates the formations instead of copying them.
+function derivedId(formation) {
+  const source = [formation.titre, formation.organisme, formation.ville, formation.dateDebut].map(normalizeKey);
+  return crypto.createHash('sha1').update(source.join('|')).digest('hex').slice(0, 32);
+}
+
+function sanitizeFormation(item) {
+  const formation = {
+    titre: text(item.titre),
+    organisme: text(item.organisme),
+    description: text(item.description),
+    ville: text(item.ville),
+    latitude: number(item.latitude),
+    longitude: number(item.longitude),
+    niveau: normalizeLevel(item.niveau),
+    dureeHeures: number(item.dureeHeures),
+    modalite: normalizeMode(item.modalite),
+    cpf: flag(item.cpf),
+    dateDebut: normalizeDay(item.dateDebut),
+    dateFin: normalizeDay(item.dateFin),
+    lien: text(item.lien),
+  };
+  if (Number.isFinite(formation.dureeHeures)) formation.dureeHeures = Math.round(formation.dureeHeures);
+  formation.id = text(item.id) || derivedId(formation);
+  return formation;
+}
+
+function validateFormation(formation) {
+  if (formation.id.length > 128) return 'formation_id_invalid';
+  if (!formation.titre) return 'formation_title_required';
+  if (formation.titre.length > 300) return 'formation_title_too_long';
+  if (formation.dureeHeures !== null && !(formation.dureeHeures >= 0)) return 'duration_invalid';
+  if (formation.dateDebut === undefined || formation.dateFin === undefined) return 'session_date_invalid';
+  if (formation.dateDebut && formation.dateFin && formation.dateDebut > formation.dateFin) {
+    return 'session_dates_reversed';
+  }
+  const coordinatesError = validateCoordinates(formation);
+  if (coordinatesError) return coordinatesError;
+  if (formation.lien && !/^https?:\/\/\S+$/i.test(formation.lien)) return 'link_invalid';
+  return null;
+}
+
+// Parses a dump into { formations, invalid, total } (see parseDump).
+function parseFormationImport(input) {
+  const { records, invalid, total } = parseDump(input, {
+    aliases: COLUMN_ALIASES,
+    listKeys: ['formations', 'results', 'records'],
+    sanitize: sanitizeFormation,
+    validate: validateFormation,
+    nameField: 'titre',
+  });
+  return { formations: records, invalid, total };
+}
+
+module.exports = {
+  FORMATION_LEVELS,
+  FORMATION_MODES,
+  FORMATION_STATUSES,
+  parseFormationImport,
+  sanitizeFormation,
+  validateFormation,
+};
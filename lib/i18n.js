@@ -0,0 +1,354 @@
+// Messages the API sends back, by stable code. Handlers and validators only
+// deal in codes ({ error: 'contact_not_found' }); sendJson() turns every
+// { error: code } it sends, nested ones included, into
+// { error: message, code } in the language of the request (Accept-Language).
+// A message is a string or a function of the object that carried the code.
+const LANGUAGES = ['fr', 'en'];
+const DEFAULT_LANGUAGE = 'fr';
+
+const MESSAGES = {
+  // Requests and sessions
+  invalid_request: { fr: 'Requête invalide.', en: 'Invalid request.' },
+  request_too_large: { fr: 'Requête trop volumineuse.', en: 'Request too large.' },
+  method_not_allowed: { fr: 'Méthode non autorisée.', en: 'Method not allowed.' },
+  route_not_found: { fr: 'Route introuvable.', en: 'Route not found.' },
+  server_error: { fr: 'Erreur serveur.', en: 'Server error.' },
+  unauthorized: { fr: 'Non autorisé.', en: 'Not authorised.' },
+  admin_only: { fr: 'Accès réservé aux administrateurs.', en: 'Administrators only.' },
+  too_many_attempts: {
+    fr: ({ retryAfter }) => `Trop de tentatives. Réessaie dans ${Math.ceil(retryAfter / 60)} minute(s).`,
+    en: ({ retryAfter }) => `Too many attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`,
+  },
+  // `reason` is one of the file_* codes below, written in the same language.
+  file_unreadable: {
+    fr: ({ format, reason, ...params }) =>
+      `Fichier illisible (${format || 'format inconnu'}) : ${message(reason, 'fr', params)}`,
+    en: ({ format, reason, ...params }) =>
+      `Unreadable file (${format || 'unknown format'}): ${message(reason, 'en', params)}`,
+  },
+  file_format_unknown: { fr: 'Format inconnu.', en: 'Unknown format.' },
+  file_syntax_invalid: { fr: 'Contenu JSON invalide.', en: 'Invalid JSON content.' },
+  file_list_expected: { fr: ({ list }) => `Liste attendue (${list}).`, en: ({ list }) => `List expected (${list}).` },
+  period_invalid: { fr: 'Période invalide.', en: 'Invalid period.' },
+  pagination_invalid: { fr: 'Pagination invalide.', en: 'Invalid pagination.' },
+  position_invalid: { fr: 'Position invalide.', en: 'Invalid position.' },
+  link_invalid: { fr: 'Lien invalide (http ou https attendu).', en: 'Invalid link (http or https expected).' },
+
+  // Account
+  email_invalid: { fr: 'Adresse email invalide.', en: 'Invalid email address.' },
+  password_too_short: {
+    fr: 'Mot de passe trop court (8 caractères minimum).',
+    en: 'Password too short (at least 8 characters).',
+  },
+  account_exists: { fr: 'Ce compte existe déjà. Connecte-toi.', en: 'This account already exists. Sign in.' },
+  login_failed: { fr: 'Email ou mot de passe incorrect.', en: 'Wrong email or password.' },
+  email_link_invalid: { fr: 'Lien invalide ou expiré.', en: 'Invalid or expired link.' },
+  current_password_wrong: { fr: 'Mot de passe actuel incorrect.', en: 'Wrong current password.' },
+  password_wrong: { fr: 'Mot de passe incorrect.', en: 'Wrong password.' },
+  session_not_found: { fr: 'Session introuvable.', en: 'Session not found.' },
+
+  // Contacts and their exchanges
+  contact_id_invalid: { fr: 'Identifiant de contact invalide.', en: 'Invalid contact id.' },
+  contact_id_missing: { fr: 'Identifiant de contact manquant.', en: 'Missing contact id.' },
+  contact_id_taken: { fr: 'Identifiant de contact déjà utilisé.', en: 'Contact id already in use.' },
+  contact_name_required: { fr: 'Nom du contact requis.', en: 'Contact name required.' },
+  organisation_required: { fr: 'Organisation requise.', en: 'Organisation required.' },
+  call_date_invalid: { fr: "Date d'appel invalide.", en: 'Invalid call date.' },
+  follow_up_date_invalid: { fr: 'Date de relance invalide.', en: 'Invalid follow-up date.' },
+  tags_too_many: { fr: '20 tags maximum par contact.', en: 'At most 20 tags per contact.' },
+  tag_too_long: { fr: 'Tag trop long (40 caractères maximum).', en: 'Tag too long (at most 40 characters).' },
+  contact_exists: { fr: 'Ce contact existe déjà.', en: 'This contact already exists.' },
+  contact_not_found: { fr: 'Contact introuvable.', en: 'Contact not found.' },
+  contact_conflict: {
+    fr: 'Ce contact a été modifié sur un autre appareil.',
+    en: 'This contact was changed on another device.',
+  },
+  sort_unknown: { fr: 'Tri inconnu.', en: 'Unknown sort order.' },
+  sync_cursor_invalid: { fr: 'Curseur de synchronisation invalide.', en: 'Invalid sync cursor.' },
+  sync_changes_expected: { fr: 'Format invalide : changes attendus.', en: 'Invalid format: changes expected.' },
+  interaction_type_unknown: { fr: "Type d'échange inconnu.", en: 'Unknown exchange type.' },
+  interaction_date_invalid: { fr: "Date de l'échange invalide.", en: 'Invalid exchange date.' },
+  interaction_not_found: { fr: 'Échange introuvable.', en: 'Exchange not found.' },
+  export_format_unknown: { fr: "Format d'export inconnu.", en: 'Unknown export format.' },
+  calendar_not_found: { fr: 'Agenda introuvable.', en: 'Calendar not found.' },
+
+  // Applications and organisations
+  application_id_invalid: { fr: 'Identifiant de candidature invalide.', en: 'Invalid application id.' },
+  job_title_required: { fr: 'Intitulé du poste requis.', en: 'Job title required.' },
+  company_required: { fr: 'Entreprise requise.', en: 'Company required.' },
+  application_status_unknown: { fr: 'Statut de candidature inconnu.', en: 'Unknown application status.' },
+  salary_invalid: { fr: 'Salaire invalide.', en: 'Invalid salary.' },
+  salary_range_invalid: { fr: 'Le salaire minimum dépasse le maximum.', en: 'The minimum salary exceeds the maximum.' },
+  application_exists: { fr: 'Cette candidature existe déjà.', en: 'This application already exists.' },
+  application_not_found: { fr: 'Candidature introuvable.', en: 'Application not found.' },
+  linked_contact_not_found: { fr: 'Contact lié introuvable.', en: 'Linked contact not found.' },
+  organisation_not_found: { fr: 'Organisation introuvable.', en: 'Organisation not found.' },
+  organisation_name_taken: {
+    fr: 'Une autre organisation porte déjà ce nom.',
+    en: 'Another organisation already has this name.',
+  },
+  organisation_merge_self: {
+    fr: 'Une organisation ne peut pas être fusionnée avec elle-même.',
+    en: 'An organisation cannot be merged into itself.',
+  },
+
+  // IA Booster and dashboard
+  objective_unknown: { fr: 'Objectif inconnu.', en: 'Unknown objective.' },
+  text_too_long: { fr: 'Texte trop long (2000 caractères maximum).', en: 'Text too long (at most 2000 characters).' },
+  stats_weeks_invalid: { fr: 'Nombre de semaines invalide.', en: 'Invalid number of weeks.' },
+  weekly_goal_invalid: { fr: 'Objectif hebdomadaire invalide.', en: 'Invalid weekly goal.' },
+
+  // Training catalogue and support services
+  level_unknown: { fr: 'Niveau inconnu.', en: 'Unknown level.' },
+  mode_unknown: { fr: 'Modalité inconnue.', en: 'Unknown training mode.' },
+  duration_invalid: { fr: 'Durée invalide.', en: 'Invalid duration.' },
+  formation_status_unknown: { fr: 'Statut de suivi inconnu.', en: 'Unknown tracking status.' },
+  formation_not_found: { fr: 'Formation introuvable.', en: 'Training not found.' },
+  formation_id_invalid: { fr: 'Identifiant de formation invalide.', en: 'Invalid training id.' },
+  formation_title_required: { fr: 'Intitulé de la formation requis.', en: 'Training title required.' },
+  formation_title_too_long: {
+    fr: 'Intitulé trop long (300 caractères maximum).',
+    en: 'Title too long (at most 300 characters).',
+  },
+  session_date_invalid: { fr: 'Date de session invalide.', en: 'Invalid session date.' },
+  session_dates_reversed: {
+    fr: 'La session se termine avant de commencer.',
+    en: 'The session ends before it starts.',
+  },
+  service_type_unknown: { fr: 'Type de structure inconnu.', en: 'Unknown type of service.' },
+  service_id_invalid: { fr: 'Identifiant de structure invalide.', en: 'Invalid service id.' },
+  service_name_required: { fr: 'Nom de la structure requis.', en: 'Service name required.' },
+  service_name_too_long: { fr: 'Nom trop long (300 caractères maximum).', en: 'Name too long (at most 300 characters).' },
+  postcode_invalid: { fr: 'Code postal invalide.', en: 'Invalid postcode.' },
+  postcode_or_city_required: { fr: 'Code postal ou ville requis.', en: 'Postcode or city required.' },
+  department_invalid: { fr: 'Département invalide.', en: 'Invalid department.' },
+  service_email_invalid: { fr: 'Email invalide.', en: 'Invalid email.' },
+  website_invalid: { fr: 'Site invalide (http ou https attendu).', en: 'Invalid website (http or https expected).' },
+  coordinates_incomplete: { fr: 'Coordonnées incomplètes.', en: 'Incomplete coordinates.' },
+  coordinates_invalid: { fr: 'Coordonnées invalides.', en: 'Invalid coordinates.' },
+
+  // Sharing with a counsellor
+  share_needs_verified_email: {
+    fr: "Confirme ton adresse email avant d'inviter un conseiller.",
+    en: 'Confirm your email address before inviting a counsellor.',
+  },
+  share_access_unknown: { fr: 'Accès inconnu.', en: 'Unknown access level.' },
+  share_self: { fr: 'Invite une autre adresse que la tienne.', en: 'Invite an address other than your own.' },
+  share_exists: {
+    fr: 'Cette adresse a déjà une invitation ou un accès.',
+    en: 'This address already has an invitation or access.',
+  },
+  share_invitation_invalid: { fr: 'Invitation invalide ou expirée.', en: 'Invalid or expired invitation.' },
+  share_wrong_address: {
+    fr: 'Cette invitation a été envoyée à une autre adresse.',
+    en: 'This invitation was sent to another address.',
+  },
+  share_not_found: { fr: 'Partage introuvable.', en: 'Share not found.' },
+  share_read_only: { fr: 'Accès en lecture seule.', en: 'Read-only access.' },
+  comment_target_unknown: { fr: 'Élément à commenter inconnu.', en: 'Unknown item to comment on.' },
+  comment_empty: { fr: 'Commentaire vide.', en: 'Empty comment.' },
+  comment_too_long: {
+    fr: 'Commentaire trop long (2000 caractères maximum).',
+    en: 'Comment too long (at most 2000 characters).',
+  },
+  comment_target_not_found: { fr: 'Contact ou candidature introuvable.', en: 'Contact or application not found.' },
+};
+
+const lines = (...rows) => rows.join('\n');
+
+// Texts the server writes itself: emails, calendars and the activity report.
+const TEXTS = {
+  // Emails
+  mail_greeting: { fr: 'Bonjour,', en: 'Hello,' },
+  verify_email_subject: { fr: 'OrganiJob - confirme ton adresse email', en: 'OrganiJob - confirm your email address' },
+  verify_email_body: {
+    fr: ({ link }) =>
+      lines(
+        'Pour confirmer ton adresse email sur OrganiJob, ouvre ce lien (valable 48 heures):',
+        link,
+        '',
+        "Si tu n'as pas créé de compte, ignore ce message."
+      ),
+    en: ({ link }) =>
+      lines(
+        'To confirm your email address on OrganiJob, open this link (valid for 48 hours):',
+        link,
+        '',
+        'If you did not create an account, ignore this message.'
+      ),
+  },
+  reset_email_subject: { fr: 'OrganiJob - réinitialisation du mot de passe', en: 'OrganiJob - password reset' },
+  reset_email_body: {
+    fr: ({ link }) =>
+      lines(
+        'Pour choisir un nouveau mot de passe, ouvre ce lien (valable 1 heure, utilisable une seule fois):',
+        link,
+        '',
+        "Si tu n'es pas à l'origine de cette demande, ignore ce message: ton mot de passe reste inchangé."
+      ),
+    en: ({ link }) =>
+      lines(
+        'To choose a new password, open this link (valid for 1 hour, single use):',
+        link,
+        '',
+        'If you did not ask for this, ignore this message: your password stays the same.'
+      ),
+  },
+  password_changed_email_subject: { fr: 'OrganiJob - mot de passe modifié', en: 'OrganiJob - password changed' },
+  password_changed_email_body: {
+    fr: ({ link }) =>
+      lines(
+        "Le mot de passe de ton compte OrganiJob vient d'être modifié.",
+        'Si ce n\'est pas toi, utilise "Mot de passe oublié" pour le réinitialiser:',
+        link
+      ),
+    en: ({ link }) =>
+      lines(
+        'The password of your OrganiJob account has just been changed.',
+        'If this was not you, use "Forgot your password?" to reset it:',
+        link
+      ),
+  },
+  account_deleted_email_subject: { fr: 'OrganiJob - compte supprimé', en: 'OrganiJob - account deleted' },
+  account_deleted_email_body: {
+    fr: ({ link }) =>
+      lines(
+        "Ton compte OrganiJob vient d'être supprimé, avec tes contacts, tes candidatures et tes partages.",
+        'Tu peux créer un nouveau compte à tout moment:',
+        link
+      ),
+    en: ({ link }) =>
+      lines(
+        'Your OrganiJob account has just been deleted, with your contacts, applications and shares.',
+        'You can create a new account at any time:',
+        link
+      ),
+  },
+  share_email_subject: {
+    fr: "OrganiJob - invitation à suivre une recherche d'emploi",
+    en: 'OrganiJob - invitation to follow a job search',
+  },
+  share_email_body: {
+    fr: ({ owner, access, link }) =>
+      lines(
+        `${owner} t'invite à suivre sa recherche d'emploi sur OrganiJob (${access}).`,
+        'Connecte-toi ou crée un compte avec cette adresse, puis ouvre ce lien (valable 7 jours):',
+        link,
+        '',
+        'Si tu ne connais pas cette personne, ignore ce message.'
+      ),
+    en: ({ owner, access, link }) =>
+      lines(
+        `${owner} invites you to follow their job search on OrganiJob (${access}).`,
+        'Sign in or create an account with this address, then open this link (valid for 7 days):',
+        link,
+        '',
+        'If you do not know this person, ignore this message.'
+      ),
+  },
+  share_access_lecture: { fr: 'lecture seule', en: 'read only' },
+  share_access_commentaire: { fr: 'lecture et commentaires', en: 'read and comment' },
+
+  // Calendars
+  calendar_follow_ups: { fr: 'OrganiJob - relances', en: 'OrganiJob - follow-ups' },
+  calendar_follow_up: {
+    fr: ({ titre, sousTitre }) => `Relance: ${titre} (${sousTitre})`,
+    en: ({ titre, sousTitre }) => `Follow-up: ${titre} (${sousTitre})`,
+  },
+  calendar_next_action_missing: { fr: 'Prochaine action à définir.', en: 'Next action to be decided.' },
+  calendar_calls: { fr: 'OrganiJob - appels', en: 'OrganiJob - calls' },
+  calendar_call: {
+    fr: ({ nom, organisation }) => `Appel: ${nom} (${organisation})`,
+    en: ({ nom, organisation }) => `Call: ${nom} (${organisation})`,
+  },
+
+  // Activity report
+  report_title: { fr: "Journal de recherche d'emploi", en: 'Job search log' },
+  report_account: { fr: ({ email }) => `Compte: ${email}`, en: ({ email }) => `Account: ${email}` },
+  report_period: { fr: ({ period }) => `Période: ${period}`, en: ({ period }) => `Period: ${period}` },
+  report_generated: { fr: ({ date }) => `Généré le ${date}`, en: ({ date }) => `Generated on ${date}` },
+  report_summary: { fr: 'Synthèse', en: 'Summary' },
+  report_totals: {
+    fr: ({ contacts, steps }) => `${contacts} contact(s) avec des professionnels, ${steps} étape(s) de candidature.`,
+    en: ({ contacts, steps }) => `${contacts} contact(s) with professionals, ${steps} application step(s).`,
+  },
+  report_contacts: { fr: 'Contacts et appels', en: 'Contacts and calls' },
+  report_no_contacts: { fr: 'Aucun contact sur la période.', en: 'No contacts in this period.' },
+  report_expertise: { fr: ({ value }) => `Expertise: ${value}`, en: ({ value }) => `Expertise: ${value}` },
+  report_inclusivity: {
+    fr: ({ value }) => `Valeurs inclusives: ${value}`,
+    en: ({ value }) => `Inclusive values: ${value}`,
+  },
+  report_notes: { fr: ({ value }) => `Notes: ${value}`, en: ({ value }) => `Notes: ${value}` },
+  report_follow_up: {
+    fr: ({ date, action }) => `Relance prévue le ${date}${action ? `: ${action}` : ''}`,
+    en: ({ date, action }) => `Follow-up planned on ${date}${action ? `: ${action}` : ''}`,
+  },
+  report_applications: { fr: 'Candidatures', en: 'Applications' },
+  report_no_applications: { fr: 'Aucune candidature sur la période.', en: 'No applications in this period.' },
+  report_step: {
+    fr: ({ date, stage, poste, entreprise }) => `${date} - ${stage}: ${poste} chez ${entreprise}`,
+    en: ({ date, stage, poste, entreprise }) => `${date} - ${stage}: ${poste} at ${entreprise}`,
+  },
+  period_between: { fr: ({ from, to }) => `du ${from} au ${to}`, en: ({ from, to }) => `from ${from} to ${to}` },
+  period_from: { fr: ({ from }) => `depuis le ${from}`, en: ({ from }) => `since ${from}` },
+  period_to: { fr: ({ to }) => `jusqu'au ${to}`, en: ({ to }) => `until ${to}` },
+  period_all: { fr: 'toutes les dates', en: 'all dates' },
+  stage_a_postuler: { fr: 'Candidature à préparer', en: 'Application to prepare' },
+  stage_envoyee: { fr: 'Candidature envoyée', en: 'Application sent' },
+  stage_entretien: { fr: 'Entretien', en: 'Interview' },
+  stage_offre: { fr: 'Offre reçue', en: 'Offer received' },
+  stage_refus: { fr: 'Réponse négative', en: 'Rejected' },
+};
+
+// The best supported language of an Accept-Language header ("en-GB,en;q=0.9").
+function pickLanguage(header) {
+  const ranked = String(header || '')
+    .split(',')
+    .map((part) => {
+      const [tag, ...options] = part.trim().toLowerCase().split(';');
+      const quality = options.map((option) => option.trim().match(/^q=([\d.]+)$/)).find(Boolean);
+      return { language: tag.split('-')[0], quality: quality ? Number(quality[1]) : 1 };
+    })
+    .filter(({ language, quality }) => LANGUAGES.includes(language) && quality > 0)
+    .sort((a, b) => b.quality - a.quality);
+  return ranked.length ? ranked[0].language : DEFAULT_LANGUAGE;
+}
+
+function isMessageCode(code) {
+  return typeof code === 'string' && Object.hasOwn(MESSAGES, code);
+}
+
+function pick(entry, language, params) {
+  const text = entry[language] || entry[DEFAULT_LANGUAGE];
+  return typeof text === 'function' ? text(params) : text;
+}
+
+// The message for `code` in `language`; `params` feeds the function messages.
+function message(code, language = DEFAULT_LANGUAGE, params = {}) {
+  return pick(MESSAGES[code], language, params);
+}
+
+// The server text `key` (see TEXTS) in `language`.
+function translate(key, language = DEFAULT_LANGUAGE, params = {}) {
+  return pick(TEXTS[key], language, params);
+}
+
+// An object whose `error` is a code gets the message instead, the code moving
+// to `code`; anything else (free text, other values) is returned unchanged.
+function localizeError(value, language) {
+  if (!value || typeof value !== 'object' || !isMessageCode(value.error)) return value;
+  return { ...value, error: message(value.error, language, value), code: value.error };
+}
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  MESSAGES,
+  TEXTS,
+  pickLanguage,
+  isMessageCode,
+  message,
+  translate,
+  localizeError,
+};
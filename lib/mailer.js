@@ -0,0 +1,195 @@
+// Outgoing mail behind one interface: createMailer(options).send({ to, subject, text }).
+// Transports: 'console' (prints the message, default), 'file' (one .eml per
+// message, for local testing) and 'smtp' (plain SMTP client with STARTTLS or
+// implicit TLS and AUTH PLAIN/LOGIN). Messages are plain UTF-8 text.
+const fs = require('fs');
+const path = require('path');
+const net = require('net');
+const tls = require('tls');
+const crypto = require('crypto');
+
+const SMTP_TIMEOUT_MS = 15000;
+
+function stripLineBreaks(value) {
+  return String(value || '').replace(/[\r\n]+/g, ' ').trim();
+}
+
+// RFC 2047 encoded-word for non-ASCII header values (accents in subjects).
+function encodeHeader(value) {
+  const clean = stripLineBreaks(value);
+  return /^[\x20-\x7e]*$/.test(clean) ? clean : `=?UTF-8?B?${Buffer.from(clean, 'utf8').toString('base64')}?=`;
+}
+
+function extractAddress(value) {
+  const match = String(value).match(/<([^>]+)>/);
+  return stripLineBreaks(match ? match[1] : value);
+}
+
+function buildMessage({ from, to, subject, text }) {
+  const domain = extractAddress(from).split('@')[1] || 'localhost';
+  const body = Buffer.from(String(text || ''), 'utf8')
+    .toString('base64')
+    .replace(/.{1,76}/g, '$&\r\n');
+  return [
+    `From: ${stripLineBreaks(from)}`,
+    `To: ${stripLineBreaks(to)}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    body,
+  ].join('\r\n');
+}
+
+// Wraps a socket into a command/reply exchange. Multi-line replies
+// ("250-...", then "250 ...") are collected into one { code, lines } reply.
+function smtpChannel(socket) {
+  let buffer = '';
+  let lines = [];
+  let failure = null;
+  const replies = [];
+  const waiting = [];
+
+  function settle() {
+    while (waiting.length && (replies.length || failure)) {
+      const { resolve, reject } = waiting.shift();
+      if (replies.length) resolve(replies.shift());
+      else reject(failure);
+    }
+  }
+
+  socket.setTimeout(SMTP_TIMEOUT_MS, () => socket.destroy(new Error('SMTP timeout.')));
+  socket.on('data', (chunk) => {
+    buffer += chunk.toString('utf8');
+    let end = buffer.indexOf('\r\n');
+    while (end !== -1) {
+      const line = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      lines.push(line.slice(4));
+      if (line[3] !== '-') {
+        replies.push({ code: Number(line.slice(0, 3)), lines });
+        lines = [];
+      }
+      end = buffer.indexOf('\r\n');
+    }
+    settle();
+  });
+  socket.on('error', (error) => {
+    failure = error;
+    settle();
+  });
+  socket.on('close', () => {
+    failure = failure || new Error('SMTP connection closed.');
+    settle();
+  });
+
+  async function command(line, expectedCode) {
+    if (line !== null) socket.write(`${line}\r\n`);
+    const reply = await new Promise((resolve, reject) => {
+      waiting.push({ resolve, reject });
+      settle();
+    });
+    if (reply.code !== expectedCode) {
+      throw new Error(`SMTP ${reply.code}: ${reply.lines.join(' ')}`);
+    }
+    return reply;
+  }
+
+  return { socket, command };
+}
+
+function connect(options) {
+  return new Promise((resolve, reject) => {
+    const socket = options.secure
+      ? tls.connect({ host: options.host, port: options.port, servername: options.host })
+      : net.connect({ host: options.host, port: options.port });
+    socket.once(options.secure ? 'secureConnect' : 'connect', () => resolve(socket));
+    socket.once('error', reject);
+  });
+}
+
+function upgradeToTls(socket, host) {
+  return new Promise((resolve, reject) => {
+    socket.removeAllListeners('data');
+    socket.removeAllListeners('close');
+    socket.setTimeout(0);
+    const secure = tls.connect({ socket, servername: host }, () => resolve(secure));
+    secure.once('error', reject);
+  });
+}
+
+async function sendSmtp(options, envelope, message) {
+  const hostname = options.hostname || 'localhost';
+  let channel = smtpChannel(await connect(options));
+  let encrypted = Boolean(options.secure);
+
+  try {
+    await channel.command(null, 220);
+    let hello = await channel.command(`EHLO ${hostname}`, 250);
+
+    if (!encrypted && hello.lines.some((line) => /^STARTTLS\b/i.test(line))) {
+      await channel.command('STARTTLS', 220);
+      channel = smtpChannel(await upgradeToTls(channel.socket, options.host));
+      encrypted = true;
+      hello = await channel.command(`EHLO ${hostname}`, 250);
+    }
+
+    if (options.user) {
+      if (!encrypted) {
+        throw new Error('SMTP authentication refused without TLS.');
+      }
+      const auth = hello.lines.find((line) => /^AUTH\b/i.test(line)) || '';
+      if (/\bPLAIN\b/i.test(auth) || !/\bLOGIN\b/i.test(auth)) {
+        const credentials = Buffer.from(`\0${options.user}\0${options.pass || ''}`).toString('base64');
+        await channel.command(`AUTH PLAIN ${credentials}`, 235);
+      } else {
+        await channel.command('AUTH LOGIN', 334);
+        await channel.command(Buffer.from(options.user).toString('base64'), 334);
+        await channel.command(Buffer.from(options.pass || '').toString('base64'), 235);
+      }
+    }
+
+    await channel.command(`MAIL FROM:<${envelope.from}>`, 250);
+    await channel.command(`RCPT TO:<${envelope.to}>`, 250);
+    await channel.command('DATA', 354);
+    // Dot-stuffing: a line starting with '.' gets a second one.
+    await channel.command(`${message.replace(/^\./gm, '..')}\r\n.`, 250);
+    await channel.command('QUIT', 221).catch(() => {});
+  } finally {
+    channel.socket.destroy();
+  }
+}
+
+function createMailer({ transport = 'console', from, directory, smtp = {}, logger = console } = {}) {
+  async function send({ to, subject, text }) {
+    const message = buildMessage({ from, to, subject, text });
+
+    if (transport === 'smtp') {
+      await sendSmtp(smtp, { from: extractAddress(from), to: extractAddress(to) }, message);
+      return;
+    }
+
+    if (transport === 'file') {
+      await fs.promises.mkdir(directory, { recursive: true });
+      const filename = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomUUID()}.eml`;
+      await fs.promises.writeFile(path.join(directory, filename), message);
+      return;
+    }
+
+    logger.log(`[mail] To: ${to}\n[mail] Subject: ${subject}\n${text}\n`);
+  }
+
+  if (!['console', 'file', 'smtp'].includes(transport)) {
+    throw new Error(`Unknown mail transport: ${transport}`);
+  }
+  if (transport === 'smtp' && !smtp.host) {
+    throw new Error('SMTP_HOST is required with MAIL_TRANSPORT=smtp.');
+  }
+
+  return { transport, send };
+}
+
+module.exports = { createMailer, buildMessage };
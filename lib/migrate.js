@@ -0,0 +1,166 @@
+// Versioned schema migrations. migrations/NNN_name.up.sql applies a change and
+// NNN_name.down.sql reverts it; applied versions are recorded in
+// schema_migrations. Each migration runs in its own transaction, and a
+// PostgreSQL advisory lock makes concurrent instances wait for each other
+// instead of applying the same migration twice.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+// Any constant works, as long as every instance of the app uses the same one.
+const LOCK_KEY = 740153;
+
+function loadMigrations(directory = MIGRATIONS_DIR) {
+  const byVersion = new Map();
+
+  for (const file of fs.readdirSync(directory).sort()) {
+    const match = file.match(/^(\d+)_([\w-]+)\.(up|down)\.sql$/);
+    if (!match) continue;
+    const version = Number(match[1]);
+    const migration = byVersion.get(version) || { version, name: match[2] };
+    if (migration.name !== match[2]) {
+      throw new Error(`Two migrations share number ${version}: ${migration.name} and ${match[2]}.`);
+    }
+    migration[match[3]] = fs.readFileSync(path.join(directory, file), 'utf8');
+    byVersion.set(version, migration);
+  }
+
+  return [...byVersion.values()]
+    .sort((a, b) => a.version - b.version)
+    .map((migration) => {
+      if (!migration.up) throw new Error(`Migration ${migration.version}_${migration.name}: missing .up.sql file.`);
+      return { ...migration, checksum: crypto.createHash('sha256').update(migration.up).digest('hex') };
+    });
+}
+
+function label(migration) {
+  return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+}
+
+// Runs fn with a dedicated connection holding the migration lock.
+async function withLock(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+    try {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+          version INTEGER PRIMARY KEY,
+          name TEXT NOT NULL,
+          checksum TEXT NOT NULL,
+          applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        );
+      `);
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+async function inTransaction(client, fn) {
+  await client.query('BEGIN');
+  try {
+    await fn();
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  }
+}
+
+async function listApplied(client) {
+  const result = await client.query(
+    'SELECT version, name, checksum, applied_at AS "appliedAt" FROM schema_migrations ORDER BY version'
+  );
+  return new Map(result.rows.map((row) => [row.version, row]));
+}
+
+// Applies every pending migration in order and returns the ones applied.
+async function migrate(pool, { migrations = loadMigrations(), logger = console } = {}) {
+  return withLock(pool, async (client) => {
+    const applied = await listApplied(client);
+    const done = [];
+
+    for (const migration of migrations) {
+      const previous = applied.get(migration.version);
+      if (previous) {
+        if (previous.checksum !== migration.checksum) {
+          logger.warn(`Migration ${label(migration)} was modified after being applied.`);
+        }
+        continue;
+      }
+
+      try {
+        await inTransaction(client, async () => {
+          await client.query(migration.up);
+          await client.query('INSERT INTO schema_migrations(version, name, checksum) VALUES($1, $2, $3)', [
+            migration.version,
+            migration.name,
+            migration.checksum,
+          ]);
+        });
+      } catch (error) {
+        error.message = `Migration ${label(migration)}: ${error.message}`;
+        throw error;
+      }
+      logger.log(`Migration ${label(migration)} applied.`);
+      done.push(migration);
+    }
+
+    return done;
+  });
+}
+
+// Reverts the last `steps` applied migrations, newest first.
+async function rollback(pool, { steps = 1, migrations = loadMigrations(), logger = console } = {}) {
+  return withLock(pool, async (client) => {
+    const result = await client.query('SELECT version, name FROM schema_migrations ORDER BY version DESC LIMIT $1', [
+      steps,
+    ]);
+    const done = [];
+
+    for (const row of result.rows) {
+      const migration = migrations.find((candidate) => candidate.version === row.version);
+      if (!migration || !migration.down) {
+        throw new Error(`Migration ${label(row)}: no .down.sql file, cannot roll back.`);
+      }
+
+      await inTransaction(client, async () => {
+        await client.query(migration.down);
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+      });
+      logger.log(`Migration ${label(migration)} rolled back.`);
+      done.push(migration);
+    }
+
+    return done;
+  });
+}
+
+// One entry per known or applied migration: state is 'applied', 'pending',
+// 'modified' (file changed since it was applied) or 'missing' (no file).
+async function status(pool, { migrations = loadMigrations() } = {}) {
+  return withLock(pool, async (client) => {
+    const applied = await listApplied(client);
+    const entries = migrations.map((migration) => {
+      const row = applied.get(migration.version);
+      let state = 'pending';
+      if (row) state = row.checksum === migration.checksum ? 'applied' : 'modified';
+      return { version: migration.version, name: migration.name, state, appliedAt: row ? row.appliedAt : null };
+    });
+
+    for (const row of applied.values()) {
+      if (!migrations.some((migration) => migration.version === row.version)) {
+        entries.push({ version: row.version, name: row.name, state: 'missing', appliedAt: row.appliedAt });
+      }
+    }
+
+    return entries.sort((a, b) => a.version - b.version);
+  });
+}
+
+module.exports = { loadMigrations, migrate, rollback, status, label };
@@ -0,0 +1,132 @@
+// Shared by the catalogue imports (lib/formations.js, lib/services.js): reads
+// an open-data dump (CSV or JSON), maps its loosely named columns to our
+// fields, saves the records, and computes the distance used by the "near me"
+// searches.
+const csv = require('./csv');
+
+const EARTH_RADIUS_KM = 6371;
+
+function normalizeKey(value) {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+}
+
+function text(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// "12,5" and "12.5" are the same number; empty is null, anything else NaN.
+function number(value) {
+  const raw = text(value).replace(',', '.');
+  return raw === '' ? null : Number(raw);
+}
+
+function flag(value) {
+  if (typeof value === 'boolean') return value;
+  return ['oui', 'o', 'true', 'vrai', '1', 'yes', 'y', 'x'].includes(normalizeKey(value));
+}
+
+// Both coordinates or neither, within range; returns the error code or null.
+function validateCoordinates({ latitude, longitude }) {
+  if ((latitude === null) !== (longitude === null)) return 'coordinates_incomplete';
+  if (latitude !== null && !(Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180)) {
+    return 'coordinates_invalid';
+  }
+  return null;
+}
+
+// `aliases` maps each field to the header names it may have, compared after
+// normalizeKey(); the first one present wins.
+function mapColumns(row, aliases) {
+  const byKey = new Map(Object.keys(row).map((name) => [normalizeKey(name), name]));
+  const item = {};
+  for (const [field, names] of Object.entries(aliases)) {
+    const alias = names.find((candidate) => byKey.has(candidate));
+    if (alias) item[field] = row[byKey.get(alias)];
+  }
+  return item;
+}
+
+// Parses a dump into { records, invalid, total }. Each row is mapped with
+// `aliases`, then `sanitize` makes it a record with an id and `validate`
+// returns its error code (see lib/i18n) or null; invalid lists
+// { line, [nameField], error } for the rows left out. A JSON dump is a list,
+// or an object holding it under one of `listKeys`. Throws on content that
+// cannot be parsed, with a file_* code of lib/i18n as message (or the
+// SyntaxError of JSON.parse).
+function parseDump({ format, content }, { aliases, listKeys, sanitize, validate, nameField }) {
+  const source = String(content || '');
+  let rows;
+  let firstLine;
+  if (format === 'json') {
+    const parsed = JSON.parse(source);
+    const key = parsed && !Array.isArray(parsed) && listKeys.find((name) => Array.isArray(parsed[name]));
+    const items = Array.isArray(parsed) ? parsed : key && parsed[key];
+    if (!Array.isArray(items)) throw new Error('file_list_expected');
+    rows = items.filter((item) => item && typeof item === 'object');
+    firstLine = 1;
+  } else if (format === 'csv') {
+    rows = csv.parse(source).rows;
+    firstLine = 2;
+  } else {
+    throw new Error('file_format_unknown');
+  }
+
+  const byId = new Map();
+  const invalid = [];
+  rows.forEach((row, index) => {
+    const record = sanitize(mapColumns(row, aliases));
+    const error = validate(record);
+    if (error) invalid.push({ line: firstLine + index, [nameField]: record[nameField], error });
+    // A later line with the same id replaces the earlier one.
+    else byId.set(record.id, record);
+  });
+  return { records: [...byId.values()], invalid, total: rows.length };
+}
+
+// Saves the records in store[table] in one transaction, or with `dryRun` only
+// counts them. Resolves to { created, updated }.
+async function importRecords(store, table, records, { dryRun = false } = {}) {
+  let created = 0;
+  if (dryRun) {
+    for (const record of records) {
+      if (!(await store[table].find(record.id, null))) created += 1;
+    }
+  } else {
+    await store.transaction(async (tx) => {
+      for (const record of records) {
+        if (await tx[table].upsert(record)) created += 1;
+      }
+    });
+  }
+  return { created, updated: records.length - created };
+}
+
+// Great-circle distance in kilometres; the PostgreSQL store computes the same
+// formula in SQL.
+function distanceKm(from, to) {
+  const radians = (degrees) => (degrees * Math.PI) / 180;
+  const cosine =
+    Math.cos(radians(from.latitude)) *
+      Math.cos(radians(to.latitude)) *
+      Math.cos(radians(to.longitude) - radians(from.longitude)) +
+    Math.sin(radians(from.latitude)) * Math.sin(radians(to.latitude));
+  return EARTH_RADIUS_KM * Math.acos(Math.min(1, Math.max(-1, cosine)));
+}
+
+module.exports = {
+  EARTH_RADIUS_KM,
+  normalizeKey,
+  text,
+  number,
+  flag,
+  validateCoordinates,
+  parseDump,
+  importRecords,
+  distanceKm,
+};
@@ -0,0 +1,16 @@
+// Organisation names are deduplicated on a key: lowercase, accents dropped,
+// only letters and digits kept, so "Société ABC", "societe abc" and
+// "Societe A.B.C." are the same organisation. Migration 008 computes the same
+// key in SQL for existing rows.
+function organisationKey(name) {
+  const trimmed = String(name || '').trim();
+  const key = trimmed
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+  // Names without any latin letter or digit are compared as typed.
+  return key || trimmed.toLowerCase();
+}
+
+module.exports = { organisationKey };
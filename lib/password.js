@@ -0,0 +1,49 @@
+// Password hashing with scrypt, run on the libuv thread pool so logins do not
+// block the event loop. The parameters are stored with each hash
+// ("scrypt$N$r$p$salt$hash"), so they can be raised later: older hashes keep
+// verifying and needsRehash() tells the caller to upgrade them at login.
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+const pbkdf2 = promisify(crypto.pbkdf2);
+
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+
+function scryptOptions(N, r, p) {
+  // Node refuses scrypt above 32 MiB of memory unless maxmem is raised.
+  return { N, r, p, maxmem: 256 * N * r };
+}
+
+async function hashPassword(password) {
+  const { N, r, p } = SCRYPT_PARAMS;
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt, KEY_LENGTH, scryptOptions(N, r, p));
+  return ['scrypt', N, r, p, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+// Hashes created before scrypt are PBKDF2-SHA512 hex digests whose salt lives
+// in the separate users.password_salt column.
+async function verifyPassword(password, storedHash, legacySalt) {
+  const parts = String(storedHash || '').split('$');
+
+  if (parts[0] === 'scrypt' && parts.length === 6) {
+    const [, N, r, p, salt, hash] = parts;
+    const expected = Buffer.from(hash, 'base64');
+    const key = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, scryptOptions(+N, +r, +p));
+    return crypto.timingSafeEqual(key, expected);
+  }
+
+  if (!legacySalt) return false;
+  const expected = Buffer.from(String(storedHash), 'hex');
+  const key = await pbkdf2(password, legacySalt, 100000, 64, 'sha512');
+  return expected.length === key.length && crypto.timingSafeEqual(key, expected);
+}
+
+function needsRehash(storedHash) {
+  const [scheme, N, r, p] = String(storedHash || '').split('$');
+  return scheme !== 'scrypt' || +N < SCRYPT_PARAMS.N || +r < SCRYPT_PARAMS.r || +p < SCRYPT_PARAMS.p;
+}
+
+module.exports = { hashPassword, verifyPassword, needsRehash };
@@ -0,0 +1,119 @@
+// Minimal PDF 1.4 writer for printable text reports: A4 pages, the standard
+// Helvetica fonts in WinAnsi encoding (covers French accents), automatic
+// line wrapping and page breaks. No images, tables or embedded fonts.
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+const LINE_SPACING = 1.35;
+
+// Average glyph width of Helvetica in em; good enough to wrap report text.
+const AVERAGE_CHAR_WIDTH = 0.5;
+
+// Code points where Windows-1252 differs from Latin-1.
+const WIN_ANSI_EXTRAS = {
+  0x20ac: 0x80, 0x201a: 0x82, 0x0192: 0x83, 0x201e: 0x84, 0x2026: 0x85, 0x2020: 0x86,
+  0x2021: 0x87, 0x02c6: 0x88, 0x2030: 0x89, 0x0160: 0x8a, 0x2039: 0x8b, 0x0152: 0x8c,
+  0x017d: 0x8e, 0x2018: 0x91, 0x2019: 0x92, 0x201c: 0x93, 0x201d: 0x94, 0x2022: 0x95,
+  0x2013: 0x96, 0x2014: 0x97, 0x02dc: 0x98, 0x2122: 0x99, 0x0161: 0x9a, 0x203a: 0x9b,
+  0x0153: 0x9c, 0x017e: 0x9e, 0x0178: 0x9f,
+};
+
+function encodeText(text) {
+  const bytes = [];
+  for (const char of String(text)) {
+    const code = char.codePointAt(0);
+    let byte = WIN_ANSI_EXTRAS[code];
+    if (byte === undefined) byte = code === 0x202f || code === 0xa0 ? 0x20 : code;
+    if (byte > 0xff || (byte < 0x20 && byte !== 0x09)) byte = 0x3f; // '?'
+    if (byte === 0x28 || byte === 0x29 || byte === 0x5c) bytes.push(0x5c); // escape ( ) \
+    bytes.push(byte);
+  }
+  return Buffer.from(bytes).toString('latin1');
+}
+
+function wrapText(text, size, width) {
+  const maxChars = Math.max(10, Math.floor(width / (size * AVERAGE_CHAR_WIDTH)));
+  const lines = [];
+  for (const paragraph of String(text).split(/\r?\n/)) {
+    let line = '';
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (candidate.length <= maxChars) {
+        line = candidate;
+        continue;
+      }
+      if (line) lines.push(line);
+      line = word;
+      while (line.length > maxChars) {
+        lines.push(line.slice(0, maxChars));
+        line = line.slice(maxChars);
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+// Lays out blocks ({ text, size = 10, bold = false, indent = 0, spaceBefore = 0 })
+// top to bottom and returns the PDF document as a Buffer.
+function buildPdf(blocks, { title = 'Document' } = {}) {
+  const pages = [[]];
+  let y = PAGE_HEIGHT - MARGIN;
+
+  for (const block of blocks) {
+    const size = block.size || 10;
+    const indent = block.indent || 0;
+    const lineHeight = size * LINE_SPACING;
+    y -= block.spaceBefore || 0;
+
+    for (const line of wrapText(block.text, size, PAGE_WIDTH - 2 * MARGIN - indent)) {
+      if (y - lineHeight < MARGIN) {
+        pages.push([]);
+        y = PAGE_HEIGHT - MARGIN;
+      }
+      y -= lineHeight;
+      const font = block.bold ? 'F2' : 'F1';
+      pages[pages.length - 1].push(
+        `BT /${font} ${size} Tf ${MARGIN + indent} ${y.toFixed(2)} Td (${encodeText(line)}) Tj ET`
+      );
+    }
+  }
+
+  // Objects: 1 catalog, 2 page tree, 3-4 fonts, 5 info, then page + content pairs.
+  const objects = [];
+  const pageIds = pages.map((_, index) => 6 + index * 2);
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+  objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+  objects[5] = `<< /Title (${encodeText(title)}) /Producer (OrganiJob) >>`;
+
+  pages.forEach((commands, index) => {
+    const pageId = pageIds[index];
+    const footer = `BT /F1 8 Tf ${PAGE_WIDTH - MARGIN - 40} 30 Td (${index + 1} / ${pages.length}) Tj ET`;
+    const stream = [...commands, footer].join('\n');
+    objects[pageId] =
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+    objects[pageId + 1] = `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`;
+  });
+
+  let output = '%PDF-1.4\n';
+  const offsets = [];
+  for (let id = 1; id < objects.length; id += 1) {
+    offsets[id] = Buffer.byteLength(output, 'latin1');
+    output += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+
+  const xrefOffset = Buffer.byteLength(output, 'latin1');
+  output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id += 1) {
+    output += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+  }
+  output += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(output, 'latin1');
+}
+
+module.exports = { buildPdf };
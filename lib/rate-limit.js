@@ -0,0 +1,85 @@
+// In-memory throttling for the auth routes. State is per process: enough for
+// one instance, and a restart only gives an attacker a fresh window.
+//
+// - createRateLimiter: at most `max` hits per key in a fixed window.
+// - createLockout: after `freeAttempts` failures a key is locked, for a delay
+//   that doubles with each further failure (capped), until a success.
+//
+// Both return the number of seconds to wait (0 when allowed), which is what
+// the Retry-After header carries. Keys are whatever the caller throttles on:
+// a client IP, a normalised email, a user id.
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+const MAX_KEYS = 100000;
+
+function remember(map, key, value) {
+  // Bound memory under a flood of distinct keys: drop the oldest entry.
+  if (!map.has(key) && map.size >= MAX_KEYS) map.delete(map.keys().next().value);
+  map.set(key, value);
+}
+
+function sweepEvery(map, isStale) {
+  const timer = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of map) {
+      if (isStale(entry, now)) map.delete(key);
+    }
+  }, SWEEP_INTERVAL_MS);
+  timer.unref();
+}
+
+function createRateLimiter({ windowMs, max }) {
+  const hits = new Map();
+  sweepEvery(hits, (entry, now) => entry.resetAt <= now);
+
+  // Counts one hit and tells whether it went over the limit.
+  function hit(key, now = Date.now()) {
+    let entry = hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      remember(hits, key, entry);
+    }
+    entry.count += 1;
+    return entry.count > max ? Math.ceil((entry.resetAt - now) / 1000) : 0;
+  }
+
+  // Tells whether the limit is already reached, without counting a hit.
+  function retryAfter(key, now = Date.now()) {
+    const entry = hits.get(key);
+    return entry && entry.resetAt > now && entry.count >= max ? Math.ceil((entry.resetAt - now) / 1000) : 0;
+  }
+
+  return { hit, retryAfter };
+}
+
+function createLockout({ freeAttempts, baseDelayMs, maxDelayMs, forgetAfterMs }) {
+  const failures = new Map();
+  sweepEvery(failures, (entry, now) => entry.lockedUntil <= now && now - entry.lastFailure > forgetAfterMs);
+
+  function retryAfter(key, now = Date.now()) {
+    const entry = failures.get(key);
+    return entry && entry.lockedUntil > now ? Math.ceil((entry.lockedUntil - now) / 1000) : 0;
+  }
+
+  function fail(key, now = Date.now()) {
+    let entry = failures.get(key);
+    if (!entry || now - entry.lastFailure > forgetAfterMs) {
+      entry = { count: 0, lockedUntil: 0, lastFailure: now };
+      remember(failures, key, entry);
+    }
+    entry.count += 1;
+    entry.lastFailure = now;
+    if (entry.count >= freeAttempts) {
+      entry.lockedUntil = now + Math.min(maxDelayMs, baseDelayMs * 2 ** (entry.count - freeAttempts));
+    }
+    return retryAfter(key, now);
+  }
+
+  function succeed(key) {
+    failures.delete(key);
+  }
+
+  return { retryAfter, fail, succeed };
+}
+
+module.exports = { createRateLimiter, createLockout };
@@ -0,0 +1,211 @@
+// Small HTTP routing layer: routes by method and path pattern ("/api/contacts/:id"),
+// middleware chains (req, res, next), JSON body parsing and one place where
+// thrown errors become JSON responses ({ error, code }, see ./i18n).
+//
+// Handlers get req.path, req.query (URLSearchParams), req.params (decoded) and
+// req.route (the matched pattern, used in logs so tokens in URLs stay out).
+
+const { pickLanguage, localizeError } = require('./i18n');
+
+const MAX_BODY_BYTES = 1e6;
+
+// `code` is a message code of ./i18n; `details` go into the response with it.
+class HttpError extends Error {
+  constructor(status, code, { headers = {}, details = {} } = {}) {
+    super(code);
+    this.status = status;
+    this.headers = headers;
+    this.details = details;
+  }
+}
+
+// Every { error: code } in the payload is sent in the language of the request.
+function sendJson(res, code, payload, headers = {}) {
+  const language = pickLanguage(res.req && res.req.headers['accept-language']);
+  const body = JSON.stringify(payload, (key, value) => localizeError(value, language));
+  res.writeHead(code, {
+    ...headers,
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(body),
+  });
+  res.end(body);
+}
+
+// Resolves to the parsed JSON object ({} for an empty body).
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    let tooLarge = false;
+
+    req.on('data', (chunk) => {
+      if (tooLarge) return;
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        tooLarge = true;
+        reject(new HttpError(413, 'request_too_large', { headers: { Connection: 'close' } }));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (tooLarge) return;
+      const data = Buffer.concat(chunks).toString('utf8');
+      if (!data) {
+        resolve({});
+        return;
+      }
+      try {
+        const parsed = JSON.parse(data);
+        if (!parsed || typeof parsed !== 'object') throw new Error('not an object');
+        resolve(parsed);
+      } catch {
+        reject(new HttpError(400, 'invalid_request'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function compilePath(pattern) {
+  const keys = [];
+  const source = pattern
+    .split(/(:[A-Za-z]+)/)
+    .map((part) => {
+      if (!part.startsWith(':')) return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      keys.push(part.slice(1));
+      return '([^/]+?)';
+    })
+    .join('');
+  return { regex: new RegExp(`^${source}$`), keys };
+}
+
+async function runChain(handlers, req, res) {
+  let index = 0;
+  const next = async () => {
+    const handler = handlers[index];
+    index += 1;
+    if (handler) await handler(req, res, next);
+  };
+  await next();
+}
+
+// fallback(req, res) handles requests no route matches (static files);
+// without one they get a JSON 404.
+function createRouter({ fallback, logger = console } = {}) {
+  const middleware = [];
+  const routes = [];
+
+  function add(method, pattern, handlers) {
+    routes.push({ method, pattern, handlers, ...compilePath(pattern) });
+  }
+
+  async function dispatch(req, res) {
+    const matching = routes.filter((route) => route.regex.test(req.path));
+    const route = matching.find((candidate) => candidate.method === req.method);
+
+    if (!route) {
+      if (matching.length) {
+        const allow = [...new Set(matching.map((candidate) => candidate.method))].join(', ');
+        throw new HttpError(405, 'method_not_allowed', { headers: { Allow: allow } });
+      }
+      if (fallback) {
+        await fallback(req, res);
+        return;
+      }
+      throw new HttpError(404, 'route_not_found');
+    }
+
+    const values = req.path.match(route.regex).slice(1);
+    req.params = {};
+    try {
+      route.keys.forEach((key, index) => {
+        req.params[key] = decodeURIComponent(values[index]);
+      });
+    } catch {
+      throw new HttpError(400, 'invalid_request');
+    }
+    req.route = route.pattern;
+    await runChain(route.handlers, req, res);
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    req.path = url.pathname;
+    req.query = url.searchParams;
+
+    try {
+      await runChain([...middleware, dispatch], req, res);
+    } catch (error) {
+      if (res.headersSent) {
+        res.destroy(error);
+        return;
+      }
+      if (error instanceof HttpError) {
+        sendJson(res, error.status, { error: error.message, ...error.details }, error.headers);
+        return;
+      }
+      logger.error(`${req.method} ${req.route || req.path} failed:`, error);
+      sendJson(res, 500, { error: 'server_error' });
+    }
+  }
+
+  const router = {
+    use(fn) {
+      middleware.push(fn);
+      return router;
+    },
+    handle,
+  };
+  for (const method of ['GET', 'POST', 'PUT', 'PATCH', 'DELETE']) {
+    router[method.toLowerCase()] = (pattern, ...handlers) => {
+      add(method, pattern, handlers);
+      return router;
+    };
+  }
+  return router;
+}
+
+// Allows cross-origin calls only from the listed origins. The app itself is
+// served from the same origin as the API and needs none.
+function cors({ origins = [] } = {}) {
+  const allowed = new Set(origins);
+  return async (req, res, next) => {
+    const origin = req.headers.origin;
+    const isAllowed = Boolean(origin && allowed.has(origin));
+    res.setHeader('Vary', 'Origin');
+    if (isAllowed) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+      res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition, Retry-After');
+    }
+
+    if (req.method === 'OPTIONS') {
+      if (isAllowed) {
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+        res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PUT,PATCH,DELETE,OPTIONS');
+        res.setHeader('Access-Control-Max-Age', '600');
+      }
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    await next();
+  };
+}
+
+// One line per request: method, route pattern (or path), status, duration.
+// skip(req) leaves out noise such as health checks.
+function logRequests({ logger = console, skip = () => false } = {}) {
+  return async (req, res, next) => {
+    const start = process.hrtime.bigint();
+    res.on('finish', () => {
+      if (skip(req)) return;
+      const ms = Number(process.hrtime.bigint() - start) / 1e6;
+      logger.log(`${req.method} ${req.route || req.path} ${res.statusCode} ${ms.toFixed(1)}ms`);
+    });
+    await next();
+  };
+}
+
+module.exports = { createRouter, HttpError, sendJson, readJson, cors, logRequests };
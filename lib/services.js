@@ -0,0 +1,104 @@
+// Directory of support services (France Travail agencies, Missions Locales,
+// Cap Emploi, associations...): turns open-data listings (CSV or JSON, e.g.
+// the data.inclusion export) into service records.
+const crypto = require('crypto');
+const { normalizeKey, text, number, validateCoordinates, parseDump } = require('./open-data');
+
+const SERVICE_TYPES = ['public', 'jeunes', 'handicap', 'inclusion', 'orientation', 'associatif', 'autre'];
+
+// Header names recognised for each field (see mapColumns in lib/open-data.js).
+const COLUMN_ALIASES = {
+  id: ['id', 'identifiant', 'idstructure', 'siret', 'codestructure'],
+  nom: ['nom', 'nomstructure', 'structure', 'raisonsociale', 'libelle', 'name'],
+  type: ['type', 'public', 'typologie', 'typestructure', 'reseau', 'categorie'],
+  adresse: ['adresse', 'adressepostale', 'adresseligne1', 'voie', 'address'],
+  codePostal: ['codepostal', 'cp', 'postcode', 'codepostalstructure'],
+  ville: ['ville', 'commune', 'nomcommune', 'localite', 'city'],
+  latitude: ['latitude', 'lat'],
+  longitude: ['longitude', 'lon', 'lng', 'long'],
+  horaires: ['horaires', 'horairesouverture', 'horairesdouverture', 'openinghours'],
+  telephone: ['telephone', 'tel', 'numerotelephone', 'phone'],
+  email: ['email', 'courriel', 'mail', 'adressemail'],
+  site: ['site', 'siteweb', 'siteinternet', 'url', 'lien', 'website'],
+};
+
+// Audience of a structure, from its type or typology (data.inclusion codes
+// such as ML or CAP_EMPLOI) or, failing that, from its name.
+function normalizeType(type, nom) {
+  for (const value of [type, nom]) {
+    const key = normalizeKey(value);
+    if (!key) continue;
+    if (SERVICE_TYPES.includes(key)) return key;
+    if (/jeune|missionlocale|^ml$|e2c|epide/.test(key)) return 'jeunes';
+    if (/handicap|capemploi|mdph|esat/.test(key)) return 'handicap';
+    if (/francetravail|poleemploi|^pe$|^ft$|apec/.test(key)) return 'public';
+    if (/orientation|maisondelemploi|^mde$|^cio$|cite(s)?desmetiers/.test(key)) return 'orientation';
+    if (/inclusion|insertion|^iae$|cidff|femme|ccas|social/.test(key)) return 'inclusion';
+    if (/asso|benevol|club/.test(key)) return 'associatif';
+  }
+  return 'autre';
+}
+
+// French departments from postcodes: 97x/98x overseas, 200xx-201xx Corse-du-Sud,
+// the rest of 20xxx Haute-Corse.
+function departementFromPostcode(codePostal) {
+  if (!/^\d{5}$/.test(codePostal)) return '';
+  if (/^9[78]/.test(codePostal)) return codePostal.slice(0, 3);
+  if (codePostal.startsWith('20')) return Number(codePostal) < 20200 ? '2A' : '2B';
+  return codePostal.slice(0, 2);
+}
+
+// Listings without an id column get one from the name and the address, so that
+// importing the same file again updates the services instead of copying them.
+function derivedId(service) {
+  const source = [service.nom, service.adresse, service.codePostal, service.ville].map(normalizeKey);
+  return crypto.createHash('sha1').update(source.join('|')).digest('hex').slice(0, 32);
+}
+
+function sanitizeService(item) {
+  // Spreadsheets drop the leading zero of postcodes such as 01000.
+  const codePostal = text(item.codePostal).replace(/\s/g, '').replace(/^(\d{4})$/, '0$1');
+  const service = {
+    nom: text(item.nom),
+    type: normalizeType(item.type, item.nom),
+    adresse: text(item.adresse),
+    codePostal,
+    departement: departementFromPostcode(codePostal),
+    ville: text(item.ville),
+    latitude: number(item.latitude),
+    longitude: number(item.longitude),
+    horaires: text(item.horaires),
+    telephone: text(item.telephone),
+    email: text(item.email).toLowerCase(),
+    site: text(item.site),
+  };
+  service.id = text(item.id) || derivedId(service);
+  return service;
+}
+
+function validateService(service) {
+  if (service.id.length > 128) return 'service_id_invalid';
+  if (!service.nom) return 'service_name_required';
+  if (service.nom.length > 300) return 'service_name_too_long';
+  if (service.codePostal && !service.departement) return 'postcode_invalid';
+  if (!service.codePostal && !service.ville) return 'postcode_or_city_required';
+  const coordinatesError = validateCoordinates(service);
+  if (coordinatesError) return coordinatesError;
+  if (service.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(service.email)) return 'service_email_invalid';
+  if (service.site && !/^https?:\/\/\S+$/i.test(service.site)) return 'website_invalid';
+  return null;
+}
+
+// Parses a listing into { services, invalid, total } (see parseDump).
+function parseServiceImport(input) {
+  const { records, invalid, total } = parseDump(input, {
+    aliases: COLUMN_ALIASES,
+    listKeys: ['services', 'structures', 'results', 'records'],
+    sanitize: sanitizeService,
+    validate: validateService,
+    nameField: 'nom',
+  });
+  return { services: records, invalid, total };
+}
+
+module.exports = { SERVICE_TYPES, departementFromPostcode, parseServiceImport, sanitizeService, validateService };
@@ -0,0 +1,180 @@
+// Dashboard figures computed from a user's contacts, interactions and
+// applications: activity per week against the weekly goals, response rates
+// per organisation and per expertise, the streak of active days, and how long
+// each lead has gone without a contact. Days and weeks (Monday to Sunday) are
+// counted in `timeZone`.
+const STAT_METRICS = ['calls', 'exchanges', 'applications'];
+const RESPONSE_STATUSES = ['entretien', 'offre', 'refus'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Calendar day (YYYY-MM-DD) of a date in a time zone.
+function localDay(value, timeZone) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(
+    new Date(value)
+  );
+}
+
+function addDays(day, count) {
+  return new Date(Date.parse(`${day}T00:00:00Z`) + count * DAY_MS).toISOString().slice(0, 10);
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+}
+
+function mondayOf(day) {
+  return addDays(day, -((new Date(`${day}T00:00:00Z`).getUTCDay() + 6) % 7));
+}
+
+// When an application left preparation: sent, or straight to a later stage.
+function sentDate(application) {
+  const dates = Object.entries(application.datesEtapes || {})
+    .filter(([statut, date]) => statut !== 'a_postuler' && date)
+    .map(([, date]) => date)
+    .sort((a, b) => Date.parse(a) - Date.parse(b));
+  return dates[0] || null;
+}
+
+function hasResponse(application) {
+  const dates = application.datesEtapes || {};
+  return RESPONSE_STATUSES.some((statut) => application.statut === statut || dates[statut]);
+}
+
+function foldKey(value) {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .trim();
+}
+
+// "RH, Data / Marketing" counts for each of the three.
+function splitExpertise(value) {
+  return String(value || '')
+    .split(/[,;/]/)
+    .map((part) => part.trim())
+    .filter(Boolean);
+}
+
+function weeklyActivity({ interactions, applications }, { today, weeks, timeZone }) {
+  const first = addDays(mondayOf(today), -7 * (weeks - 1));
+  const rows = Array.from({ length: weeks }, (_, index) => ({
+    start: addDays(first, 7 * index),
+    calls: 0,
+    exchanges: 0,
+    applications: 0,
+  }));
+  const rowOf = (date) => {
+    const day = localDay(date, timeZone);
+    return day < first || day > today ? null : rows[Math.floor(daysBetween(first, day) / 7)];
+  };
+
+  for (const interaction of interactions) {
+    const row = rowOf(interaction.date);
+    if (!row) continue;
+    row.exchanges += 1;
+    if (interaction.type === 'appel') row.calls += 1;
+  }
+  for (const application of applications) {
+    const sent = sentDate(application);
+    const row = sent && rowOf(sent);
+    if (row) row.applications += 1;
+  }
+  return rows;
+}
+
+// Sent applications and those with an answer (interview, offer or refusal),
+// grouped by `keysOf(application)`; most applications first.
+function responseRates(applications, keysOf) {
+  const groups = new Map();
+  for (const application of applications) {
+    const answered = hasResponse(application);
+    for (const name of keysOf(application)) {
+      const key = foldKey(name);
+      const group = groups.get(key) || { name, sent: 0, responses: 0 };
+      group.sent += 1;
+      if (answered) group.responses += 1;
+      groups.set(key, group);
+    }
+  }
+  return [...groups.values()]
+    .map((group) => ({ ...group, rate: Math.round((group.responses / group.sent) * 100) / 100 }))
+    .sort((a, b) => b.sent - a.sent || b.rate - a.rate || a.name.localeCompare(b.name, 'fr'));
+}
+
+// Days with at least one exchange or application stage: the run that ends
+// today (or yesterday, while today is still open) and the longest one.
+function activityStreak({ interactions, applications }, { today, timeZone }) {
+  const days = new Set(interactions.map((interaction) => localDay(interaction.date, timeZone)));
+  for (const application of applications) {
+    for (const date of Object.values(application.datesEtapes || {})) {
+      if (date) days.add(localDay(date, timeZone));
+    }
+  }
+
+  let current = 0;
+  let day = days.has(today) ? today : addDays(today, -1);
+  while (days.has(day)) {
+    current += 1;
+    day = addDays(day, -1);
+  }
+
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+  for (const active of [...days].filter((value) => value <= today).sort()) {
+    run = previous && daysBetween(previous, active) === 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previous = active;
+  }
+  return { current, longest, lastActiveDay: previous };
+}
+
+// Contacts by time since the latest exchange, longest silence first.
+function leadsBySilence(contacts, { today, timeZone }) {
+  return contacts
+    .map((contact) => ({
+      id: contact.id,
+      nom: contact.nom,
+      organisation: contact.organisation,
+      lastContact: contact.dateAppel,
+      daysSince: Math.max(0, daysBetween(localDay(contact.dateAppel, timeZone), today)),
+      dateRelance: contact.dateRelance || null,
+    }))
+    .sort((a, b) => b.daysSince - a.daysSince || a.nom.localeCompare(b.nom, 'fr'));
+}
+
+// `contacts` are the user's live contacts, `interactions` their exchanges and
+// `applications` carry their contactIds.
+function buildStats({ contacts, interactions, applications, goals }, { weeks, timeZone, now = new Date() }) {
+  const today = localDay(now, timeZone);
+  const contactsById = new Map(contacts.map((contact) => [contact.id, contact]));
+  const sent = applications.filter(sentDate);
+
+  const expertisesOf = (application) => {
+    let linked = (application.contactIds || []).map((id) => contactsById.get(id)).filter(Boolean);
+    if (!linked.length && application.organisationId) {
+      linked = contacts.filter((contact) => contact.organisationId === application.organisationId);
+    }
+    const names = new Map();
+    for (const name of linked.flatMap((contact) => splitExpertise(contact.expertise))) {
+      if (!names.has(foldKey(name))) names.set(foldKey(name), name);
+    }
+    return [...names.values()];
+  };
+
+  return {
+    today,
+    timeZone,
+    goals: Object.fromEntries(STAT_METRICS.map((metric) => [metric, (goals && goals[metric]) ?? null])),
+    weeks: weeklyActivity({ interactions, applications }, { today, weeks, timeZone }),
+    responseRates: {
+      organisations: responseRates(sent, (application) => [application.entreprise]),
+      expertises: responseRates(sent, expertisesOf),
+    },
+    streak: activityStreak({ interactions, applications }, { today, timeZone }),
+    leads: leadsBySilence(contacts, { today, timeZone }),
+  };
+}
+
+module.exports = { STAT_METRICS, buildStats };
@@ -0,0 +1,14 @@
+// Storage backends behind one interface (users, sessions, emailTokens,
+// contacts, applications, organisations, interactions, followUps, formations,
+// services, shares, comments, auditLog, transaction, init, close). PostgreSQL
+// when a database URL is given; otherwise the in-memory store, saved to
+// `dataFile` unless it is ':memory:'.
+const { createPostgresStore } = require('./postgres');
+const { createMemoryStore } = require('./memory');
+
+function createStore({ databaseUrl, dataFile }) {
+  if (databaseUrl) return createPostgresStore({ databaseUrl });
+  return createMemoryStore({ file: dataFile === ':memory:' ? null : dataFile });
+}
+
+module.exports = { createStore, createPostgresStore, createMemoryStore };
@@ -0,0 +1,1121 @@
+// In-memory storage with the same interface as the PostgreSQL store, for local
+// development without a database and for the test suite. With `file`, the
+// data is loaded from and saved to a JSON file after every change.
+//
+// Dates are kept as ISO strings. Transactions run one at a time and restore a
+// snapshot of the data if they fail; calls made outside a transaction wait for
+// the running one, so that snapshot never holds back someone else's writes.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { organisationKey } = require('../organisations');
+const { distanceKm } = require('../open-data');
+
+const TABLES = [
+  'users',
+  'sessions',
+  'emailTokens',
+  'contacts',
+  'applications',
+  'applicationContacts',
+  'organisations',
+  'interactions',
+  'formations',
+  'formationSuivis',
+  'services',
+  'shares',
+  'shareComments',
+  'auditLog',
+];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function emptyData() {
+  return Object.fromEntries(TABLES.map((table) => [table, []]));
+}
+
+function loadData(file) {
+  if (!file || !fs.existsSync(file)) return emptyData();
+  const saved = JSON.parse(fs.readFileSync(file, 'utf8') || '{}');
+  const loaded = Object.fromEntries(TABLES.map((table) => [table, Array.isArray(saved[table]) ? saved[table] : []]));
+  // Files saved before contacts had tags, and before activity was tracked
+  // (accounts count as active from now on, as with migration 013).
+  loaded.contacts = loaded.contacts.map((contact) => ({ tags: [], ...contact }));
+  loaded.users = loaded.users.map((user) => ({ lastActiveAt: new Date().toISOString(), ...user }));
+  if (!Array.isArray(saved.organisations)) addOrganisations(loaded);
+  return loaded;
+}
+
+// Files saved before organisations and interactions existed get the same
+// backfill as migration 008.
+function addOrganisations(loaded) {
+  const byKey = new Map();
+  const link = (record, field) => {
+    const name = String(record[field] || '').trim();
+    if (!name) return;
+    const key = `${record.userId}\n${organisationKey(name)}`;
+    if (!byKey.has(key)) {
+      const stamp = new Date().toISOString();
+      byKey.set(key, {
+        id: crypto.randomUUID(),
+        userId: record.userId,
+        name,
+        nameKey: organisationKey(name),
+        createdAt: stamp,
+        updatedAt: stamp,
+      });
+    }
+    const organisation = byKey.get(key);
+    record.organisationId = organisation.id;
+    if (record[field] === organisation.name) return;
+    record[field] = organisation.name;
+    if (record.version) {
+      record.version += 1;
+      record.updatedAt = new Date().toISOString();
+    }
+  };
+  loaded.contacts.forEach((contact) => link(contact, 'organisation'));
+  loaded.applications.forEach((application) => link(application, 'entreprise'));
+  loaded.organisations = [...byKey.values()];
+  loaded.interactions = loaded.contacts
+    .filter((contact) => contact.dateAppel)
+    .map((contact) => ({
+      id: crypto.randomUUID(),
+      userId: contact.userId,
+      contactId: contact.id,
+      type: 'appel',
+      date: contact.dateAppel,
+      notes: '',
+      createdAt: contact.updatedAt,
+    }));
+}
+
+function copy(value) {
+  return value === undefined || value === null ? null : structuredClone(value);
+}
+
+function time(value) {
+  return new Date(value).getTime();
+}
+
+// Calendar day (YYYY-MM-DD) of a date in a time zone.
+function localDay(value, timeZone) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(
+    new Date(value)
+  );
+}
+
+function inPeriod(value, { from, to, timeZone }) {
+  const day = localDay(value, timeZone);
+  return (!from || day >= from) && (!to || day <= to);
+}
+
+function foldText(value) {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+function compareText(a, b) {
+  return foldText(a).localeCompare(foldText(b));
+}
+
+// YYYY-MM-DD days, missing ones last.
+function compareDays(a, b) {
+  if (a === b) return 0;
+  if (!a || !b) return a ? -1 : 1;
+  return a < b ? -1 : 1;
+}
+
+// Same orders as the PostgreSQL store; ids break ties so pages do not overlap.
+const CONTACT_ORDER = {
+  recent: (a, b) => time(b.dateAppel) - time(a.dateAppel),
+  ancien: (a, b) => time(a.dateAppel) - time(b.dateAppel),
+  nom: (a, b) => compareText(a.nom, b.nom) || time(b.dateAppel) - time(a.dateAppel),
+  organisation: (a, b) => compareText(a.organisation, b.organisation) || compareText(a.nom, b.nom),
+  relance: (a, b) =>
+    (a.dateRelance ? time(a.dateRelance) : Infinity) - (b.dateRelance ? time(b.dateRelance) : Infinity) ||
+    time(b.dateAppel) - time(a.dateAppel),
+};
+
+function createMemoryStore({ file = null } = {}) {
+  let data = loadData(file);
+  let lastStamp = 0;
+  let depth = 0;
+  let queue = Promise.resolve();
+
+  // Strictly increasing timestamps, so sync cursors never skip a change made
+  // within the same millisecond.
+  function now() {
+    lastStamp = Math.max(Date.now(), lastStamp + 1);
+    return new Date(lastStamp).toISOString();
+  }
+
+  function save() {
+    if (!file || depth > 0) return;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const temporary = `${file}.tmp`;
+    fs.writeFileSync(temporary, JSON.stringify(data, null, 2));
+    fs.renameSync(temporary, file);
+  }
+
+  function publicUser(user) {
+    if (!user) return null;
+    return {
+      id: user.id,
+      email: user.email,
+      passwordHash: user.passwordHash,
+      passwordSalt: user.passwordSalt,
+      emailVerified: Boolean(user.emailVerifiedAt),
+      calendarToken: user.calendarToken || null,
+    };
+  }
+
+  function isActive(session) {
+    return time(session.expiresAt) > Date.now();
+  }
+
+  function withContactIds(application) {
+    const contactIds = data.applicationContacts
+      .filter((link) => link.applicationId === application.id)
+      .map((link) => link.contactId)
+      .sort();
+    return copy({ ...application, contactIds });
+  }
+
+  // What ON DELETE CASCADE and SET NULL do in PostgreSQL.
+  function removeUsers(ids) {
+    const contactIds = new Set(data.contacts.filter((row) => ids.has(row.userId)).map((row) => row.id));
+    const applicationIds = new Set(data.applications.filter((row) => ids.has(row.userId)).map((row) => row.id));
+    const shareIds = new Set(
+      data.shares.filter((row) => ids.has(row.ownerId) || ids.has(row.counsellorId)).map((row) => row.id)
+    );
+    const owned = (row) => !ids.has(row.userId);
+
+    data.users = data.users.filter((row) => !ids.has(row.id));
+    data.sessions = data.sessions.filter(owned);
+    data.emailTokens = data.emailTokens.filter(owned);
+    data.contacts = data.contacts.filter(owned);
+    data.applications = data.applications.filter(owned);
+    data.applicationContacts = data.applicationContacts.filter(
+      (row) => !applicationIds.has(row.applicationId) && !contactIds.has(row.contactId)
+    );
+    data.organisations = data.organisations.filter(owned);
+    data.interactions = data.interactions.filter(owned);
+    data.formationSuivis = data.formationSuivis.filter(owned);
+    data.shares = data.shares.filter((row) => !shareIds.has(row.id));
+    data.shareComments = data.shareComments.filter((row) => !shareIds.has(row.shareId) && !ids.has(row.authorId));
+    data.auditLog = data.auditLog
+      .filter((row) => !ids.has(row.ownerId))
+      .map((row) => ({
+        ...row,
+        actorId: ids.has(row.actorId) ? null : row.actorId,
+        shareId: shareIds.has(row.shareId) ? null : row.shareId,
+      }));
+  }
+
+  const users = {
+    async findById(id) {
+      return publicUser(data.users.find((user) => user.id === id));
+    },
+
+    async findByEmail(email) {
+      return publicUser(data.users.find((user) => user.email === email));
+    },
+
+    async findByCalendarToken(token) {
+      return publicUser(data.users.find((user) => user.calendarToken && user.calendarToken === token));
+    },
+
+    async create({ id, email, passwordHash }) {
+      if (data.users.some((user) => user.id === id || user.email === email)) {
+        throw new Error('User already exists.');
+      }
+      data.users.push({
+        id,
+        email,
+        passwordHash,
+        passwordSalt: '',
+        createdAt: now(),
+        updatedAt: null,
+        emailVerifiedAt: null,
+        calendarToken: null,
+        weeklyGoals: {},
+        lastActiveAt: now(),
+      });
+      save();
+    },
+
+    async setPassword(id, passwordHash) {
+      const user = data.users.find((candidate) => candidate.id === id);
+      if (!user) return;
+      Object.assign(user, { passwordHash, passwordSalt: '', updatedAt: now() });
+      save();
+    },
+
+    async markEmailVerified(id) {
+      const user = data.users.find((candidate) => candidate.id === id);
+      if (!user) return null;
+      user.emailVerifiedAt = user.emailVerifiedAt || now();
+      save();
+      return { id: user.id, email: user.email };
+    },
+
+    async setCalendarToken(id, token) {
+      const user = data.users.find((candidate) => candidate.id === id);
+      if (!user) return;
+      user.calendarToken = token;
+      save();
+    },
+
+    async getWeeklyGoals(id) {
+      const user = data.users.find((candidate) => candidate.id === id);
+      return copy((user && user.weeklyGoals) || {});
+    },
+
+    async setWeeklyGoals(id, goals) {
+      const user = data.users.find((candidate) => candidate.id === id);
+      if (!user) return;
+      user.weeklyGoals = copy(goals);
+      save();
+    },
+
+    async markActive(id) {
+      const user = data.users.find((candidate) => candidate.id === id);
+      if (!user) return;
+      user.lastActiveAt = now();
+      save();
+    },
+
+    async getAccount(id) {
+      const user = data.users.find((candidate) => candidate.id === id);
+      if (!user) return null;
+      return {
+        id: user.id,
+        email: user.email,
+        emailVerified: Boolean(user.emailVerifiedAt),
+        createdAt: user.createdAt,
+        lastActiveAt: user.lastActiveAt,
+        calendarFeed: Boolean(user.calendarToken),
+        weeklyGoals: copy(user.weeklyGoals || {}),
+      };
+    },
+
+    async delete(id) {
+      if (!data.users.some((user) => user.id === id)) return false;
+      removeUsers(new Set([id]));
+      save();
+      return true;
+    },
+
+    async deleteInactive(before) {
+      const ids = new Set(data.users.filter((user) => time(user.lastActiveAt) < time(before)).map((user) => user.id));
+      if (ids.size) removeUsers(ids);
+      save();
+      return ids.size;
+    },
+  };
+
+  const sessions = {
+    async create({ token, id, userId, userAgent, ttlDays }) {
+      const createdAt = now();
+      data.sessions.push({
+        token,
+        id,
+        userId,
+        userAgent,
+        createdAt,
+        lastSeenAt: createdAt,
+        expiresAt: new Date(time(createdAt) + ttlDays * DAY_MS).toISOString(),
+      });
+      save();
+    },
+
+    async findByToken(token) {
+      const session = data.sessions.find((candidate) => candidate.token === token && isActive(candidate));
+      const user = session && data.users.find((candidate) => candidate.id === session.userId);
+      if (!user) return null;
+      return {
+        id: session.id,
+        lastSeenAt: session.lastSeenAt,
+        user: { id: user.id, email: user.email, emailVerified: Boolean(user.emailVerifiedAt) },
+      };
+    },
+
+    async touch(token, ttlDays) {
+      const session = data.sessions.find((candidate) => candidate.token === token);
+      if (!session) return;
+      session.lastSeenAt = now();
+      session.expiresAt = new Date(time(session.lastSeenAt) + ttlDays * DAY_MS).toISOString();
+      save();
+    },
+
+    async listActive(userId) {
+      return data.sessions
+        .filter((session) => session.userId === userId && isActive(session))
+        .sort((a, b) => time(b.lastSeenAt) - time(a.lastSeenAt))
+        .map(({ id, userAgent, createdAt, lastSeenAt, expiresAt }) => ({
+          id,
+          userAgent,
+          createdAt,
+          lastSeenAt,
+          expiresAt,
+        }));
+    },
+
+    async deleteExpired(userId) {
+      data.sessions = data.sessions.filter((session) => session.userId !== userId || isActive(session));
+      save();
+    },
+
+    async deleteByToken(token) {
+      data.sessions = data.sessions.filter((session) => session.token !== token);
+      save();
+    },
+
+    async deleteById(userId, id) {
+      const before = data.sessions.length;
+      data.sessions = data.sessions.filter((session) => session.userId !== userId || session.id !== id);
+      save();
+      return data.sessions.length < before;
+    },
+
+    async deleteAll(userId, { exceptId = null } = {}) {
+      const before = data.sessions.length;
+      data.sessions = data.sessions.filter((session) => session.userId !== userId || session.id === exceptId);
+      save();
+      return before - data.sessions.length;
+    },
+  };
+
+  const emailTokens = {
+    async replace({ tokenHash, userId, purpose, ttlMinutes }) {
+      const createdAt = now();
+      data.emailTokens = data.emailTokens.filter((token) => token.userId !== userId || token.purpose !== purpose);
+      data.emailTokens.push({
+        tokenHash,
+        userId,
+        purpose,
+        expiresAt: new Date(time(createdAt) + ttlMinutes * 60 * 1000).toISOString(),
+        usedAt: null,
+        createdAt,
+      });
+      save();
+    },
+
+    async consume(tokenHash, purpose) {
+      const token = data.emailTokens.find(
+        (candidate) =>
+          candidate.tokenHash === tokenHash &&
+          candidate.purpose === purpose &&
+          !candidate.usedAt &&
+          time(candidate.expiresAt) > Date.now()
+      );
+      if (!token) return null;
+      token.usedAt = now();
+      save();
+      return token.userId;
+    },
+  };
+
+  const contacts = {
+    async list(userId) {
+      return data.contacts
+        .filter((contact) => contact.userId === userId && !contact.deletedAt)
+        .sort((a, b) => time(b.dateAppel) - time(a.dateAppel))
+        .map(copy);
+    },
+
+    async listIncludingDeleted(userId) {
+      return data.contacts
+        .filter((contact) => contact.userId === userId)
+        .sort((a, b) => time(b.dateAppel) - time(a.dateAppel))
+        .map(copy);
+    },
+
+    async search(userId, { terms, organisation, tag, period, sort, limit, offset }) {
+      const matches = data.contacts
+        .filter((contact) => {
+          if (contact.userId !== userId || contact.deletedAt) return false;
+          const text = foldText([contact.nom, contact.organisation, contact.expertise, contact.notes].join(' '));
+          if (!terms.every((term) => text.includes(term))) return false;
+          if (organisation && foldText(contact.organisation) !== foldText(organisation)) return false;
+          if (tag && !contact.tags.includes(tag)) return false;
+          return inPeriod(contact.dateAppel, period);
+        })
+        .sort((a, b) => CONTACT_ORDER[sort](a, b) || (a.id < b.id ? -1 : 1));
+      return { contacts: matches.slice(offset, offset + limit).map(copy), total: matches.length };
+    },
+
+    // `since` is a syncCursor(): the stamp of the last change already sent.
+    async listChangedSince(userId, since) {
+      return data.contacts
+        .filter((contact) => contact.userId === userId && time(contact.updatedAt) > Number(since))
+        .sort((a, b) => time(a.updatedAt) - time(b.updatedAt))
+        .map(copy);
+    },
+
+    async find(userId, id) {
+      return copy(data.contacts.find((contact) => contact.id === id && contact.userId === userId && !contact.deletedAt));
+    },
+
+    async findForUpdate(userId, id) {
+      return copy(data.contacts.find((contact) => contact.id === id && contact.userId === userId));
+    },
+
+    async insert(contact) {
+      if (data.contacts.some((candidate) => candidate.id === contact.id)) return null;
+      const row = {
+        id: contact.id,
+        userId: contact.userId,
+        nom: contact.nom,
+        organisation: contact.organisation,
+        organisationId: contact.organisationId,
+        dateAppel: contact.dateAppel,
+        expertise: contact.expertise,
+        inclusivite: contact.inclusivite,
+        notes: contact.notes,
+        dateRelance: contact.dateRelance,
+        actionRelance: contact.actionRelance,
+        tags: contact.tags,
+        version: 1,
+        deletedAt: null,
+        updatedAt: now(),
+      };
+      data.contacts.push(row);
+      save();
+      return copy(row);
+    },
+
+    async update(contact, version) {
+      const row = data.contacts.find(
+        (candidate) => candidate.id === contact.id && candidate.userId === contact.userId && candidate.version === version
+      );
+      if (!row) return null;
+      Object.assign(row, {
+        nom: contact.nom,
+        organisation: contact.organisation,
+        organisationId: contact.organisationId,
+        dateAppel: contact.dateAppel,
+        expertise: contact.expertise,
+        inclusivite: contact.inclusivite,
+        notes: contact.notes,
+        dateRelance: contact.dateRelance,
+        actionRelance: contact.actionRelance,
+        tags: contact.tags,
+        deletedAt: null,
+        version: row.version + 1,
+        updatedAt: now(),
+      });
+      save();
+      return copy(row);
+    },
+
+    async markDeleted(userId, id, version) {
+      const row = data.contacts.find(
+        (candidate) => candidate.id === id && candidate.userId === userId && candidate.version === version
+      );
+      if (!row) return null;
+      const stamp = now();
+      Object.assign(row, { deletedAt: stamp, version: row.version + 1, updatedAt: stamp });
+      save();
+      return copy(row);
+    },
+
+    async syncCursor(userId) {
+      const stamps = data.contacts.filter((contact) => contact.userId === userId).map((contact) => time(contact.updatedAt));
+      return stamps.length ? String(Math.max(...stamps)) : null;
+    },
+
+    async filterOwned(userId, ids) {
+      return ids.filter((id) =>
+        data.contacts.some((contact) => contact.id === id && contact.userId === userId && !contact.deletedAt)
+      );
+    },
+
+    async listCalled(userId, period) {
+      return data.contacts
+        .filter((contact) => contact.userId === userId && !contact.deletedAt && inPeriod(contact.dateAppel, period))
+        .sort((a, b) => time(a.dateAppel) - time(b.dateAppel) || a.nom.localeCompare(b.nom))
+        .map(copy);
+    },
+
+    async listByOrganisation(userId, organisationId) {
+      return data.contacts
+        .filter((contact) => contact.userId === userId && contact.organisationId === organisationId)
+        .filter((contact) => !contact.deletedAt)
+        .sort((a, b) => time(b.dateAppel) - time(a.dateAppel) || (a.id < b.id ? -1 : 1))
+        .map(copy);
+    },
+  };
+
+  const applications = {
+    async list(userId) {
+      return data.applications
+        .filter((application) => application.userId === userId)
+        .sort((a, b) => time(b.updatedAt) - time(a.updatedAt))
+        .map(withContactIds);
+    },
+
+    async find(userId, id) {
+      const application = data.applications.find((candidate) => candidate.id === id && candidate.userId === userId);
+      return application ? withContactIds(application) : null;
+    },
+
+    async insert(application) {
+      if (data.applications.some((candidate) => candidate.id === application.id)) return false;
+      const stamp = now();
+      const { contactIds, ...fields } = application;
+      data.applications.push({ ...copy(fields), createdAt: stamp, updatedAt: stamp });
+      save();
+      return true;
+    },
+
+    async update(application) {
+      const row = data.applications.find(
+        (candidate) => candidate.id === application.id && candidate.userId === application.userId
+      );
+      if (!row) return;
+      const { contactIds, ...fields } = application;
+      Object.assign(row, copy(fields), { updatedAt: now() });
+      save();
+    },
+
+    async remove(userId, id) {
+      const before = data.applications.length;
+      data.applications = data.applications.filter((application) => application.userId !== userId || application.id !== id);
+      if (data.applications.length === before) return false;
+      data.applicationContacts = data.applicationContacts.filter((link) => link.applicationId !== id);
+      save();
+      return true;
+    },
+
+    async setContacts(applicationId, contactIds) {
+      data.applicationContacts = data.applicationContacts
+        .filter((link) => link.applicationId !== applicationId)
+        .concat(contactIds.map((contactId) => ({ applicationId, contactId })));
+      save();
+    },
+
+    async listSteps(userId, period) {
+      return data.applications
+        .filter((application) => application.userId === userId)
+        .flatMap((application) =>
+          Object.entries(application.datesEtapes || {}).map(([statut, date]) => ({
+            id: application.id,
+            poste: application.poste,
+            entreprise: application.entreprise,
+            lien: application.lien,
+            statut,
+            date,
+          }))
+        )
+        .filter((step) => inPeriod(step.date, period))
+        .sort((a, b) => time(a.date) - time(b.date) || a.poste.localeCompare(b.poste));
+    },
+
+    async listByOrganisation(userId, organisationId) {
+      return data.applications
+        .filter((application) => application.userId === userId && application.organisationId === organisationId)
+        .sort((a, b) => time(b.updatedAt) - time(a.updatedAt))
+        .map(withContactIds);
+    },
+  };
+
+  function publicOrganisation(organisation) {
+    return organisation ? { id: organisation.id, name: organisation.name, nameKey: organisation.nameKey } : null;
+  }
+
+  const organisations = {
+    async list(userId) {
+      return data.organisations
+        .filter((organisation) => organisation.userId === userId)
+        .map((organisation) => {
+          const linked = data.contacts.filter(
+            (contact) => contact.organisationId === organisation.id && !contact.deletedAt
+          );
+          const calls = linked.map((contact) => time(contact.dateAppel));
+          return {
+            id: organisation.id,
+            name: organisation.name,
+            nameKey: organisation.nameKey,
+            contactCount: linked.length,
+            applicationCount: data.applications.filter((application) => application.organisationId === organisation.id)
+              .length,
+            lastCallAt: calls.length ? new Date(Math.max(...calls)).toISOString() : null,
+          };
+        })
+        .filter((organisation) => organisation.contactCount > 0 || organisation.applicationCount > 0)
+        .sort((a, b) => (a.nameKey < b.nameKey ? -1 : a.nameKey > b.nameKey ? 1 : a.id < b.id ? -1 : 1))
+        .map(({ nameKey, ...organisation }) => organisation);
+    },
+
+    async find(userId, id) {
+      return publicOrganisation(data.organisations.find((o) => o.id === id && o.userId === userId));
+    },
+
+    async findByKey(userId, nameKey) {
+      return publicOrganisation(data.organisations.find((o) => o.userId === userId && o.nameKey === nameKey));
+    },
+
+    async findOrCreate({ id, userId, name, nameKey }) {
+      if (!data.organisations.some((o) => o.userId === userId && o.nameKey === nameKey)) {
+        const stamp = now();
+        data.organisations.push({ id, userId, name, nameKey, createdAt: stamp, updatedAt: stamp });
+        save();
+      }
+      return organisations.findByKey(userId, nameKey);
+    },
+
+    async rename({ userId, id, name, nameKey }) {
+      const organisation = data.organisations.find((o) => o.id === id && o.userId === userId);
+      if (!organisation) return;
+      Object.assign(organisation, { name, nameKey, updatedAt: now() });
+      for (const contact of data.contacts) {
+        if (contact.organisationId !== id || contact.organisation === name) continue;
+        Object.assign(contact, { organisation: name, version: contact.version + 1, updatedAt: now() });
+      }
+      for (const application of data.applications) {
+        if (application.organisationId === id) Object.assign(application, { entreprise: name, updatedAt: now() });
+      }
+      save();
+    },
+
+    async merge(userId, fromId, into) {
+      for (const contact of data.contacts) {
+        if (contact.userId !== userId || contact.organisationId !== fromId) continue;
+        Object.assign(contact, {
+          organisationId: into.id,
+          organisation: into.name,
+          version: contact.version + 1,
+          updatedAt: now(),
+        });
+      }
+      for (const application of data.applications) {
+        if (application.userId !== userId || application.organisationId !== fromId) continue;
+        Object.assign(application, { organisationId: into.id, entreprise: into.name, updatedAt: now() });
+      }
+      data.organisations = data.organisations.filter((o) => o.userId !== userId || o.id !== fromId);
+      save();
+    },
+  };
+
+  const byDateDesc = (a, b) => time(b.date) - time(a.date) || (a.id < b.id ? -1 : 1);
+
+  const interactions = {
+    async list(userId, contactId) {
+      return data.interactions
+        .filter((interaction) => interaction.userId === userId && interaction.contactId === contactId)
+        .sort(byDateDesc)
+        .map(copy);
+    },
+
+    async listByUser(userId) {
+      const live = new Set(
+        data.contacts.filter((contact) => contact.userId === userId && !contact.deletedAt).map((contact) => contact.id)
+      );
+      return data.interactions
+        .filter((interaction) => interaction.userId === userId && live.has(interaction.contactId))
+        .sort((a, b) => time(a.date) - time(b.date) || (a.id < b.id ? -1 : 1))
+        .map(copy);
+    },
+
+    async listByOrganisation(userId, organisationId) {
+      const names = new Map(
+        data.contacts
+          .filter((contact) => contact.userId === userId && contact.organisationId === organisationId)
+          .filter((contact) => !contact.deletedAt)
+          .map((contact) => [contact.id, contact.nom])
+      );
+      return data.interactions
+        .filter((interaction) => interaction.userId === userId && names.has(interaction.contactId))
+        .sort(byDateDesc)
+        .map((interaction) => ({ ...copy(interaction), contactNom: names.get(interaction.contactId) }));
+    },
+
+    async insert(interaction) {
+      const row = {
+        id: interaction.id,
+        userId: interaction.userId,
+        contactId: interaction.contactId,
+        type: interaction.type,
+        date: interaction.date,
+        notes: interaction.notes,
+        createdAt: now(),
+      };
+      data.interactions.push(row);
+      save();
+      return copy(row);
+    },
+
+    async remove(userId, contactId, id) {
+      const row = data.interactions.find(
+        (interaction) => interaction.id === id && interaction.userId === userId && interaction.contactId === contactId
+      );
+      if (!row) return null;
+      data.interactions = data.interactions.filter((interaction) => interaction !== row);
+      save();
+      return copy(row);
+    },
+  };
+
+  const followUps = {
+    async list(userId, until = null) {
+      const due = (item) => item.dateRelance && (!until || time(item.dateRelance) < time(until));
+      const fromContacts = data.contacts
+        .filter((contact) => contact.userId === userId && !contact.deletedAt && due(contact))
+        .map((contact) => ({
+          type: 'contact',
+          id: contact.id,
+          titre: contact.nom,
+          sousTitre: contact.organisation,
+          dateRelance: contact.dateRelance,
+          actionRelance: contact.actionRelance,
+        }));
+      const fromApplications = data.applications
+        .filter((application) => application.userId === userId && due(application))
+        .map((application) => ({
+          type: 'application',
+          id: application.id,
+          titre: application.poste,
+          sousTitre: application.entreprise,
+          dateRelance: application.dateRelance,
+          actionRelance: application.actionRelance,
+        }));
+      return [...fromContacts, ...fromApplications].sort((a, b) => time(a.dateRelance) - time(b.dateRelance));
+    },
+  };
+
+  function publicFormation(formation, userId) {
+    const { createdAt, updatedAt, ...rest } = formation;
+    const suivi = data.formationSuivis.find((row) => row.userId === userId && row.formationId === formation.id);
+    return { ...copy(rest), suivi: suivi ? suivi.statut : null };
+  }
+
+  const formations = {
+    async search({ userId, terms, ville, niveau, dureeMax, modalite, cpf, period, near, suivies, limit, offset }) {
+      const matches = data.formations
+        .map((formation) => ({
+          formation,
+          distance: near && formation.latitude !== null ? distanceKm(near, formation) : null,
+        }))
+        .filter(({ formation, distance }) => {
+          const text = foldText([formation.titre, formation.organisme, formation.description].join(' '));
+          if (!terms.every((term) => text.includes(term))) return false;
+          if (!foldText(formation.ville).includes(ville)) return false;
+          if (niveau && formation.niveau !== niveau) return false;
+          if (dureeMax !== null && !(formation.dureeHeures !== null && formation.dureeHeures <= dureeMax)) return false;
+          if (modalite && formation.modalite !== modalite) return false;
+          if (cpf && !formation.cpf) return false;
+          if (period.from && !(formation.dateDebut && formation.dateDebut >= period.from)) return false;
+          if (period.to && !(formation.dateDebut && formation.dateDebut <= period.to)) return false;
+          if (near && !(distance !== null && distance <= near.rayon)) return false;
+          return (
+            !suivies || data.formationSuivis.some((row) => row.userId === userId && row.formationId === formation.id)
+          );
+        })
+        .sort(
+          (a, b) =>
+            (near ? a.distance - b.distance : 0) ||
+            compareDays(a.formation.dateDebut, b.formation.dateDebut) ||
+            compareText(a.formation.titre, b.formation.titre) ||
+            (a.formation.id < b.formation.id ? -1 : 1)
+        );
+      return {
+        formations: matches
+          .slice(offset, offset + limit)
+          .map(({ formation, distance }) => ({ ...publicFormation(formation, userId), distanceKm: distance })),
+        total: matches.length,
+      };
+    },
+
+    async find(id, userId) {
+      const formation = data.formations.find((candidate) => candidate.id === id);
+      return formation ? publicFormation(formation, userId) : null;
+    },
+
+    async upsert(formation) {
+      const stamp = now();
+      const row = data.formations.find((candidate) => candidate.id === formation.id);
+      if (row) Object.assign(row, copy(formation), { updatedAt: stamp });
+      else data.formations.push({ ...copy(formation), createdAt: stamp, updatedAt: stamp });
+      save();
+      return !row;
+    },
+
+    async setSuivi(userId, formationId, statut) {
+      const stamp = now();
+      const row = data.formationSuivis.find(
+        (candidate) => candidate.userId === userId && candidate.formationId === formationId
+      );
+      if (row) Object.assign(row, { statut, updatedAt: stamp });
+      else data.formationSuivis.push({ userId, formationId, statut, createdAt: stamp, updatedAt: stamp });
+      save();
+    },
+
+    async removeSuivi(userId, formationId) {
+      const before = data.formationSuivis.length;
+      data.formationSuivis = data.formationSuivis.filter(
+        (row) => !(row.userId === userId && row.formationId === formationId)
+      );
+      save();
+      return data.formationSuivis.length < before;
+    },
+
+    async listSuivis(userId) {
+      return data.formationSuivis
+        .filter((row) => row.userId === userId)
+        .sort((a, b) => time(b.updatedAt) - time(a.updatedAt))
+        .map((row) => {
+          const formation = data.formations.find((candidate) => candidate.id === row.formationId);
+          return {
+            formationId: row.formationId,
+            titre: formation.titre,
+            organisme: formation.organisme,
+            statut: row.statut,
+            createdAt: row.createdAt,
+            updatedAt: row.updatedAt,
+          };
+        });
+    },
+  };
+
+  function publicService(service) {
+    const { createdAt, updatedAt, ...rest } = service;
+    return copy(rest);
+  }
+
+  const services = {
+    async search({ type, codePostal, departement, ville, near, limit, offset }) {
+      const matches = data.services
+        .map((service) => ({
+          service,
+          distance: near && service.latitude !== null ? distanceKm(near, service) : null,
+        }))
+        .filter(({ service, distance }) => {
+          if (type && service.type !== type) return false;
+          if (departement && service.departement !== departement) return false;
+          if (!foldText(service.ville).includes(ville)) return false;
+          return !near || (distance !== null && distance <= near.rayon);
+        })
+        .sort(
+          (a, b) =>
+            (near ? a.distance - b.distance : 0) ||
+            (b.service.codePostal === codePostal) - (a.service.codePostal === codePostal) ||
+            (near ? 0 : compareText(a.service.departement, b.service.departement)) ||
+            (near ? 0 : compareText(a.service.ville, b.service.ville)) ||
+            compareText(a.service.nom, b.service.nom) ||
+            (a.service.id < b.service.id ? -1 : 1)
+        );
+      return {
+        services: matches
+          .slice(offset, offset + limit)
+          .map(({ service, distance }) => ({ ...publicService(service), distanceKm: distance })),
+        total: matches.length,
+      };
+    },
+
+    async find(id) {
+      const service = data.services.find((candidate) => candidate.id === id);
+      return service ? publicService(service) : null;
+    },
+
+    async upsert(service) {
+      const stamp = now();
+      const row = data.services.find((candidate) => candidate.id === service.id);
+      if (row) Object.assign(row, copy(service), { updatedAt: stamp });
+      else data.services.push({ ...copy(service), createdAt: stamp, updatedAt: stamp });
+      save();
+      return !row;
+    },
+  };
+
+  function publicShare(share) {
+    if (!share) return null;
+    const owner = data.users.find((user) => user.id === share.ownerId);
+    return {
+      id: share.id,
+      ownerId: share.ownerId,
+      ownerEmail: owner ? owner.email : null,
+      email: share.email,
+      counsellorId: share.counsellorId,
+      access: share.access,
+      expiresAt: share.expiresAt,
+      createdAt: share.createdAt,
+      acceptedAt: share.acceptedAt,
+    };
+  }
+
+  const liveShare = (match) => publicShare(data.shares.find((share) => !share.revokedAt && match(share)));
+
+  const shares = {
+    async create({ id, ownerId, email, access, tokenHash, ttlDays }) {
+      const createdAt = now();
+      data.shares.push({
+        id,
+        ownerId,
+        email,
+        counsellorId: null,
+        access,
+        tokenHash,
+        expiresAt: new Date(time(createdAt) + ttlDays * DAY_MS).toISOString(),
+        createdAt,
+        acceptedAt: null,
+        revokedAt: null,
+      });
+      save();
+      return shares.find(id);
+    },
+
+    async find(id) {
+      return liveShare((share) => share.id === id);
+    },
+
+    async findByEmail(ownerId, email) {
+      return liveShare((share) => share.ownerId === ownerId && share.email === email);
+    },
+
+    async findByTokenHash(tokenHash) {
+      return liveShare(
+        (share) => share.tokenHash === tokenHash && !share.acceptedAt && time(share.expiresAt) > Date.now()
+      );
+    },
+
+    async listByOwner(ownerId) {
+      return data.shares
+        .filter((share) => share.ownerId === ownerId && !share.revokedAt)
+        .sort((a, b) => time(a.createdAt) - time(b.createdAt) || (a.id < b.id ? -1 : 1))
+        .map(publicShare);
+    },
+
+    async listByCounsellor(counsellorId) {
+      return data.shares
+        .filter((share) => share.counsellorId === counsellorId && !share.revokedAt)
+        .map(publicShare)
+        .sort((a, b) => a.ownerEmail.localeCompare(b.ownerEmail) || (a.id < b.id ? -1 : 1));
+    },
+
+    async accept(id, counsellorId) {
+      const row = data.shares.find(
+        (share) => share.id === id && !share.acceptedAt && !share.revokedAt && time(share.expiresAt) > Date.now()
+      );
+      if (!row) return null;
+      Object.assign(row, { counsellorId, acceptedAt: now(), tokenHash: null });
+      save();
+      return publicShare(row);
+    },
+
+    async setAccess(id, access) {
+      const row = data.shares.find((share) => share.id === id);
+      if (row) row.access = access;
+      save();
+      return shares.find(id);
+    },
+
+    async revoke(id) {
+      const row = data.shares.find((share) => share.id === id);
+      if (!row) return;
+      Object.assign(row, { revokedAt: now(), tokenHash: null });
+      save();
+    },
+  };
+
+  function publicComment(comment) {
+    const author = data.users.find((user) => user.id === comment.authorId);
+    return { ...copy(comment), authorEmail: author ? author.email : null };
+  }
+
+  const comments = {
+    async list(shareId) {
+      return data.shareComments
+        .filter((comment) => comment.shareId === shareId)
+        .sort((a, b) => time(a.createdAt) - time(b.createdAt))
+        .map(publicComment);
+    },
+
+    async insert(comment) {
+      const row = { ...copy(comment), createdAt: now() };
+      data.shareComments.push(row);
+      save();
+      return publicComment(row);
+    },
+  };
+
+  const auditLog = {
+    async record(entry) {
+      data.auditLog.push({ ...copy(entry), createdAt: now() });
+      save();
+    },
+
+    // Newest first, entries of the same millisecond in reverse insertion order;
+    // every entry without `limit`.
+    async list(ownerId, limit = undefined) {
+      return data.auditLog
+        .filter((entry) => entry.ownerId === ownerId)
+        .reverse()
+        .sort((a, b) => time(b.createdAt) - time(a.createdAt))
+        .slice(0, limit)
+        .map(({ id, actorEmail, shareId, action, createdAt }) => ({ id, actorEmail, shareId, action, createdAt }));
+    },
+  };
+
+  const repositories = {
+    users,
+    sessions,
+    emailTokens,
+    contacts,
+    applications,
+    organisations,
+    interactions,
+    followUps,
+    formations,
+    services,
+    shares,
+    comments,
+    auditLog,
+  };
+
+  function serialize(run) {
+    const result = queue.then(run, run);
+    queue = result.catch(() => {});
+    return result;
+  }
+
+  function transaction(fn) {
+    return serialize(async () => {
+      const snapshot = structuredClone(data);
+      depth += 1;
+      try {
+        const result = await fn(repositories);
+        depth -= 1;
+        save();
+        return result;
+      } catch (error) {
+        depth -= 1;
+        data = snapshot;
+        throw error;
+      }
+    });
+  }
+
+  // The repositories handed to callers outside a transaction: each call
+  // queues behind the running transaction instead of interleaving with it.
+  const queued = Object.fromEntries(
+    Object.entries(repositories).map(([name, repository]) => [
+      name,
+      Object.fromEntries(
+        Object.entries(repository).map(([method, call]) => [method, (...args) => serialize(() => call(...args))])
+      ),
+    ])
+  );
+
+  return {
+    description: file ? `JSON file ${file}` : 'memory (data lost on exit)',
+    ...queued,
+    transaction,
+    init: async () => [],
+    close: async () => {},
+  };
+}
+
+module.exports = { createMemoryStore };
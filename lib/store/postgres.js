@@ -0,0 +1,1167 @@
+// PostgreSQL storage. Each method is a query or two; business rules (version
+// checks, which contacts may be linked) stay in server.js. transaction(fn)
+// runs fn with the same repositories bound to one connection.
+const { createPool } = require('../db');
+const { migrate } = require('../migrate');
+const { EARTH_RADIUS_KM } = require('../open-data');
+
+const USER_COLUMNS = `
+  id, email, password_hash AS "passwordHash", password_salt AS "passwordSalt",
+  email_verified_at IS NOT NULL AS "emailVerified", calendar_token AS "calendarToken"
+`;
+
+const CONTACT_COLUMNS = `
+  id, user_id AS "userId", nom, organisation, organisation_id AS "organisationId",
+  date_appel AS "dateAppel", expertise, inclusivite, notes,
+  date_relance AS "dateRelance", action_relance AS "actionRelance", tags,
+  version, deleted_at AS "deletedAt", updated_at AS "updatedAt"
+`;
+
+// Search terms are compared without case or accents (Latin-1 letters). Upper
+// case accents are listed too: lower() leaves them alone under the C locale.
+const ACCENTS = 'àáâãäåçèéêëìíîïñòóôõöùúûüýÿÀÁÂÃÄÅÇÈÉÊËÌÍÎÏÑÒÓÔÕÖÙÚÛÜÝŸ';
+const UNACCENTED = 'aaaaaaceeeeiiiinooooouuuuyyaaaaaaceeeeiiiinooooouuuuyy';
+
+function foldSql(expression) {
+  return `translate(lower(${expression}), '${ACCENTS}', '${UNACCENTED}')`;
+}
+
+const CONTACT_ORDER = {
+  recent: 'date_appel DESC, id',
+  ancien: 'date_appel ASC, id',
+  nom: 'lower(nom), date_appel DESC, id',
+  organisation: 'lower(organisation), lower(nom), id',
+  relance: 'date_relance ASC NULLS LAST, date_appel DESC, id',
+};
+
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, '\\$&');
+}
+
+const APPLICATION_COLUMNS = `
+  a.id, a.user_id AS "userId", a.poste, a.entreprise, a.organisation_id AS "organisationId", a.lien, a.statut,
+  a.dates_etapes AS "datesEtapes", a.salaire_min AS "salaireMin", a.salaire_max AS "salaireMax",
+  a.notes, a.date_relance AS "dateRelance", a.action_relance AS "actionRelance",
+  a.created_at AS "createdAt", a.updated_at AS "updatedAt",
+  ARRAY(
+    SELECT ac.contact_id FROM application_contacts ac WHERE ac.application_id = a.id ORDER BY ac.contact_id
+  ) AS "contactIds"
+`;
+
+const INTERACTION_COLUMNS = `
+  i.id, i.user_id AS "userId", i.contact_id AS "contactId", i.type, i.date, i.notes, i.created_at AS "createdAt"
+`;
+
+const SHARE_COLUMNS = `
+  sh.id, sh.owner_id AS "ownerId", owner.email AS "ownerEmail", sh.email, sh.counsellor_id AS "counsellorId",
+  sh.access, sh.expires_at AS "expiresAt", sh.created_at AS "createdAt", sh.accepted_at AS "acceptedAt"
+`;
+
+const COMMENT_COLUMNS = `
+  sc.id, sc.share_id AS "shareId", sc.author_id AS "authorId", author.email AS "authorEmail",
+  sc.target_type AS "targetType", sc.target_id AS "targetId", sc.body, sc.created_at AS "createdAt"
+`;
+
+const FORMATION_COLUMNS = `
+  f.id, f.titre, f.organisme, f.description, f.ville, f.latitude, f.longitude, f.niveau,
+  f.duree_heures AS "dureeHeures", f.modalite, f.cpf, to_char(f.date_debut, 'YYYY-MM-DD') AS "dateDebut",
+  to_char(f.date_fin, 'YYYY-MM-DD') AS "dateFin", f.lien, s.statut AS suivi
+`;
+
+const FORMATION_ORDER = 'f.date_debut ASC NULLS LAST, lower(f.titre), f.id';
+
+const SERVICE_COLUMNS = `
+  s.id, s.nom, s.type, s.adresse, s.code_postal AS "codePostal", s.departement, s.ville,
+  s.latitude, s.longitude, s.horaires, s.telephone, s.email, s.site
+`;
+
+// Great-circle distance in km between (latitude, longitude) and the row
+// `alias`, as distanceKm in lib/open-data.js.
+function distanceSql(alias, latitude, longitude) {
+  return `
+    ${EARTH_RADIUS_KM} * acos(least(1, greatest(-1,
+      cos(radians(${latitude})) * cos(radians(${alias}.latitude))
+        * cos(radians(${alias}.longitude) - radians(${longitude}))
+      + sin(radians(${latitude})) * sin(radians(${alias}.latitude))
+    )))
+  `;
+}
+
+async function one(db, text, values) {
+  const result = await db.query(text, values);
+  return result.rows[0] || null;
+}
+
+async function many(db, text, values) {
+  const result = await db.query(text, values);
+  return result.rows;
+}
+
+function repositories(db) {
+  const users = {
+    findById: (id) => one(db, `SELECT ${USER_COLUMNS} FROM users WHERE id = $1`, [id]),
+    findByEmail: (email) => one(db, `SELECT ${USER_COLUMNS} FROM users WHERE email = $1 LIMIT 1`, [email]),
+    findByCalendarToken: (token) =>
+      one(db, `SELECT ${USER_COLUMNS} FROM users WHERE calendar_token = $1 LIMIT 1`, [token]),
+
+    async create({ id, email, passwordHash }) {
+      await db.query("INSERT INTO users(id, email, password_hash, password_salt) VALUES($1, $2, $3, '')", [
+        id,
+        email,
+        passwordHash,
+      ]);
+    },
+
+    // New hashes carry their own salt; password_salt only matters for legacy rows.
+    async setPassword(id, passwordHash) {
+      await db.query("UPDATE users SET password_hash = $2, password_salt = '', updated_at = NOW() WHERE id = $1", [
+        id,
+        passwordHash,
+      ]);
+    },
+
+    markEmailVerified: (id) =>
+      one(
+        db,
+        'UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW()) WHERE id = $1 RETURNING id, email',
+        [id]
+      ),
+
+    async setCalendarToken(id, token) {
+      await db.query('UPDATE users SET calendar_token = $2 WHERE id = $1', [id, token]);
+    },
+
+    async getWeeklyGoals(id) {
+      const row = await one(db, 'SELECT weekly_goals AS "weeklyGoals" FROM users WHERE id = $1', [id]);
+      return row ? row.weeklyGoals : {};
+    },
+
+    async setWeeklyGoals(id, goals) {
+      await db.query('UPDATE users SET weekly_goals = $2 WHERE id = $1', [id, JSON.stringify(goals)]);
+    },
+
+    async markActive(id) {
+      await db.query('UPDATE users SET last_active_at = NOW() WHERE id = $1', [id]);
+    },
+
+    // The account as exported to its owner: no password hash or calendar token.
+    getAccount: (id) =>
+      one(
+        db,
+        `
+          SELECT id, email, email_verified_at IS NOT NULL AS "emailVerified", created_at AS "createdAt",
+                 last_active_at AS "lastActiveAt", calendar_token IS NOT NULL AS "calendarFeed",
+                 weekly_goals AS "weeklyGoals"
+          FROM users
+          WHERE id = $1
+        `,
+        [id]
+      ),
+
+    // Everything else the user owns goes with it (ON DELETE CASCADE).
+    async delete(id) {
+      const result = await db.query('DELETE FROM users WHERE id = $1', [id]);
+      return result.rowCount > 0;
+    },
+
+    // Returns how many accounts were deleted.
+    async deleteInactive(before) {
+      const result = await db.query('DELETE FROM users WHERE last_active_at < $1', [before]);
+      return result.rowCount;
+    },
+  };
+
+  const sessions = {
+    async create({ token, id, userId, userAgent, ttlDays }) {
+      await db.query(
+        `
+          INSERT INTO sessions(token, id, user_id, user_agent, expires_at)
+          VALUES($1, $2, $3, $4, NOW() + $5 * INTERVAL '1 day')
+        `,
+        [token, id, userId, userAgent, ttlDays]
+      );
+    },
+
+    async findByToken(token) {
+      const row = await one(
+        db,
+        `
+          SELECT s.id, s.last_seen_at AS "lastSeenAt", u.id AS "userId", u.email,
+                 u.email_verified_at IS NOT NULL AS "emailVerified"
+          FROM sessions s
+          JOIN users u ON u.id = s.user_id
+          WHERE s.token = $1 AND s.expires_at > NOW()
+          LIMIT 1
+        `,
+        [token]
+      );
+      if (!row) return null;
+      return {
+        id: row.id,
+        lastSeenAt: row.lastSeenAt,
+        user: { id: row.userId, email: row.email, emailVerified: row.emailVerified },
+      };
+    },
+
+    async touch(token, ttlDays) {
+      await db.query(
+        "UPDATE sessions SET last_seen_at = NOW(), expires_at = NOW() + $2 * INTERVAL '1 day' WHERE token = $1",
+        [token, ttlDays]
+      );
+    },
+
+    listActive: (userId) =>
+      many(
+        db,
+        `
+          SELECT id, user_agent AS "userAgent", created_at AS "createdAt",
+                 last_seen_at AS "lastSeenAt", expires_at AS "expiresAt"
+          FROM sessions
+          WHERE user_id = $1 AND expires_at > NOW()
+          ORDER BY last_seen_at DESC
+        `,
+        [userId]
+      ),
+
+    async deleteExpired(userId) {
+      await db.query('DELETE FROM sessions WHERE user_id = $1 AND expires_at <= NOW()', [userId]);
+    },
+
+    async deleteByToken(token) {
+      await db.query('DELETE FROM sessions WHERE token = $1', [token]);
+    },
+
+    async deleteById(userId, id) {
+      const result = await db.query('DELETE FROM sessions WHERE id = $1 AND user_id = $2', [id, userId]);
+      return result.rowCount > 0;
+    },
+
+    // Returns how many sessions were closed.
+    async deleteAll(userId, { exceptId = null } = {}) {
+      const result = await db.query('DELETE FROM sessions WHERE user_id = $1 AND id IS DISTINCT FROM $2', [
+        userId,
+        exceptId,
+      ]);
+      return result.rowCount;
+    },
+  };
+
+  const emailTokens = {
+    // Older tokens with the same purpose are dropped: only the latest link works.
+    async replace({ tokenHash, userId, purpose, ttlMinutes }) {
+      await db.query('DELETE FROM email_tokens WHERE user_id = $1 AND purpose = $2', [userId, purpose]);
+      await db.query(
+        `
+          INSERT INTO email_tokens(token_hash, user_id, purpose, expires_at)
+          VALUES($1, $2, $3, NOW() + $4 * INTERVAL '1 minute')
+        `,
+        [tokenHash, userId, purpose, ttlMinutes]
+      );
+    },
+
+    // One UPDATE, so two concurrent uses cannot both win.
+    async consume(tokenHash, purpose) {
+      const row = await one(
+        db,
+        `
+          UPDATE email_tokens SET used_at = NOW()
+          WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > NOW()
+          RETURNING user_id AS "userId"
+        `,
+        [tokenHash, purpose]
+      );
+      return row ? row.userId : null;
+    },
+  };
+
+  const contacts = {
+    list: (userId) =>
+      many(
+        db,
+        `SELECT ${CONTACT_COLUMNS} FROM contacts WHERE user_id = $1 AND deleted_at IS NULL ORDER BY date_appel DESC`,
+        [userId]
+      ),
+
+    // Deleted contacts too, for the account export.
+    listIncludingDeleted: (userId) =>
+      many(db, `SELECT ${CONTACT_COLUMNS} FROM contacts WHERE user_id = $1 ORDER BY date_appel DESC`, [userId]),
+
+    // One page of the contacts matching the filters (see parseContactQuery in
+    // server.js), and how many match in total.
+    async search(userId, { terms, organisation, tag, period, sort, limit, offset }) {
+      const where = `
+        user_id = $1 AND deleted_at IS NULL
+        AND NOT EXISTS (
+          SELECT 1 FROM unnest($2::text[]) AS term
+          WHERE ${foldSql("concat_ws(' ', nom, organisation, expertise, notes)")} NOT LIKE '%' || term || '%'
+        )
+        AND ($3::text = '' OR ${foldSql('organisation')} = ${foldSql('$3')})
+        AND ($4::text = '' OR tags @> ARRAY[$4::text])
+        AND ($5::date IS NULL OR (date_appel AT TIME ZONE $7)::date >= $5::date)
+        AND ($6::date IS NULL OR (date_appel AT TIME ZONE $7)::date <= $6::date)
+      `;
+      const values = [userId, terms.map(escapeLike), organisation, tag, period.from, period.to, period.timeZone];
+      const [rows, count] = await Promise.all([
+        many(
+          db,
+          `SELECT ${CONTACT_COLUMNS} FROM contacts WHERE ${where} ORDER BY ${CONTACT_ORDER[sort]} LIMIT $8 OFFSET $9`,
+          [...values, limit, offset]
+        ),
+        one(db, `SELECT COUNT(*)::int AS total FROM contacts WHERE ${where}`, values),
+      ]);
+      return { contacts: rows, total: count.total };
+    },
+
+    // Deleted contacts included, as tombstones. `since` is a syncCursor():
+    // changes of transactions still running then are sent again, which the
+    // versions make harmless.
+    listChangedSince: (userId, since) =>
+      many(
+        db,
+        `
+          SELECT ${CONTACT_COLUMNS}
+          FROM contacts
+          WHERE user_id = $1 AND change_xid >= $2::xid8
+          ORDER BY updated_at ASC
+        `,
+        [userId, since]
+      ),
+
+    find: (userId, id) =>
+      one(
+        db,
+        `SELECT ${CONTACT_COLUMNS} FROM contacts WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL LIMIT 1`,
+        [id, userId]
+      ),
+
+    // Deleted or not, locked until the end of the transaction.
+    findForUpdate: (userId, id) =>
+      one(db, `SELECT ${CONTACT_COLUMNS} FROM contacts WHERE id = $1 AND user_id = $2 FOR UPDATE`, [id, userId]),
+
+    // Returns null when the id is already taken (by any user).
+    insert: (contact) =>
+      one(
+        db,
+        `
+          INSERT INTO contacts(
+            id, user_id, nom, organisation, date_appel, expertise, inclusivite, notes,
+            date_relance, action_relance, tags, organisation_id, updated_at
+          )
+          VALUES($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, NOW())
+          ON CONFLICT (id) DO NOTHING
+          RETURNING ${CONTACT_COLUMNS}
+        `,
+        [
+          contact.id,
+          contact.userId,
+          contact.nom,
+          contact.organisation,
+          contact.dateAppel,
+          contact.expertise,
+          contact.inclusivite,
+          contact.notes,
+          contact.dateRelance,
+          contact.actionRelance,
+          contact.tags,
+          contact.organisationId,
+        ]
+      ),
+
+    // Updates (and restores) the contact if it is still at `version`; null otherwise.
+    update: (contact, version) =>
+      one(
+        db,
+        `
+          UPDATE contacts
+          SET nom = $3, organisation = $4, date_appel = $5, expertise = $6,
+              inclusivite = $7, notes = $8, date_relance = $9, action_relance = $10, tags = $11,
+              organisation_id = $12, deleted_at = NULL, version = version + 1, updated_at = NOW(),
+              change_xid = pg_current_xact_id()
+          WHERE id = $1 AND user_id = $2 AND version = $13
+          RETURNING ${CONTACT_COLUMNS}
+        `,
+        [
+          contact.id,
+          contact.userId,
+          contact.nom,
+          contact.organisation,
+          contact.dateAppel,
+          contact.expertise,
+          contact.inclusivite,
+          contact.notes,
+          contact.dateRelance,
+          contact.actionRelance,
+          contact.tags,
+          contact.organisationId,
+          version,
+        ]
+      ),
+
+    markDeleted: (userId, id, version) =>
+      one(
+        db,
+        `
+          UPDATE contacts
+          SET deleted_at = NOW(), version = version + 1, updated_at = NOW(), change_xid = pg_current_xact_id()
+          WHERE id = $1 AND user_id = $2 AND version = $3
+          RETURNING ${CONTACT_COLUMNS}
+        `,
+        [id, userId, version]
+      ),
+
+    // The oldest transaction still running: every change made before it is
+    // committed and visible from now on. Read it before the changes.
+    async syncCursor() {
+      const row = await one(db, 'SELECT pg_snapshot_xmin(pg_current_snapshot())::text AS cursor');
+      return row.cursor;
+    },
+
+    // The subset of ids that are the user's own, not deleted contacts.
+    async filterOwned(userId, ids) {
+      if (!ids.length) return [];
+      const rows = await many(
+        db,
+        'SELECT id FROM contacts WHERE user_id = $1 AND deleted_at IS NULL AND id = ANY($2::text[])',
+        [userId, ids]
+      );
+      return rows.map((row) => row.id);
+    },
+
+    // Contacts called between two days (YYYY-MM-DD, both optional and
+    // included), in the given time zone.
+    listCalled: (userId, { from, to, timeZone }) =>
+      many(
+        db,
+        `
+          SELECT ${CONTACT_COLUMNS}
+          FROM contacts
+          WHERE user_id = $1 AND deleted_at IS NULL
+            AND ($2::date IS NULL OR (date_appel AT TIME ZONE $4)::date >= $2::date)
+            AND ($3::date IS NULL OR (date_appel AT TIME ZONE $4)::date <= $3::date)
+          ORDER BY date_appel ASC, nom ASC
+        `,
+        [userId, from, to, timeZone]
+      ),
+
+    listByOrganisation: (userId, organisationId) =>
+      many(
+        db,
+        `
+          SELECT ${CONTACT_COLUMNS}
+          FROM contacts
+          WHERE user_id = $1 AND organisation_id = $2 AND deleted_at IS NULL
+          ORDER BY date_appel DESC, id
+        `,
+        [userId, organisationId]
+      ),
+  };
+
+  const applications = {
+    list: (userId) =>
+      many(
+        db,
+        `SELECT ${APPLICATION_COLUMNS} FROM applications a WHERE a.user_id = $1 ORDER BY a.updated_at DESC`,
+        [userId]
+      ),
+
+    find: (userId, id) =>
+      one(db, `SELECT ${APPLICATION_COLUMNS} FROM applications a WHERE a.id = $1 AND a.user_id = $2 LIMIT 1`, [
+        id,
+        userId,
+      ]),
+
+    // Returns false when the id is already taken.
+    async insert(application) {
+      const row = await one(
+        db,
+        `
+          INSERT INTO applications(
+            id, user_id, poste, entreprise, lien, statut, dates_etapes, salaire_min, salaire_max, notes,
+            date_relance, action_relance, organisation_id
+          )
+          VALUES($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+          ON CONFLICT (id) DO NOTHING
+          RETURNING id
+        `,
+        [
+          application.id,
+          application.userId,
+          application.poste,
+          application.entreprise,
+          application.lien,
+          application.statut,
+          JSON.stringify(application.datesEtapes),
+          application.salaireMin,
+          application.salaireMax,
+          application.notes,
+          application.dateRelance,
+          application.actionRelance,
+          application.organisationId,
+        ]
+      );
+      return Boolean(row);
+    },
+
+    async update(application) {
+      await db.query(
+        `
+          UPDATE applications
+          SET poste = $3, entreprise = $4, lien = $5, statut = $6, dates_etapes = $7,
+              salaire_min = $8, salaire_max = $9, notes = $10, date_relance = $11, action_relance = $12,
+              organisation_id = $13, updated_at = NOW()
+          WHERE id = $1 AND user_id = $2
+        `,
+        [
+          application.id,
+          application.userId,
+          application.poste,
+          application.entreprise,
+          application.lien,
+          application.statut,
+          JSON.stringify(application.datesEtapes),
+          application.salaireMin,
+          application.salaireMax,
+          application.notes,
+          application.dateRelance,
+          application.actionRelance,
+          application.organisationId,
+        ]
+      );
+    },
+
+    async remove(userId, id) {
+      const result = await db.query('DELETE FROM applications WHERE id = $1 AND user_id = $2', [id, userId]);
+      return result.rowCount > 0;
+    },
+
+    async setContacts(applicationId, contactIds) {
+      await db.query('DELETE FROM application_contacts WHERE application_id = $1', [applicationId]);
+      for (const contactId of contactIds) {
+        await db.query('INSERT INTO application_contacts(application_id, contact_id) VALUES($1, $2)', [
+          applicationId,
+          contactId,
+        ]);
+      }
+    },
+
+    // Application stages (one row per dated stage) reached between two days.
+    listSteps: (userId, { from, to, timeZone }) =>
+      many(
+        db,
+        `
+          SELECT a.id, a.poste, a.entreprise, a.lien, step.key AS statut, step.value::timestamptz AS date
+          FROM applications a
+          CROSS JOIN LATERAL jsonb_each_text(a.dates_etapes) AS step
+          WHERE a.user_id = $1
+            AND ($2::date IS NULL OR (step.value::timestamptz AT TIME ZONE $4)::date >= $2::date)
+            AND ($3::date IS NULL OR (step.value::timestamptz AT TIME ZONE $4)::date <= $3::date)
+          ORDER BY date ASC, a.poste ASC
+        `,
+        [userId, from, to, timeZone]
+      ),
+
+    listByOrganisation: (userId, organisationId) =>
+      many(
+        db,
+        `
+          SELECT ${APPLICATION_COLUMNS}
+          FROM applications a
+          WHERE a.user_id = $1 AND a.organisation_id = $2
+          ORDER BY a.updated_at DESC
+        `,
+        [userId, organisationId]
+      ),
+  };
+
+  const organisations = {
+    // Organisations with at least one contact or application, with counts and
+    // the date of the latest call.
+    list: (userId) =>
+      many(
+        db,
+        `
+          SELECT * FROM (
+            SELECT o.id, o.name,
+                   (SELECT COUNT(*)::int FROM contacts c WHERE c.organisation_id = o.id AND c.deleted_at IS NULL)
+                     AS "contactCount",
+                   (SELECT COUNT(*)::int FROM applications a WHERE a.organisation_id = o.id) AS "applicationCount",
+                   (SELECT MAX(c.date_appel) FROM contacts c WHERE c.organisation_id = o.id AND c.deleted_at IS NULL)
+                     AS "lastCallAt"
+            FROM organisations o
+            WHERE o.user_id = $1
+            ORDER BY o.name_key, o.id
+          ) AS counted
+          WHERE "contactCount" > 0 OR "applicationCount" > 0
+        `,
+        [userId]
+      ),
+
+    find: (userId, id) =>
+      one(db, 'SELECT id, name, name_key AS "nameKey" FROM organisations WHERE id = $1 AND user_id = $2', [id, userId]),
+
+    findByKey: (userId, nameKey) =>
+      one(db, 'SELECT id, name, name_key AS "nameKey" FROM organisations WHERE user_id = $1 AND name_key = $2', [
+        userId,
+        nameKey,
+      ]),
+
+    // The user's organisation with this key, created with `name` if missing.
+    async findOrCreate({ id, userId, name, nameKey }) {
+      await db.query(
+        `
+          INSERT INTO organisations(id, user_id, name, name_key)
+          VALUES($1, $2, $3, $4)
+          ON CONFLICT (user_id, name_key) DO NOTHING
+        `,
+        [id, userId, name, nameKey]
+      );
+      return organisations.findByKey(userId, nameKey);
+    },
+
+    // Renames the organisation and the text of every contact and application
+    // linked to it; contacts get a new version so devices sync the new name.
+    async rename({ userId, id, name, nameKey }) {
+      await db.query(
+        'UPDATE organisations SET name = $3, name_key = $4, updated_at = NOW() WHERE id = $1 AND user_id = $2',
+        [id, userId, name, nameKey]
+      );
+      await db.query(
+        `
+          UPDATE contacts
+          SET organisation = $3, version = version + 1, updated_at = NOW(), change_xid = pg_current_xact_id()
+          WHERE organisation_id = $1 AND user_id = $2 AND organisation <> $3
+        `,
+        [id, userId, name]
+      );
+      await db.query(
+        'UPDATE applications SET entreprise = $3, updated_at = NOW() WHERE organisation_id = $1 AND user_id = $2',
+        [id, userId, name]
+      );
+    },
+
+    // Moves every contact and application of `fromId` to `into`, then deletes
+    // `fromId`.
+    async merge(userId, fromId, into) {
+      await db.query(
+        `
+          UPDATE contacts
+          SET organisation_id = $3, organisation = $4, version = version + 1, updated_at = NOW(),
+              change_xid = pg_current_xact_id()
+          WHERE organisation_id = $1 AND user_id = $2
+        `,
+        [fromId, userId, into.id, into.name]
+      );
+      await db.query(
+        `
+          UPDATE applications SET organisation_id = $3, entreprise = $4, updated_at = NOW()
+          WHERE organisation_id = $1 AND user_id = $2
+        `,
+        [fromId, userId, into.id, into.name]
+      );
+      await db.query('DELETE FROM organisations WHERE id = $1 AND user_id = $2', [fromId, userId]);
+    },
+  };
+
+  const interactions = {
+    list: (userId, contactId) =>
+      many(
+        db,
+        `
+          SELECT ${INTERACTION_COLUMNS}
+          FROM interactions i
+          WHERE i.user_id = $1 AND i.contact_id = $2
+          ORDER BY i.date DESC, i.id
+        `,
+        [userId, contactId]
+      ),
+
+    // Interactions with the user's (not deleted) contacts, oldest first.
+    listByUser: (userId) =>
+      many(
+        db,
+        `
+          SELECT ${INTERACTION_COLUMNS}
+          FROM interactions i
+          JOIN contacts c ON c.id = i.contact_id
+          WHERE i.user_id = $1 AND c.deleted_at IS NULL
+          ORDER BY i.date, i.id
+        `,
+        [userId]
+      ),
+
+    // Interactions with the organisation's (not deleted) contacts, newest first.
+    listByOrganisation: (userId, organisationId) =>
+      many(
+        db,
+        `
+          SELECT ${INTERACTION_COLUMNS}, c.nom AS "contactNom"
+          FROM interactions i
+          JOIN contacts c ON c.id = i.contact_id
+          WHERE i.user_id = $1 AND c.organisation_id = $2 AND c.deleted_at IS NULL
+          ORDER BY i.date DESC, i.id
+        `,
+        [userId, organisationId]
+      ),
+
+    insert: (interaction) =>
+      one(
+        db,
+        `
+          INSERT INTO interactions AS i (id, user_id, contact_id, type, date, notes)
+          VALUES($1, $2, $3, $4, $5, $6)
+          RETURNING ${INTERACTION_COLUMNS}
+        `,
+        [
+          interaction.id,
+          interaction.userId,
+          interaction.contactId,
+          interaction.type,
+          interaction.date,
+          interaction.notes,
+        ]
+      ),
+
+    // Returns the deleted interaction, or null.
+    remove: (userId, contactId, id) =>
+      one(
+        db,
+        `
+          DELETE FROM interactions i
+          WHERE i.id = $1 AND i.user_id = $2 AND i.contact_id = $3
+          RETURNING ${INTERACTION_COLUMNS}
+        `,
+        [id, userId, contactId]
+      ),
+  };
+
+  const followUps = {
+    // Contacts and applications with a follow-up date before `until` (all of
+    // them when null), soonest first.
+    list: (userId, until = null) =>
+      many(
+        db,
+        `
+          SELECT 'contact' AS type, id, nom AS titre, organisation AS "sousTitre",
+                 date_relance AS "dateRelance", action_relance AS "actionRelance"
+          FROM contacts
+          WHERE user_id = $1 AND deleted_at IS NULL AND date_relance IS NOT NULL
+            AND ($2::timestamptz IS NULL OR date_relance < $2::timestamptz)
+          UNION ALL
+          SELECT 'application' AS type, id, poste AS titre, entreprise AS "sousTitre",
+                 date_relance AS "dateRelance", action_relance AS "actionRelance"
+          FROM applications
+          WHERE user_id = $1 AND date_relance IS NOT NULL
+            AND ($2::timestamptz IS NULL OR date_relance < $2::timestamptz)
+          ORDER BY "dateRelance" ASC
+        `,
+        [userId, until]
+      ),
+  };
+
+  const formations = {
+    // One page of the catalogue matching the filters (see parseFormationQuery
+    // in server.js), and how many match in total. `suivi` is the status the
+    // user gave each formation, null without a user or a bookmark; with
+    // `near`, formations without coordinates are left out and the closest
+    // come first.
+    async search({ userId, terms, ville, niveau, dureeMax, modalite, cpf, period, near, suivies, limit, offset }) {
+      const distance = distanceSql('f', '$10::float8', '$11::float8');
+      const from = 'formations f LEFT JOIN formation_suivis s ON s.formation_id = f.id AND s.user_id = $1';
+      const where = `
+        NOT EXISTS (
+          SELECT 1 FROM unnest($2::text[]) AS term
+          WHERE ${foldSql("f.titre || ' ' || f.organisme || ' ' || f.description")} NOT LIKE '%' || term || '%'
+        )
+        AND ${foldSql('f.ville')} LIKE '%' || $3 || '%'
+        AND ($4::text = '' OR f.niveau = $4)
+        AND ($5::int IS NULL OR f.duree_heures <= $5)
+        AND ($6::text = '' OR f.modalite = $6)
+        AND (NOT $7::boolean OR f.cpf)
+        AND ($8::date IS NULL OR f.date_debut >= $8::date)
+        AND ($9::date IS NULL OR f.date_debut <= $9::date)
+        AND ($10::float8 IS NULL OR (f.latitude IS NOT NULL AND ${distance} <= $12::float8))
+        AND (NOT $13::boolean OR s.statut IS NOT NULL)
+      `;
+      const values = [
+        userId,
+        terms.map(escapeLike),
+        escapeLike(ville),
+        niveau,
+        dureeMax,
+        modalite,
+        cpf,
+        period.from,
+        period.to,
+        near ? near.latitude : null,
+        near ? near.longitude : null,
+        near ? near.rayon : null,
+        suivies,
+      ];
+      const [rows, count] = await Promise.all([
+        many(
+          db,
+          `
+            SELECT ${FORMATION_COLUMNS},
+                   CASE WHEN $10::float8 IS NULL OR f.latitude IS NULL THEN NULL ELSE ${distance} END AS "distanceKm"
+            FROM ${from}
+            WHERE ${where}
+            ORDER BY ${near ? '"distanceKm", ' : ''}${FORMATION_ORDER}
+            LIMIT $14 OFFSET $15
+          `,
+          [...values, limit, offset]
+        ),
+        one(db, `SELECT COUNT(*)::int AS total FROM ${from} WHERE ${where}`, values),
+      ]);
+      return { formations: rows, total: count.total };
+    },
+
+    find: (id, userId) =>
+      one(
+        db,
+        `
+          SELECT ${FORMATION_COLUMNS}
+          FROM formations f LEFT JOIN formation_suivis s ON s.formation_id = f.id AND s.user_id = $2
+          WHERE f.id = $1
+        `,
+        [id, userId]
+      ),
+
+    // Inserts or replaces the formation; resolves to true when it is new.
+    async upsert(formation) {
+      const row = await one(
+        db,
+        `
+          INSERT INTO formations(
+            id, titre, organisme, description, ville, latitude, longitude, niveau,
+            duree_heures, modalite, cpf, date_debut, date_fin, lien
+          )
+          VALUES($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+          ON CONFLICT (id) DO UPDATE SET
+            titre = EXCLUDED.titre, organisme = EXCLUDED.organisme, description = EXCLUDED.description,
+            ville = EXCLUDED.ville, latitude = EXCLUDED.latitude, longitude = EXCLUDED.longitude,
+            niveau = EXCLUDED.niveau, duree_heures = EXCLUDED.duree_heures, modalite = EXCLUDED.modalite,
+            cpf = EXCLUDED.cpf, date_debut = EXCLUDED.date_debut, date_fin = EXCLUDED.date_fin,
+            lien = EXCLUDED.lien, updated_at = NOW()
+          RETURNING (xmax = 0) AS created
+        `,
+        [
+          formation.id,
+          formation.titre,
+          formation.organisme,
+          formation.description,
+          formation.ville,
+          formation.latitude,
+          formation.longitude,
+          formation.niveau,
+          formation.dureeHeures,
+          formation.modalite,
+          formation.cpf,
+          formation.dateDebut,
+          formation.dateFin,
+          formation.lien,
+        ]
+      );
+      return row.created;
+    },
+
+    async setSuivi(userId, formationId, statut) {
+      await db.query(
+        `
+          INSERT INTO formation_suivis(user_id, formation_id, statut)
+          VALUES($1, $2, $3)
+          ON CONFLICT (user_id, formation_id) DO UPDATE SET statut = EXCLUDED.statut, updated_at = NOW()
+        `,
+        [userId, formationId, statut]
+      );
+    },
+
+    async removeSuivi(userId, formationId) {
+      const result = await db.query('DELETE FROM formation_suivis WHERE user_id = $1 AND formation_id = $2', [
+        userId,
+        formationId,
+      ]);
+      return result.rowCount > 0;
+    },
+
+    listSuivis: (userId) =>
+      many(
+        db,
+        `
+          SELECT s.formation_id AS "formationId", f.titre, f.organisme, s.statut,
+                 s.created_at AS "createdAt", s.updated_at AS "updatedAt"
+          FROM formation_suivis s
+          JOIN formations f ON f.id = s.formation_id
+          WHERE s.user_id = $1
+          ORDER BY s.updated_at DESC
+        `,
+        [userId]
+      ),
+  };
+
+  const services = {
+    // One page of the directory matching the filters (see parseServiceQuery in
+    // server.js), and how many match in total. With `near`, services without
+    // coordinates are left out and the closest come first; with a postcode,
+    // the department is listed, that postcode first.
+    async search({ type, codePostal, departement, ville, near, limit, offset }) {
+      const distance = distanceSql('s', '$4::float8', '$5::float8');
+      const where = `
+        ($1::text = '' OR s.type = $1)
+        AND ($2::text = '' OR s.departement = $2)
+        AND ${foldSql('s.ville')} LIKE '%' || $3 || '%'
+        AND ($4::float8 IS NULL OR (s.latitude IS NOT NULL AND ${distance} <= $6::float8))
+      `;
+      const values = [
+        type,
+        departement,
+        escapeLike(ville),
+        near ? near.latitude : null,
+        near ? near.longitude : null,
+        near ? near.rayon : null,
+      ];
+      const order = near
+        ? '"distanceKm", s.code_postal = $7 DESC, lower(s.nom), s.id'
+        : 's.code_postal = $7 DESC, s.departement, lower(s.ville), lower(s.nom), s.id';
+      const [rows, count] = await Promise.all([
+        many(
+          db,
+          `
+            SELECT ${SERVICE_COLUMNS},
+                   CASE WHEN $4::float8 IS NULL OR s.latitude IS NULL THEN NULL ELSE ${distance} END AS "distanceKm"
+            FROM services s
+            WHERE ${where}
+            ORDER BY ${order}
+            LIMIT $8 OFFSET $9
+          `,
+          [...values, codePostal, limit, offset]
+        ),
+        one(db, `SELECT COUNT(*)::int AS total FROM services s WHERE ${where}`, values),
+      ]);
+      return { services: rows, total: count.total };
+    },
+
+    find: (id) => one(db, `SELECT ${SERVICE_COLUMNS} FROM services s WHERE s.id = $1`, [id]),
+
+    // Inserts or replaces the service; resolves to true when it is new.
+    async upsert(service) {
+      const row = await one(
+        db,
+        `
+          INSERT INTO services(
+            id, nom, type, adresse, code_postal, departement, ville, latitude, longitude,
+            horaires, telephone, email, site
+          )
+          VALUES($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+          ON CONFLICT (id) DO UPDATE SET
+            nom = EXCLUDED.nom, type = EXCLUDED.type, adresse = EXCLUDED.adresse,
+            code_postal = EXCLUDED.code_postal, departement = EXCLUDED.departement, ville = EXCLUDED.ville,
+            latitude = EXCLUDED.latitude, longitude = EXCLUDED.longitude, horaires = EXCLUDED.horaires,
+            telephone = EXCLUDED.telephone, email = EXCLUDED.email, site = EXCLUDED.site, updated_at = NOW()
+          RETURNING (xmax = 0) AS created
+        `,
+        [
+          service.id,
+          service.nom,
+          service.type,
+          service.adresse,
+          service.codePostal,
+          service.departement,
+          service.ville,
+          service.latitude,
+          service.longitude,
+          service.horaires,
+          service.telephone,
+          service.email,
+          service.site,
+        ]
+      );
+      return row.created;
+    },
+  };
+
+  // Shares that are not revoked; pending ones have no counsellor yet.
+  const findShare = (where, values) =>
+    one(
+      db,
+      `
+        SELECT ${SHARE_COLUMNS}
+        FROM shares sh
+        JOIN users owner ON owner.id = sh.owner_id
+        WHERE sh.revoked_at IS NULL AND ${where}
+      `,
+      values
+    );
+
+  const shares = {
+    async create({ id, ownerId, email, access, tokenHash, ttlDays }) {
+      await db.query(
+        `
+          INSERT INTO shares(id, owner_id, email, access, token_hash, expires_at)
+          VALUES($1, $2, $3, $4, $5, NOW() + $6 * INTERVAL '1 day')
+        `,
+        [id, ownerId, email, access, tokenHash, ttlDays]
+      );
+      return shares.find(id);
+    },
+
+    find: (id) => findShare('sh.id = $1', [id]),
+    findByEmail: (ownerId, email) => findShare('sh.owner_id = $1 AND sh.email = $2', [ownerId, email]),
+    findByTokenHash: (tokenHash) =>
+      findShare('sh.token_hash = $1 AND sh.accepted_at IS NULL AND sh.expires_at > NOW()', [tokenHash]),
+
+    listByOwner: (ownerId) =>
+      many(
+        db,
+        `
+          SELECT ${SHARE_COLUMNS}
+          FROM shares sh
+          JOIN users owner ON owner.id = sh.owner_id
+          WHERE sh.owner_id = $1 AND sh.revoked_at IS NULL
+          ORDER BY sh.created_at, sh.id
+        `,
+        [ownerId]
+      ),
+
+    listByCounsellor: (counsellorId) =>
+      many(
+        db,
+        `
+          SELECT ${SHARE_COLUMNS}
+          FROM shares sh
+          JOIN users owner ON owner.id = sh.owner_id
+          WHERE sh.counsellor_id = $1 AND sh.revoked_at IS NULL
+          ORDER BY owner.email, sh.id
+        `,
+        [counsellorId]
+      ),
+
+    // One UPDATE, so an invitation is accepted once.
+    async accept(id, counsellorId) {
+      const row = await one(
+        db,
+        `
+          UPDATE shares SET counsellor_id = $2, accepted_at = NOW(), token_hash = NULL
+          WHERE id = $1 AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()
+          RETURNING id
+        `,
+        [id, counsellorId]
+      );
+      return row ? shares.find(id) : null;
+    },
+
+    async setAccess(id, access) {
+      await db.query('UPDATE shares SET access = $2 WHERE id = $1', [id, access]);
+      return shares.find(id);
+    },
+
+    async revoke(id) {
+      await db.query('UPDATE shares SET revoked_at = NOW(), token_hash = NULL WHERE id = $1', [id]);
+    },
+  };
+
+  const comments = {
+    list: (shareId) =>
+      many(
+        db,
+        `
+          SELECT ${COMMENT_COLUMNS}
+          FROM share_comments sc
+          JOIN users author ON author.id = sc.author_id
+          WHERE sc.share_id = $1
+          ORDER BY sc.created_at, sc.id
+        `,
+        [shareId]
+      ),
+
+    async insert(comment) {
+      await db.query(
+        `
+          INSERT INTO share_comments(id, share_id, author_id, target_type, target_id, body)
+          VALUES($1, $2, $3, $4, $5, $6)
+        `,
+        [comment.id, comment.shareId, comment.authorId, comment.targetType, comment.targetId, comment.body]
+      );
+      return one(
+        db,
+        `
+          SELECT ${COMMENT_COLUMNS}
+          FROM share_comments sc
+          JOIN users author ON author.id = sc.author_id
+          WHERE sc.id = $1
+        `,
+        [comment.id]
+      );
+    },
+  };
+
+  const auditLog = {
+    async record({ id, ownerId, actorId, actorEmail, shareId, action }) {
+      await db.query(
+        `
+          INSERT INTO audit_log(id, owner_id, actor_id, actor_email, share_id, action)
+          VALUES($1, $2, $3, $4, $5, $6)
+        `,
+        [id, ownerId, actorId, actorEmail, shareId, action]
+      );
+    },
+
+    // Newest first; every entry without `limit` (LIMIT NULL).
+    list: (ownerId, limit = null) =>
+      many(
+        db,
+        `
+          SELECT id, actor_email AS "actorEmail", share_id AS "shareId", action, created_at AS "createdAt"
+          FROM audit_log
+          WHERE owner_id = $1
+          ORDER BY created_at DESC, id
+          LIMIT $2
+        `,
+        [ownerId, limit]
+      ),
+  };
+
+  return {
+    users,
+    sessions,
+    emailTokens,
+    contacts,
+    applications,
+    organisations,
+    interactions,
+    followUps,
+    formations,
+    services,
+    shares,
+    comments,
+    auditLog,
+  };
+}
+
+function createPostgresStore({ databaseUrl }) {
+  const pool = createPool(databaseUrl);
+
+  async function transaction(fn) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await fn(repositories(client));
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  return {
+    description: 'PostgreSQL',
+    ...repositories(pool),
+    transaction,
+    init: () => migrate(pool),
+    close: () => pool.end(),
+  };
+}
+
+module.exports = { createPostgresStore };
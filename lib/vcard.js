@@ -0,0 +1,128 @@
+// vCard (2.1 / 3.0 / 4.0) reading and vCard 3.0 writing, limited to the
+// properties a contact in OrganiJob can hold. Phone exports still use
+// QUOTED-PRINTABLE for accents.
+const { escapeText, foldLine } = require('./ical');
+
+function unfold(text) {
+  return String(text || '')
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/\n[ \t]/g, '');
+}
+
+function decodeQuotedPrintable(value) {
+  const bytes = [];
+  for (let i = 0; i < value.length; i += 1) {
+    if (value[i] === '=' && /^[0-9A-F]{2}$/i.test(value.slice(i + 1, i + 3))) {
+      bytes.push(Number.parseInt(value.slice(i + 1, i + 3), 16));
+      i += 2;
+    } else {
+      bytes.push(...Buffer.from(value[i], 'utf8'));
+    }
+  }
+  return Buffer.from(bytes).toString('utf8');
+}
+
+function unescapeText(value) {
+  return value.replace(/\\([nN,;\\])/g, (match, char) => (char.toLowerCase() === 'n' ? '\n' : char));
+}
+
+// Splits a structured value (N, ORG) on unescaped ';'.
+function splitComponents(value) {
+  return value.split(/(?<!\\);/).map((part) => unescapeText(part).trim());
+}
+
+function parseLine(line) {
+  const colon = line.indexOf(':');
+  if (colon === -1) return null;
+  const [rawName, ...params] = line.slice(0, colon).split(';');
+  const name = rawName.replace(/^[^.]+\./, '').toUpperCase(); // drop "item1." groups
+  const isQuotedPrintable = params.some((p) => /QUOTED-PRINTABLE/i.test(p));
+  let value = line.slice(colon + 1);
+  if (isQuotedPrintable) value = decodeQuotedPrintable(value);
+  return { name, value };
+}
+
+function cardToContact(properties) {
+  const get = (name) => properties.find((p) => p.name === name);
+  const fn = get('FN');
+  const n = get('N');
+  const org = get('ORG');
+  const title = get('TITLE') || get('ROLE');
+  const note = get('NOTE');
+  const dateAppel = get('X-ORGANIJOB-DATE-APPEL');
+  const categories = properties.filter((p) => p.name === 'CATEGORIES');
+
+  let nom = fn ? unescapeText(fn.value).trim() : '';
+  if (!nom && n) {
+    const [family = '', given = ''] = splitComponents(n.value);
+    nom = [given, family].filter(Boolean).join(' ');
+  }
+
+  return {
+    nom,
+    organisation: org ? splitComponents(org.value).filter(Boolean).join(' - ') : '',
+    expertise: title ? unescapeText(title.value).trim() : '',
+    notes: note ? unescapeText(note.value).trim() : '',
+    dateAppel: dateAppel ? dateAppel.value.trim() : '',
+    tags: categories.flatMap((p) => p.value.split(/(?<!\\),/).map((tag) => unescapeText(tag).trim())),
+  };
+}
+
+// Returns one plain contact object per BEGIN:VCARD ... END:VCARD block.
+function parse(text) {
+  const contacts = [];
+  let properties = null;
+
+  const lines = unfold(text).split('\n');
+  for (let i = 0; i < lines.length; i += 1) {
+    let trimmed = lines[i].trim();
+    // Quoted-printable values continue on the next line after a trailing '='.
+    if (/QUOTED-PRINTABLE/i.test(trimmed.split(':', 1)[0])) {
+      while (trimmed.endsWith('=') && i + 1 < lines.length) {
+        i += 1;
+        trimmed = trimmed.slice(0, -1) + lines[i].trim();
+      }
+    }
+
+    if (/^BEGIN:VCARD$/i.test(trimmed)) {
+      properties = [];
+    } else if (/^END:VCARD$/i.test(trimmed)) {
+      if (properties) contacts.push(cardToContact(properties));
+      properties = null;
+    } else if (properties && trimmed) {
+      const property = parseLine(trimmed);
+      if (property) properties.push(property);
+    }
+  }
+
+  return contacts;
+}
+
+function contactToCard(contact) {
+  const lines = [
+    'BEGIN:VCARD',
+    'VERSION:3.0',
+    `UID:${escapeText(contact.id)}`,
+    `FN:${escapeText(contact.nom)}`,
+    `N:${escapeText(contact.nom)};;;;`,
+    `ORG:${escapeText(contact.organisation)}`,
+  ];
+  if (contact.expertise) lines.push(`TITLE:${escapeText(contact.expertise)}`);
+  const note = [contact.notes, contact.inclusivite && `Valeurs inclusives: ${contact.inclusivite}`]
+    .filter(Boolean)
+    .join('\n\n');
+  if (note) lines.push(`NOTE:${escapeText(note)}`);
+  if (contact.tags && contact.tags.length) lines.push(`CATEGORIES:${contact.tags.map(escapeText).join(',')}`);
+  // Read back by parse() so an exported file can be imported again as is.
+  if (contact.dateAppel) lines.push(`X-ORGANIJOB-DATE-APPEL:${new Date(contact.dateAppel).toISOString()}`);
+  lines.push('END:VCARD');
+  return lines;
+}
+
+// Writes contacts as one vCard 3.0 document, CRLF-terminated and folded.
+function build(contacts) {
+  return `${contacts.flatMap(contactToCard).map(foldLine).join('\r\n')}\r\n`;
+}
+
+module.exports = { parse, build };
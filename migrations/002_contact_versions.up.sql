@@ -0,0 +1,4 @@
+-- Delta sync: a version per contact for conflict detection, tombstones for deletions.
+ALTER TABLE contacts ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE contacts ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+CREATE INDEX IF NOT EXISTS idx_contacts_user_updated ON contacts(user_id, updated_at);
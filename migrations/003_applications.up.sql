@@ -0,0 +1,22 @@
+CREATE TABLE IF NOT EXISTS applications (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  poste TEXT NOT NULL,
+  entreprise TEXT NOT NULL,
+  lien TEXT,
+  statut TEXT NOT NULL DEFAULT 'a_postuler',
+  dates_etapes JSONB NOT NULL DEFAULT '{}'::jsonb,
+  salaire_min INTEGER,
+  salaire_max INTEGER,
+  notes TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS application_contacts (
+  application_id TEXT NOT NULL REFERENCES applications(id) ON DELETE CASCADE,
+  contact_id TEXT NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+  PRIMARY KEY (application_id, contact_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_applications_user_id ON applications(user_id);
@@ -0,0 +1,7 @@
+DROP INDEX IF EXISTS idx_applications_relance;
+DROP INDEX IF EXISTS idx_contacts_relance;
+ALTER TABLE users DROP COLUMN IF EXISTS calendar_token;
+ALTER TABLE applications DROP COLUMN IF EXISTS action_relance;
+ALTER TABLE applications DROP COLUMN IF EXISTS date_relance;
+ALTER TABLE contacts DROP COLUMN IF EXISTS action_relance;
+ALTER TABLE contacts DROP COLUMN IF EXISTS date_relance;
@@ -0,0 +1,10 @@
+-- Follow-up date and next action on contacts and applications, plus the
+-- secret token of each user's iCalendar feed.
+ALTER TABLE contacts ADD COLUMN IF NOT EXISTS date_relance TIMESTAMPTZ;
+ALTER TABLE contacts ADD COLUMN IF NOT EXISTS action_relance TEXT;
+ALTER TABLE applications ADD COLUMN IF NOT EXISTS date_relance TIMESTAMPTZ;
+ALTER TABLE applications ADD COLUMN IF NOT EXISTS action_relance TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS calendar_token TEXT UNIQUE;
+
+CREATE INDEX IF NOT EXISTS idx_contacts_relance ON contacts(user_id, date_relance) WHERE date_relance IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_applications_relance ON applications(user_id, date_relance) WHERE date_relance IS NOT NULL;
@@ -0,0 +1,14 @@
+-- Sessions get a public id (the token stays secret), an expiry renewed on use
+-- and the device they were opened from. Sessions opened before this get the
+-- default 30-day lifetime from now.
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS id TEXT;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS user_agent TEXT;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS last_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ;
+
+UPDATE sessions SET id = gen_random_uuid()::text WHERE id IS NULL;
+UPDATE sessions SET expires_at = NOW() + INTERVAL '30 days' WHERE expires_at IS NULL;
+
+ALTER TABLE sessions ALTER COLUMN id SET NOT NULL;
+ALTER TABLE sessions ALTER COLUMN expires_at SET NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sessions_id ON sessions(id);
@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS idx_contacts_user_date_appel;
+DROP INDEX IF EXISTS idx_contacts_tags;
+ALTER TABLE contacts DROP COLUMN IF EXISTS tags;
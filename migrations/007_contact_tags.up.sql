@@ -0,0 +1,5 @@
+-- Free-form tags on contacts (lowercased by the server), and indexes for the
+-- contact list filters: tag lookups and the default "most recent call" order.
+ALTER TABLE contacts ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}';
+CREATE INDEX IF NOT EXISTS idx_contacts_tags ON contacts USING GIN (tags);
+CREATE INDEX IF NOT EXISTS idx_contacts_user_date_appel ON contacts(user_id, date_appel DESC);
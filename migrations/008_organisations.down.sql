@@ -0,0 +1,6 @@
+DROP TABLE IF EXISTS interactions;
+DROP INDEX IF EXISTS idx_applications_organisation_id;
+DROP INDEX IF EXISTS idx_contacts_organisation_id;
+ALTER TABLE applications DROP COLUMN IF EXISTS organisation_id;
+ALTER TABLE contacts DROP COLUMN IF EXISTS organisation_id;
+DROP TABLE IF EXISTS organisations;
@@ -0,0 +1,88 @@
+-- Organisations as entities: one row per company or structure of a user,
+-- deduplicated on name_key (see lib/organisations.js). Contacts and
+-- applications keep the name as text and point to their organisation.
+CREATE TABLE IF NOT EXISTS organisations (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  name_key TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (user_id, name_key)
+);
+
+ALTER TABLE contacts ADD COLUMN IF NOT EXISTS organisation_id TEXT REFERENCES organisations(id) ON DELETE SET NULL;
+ALTER TABLE applications ADD COLUMN IF NOT EXISTS organisation_id TEXT REFERENCES organisations(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_contacts_organisation_id ON contacts(organisation_id);
+CREATE INDEX IF NOT EXISTS idx_applications_organisation_id ON applications(organisation_id);
+
+-- Every exchange with a contact (call, email, meeting, message, note);
+-- contacts.date_appel stays the date of the latest one.
+CREATE TABLE IF NOT EXISTS interactions (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  contact_id TEXT NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+  type TEXT NOT NULL DEFAULT 'appel',
+  date TIMESTAMPTZ NOT NULL,
+  notes TEXT NOT NULL DEFAULT '',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_interactions_contact_date ON interactions(contact_id, date DESC);
+
+-- Existing rows: organisationKey() in SQL (Latin-1 accents, both cases, as in
+-- the contact search).
+CREATE FUNCTION pg_temp.organisation_key(name TEXT) RETURNS TEXT AS $$
+  SELECT COALESCE(
+    NULLIF(
+      regexp_replace(
+        translate(
+          lower(btrim(name)),
+          'àáâãäåçèéêëìíîïñòóôõöùúûüýÿÀÁÂÃÄÅÇÈÉÊËÌÍÎÏÑÒÓÔÕÖÙÚÛÜÝŸ',
+          'aaaaaaceeeeiiiinooooouuuuyyaaaaaaceeeeiiiinooooouuuuyy'
+        ),
+        '[^a-z0-9]', '', 'g'
+      ),
+      ''
+    ),
+    lower(btrim(name))
+  )
+$$ LANGUAGE SQL IMMUTABLE;
+
+-- The first spelling used becomes the organisation name.
+INSERT INTO organisations(id, user_id, name, name_key)
+SELECT DISTINCT ON (user_id, name_key) gen_random_uuid()::text, user_id, name, name_key
+FROM (
+  SELECT user_id, btrim(organisation) AS name, pg_temp.organisation_key(organisation) AS name_key, updated_at AS seen_at
+  FROM contacts
+  WHERE btrim(organisation) <> ''
+  UNION ALL
+  SELECT user_id, btrim(entreprise), pg_temp.organisation_key(entreprise), created_at
+  FROM applications
+  WHERE btrim(entreprise) <> ''
+) AS names
+ORDER BY user_id, name_key, seen_at
+ON CONFLICT (user_id, name_key) DO NOTHING;
+
+-- Contacts whose spelling changes get a new version, so every device syncs it.
+UPDATE contacts c
+SET organisation_id = o.id,
+    organisation = o.name,
+    version = CASE WHEN c.organisation = o.name THEN c.version ELSE c.version + 1 END,
+    updated_at = CASE WHEN c.organisation = o.name THEN c.updated_at ELSE NOW() END
+FROM organisations o
+WHERE o.user_id = c.user_id AND o.name_key = pg_temp.organisation_key(c.organisation) AND btrim(c.organisation) <> '';
+
+UPDATE applications a
+SET organisation_id = o.id, entreprise = o.name
+FROM organisations o
+WHERE o.user_id = a.user_id AND o.name_key = pg_temp.organisation_key(a.entreprise) AND btrim(a.entreprise) <> '';
+
+-- The call each contact recorded so far becomes its first interaction.
+INSERT INTO interactions(id, user_id, contact_id, type, date)
+SELECT gen_random_uuid()::text, user_id, id, 'appel', date_appel
+FROM contacts
+WHERE date_appel IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM interactions i WHERE i.contact_id = contacts.id);
+
+DROP FUNCTION pg_temp.organisation_key(TEXT);
@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS formation_suivis;
+DROP TABLE IF EXISTS formations;
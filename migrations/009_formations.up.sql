@@ -0,0 +1,33 @@
+-- Training catalogue shared by every user, filled by the admin import (see
+-- lib/formations.js), and each user's bookmarks and enrolment status.
+CREATE TABLE IF NOT EXISTS formations (
+  id TEXT PRIMARY KEY,
+  titre TEXT NOT NULL,
+  organisme TEXT NOT NULL DEFAULT '',
+  description TEXT NOT NULL DEFAULT '',
+  ville TEXT NOT NULL DEFAULT '',
+  latitude DOUBLE PRECISION,
+  longitude DOUBLE PRECISION,
+  niveau TEXT NOT NULL DEFAULT 'tous',
+  duree_heures INTEGER,
+  modalite TEXT NOT NULL DEFAULT 'presentiel',
+  cpf BOOLEAN NOT NULL DEFAULT FALSE,
+  date_debut DATE,
+  date_fin DATE,
+  lien TEXT NOT NULL DEFAULT '',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_formations_date_debut ON formations(date_debut);
+
+CREATE TABLE IF NOT EXISTS formation_suivis (
+  user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  formation_id TEXT NOT NULL REFERENCES formations(id) ON DELETE CASCADE,
+  statut TEXT NOT NULL DEFAULT 'favori',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (user_id, formation_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_formation_suivis_formation_id ON formation_suivis(formation_id);
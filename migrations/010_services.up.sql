@@ -0,0 +1,21 @@
+-- Directory of local support services shared by every user, filled by the
+-- admin import (see lib/services.js).
+CREATE TABLE IF NOT EXISTS services (
+  id TEXT PRIMARY KEY,
+  nom TEXT NOT NULL,
+  type TEXT NOT NULL DEFAULT 'autre',
+  adresse TEXT NOT NULL DEFAULT '',
+  code_postal TEXT NOT NULL DEFAULT '',
+  departement TEXT NOT NULL DEFAULT '',
+  ville TEXT NOT NULL DEFAULT '',
+  latitude DOUBLE PRECISION,
+  longitude DOUBLE PRECISION,
+  horaires TEXT NOT NULL DEFAULT '',
+  telephone TEXT NOT NULL DEFAULT '',
+  email TEXT NOT NULL DEFAULT '',
+  site TEXT NOT NULL DEFAULT '',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_services_departement ON services(departement, code_postal);
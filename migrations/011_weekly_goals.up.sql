@@ -0,0 +1,2 @@
+-- Weekly targets shown on the dashboard, e.g. {"calls": 10, "applications": 5}.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS weekly_goals JSONB NOT NULL DEFAULT '{}'::jsonb;
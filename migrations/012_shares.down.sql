@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS audit_log;
+DROP TABLE IF EXISTS share_comments;
+DROP TABLE IF EXISTS shares;
@@ -0,0 +1,45 @@
+-- A candidate's contacts and applications shared with a counsellor. Until the
+-- counsellor accepts, only the hash of the invitation token is kept; revoked
+-- shares stay for the audit log.
+CREATE TABLE IF NOT EXISTS shares (
+  id TEXT PRIMARY KEY,
+  owner_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  email TEXT NOT NULL,
+  counsellor_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+  access TEXT NOT NULL DEFAULT 'lecture',
+  token_hash TEXT UNIQUE,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  accepted_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_shares_owner_email ON shares(owner_id, email) WHERE revoked_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_shares_counsellor ON shares(counsellor_id) WHERE revoked_at IS NULL;
+
+-- Comments on a shared contact or application, by the counsellor or the candidate.
+CREATE TABLE IF NOT EXISTS share_comments (
+  id TEXT PRIMARY KEY,
+  share_id TEXT NOT NULL REFERENCES shares(id) ON DELETE CASCADE,
+  author_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  target_type TEXT NOT NULL,
+  target_id TEXT NOT NULL,
+  body TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_share_comments_share ON share_comments(share_id, created_at);
+
+-- Every read of a candidate's data by someone else. The actor's email is
+-- copied so entries stay readable after that account is deleted.
+CREATE TABLE IF NOT EXISTS audit_log (
+  id TEXT PRIMARY KEY,
+  owner_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  actor_id TEXT REFERENCES users(id) ON DELETE SET NULL,
+  actor_email TEXT NOT NULL,
+  share_id TEXT REFERENCES shares(id) ON DELETE SET NULL,
+  action TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_owner ON audit_log(owner_id, created_at DESC);
@@ -0,0 +1,4 @@
+-- Last sign-in or use of a session, for the purge of inactive accounts
+-- (ACCOUNT_RETENTION_DAYS). Existing accounts count as active from now on.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS last_active_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+CREATE INDEX IF NOT EXISTS idx_users_last_active_at ON users(last_active_at);
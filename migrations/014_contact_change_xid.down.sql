@@ -0,0 +1,2 @@
+DROP INDEX IF EXISTS idx_contacts_user_change_xid;
+ALTER TABLE contacts DROP COLUMN IF EXISTS change_xid;
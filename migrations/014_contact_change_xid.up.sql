@@ -0,0 +1,6 @@
+-- Delta sync: the transaction that last changed each contact. updated_at is
+-- the start of that transaction, so a change committed late could fall behind
+-- a cursor already handed out; transaction ids can be compared with the
+-- snapshot of the reader instead (see contacts.syncCursor).
+ALTER TABLE contacts ADD COLUMN IF NOT EXISTS change_xid xid8 NOT NULL DEFAULT pg_current_xact_id();
+CREATE INDEX IF NOT EXISTS idx_contacts_user_change_xid ON contacts(user_id, change_xid);
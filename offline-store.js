@@ -0,0 +1,123 @@
+// Local persistence (IndexedDB) for contacts and the outbox of changes that
+// still have to be pushed to PUT /api/sync. Loaded before app.js.
+const offlineStore = (() => {
+  const DB_NAME = 'organijob';
+  const DB_VERSION = 1;
+  let dbPromise = null;
+
+  function openDb() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          db.createObjectStore('contacts', { keyPath: 'id' });
+          db.createObjectStore('outbox', { keyPath: 'id' });
+          db.createObjectStore('meta');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return dbPromise;
+  }
+
+  // Runs `work` inside one transaction and resolves with its return value once
+  // the transaction has committed. `work` may return an IDBRequest, in which
+  // case the request result is used.
+  async function transaction(storeNames, mode, work) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeNames, mode);
+      let output;
+      tx.oncomplete = () => resolve(output instanceof IDBRequest ? output.result : output);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+      output = work(tx);
+    });
+  }
+
+  function getContacts() {
+    return transaction('contacts', 'readonly', (tx) => tx.objectStore('contacts').getAll());
+  }
+
+  function replaceContacts(contacts) {
+    return transaction('contacts', 'readwrite', (tx) => {
+      const store = tx.objectStore('contacts');
+      store.clear();
+      for (const contact of contacts) store.put(contact);
+    });
+  }
+
+  function getMeta(key) {
+    return transaction('meta', 'readonly', (tx) => tx.objectStore('meta').get(key));
+  }
+
+  function setMeta(key, value) {
+    return transaction('meta', 'readwrite', (tx) => {
+      tx.objectStore('meta').put(value, key);
+    });
+  }
+
+  function getOutbox() {
+    return transaction('outbox', 'readonly', (tx) => tx.objectStore('outbox').getAll());
+  }
+
+  // Queues a change for one contact. Successive changes to the same contact
+  // are coalesced, keeping the server version the first one was based on.
+  function queueChange(change) {
+    return transaction('outbox', 'readwrite', (tx) => {
+      const store = tx.objectStore('outbox');
+      const pending = store.get(change.id);
+      pending.onsuccess = () => {
+        const base = pending.result;
+        store.put({
+          ...(base || {}),
+          ...change,
+          version: base ? base.version : change.version,
+          queuedAt: Date.now(),
+        });
+      };
+    });
+  }
+
+  // Removes sent changes. When the same contact was changed again while the
+  // request was in flight, the newer change is kept and rebased on the server
+  // version found in `serverVersions` (id -> version).
+  function removeFromOutbox(sentChanges, serverVersions = {}) {
+    return transaction('outbox', 'readwrite', (tx) => {
+      const store = tx.objectStore('outbox');
+      for (const sent of sentChanges) {
+        const pending = store.get(sent.id);
+        pending.onsuccess = () => {
+          const entry = pending.result;
+          if (!entry) return;
+          if (entry.queuedAt === sent.queuedAt) {
+            store.delete(sent.id);
+          } else if (sent.id in serverVersions) {
+            store.put({ ...entry, version: serverVersions[sent.id] });
+          }
+        };
+      }
+    });
+  }
+
+  function clear() {
+    return transaction(['contacts', 'outbox', 'meta'], 'readwrite', (tx) => {
+      tx.objectStore('contacts').clear();
+      tx.objectStore('outbox').clear();
+      tx.objectStore('meta').clear();
+    });
+  }
+
+  return {
+    getContacts,
+    replaceContacts,
+    getMeta,
+    setMeta,
+    getOutbox,
+    queueChange,
+    removeFromOutbox,
+    clear,
+  };
+})();
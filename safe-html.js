@@ -0,0 +1,41 @@
+// Safe templating for every view. html`...` escapes each interpolated value
+// unless it is itself an html`...` fragment (arrays of fragments are joined),
+// and render() only accepts fragments, so user data never reaches innerHTML
+// unescaped. Loaded before app.js.
+const safeHtml = (() => {
+  const ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+  class SafeHtml {
+    constructor(value) {
+      this.value = value;
+    }
+
+    toString() {
+      return this.value;
+    }
+  }
+
+  function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, (char) => ENTITIES[char]);
+  }
+
+  function toHtml(value) {
+    if (value instanceof SafeHtml) return value.value;
+    if (Array.isArray(value)) return value.map(toHtml).join('');
+    if (value === null || value === undefined || value === false) return '';
+    return escapeHtml(value);
+  }
+
+  function html(strings, ...values) {
+    return new SafeHtml(strings.reduce((out, string, index) => out + toHtml(values[index - 1]) + string));
+  }
+
+  function render(element, fragment) {
+    if (!(fragment instanceof SafeHtml)) {
+      throw new TypeError('render() attend un fragment html`...`.');
+    }
+    element.innerHTML = fragment.value;
+  }
+
+  return { html, render, escapeHtml };
+})();
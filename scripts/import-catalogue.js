@@ -0,0 +1,54 @@
+// Loads an open-data dump (CSV or JSON) into a catalogue:
+//   npm run import-formations -- formations.csv              import
+//   npm run import-formations -- formations.json --dry-run   count only
+//   npm run import-services -- structures.csv                idem for services
+// Records already in the catalogue (same id) are replaced.
+const fs = require('fs');
+const path = require('path');
+const { createStore } = require('../lib/store');
+const { importRecords } = require('../lib/open-data');
+const { isMessageCode, message } = require('../lib/i18n');
+const { parseFormationImport } = require('../lib/formations');
+const { parseServiceImport } = require('../lib/services');
+
+const CATALOGUES = {
+  formations: { parse: parseFormationImport, nameField: 'titre' },
+  services: { parse: parseServiceImport, nameField: 'nom' },
+};
+
+async function run(store, [table, ...args]) {
+  const catalogue = CATALOGUES[table];
+  if (!catalogue) throw new Error(`Unknown catalogue: ${table} (${Object.keys(CATALOGUES).join(' or ')}).`);
+  const file = args.find((arg) => !arg.startsWith('--'));
+  if (!file) throw new Error('Missing file to import.');
+  const dryRun = args.includes('--dry-run');
+  const format = path.extname(file).slice(1).toLowerCase();
+
+  let parsed;
+  try {
+    parsed = catalogue.parse({ format, content: fs.readFileSync(file, 'utf8') });
+  } catch (error) {
+    if (!isMessageCode(error.message)) throw error;
+    throw new Error(message(error.message, undefined, { list: table }));
+  }
+  for (const item of parsed.invalid) {
+    const name = item[catalogue.nameField];
+    console.log(`line ${item.line}${name ? ` (${name})` : ''}: ${message(item.error)}`);
+  }
+  const { created, updated } = await importRecords(store, table, parsed[table], { dryRun });
+  const note = dryRun ? ' (dry run, nothing saved)' : '';
+  console.log(`${parsed.total} line(s): ${created} created, ${updated} updated, ${parsed.invalid.length} invalid${note}.`);
+}
+
+if (!process.env.DATABASE_URL) {
+  console.error('Missing DATABASE_URL. Set it in your environment.');
+  process.exit(1);
+}
+
+const store = createStore({ databaseUrl: process.env.DATABASE_URL });
+run(store, process.argv.slice(2))
+  .catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => store.close());
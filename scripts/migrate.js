@@ -0,0 +1,45 @@
+// Schema migrations from the command line:
+//   npm run migrate                   apply pending migrations
+//   npm run migrate -- status         list migrations and their state
+//   npm run migrate -- rollback [n]   revert the last n migrations (default 1)
+const { createPool } = require('../lib/db');
+const { migrate, rollback, status, label } = require('../lib/migrate');
+
+async function run(pool, [command = 'up', arg]) {
+  if (command === 'up') {
+    const applied = await migrate(pool);
+    if (!applied.length) console.log('Database is up to date.');
+    return;
+  }
+
+  if (command === 'status') {
+    for (const entry of await status(pool)) {
+      const appliedAt = entry.appliedAt ? entry.appliedAt.toISOString() : '';
+      console.log(`${entry.state.padEnd(8)}  ${label(entry)}  ${appliedAt}`.trimEnd());
+    }
+    return;
+  }
+
+  if (command === 'rollback') {
+    const steps = arg === undefined ? 1 : Number(arg);
+    if (!Number.isInteger(steps) || steps < 1) throw new Error(`Invalid number of migrations: ${arg}`);
+    const reverted = await rollback(pool, { steps });
+    if (!reverted.length) console.log('Nothing to roll back.');
+    return;
+  }
+
+  throw new Error(`Unknown command: ${command} (up, status or rollback).`);
+}
+
+if (!process.env.DATABASE_URL) {
+  console.error('Missing DATABASE_URL. Set it in your environment.');
+  process.exit(1);
+}
+
+const pool = createPool();
+run(pool, process.argv.slice(2))
+  .catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
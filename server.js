@@ -1,75 +1,135 @@
 const http = require('http');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const crypto = require('crypto');
-const { Pool } = require('pg');
+const { buildCalendar } = require('./lib/ical');
+const csv = require('./lib/csv');
+const vcard = require('./lib/vcard');
+const { buildPdf } = require('./lib/pdf');
+const { createMailer } = require('./lib/mailer');
+const { createAssistant, OBJECTIVES } = require('./lib/ai');
+const { hashPassword, verifyPassword, needsRehash } = require('./lib/password');
+const { createRateLimiter, createLockout } = require('./lib/rate-limit');
+const { createRouter, HttpError, sendJson, readJson, cors, logRequests } = require('./lib/router');
+const { LANGUAGES, pickLanguage, isMessageCode, translate } = require('./lib/i18n');
+const { createStore } = require('./lib/store');
+const { organisationKey } = require('./lib/organisations');
+const { importRecords } = require('./lib/open-data');
+const { FORMATION_LEVELS, FORMATION_MODES, FORMATION_STATUSES, parseFormationImport } = require('./lib/formations');
+const { SERVICE_TYPES, departementFromPostcode, parseServiceImport } = require('./lib/services');
+const { STAT_METRICS, buildStats } = require('./lib/stats');
 
 const PORT = process.env.PORT || 3000;
 const PUBLIC_DIR = __dirname;
 const DATABASE_URL = process.env.DATABASE_URL;
-const PGSSLMODE = process.env.PGSSLMODE;
-
-if (!DATABASE_URL) {
-  console.error('Missing DATABASE_URL. Set it in your environment.');
-  process.exit(1);
-}
-
-const shouldUseSSL = PGSSLMODE === 'require' || DATABASE_URL.includes('render.com');
-const pool = new Pool({
-  connectionString: DATABASE_URL,
-  ssl: shouldUseSSL ? { rejectUnauthorized: false } : undefined,
-});
-
-async function initDb() {
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS users (
-      id TEXT PRIMARY KEY,
-      email TEXT UNIQUE NOT NULL,
-      password_hash TEXT NOT NULL,
-      password_salt TEXT NOT NULL,
-      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-      updated_at TIMESTAMPTZ
-    );
-  `);
-
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS sessions (
-      token TEXT PRIMARY KEY,
-      user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
-    );
-  `);
-
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS contacts (
-      id TEXT PRIMARY KEY,
-      user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-      nom TEXT NOT NULL,
-      organisation TEXT NOT NULL,
-      date_appel TIMESTAMPTZ NOT NULL,
-      expertise TEXT,
-      inclusivite TEXT,
-      notes TEXT,
-      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
-    );
-  `);
-
-  await pool.query('CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);');
-  await pool.query('CREATE INDEX IF NOT EXISTS idx_contacts_user_id ON contacts(user_id);');
-}
-
-function sendJson(res, code, payload) {
-  const body = JSON.stringify(payload);
-  res.writeHead(code, {
-    'Content-Type': 'application/json; charset=utf-8',
+// Without DATABASE_URL, data is kept in this JSON file (':memory:' for none).
+const DATA_FILE = process.env.DATA_FILE || path.join(__dirname, 'data', 'db.json');
+// LOG_REQUESTS=false silences the per-request log lines (the test suite sets it).
+const LOG_REQUESTS = process.env.LOG_REQUESTS !== 'false';
+const SESSION_TTL_DAYS = Number(process.env.SESSION_TTL_DAYS) || 30;
+// Sliding renewal rewrites a session at most this often, not on every request.
+const SESSION_TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+// Links in emails always use the configured URL, never the request's Host
+// header. Render sets RENDER_EXTERNAL_URL for every web service.
+const APP_URL = (process.env.APP_URL || process.env.RENDER_EXTERNAL_URL || `http://localhost:${PORT}`).replace(
+  /\/+$/,
+  ''
+);
+const EMAIL_TOKEN_TTL_MINUTES = { reset: 60, verify: 48 * 60 };
+// Number of reverse proxies in front of the app (TRUST_PROXY=1 on Render), so
+// the client IP is read from X-Forwarded-For instead of the proxy's address.
+const TRUST_PROXY = process.env.TRUST_PROXY === 'true' ? 1 : Number.parseInt(process.env.TRUST_PROXY, 10) || 0;
+// Other sites allowed to call the API (comma-separated origins). The app is
+// served by this server, so it needs none.
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '')
+  .split(',')
+  .map((origin) => origin.trim().replace(/\/+$/, ''))
+  .filter(Boolean);
+// Accounts allowed to manage shared data (the training catalogue), once their
+// address is verified. Comma-separated.
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '')
+  .split(',')
+  .map((email) => email.trim().toLowerCase())
+  .filter(Boolean);
+// Accounts without any sign-in or request for this many days are deleted with
+// all their data, checked once a day; 0 keeps them. Three years by default.
+const ACCOUNT_RETENTION_DAYS = Number.parseInt(process.env.ACCOUNT_RETENTION_DAYS || '1095', 10) || 0;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ACCOUNT_PURGE_INTERVAL_MS = DAY_MS;
+
+const mailer = createMailer({
+  transport: process.env.MAIL_TRANSPORT || 'console',
+  from: process.env.MAIL_FROM || 'OrganiJob <no-reply@organijob.local>',
+  directory: process.env.MAIL_DIR || path.join(os.tmpdir(), 'organijob-mail'),
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+  },
+});
+
+const EXPORT_TIMEZONE = process.env.EXPORT_TIMEZONE || 'Europe/Paris';
+
+const assistant = createAssistant({
+  provider: process.env.AI_PROVIDER || 'templates',
+  url: process.env.AI_API_URL,
+  apiKey: process.env.AI_API_KEY,
+  model: process.env.AI_MODEL || 'local',
+  timeoutMs: Number(process.env.AI_TIMEOUT_MS) || undefined,
+  timeZone: EXPORT_TIMEZONE,
+});
+
+const MINUTE = 60 * 1000;
+const limits = {
+  // Per IP, only failed logins count: a Mission Locale workshop shares one address.
+  loginIp: createRateLimiter({ windowMs: 15 * MINUTE, max: 30 }),
+  loginAccount: createLockout({ freeAttempts: 5, baseDelayMs: 30 * 1000, maxDelayMs: 15 * MINUTE, forgetAfterMs: 60 * MINUTE }),
+  registerIp: createRateLimiter({ windowMs: 60 * MINUTE, max: 30 }),
+  emailLinkIp: createRateLimiter({ windowMs: 60 * MINUTE, max: 30 }),
+  emailLinkAccount: createRateLimiter({ windowMs: 60 * MINUTE, max: 3 }),
+  shareInvite: createRateLimiter({ windowMs: 60 * MINUTE, max: 10 }),
+  tokenIp: createRateLimiter({ windowMs: 15 * MINUTE, max: 20 }),
+  aiUser: createRateLimiter({ windowMs: 60 * MINUTE, max: Number(process.env.AI_RATE_LIMIT_PER_HOUR) || 20 }),
+  passwordChange: createLockout({ freeAttempts: 5, baseDelayMs: 30 * 1000, maxDelayMs: 15 * MINUTE, forgetAfterMs: 60 * MINUTE }),
+};
+
+const store = createStore({ databaseUrl: DATABASE_URL, dataFile: DATA_FILE });
+
+function tooManyRequests(retryAfter) {
+  return new HttpError(429, 'too_many_attempts', {
+    headers: { 'Retry-After': String(retryAfter) },
+    details: { retryAfter },
+  });
+}
+
+function sendDownload(res, contentType, filename, body) {
+  res.writeHead(200, {
+    'Content-Type': contentType,
     'Content-Length': Buffer.byteLength(body),
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-    'Access-Control-Allow-Methods': 'GET,POST,PUT,OPTIONS',
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Cache-Control': 'no-store',
   });
   res.end(body);
 }
 
+// Scripts only from this origin, no inline script or style: anything that slips
+// into the page as markup cannot run. Google Fonts is the one outside source.
+const CONTENT_SECURITY_POLICY = [
+  "default-src 'self'",
+  "script-src 'self'",
+  "style-src 'self' https://fonts.googleapis.com",
+  'font-src https://fonts.gstatic.com',
+  "img-src 'self' data:",
+  "connect-src 'self'",
+  "object-src 'none'",
+  "base-uri 'none'",
+  "form-action 'self'",
+  "frame-ancestors 'none'",
+].join('; ');
+
 function sendFile(res, filepath) {
   const ext = path.extname(filepath).toLowerCase();
   const contentTypes = {
@@ -85,27 +145,11 @@ function sendFile(res, filepath) {
       res.end('Not found');
       return;
     }
-    res.writeHead(200, { 'Content-Type': contentTypes[ext] || 'application/octet-stream' });
-    res.end(data);
-  });
-}
-
-function parseBody(req) {
-  return new Promise((resolve, reject) => {
-    let data = '';
-    req.on('data', (chunk) => {
-      data += chunk;
-      if (data.length > 1e6) req.destroy();
+    res.writeHead(200, {
+      'Content-Type': contentTypes[ext] || 'application/octet-stream',
+      'Content-Security-Policy': CONTENT_SECURITY_POLICY,
     });
-    req.on('end', () => {
-      if (!data) return resolve({});
-      try {
-        resolve(JSON.parse(data));
-      } catch (error) {
-        reject(error);
-      }
-    });
-    req.on('error', reject);
+    res.end(data);
   });
 }
 
@@ -118,6 +162,7 @@ function normalizePassword(password) {
 }
 
 function normalizeDate(dateAppel) {
+  if (dateAppel instanceof Date) return Number.isNaN(dateAppel.getTime()) ? null : dateAppel.toISOString();
   const raw = String(dateAppel || '').trim();
   if (!raw) return null;
   const parsed = new Date(raw);
@@ -125,6 +170,471 @@ function normalizeDate(dateAppel) {
   return parsed.toISOString();
 }
 
+// Optional dates: empty means "none" (null), an unparsable value is kept as
+// undefined so validation can reject it instead of silently dropping it.
+function normalizeOptionalDate(value) {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+  return normalizeDate(value) || undefined;
+}
+
+// Limits are spelled out in the messages of lib/i18n.js too.
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+
+// One tag: lowercased, "#" prefix dropped, inner spaces collapsed.
+function normalizeTag(tag) {
+  return String(tag || '')
+    .trim()
+    .replace(/^#+/, '')
+    .replace(/\s+/g, ' ')
+    .toLowerCase();
+}
+
+// Tags come as an array from the app, or as a "a, b; c" string from CSV and
+// vCard imports. Empty and repeated tags are dropped.
+function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(/[,;]/);
+  return [...new Set(list.map(normalizeTag).filter(Boolean))];
+}
+
+function sanitizeContact(contact, userId) {
+  return {
+    id: String(contact.id || '').trim() || crypto.randomUUID(),
+    userId,
+    nom: String(contact.nom || '').trim(),
+    organisation: String(contact.organisation || '').trim(),
+    dateAppel: normalizeDate(contact.dateAppel),
+    expertise: String(contact.expertise || '').trim(),
+    inclusivite: String(contact.inclusivite || '').trim(),
+    notes: String(contact.notes || '').trim(),
+    dateRelance: normalizeOptionalDate(contact.dateRelance),
+    actionRelance: String(contact.actionRelance || '').trim(),
+    tags: normalizeTags(contact.tags),
+  };
+}
+
+function validateContact(contact) {
+  if (contact.id.length > 64) return 'contact_id_invalid';
+  if (!contact.nom) return 'contact_name_required';
+  if (!contact.organisation) return 'organisation_required';
+  if (!contact.dateAppel) return 'call_date_invalid';
+  if (contact.dateRelance === undefined) return 'follow_up_date_invalid';
+  if (contact.tags.length > MAX_TAGS) return 'tags_too_many';
+  if (contact.tags.some((tag) => tag.length > MAX_TAG_LENGTH)) return 'tag_too_long';
+  return null;
+}
+
+const CONTACT_IMPORT_FIELDS = [
+  'nom',
+  'organisation',
+  'dateAppel',
+  'expertise',
+  'inclusivite',
+  'notes',
+  'dateRelance',
+  'actionRelance',
+  'tags',
+];
+
+// Header names recognised when guessing how CSV columns map to contact fields,
+// compared after normalizeKey().
+const CSV_COLUMN_ALIASES = {
+  nom: ['nom', 'name', 'nomducontact', 'contact', 'nomcomplet', 'fullname'],
+  organisation: ['organisation', 'organization', 'entreprise', 'societe', 'company', 'structure'],
+  dateAppel: ['dateappel', 'datedappel', 'datedelappel', 'date', 'quand'],
+  expertise: ['expertise', 'domaine', 'domainedexpertise', 'fonction', 'poste', 'title'],
+  inclusivite: ['inclusivite', 'valeursinclusives', 'valeursinclusivesobservees'],
+  notes: ['notes', 'note', 'commentaire', 'commentaires'],
+  dateRelance: ['daterelance', 'datederelance', 'relance'],
+  actionRelance: ['actionrelance', 'prochaineaction', 'action'],
+  tags: ['tags', 'tag', 'etiquettes', 'etiquette', 'categories', 'motscles'],
+};
+
+const IMPORT_PREVIEW_LIMIT = 100;
+
+function normalizeKey(value) {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+}
+
+function contactDuplicateKey(contact) {
+  return `${normalizeKey(contact.nom)}|${normalizeKey(contact.organisation)}`;
+}
+
+function guessCsvMapping(columns) {
+  const mapping = {};
+  for (const field of CONTACT_IMPORT_FIELDS) {
+    const column = columns.find((name) => CSV_COLUMN_ALIASES[field].includes(normalizeKey(name)));
+    if (column && !Object.values(mapping).includes(column)) mapping[field] = column;
+  }
+  return mapping;
+}
+
+// Turns an uploaded file into plain contact-shaped rows. Throws on content
+// that cannot be parsed in the announced format (see fileErrorReason).
+function parseContactImport({ format, content, mapping }) {
+  const text = String(content || '');
+
+  if (format === 'json') {
+    const parsed = JSON.parse(text);
+    const items = Array.isArray(parsed) ? parsed : parsed && parsed.contacts;
+    if (!Array.isArray(items)) throw new Error('file_list_expected');
+    return { rows: items.filter((item) => item && typeof item === 'object'), firstLine: 1 };
+  }
+
+  if (format === 'vcf') {
+    return { rows: vcard.parse(text), firstLine: 1 };
+  }
+
+  if (format === 'csv') {
+    const { columns, rows } = csv.parse(text);
+    const requested = mapping && typeof mapping === 'object' ? mapping : null;
+    const columnMapping = {};
+    if (requested) {
+      for (const field of CONTACT_IMPORT_FIELDS) {
+        if (columns.includes(requested[field])) columnMapping[field] = requested[field];
+      }
+    } else {
+      Object.assign(columnMapping, guessCsvMapping(columns));
+    }
+
+    const mapped = rows.map((row) => {
+      const contact = {};
+      for (const [field, column] of Object.entries(columnMapping)) contact[field] = row[column];
+      return contact;
+    });
+    // Line numbers account for the header line.
+    return { rows: mapped, columns, mapping: columnMapping, firstLine: 2 };
+  }
+
+  throw new Error('file_format_unknown');
+}
+
+// The file_* code of lib/i18n explaining why an uploaded file was not read.
+// Anything else is a bug and is thrown again.
+function fileErrorReason(error) {
+  if (error instanceof SyntaxError) return 'file_syntax_invalid';
+  if (isMessageCode(error.message) && error.message.startsWith('file_')) return error.message;
+  throw error;
+}
+
+// Existing data wins; imported values only fill gaps, notes are appended and
+// the most recent call date is kept.
+function mergeImportedContact(existing, incoming) {
+  const merged = { ...existing };
+  for (const field of ['expertise', 'inclusivite', 'actionRelance']) {
+    if (!merged[field] && incoming[field]) merged[field] = incoming[field];
+  }
+  if (incoming.notes && !String(existing.notes || '').includes(incoming.notes)) {
+    merged.notes = [existing.notes, incoming.notes].filter(Boolean).join('\n');
+  }
+  if (new Date(incoming.dateAppel) > new Date(existing.dateAppel)) merged.dateAppel = incoming.dateAppel;
+  if (!merged.dateRelance && incoming.dateRelance) merged.dateRelance = incoming.dateRelance;
+  merged.tags = normalizeTags([...(existing.tags || []), ...incoming.tags]);
+  return merged;
+}
+
+// Validates every row with the same rules as the API and sorts rows into
+// contacts to create, existing contacts to merge into, skipped duplicates
+// (matched on nom + organisation, accents and case ignored) and invalid rows.
+function planContactImport(userId, existingContacts, rows, { firstLine, defaultDate, duplicates }) {
+  const byKey = new Map(existingContacts.map((c) => [contactDuplicateKey(c), c]));
+  const creates = new Map();
+  const updates = new Map();
+  const plan = { creates, updates, duplicates: [], invalid: [] };
+  const fallbackDate = normalizeDate(defaultDate);
+
+  rows.forEach((row, index) => {
+    const line = firstLine + index;
+    const contact = sanitizeContact({ ...row, id: '', dateAppel: row.dateAppel || fallbackDate }, userId);
+    const validationError = validateContact(contact);
+    if (validationError) {
+      plan.invalid.push({ line, nom: contact.nom, error: validationError });
+      return;
+    }
+
+    const key = contactDuplicateKey(contact);
+    const inFile = creates.get(key);
+    const existing = inFile || updates.get(key) || byKey.get(key);
+    if (!existing) {
+      creates.set(key, contact);
+      return;
+    }
+
+    const action = duplicates === 'skip' ? 'skip' : 'merge';
+    plan.duplicates.push({ line, nom: contact.nom, organisation: contact.organisation, action, inFile: Boolean(inFile) });
+    if (action === 'skip') return;
+    if (inFile) creates.set(key, mergeImportedContact(inFile, contact));
+    else updates.set(key, mergeImportedContact(existing, contact));
+  });
+
+  return plan;
+}
+
+const CONTACT_SORTS = ['recent', 'ancien', 'nom', 'organisation', 'relance'];
+const CONTACT_PAGE_SIZE = 50;
+const CONTACT_PAGE_SIZE_MAX = 200;
+
+// Lowercase without accents, the form search terms are compared in.
+function foldText(value) {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+function parsePageNumber(value, fallback) {
+  if (value === null || value === '') return fallback;
+  return /^\d+$/.test(value) && Number(value) > 0 ? Number(value) : null;
+}
+
+// GET /api/contacts parameters: q (every word must appear in nom,
+// organisation, expertise or notes), organisation, tag, from/to (call day,
+// YYYY-MM-DD), sort and page/pageSize.
+function parseContactQuery(searchParams) {
+  const period = parseExportPeriod(searchParams);
+  if (!period) throw new HttpError(400, 'period_invalid');
+
+  const sort = searchParams.get('sort') || 'recent';
+  if (!CONTACT_SORTS.includes(sort)) throw new HttpError(400, 'sort_unknown');
+
+  const page = parsePageNumber(searchParams.get('page'), 1);
+  const pageSize = parsePageNumber(searchParams.get('pageSize'), CONTACT_PAGE_SIZE);
+  if (!page || !pageSize || pageSize > CONTACT_PAGE_SIZE_MAX) throw new HttpError(400, 'pagination_invalid');
+
+  return {
+    terms: foldText(searchParams.get('q')).split(/\s+/).filter(Boolean),
+    organisation: String(searchParams.get('organisation') || '').trim(),
+    tag: normalizeTag(searchParams.get('tag')),
+    period: { ...period, timeZone: EXPORT_TIMEZONE },
+    sort,
+    page,
+    pageSize,
+  };
+}
+
+// Formations and services.
+const CATALOGUE_PAGE_SIZE = 20;
+const CATALOGUE_PAGE_SIZE_MAX = 100;
+const CATALOGUE_RADIUS_KM = 30;
+const CATALOGUE_RADIUS_MAX_KM = 500;
+
+// "lat,lon" and a radius in km; undefined when malformed.
+function parseNear(near, rayon) {
+  if (!near) return null;
+  const [latitude, longitude, extra] = near.split(',').map((value) => (value.trim() ? Number(value) : NaN));
+  const radius = parsePageNumber(rayon, CATALOGUE_RADIUS_KM);
+  if (extra !== undefined || !(Math.abs(latitude) <= 90) || !(Math.abs(longitude) <= 180)) return undefined;
+  if (!radius || radius > CATALOGUE_RADIUS_MAX_KM) return undefined;
+  return { latitude, longitude, rayon: radius };
+}
+
+// GET /api/formations parameters: q (every word must appear in titre,
+// organisme or description), ville, niveau, dureeMax (hours), modalite,
+// cpf=true, from/to (first day of the session, YYYY-MM-DD), near=lat,lon and
+// rayon (km, 30 by default), suivies=true (the user's formations only) and
+// page/pageSize.
+function parseFormationQuery(searchParams) {
+  const period = parseExportPeriod(searchParams);
+  if (!period) throw new HttpError(400, 'period_invalid');
+
+  const niveau = searchParams.get('niveau') || '';
+  if (niveau && !FORMATION_LEVELS.includes(niveau)) throw new HttpError(400, 'level_unknown');
+  const modalite = searchParams.get('modalite') || '';
+  if (modalite && !FORMATION_MODES.includes(modalite)) throw new HttpError(400, 'mode_unknown');
+
+  const dureeMax = parsePageNumber(searchParams.get('dureeMax'), 0);
+  if (dureeMax === null) throw new HttpError(400, 'duration_invalid');
+  const near = parseNear(searchParams.get('near'), searchParams.get('rayon'));
+  if (near === undefined) throw new HttpError(400, 'position_invalid');
+
+  const page = parsePageNumber(searchParams.get('page'), 1);
+  const pageSize = parsePageNumber(searchParams.get('pageSize'), CATALOGUE_PAGE_SIZE);
+  if (!page || !pageSize || pageSize > CATALOGUE_PAGE_SIZE_MAX) throw new HttpError(400, 'pagination_invalid');
+
+  return {
+    terms: foldText(searchParams.get('q')).split(/\s+/).filter(Boolean),
+    ville: foldText(searchParams.get('ville')).trim(),
+    niveau,
+    dureeMax: dureeMax || null,
+    modalite,
+    cpf: searchParams.get('cpf') === 'true',
+    period,
+    near,
+    suivies: searchParams.get('suivies') === 'true',
+    page,
+    pageSize,
+  };
+}
+
+// Distances to the tenth of a kilometre.
+function withDistance(record) {
+  const { distanceKm = null, ...rest } = record;
+  return { ...rest, distanceKm: distanceKm === null ? null : Math.round(distanceKm * 10) / 10 };
+}
+
+// GET /api/services parameters: type, codePostal (its department, that
+// postcode first), departement, ville, near=lat,lon and rayon (km, 30 by
+// default), and page/pageSize.
+function parseServiceQuery(searchParams) {
+  const type = searchParams.get('type') || '';
+  if (type && !SERVICE_TYPES.includes(type)) throw new HttpError(400, 'service_type_unknown');
+
+  const codePostal = String(searchParams.get('codePostal') || '').trim();
+  if (codePostal && !departementFromPostcode(codePostal)) throw new HttpError(400, 'postcode_invalid');
+  const departement = String(searchParams.get('departement') || '').trim().toUpperCase();
+  if (departement && !/^(\d{2}|2[AB]|9[78]\d)$/.test(departement)) throw new HttpError(400, 'department_invalid');
+
+  const near = parseNear(searchParams.get('near'), searchParams.get('rayon'));
+  if (near === undefined) throw new HttpError(400, 'position_invalid');
+
+  const page = parsePageNumber(searchParams.get('page'), 1);
+  const pageSize = parsePageNumber(searchParams.get('pageSize'), CATALOGUE_PAGE_SIZE);
+  if (!page || !pageSize || pageSize > CATALOGUE_PAGE_SIZE_MAX) throw new HttpError(400, 'pagination_invalid');
+
+  return {
+    type,
+    codePostal,
+    departement: departement || departementFromPostcode(codePostal),
+    ville: foldText(searchParams.get('ville')).trim(),
+    near,
+    page,
+    pageSize,
+  };
+}
+
+const STATS_WEEKS = 12;
+const STATS_WEEKS_MAX = 52;
+const WEEKLY_GOAL_MAX = 1000;
+
+// Weekly goals per metric (calls, exchanges, applications): a whole number,
+// or empty to have no goal. The body replaces all the goals.
+function sanitizeWeeklyGoals(body) {
+  const goals = {};
+  for (const metric of STAT_METRICS) {
+    const value = body[metric];
+    if (value === undefined || value === null || value === '') continue;
+    const goal = Number(value);
+    if (!Number.isInteger(goal) || goal < 1 || goal > WEEKLY_GOAL_MAX) {
+      throw new HttpError(400, 'weekly_goal_invalid');
+    }
+    goals[metric] = goal;
+  }
+  return goals;
+}
+
+// Shared workspaces: a candidate invites a counsellor by email, for reading
+// their contacts and applications ('lecture') or also commenting on them
+// ('commentaire'), until the candidate revokes the share.
+const SHARE_ACCESS = ['lecture', 'commentaire'];
+const SHARE_INVITE_TTL_DAYS = 7;
+const COMMENT_TARGETS = ['contact', 'application'];
+const COMMENT_MAX_LENGTH = 2000;
+const AUDIT_LOG_LIMIT = 200;
+
+// A share as its candidate sees it...
+function grantedShare(share) {
+  let status = 'active';
+  if (!share.acceptedAt) status = Date.parse(share.expiresAt) > Date.now() ? 'en_attente' : 'expiree';
+  return {
+    id: share.id,
+    role: 'candidat',
+    email: share.email,
+    access: share.access,
+    status,
+    createdAt: share.createdAt,
+    acceptedAt: share.acceptedAt,
+  };
+}
+
+// ...and as its counsellor does.
+function receivedShare(share) {
+  return {
+    id: share.id,
+    role: 'conseiller',
+    ownerEmail: share.ownerEmail,
+    access: share.access,
+    acceptedAt: share.acceptedAt,
+  };
+}
+
+const APPLICATION_STATUSES = ['a_postuler', 'envoyee', 'entretien', 'offre', 'refus'];
+const INTERACTION_TYPES = ['appel', 'email', 'rendez_vous', 'message', 'note'];
+
+function normalizeSalary(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const amount = Number(value);
+  return Number.isInteger(amount) && amount >= 0 ? amount : NaN;
+}
+
+function sanitizeApplication(application, userId) {
+  const statut = String(application.statut || 'a_postuler').trim();
+  const datesEtapes = {};
+  const rawDates = application.datesEtapes && typeof application.datesEtapes === 'object' ? application.datesEtapes : {};
+  for (const status of APPLICATION_STATUSES) {
+    const date = normalizeDate(rawDates[status]);
+    if (date) datesEtapes[status] = date;
+  }
+  // Moving to a stage without an explicit date records when it happened.
+  if (!datesEtapes[statut] && statut !== 'a_postuler') datesEtapes[statut] = new Date().toISOString();
+
+  return {
+    id: String(application.id || '').trim() || crypto.randomUUID(),
+    userId,
+    poste: String(application.poste || '').trim(),
+    entreprise: String(application.entreprise || '').trim(),
+    lien: String(application.lien || '').trim(),
+    statut,
+    datesEtapes,
+    salaireMin: normalizeSalary(application.salaireMin),
+    salaireMax: normalizeSalary(application.salaireMax),
+    notes: String(application.notes || '').trim(),
+    dateRelance: normalizeOptionalDate(application.dateRelance),
+    actionRelance: String(application.actionRelance || '').trim(),
+    contactIds: Array.isArray(application.contactIds)
+      ? [...new Set(application.contactIds.map((id) => String(id || '').trim()).filter(Boolean))]
+      : [],
+  };
+}
+
+function validateApplication(application) {
+  if (application.id.length > 64) return 'application_id_invalid';
+  if (!application.poste) return 'job_title_required';
+  if (!application.entreprise) return 'company_required';
+  if (!APPLICATION_STATUSES.includes(application.statut)) return 'application_status_unknown';
+  if (application.lien && !/^https?:\/\/\S+$/i.test(application.lien)) return 'link_invalid';
+  if (Number.isNaN(application.salaireMin) || Number.isNaN(application.salaireMax)) return 'salary_invalid';
+  if (application.dateRelance === undefined) return 'follow_up_date_invalid';
+  if (
+    application.salaireMin !== null &&
+    application.salaireMax !== null &&
+    application.salaireMin > application.salaireMax
+  ) {
+    return 'salary_range_invalid';
+  }
+  return null;
+}
+
+function sanitizeInteraction(interaction, contact) {
+  return {
+    id: crypto.randomUUID(),
+    userId: contact.userId,
+    contactId: contact.id,
+    type: String(interaction.type || 'appel').trim(),
+    date: normalizeDate(interaction.date || new Date()),
+    notes: String(interaction.notes || '').trim(),
+  };
+}
+
+function validateInteraction(interaction) {
+  if (!INTERACTION_TYPES.includes(interaction.type)) return 'interaction_type_unknown';
+  if (!interaction.date) return 'interaction_date_invalid';
+  return null;
+}
+
 function isValidEmail(email) {
   return Boolean(email && email.includes('@') && email.includes('.'));
 }
@@ -133,14 +643,34 @@ function isValidPassword(password) {
   return password.length >= 8;
 }
 
-function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
-  const hash = crypto.pbkdf2Sync(password, salt, 100000, 64, 'sha512').toString('hex');
-  return { salt, hash };
+function getClientIp(req) {
+  const direct = req.socket.remoteAddress || '';
+  if (!TRUST_PROXY) return direct;
+  // Each proxy appends the address it received the request from; entries
+  // further left were sent by the client and cannot be trusted.
+  const forwarded = String(req.headers['x-forwarded-for'] || '')
+    .split(',')
+    .map((value) => value.trim())
+    .filter(Boolean);
+  return forwarded[Math.max(forwarded.length - TRUST_PROXY, 0)] || direct;
+}
+
+// The language of the texts the server writes for this request (see lib/i18n).
+function requestLanguage(req) {
+  return pickLanguage(req.headers['accept-language']);
+}
+
+// Unknown emails are checked against this hash so a login takes as long
+// whether or not the account exists.
+let dummyPasswordHash = null;
+function getDummyPasswordHash() {
+  dummyPasswordHash = dummyPasswordHash || hashPassword(crypto.randomBytes(16).toString('hex'));
+  return dummyPasswordHash;
 }
 
-function verifyPassword(password, salt, expectedHash) {
-  const hash = crypto.pbkdf2Sync(password, salt, 100000, 64, 'sha512').toString('hex');
-  return crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(expectedHash, 'hex'));
+// repos is the store itself or the one passed to a transaction.
+async function storePassword(repos, userId, password) {
+  await repos.users.setPassword(userId, await hashPassword(password));
 }
 
 function createToken() {
@@ -152,245 +682,1494 @@ async function getUserFromAuth(req) {
   const token = auth.startsWith('Bearer ') ? auth.slice(7) : '';
   if (!token) return null;
 
-  const result = await pool.query(
-    `
-      SELECT u.id, u.email
-      FROM sessions s
-      JOIN users u ON u.id = s.user_id
-      WHERE s.token = $1
-      LIMIT 1
-    `,
-    [token]
-  );
+  const session = await store.sessions.findByToken(token);
+  if (!session) return null;
+
+  if (Date.now() - new Date(session.lastSeenAt).getTime() > SESSION_TOUCH_INTERVAL_MS) {
+    await store.sessions.touch(token, SESSION_TTL_DAYS);
+    await store.users.markActive(session.user.id);
+  }
+
+  return { token, sessionId: session.id, user: session.user };
+}
+
+// Applies one client change with an optimistic version check. A change without
+// `version` may only create a record; updating or deleting an existing one
+// requires the version the client last saw, otherwise the current server record
+// is reported back as a conflict instead of being overwritten.
+async function applyContactChange(repos, userId, change) {
+  const id = String(change.id || '').trim();
+  if (!id) return { status: 'rejected', id, error: 'contact_id_missing' };
+
+  const current = await repos.contacts.findForUpdate(userId, id);
+  const hasVersion = change.version !== undefined && change.version !== null;
+  const baseVersion = Number(change.version);
+
+  if (change.deleted) {
+    if (!current || current.deletedAt) return { status: 'applied', id, contact: current };
+    if (!hasVersion || baseVersion !== current.version) return { status: 'conflict', id, current };
+
+    const deleted = await repos.contacts.markDeleted(userId, id, current.version);
+    if (!deleted) return { status: 'conflict', id, current };
+    return { status: 'applied', id, contact: deleted };
+  }
+
+  // An app cached before tags existed sends none: keep the current ones.
+  const tags = change.tags === undefined && current ? current.tags : change.tags;
+  const contact = sanitizeContact({ ...change, id, tags }, userId);
+  const validationError = validateContact(contact);
+  if (validationError) return { status: 'rejected', id, error: validationError };
+
+  if (current && (!hasVersion || baseVersion !== current.version)) return { status: 'conflict', id, current };
+
+  const organisation = await findOrCreateOrganisation(repos, userId, contact.organisation);
+  contact.organisation = organisation.name;
+  contact.organisationId = organisation.id;
+
+  if (!current) {
+    const created = await repos.contacts.insert(contact);
+    if (!created) return { status: 'rejected', id, error: 'contact_id_taken' };
+    // The call the contact is created with is its first interaction.
+    await repos.interactions.insert(sanitizeInteraction({ type: 'appel', date: created.dateAppel }, created));
+    return { status: 'applied', id, contact: created };
+  }
+
+  const updated = await repos.contacts.update(contact, current.version);
+  if (!updated) return { status: 'conflict', id, current };
+  return { status: 'applied', id, contact: updated };
+}
+
+// Contacts and applications name their organisation as free text; the
+// organisation with the same key (see lib/organisations.js) is used, or created
+// on first use, and its name replaces the text so spellings converge.
+function findOrCreateOrganisation(repos, userId, name) {
+  return repos.organisations.findOrCreate({
+    id: crypto.randomUUID(),
+    userId,
+    name,
+    nameKey: organisationKey(name),
+  });
+}
+
+async function linkApplicationOrganisation(repos, application) {
+  const organisation = await findOrCreateOrganisation(repos, application.userId, application.entreprise);
+  application.entreprise = organisation.name;
+  application.organisationId = organisation.id;
+}
+
+// contacts.date_appel follows the latest interaction, so the contact list,
+// search and exports keep working on contacts alone. Planned interactions
+// (dated after `now`) do not count; without any other, the date stays.
+async function refreshContactCallDate(repos, contact, now = new Date()) {
+  const interactions = await repos.interactions.list(contact.userId, contact.id);
+  const latest = interactions.find((interaction) => new Date(interaction.date) <= now);
+  if (!latest || new Date(latest.date).getTime() === new Date(contact.dateAppel).getTime()) return contact;
+  return repos.contacts.update({ ...contact, dateAppel: new Date(latest.date).toISOString() }, contact.version);
+}
+
+// Calls, notes and application stages of an organisation, newest first.
+function buildOrganisationTimeline(interactions, applications) {
+  const events = interactions.map((interaction) => ({
+    source: 'interaction',
+    id: interaction.id,
+    type: interaction.type,
+    date: new Date(interaction.date).toISOString(),
+    notes: interaction.notes,
+    contactId: interaction.contactId,
+    contactNom: interaction.contactNom,
+  }));
+  for (const application of applications) {
+    for (const [statut, date] of Object.entries(application.datesEtapes || {})) {
+      events.push({
+        source: 'application',
+        id: application.id,
+        type: statut,
+        date: new Date(date).toISOString(),
+        poste: application.poste,
+      });
+    }
+  }
+  return events.sort((a, b) => b.date.localeCompare(a.date));
+}
+
+// Replaces the contacts linked to an application. Only the user's own, not
+// deleted contacts can be linked; returns false if any id is unknown.
+async function saveApplicationContacts(repos, userId, applicationId, contactIds) {
+  const owned = await repos.contacts.filterOwned(userId, contactIds);
+  if (owned.length !== contactIds.length) return false;
+  await repos.applications.setContacts(applicationId, contactIds);
+  return true;
+}
+
+// Follow-up scheduler: every contact or application with a follow-up date is
+// a due action (store.followUps.list); bucketing into overdue / upcoming
+// happens against the server clock at request time.
+function scheduleFollowUps(followUps, now = new Date()) {
+  return {
+    overdue: followUps.filter((item) => new Date(item.dateRelance) < now),
+    upcoming: followUps.filter((item) => new Date(item.dateRelance) >= now),
+  };
+}
+
+function buildFollowUpCalendar(followUps, language) {
+  return buildCalendar({
+    name: translate('calendar_follow_ups', language),
+    events: followUps.map((item) => ({
+      uid: `${item.type}-${item.id}@organijob`,
+      start: item.dateRelance,
+      durationMinutes: 30,
+      summary: translate('calendar_follow_up', language, item),
+      description: item.actionRelance || translate('calendar_next_action_missing', language),
+      alarmMinutesBefore: 15,
+    })),
+  });
+}
 
-  if (!result.rows[0]) return null;
-  return { token, user: result.rows[0] };
+function hashEmailToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
 }
 
-async function issueSession(userId) {
+// Creates a token for a reset or verification link. Older unused tokens with
+// the same purpose stop working, so only the latest email is valid.
+async function createEmailToken(userId, purpose) {
   const token = createToken();
-  await pool.query('DELETE FROM sessions WHERE user_id = $1', [userId]);
-  await pool.query('INSERT INTO sessions(token, user_id) VALUES($1, $2)', [token, userId]);
+  await store.emailTokens.replace({
+    tokenHash: hashEmailToken(token),
+    userId,
+    purpose,
+    ttlMinutes: EMAIL_TOKEN_TTL_MINUTES[purpose],
+  });
   return token;
 }
 
-const server = http.createServer(async (req, res) => {
-  if (req.method === 'OPTIONS') {
-    res.writeHead(204, {
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-      'Access-Control-Allow-Methods': 'GET,POST,PUT,OPTIONS',
-    });
-    res.end();
-    return;
-  }
+// Marks a token as used and returns its user id, or null if it is unknown,
+// expired or already used.
+function consumeEmailToken(repos, token, purpose) {
+  return repos.emailTokens.consume(hashEmailToken(String(token || '')), purpose);
+}
 
-  if (req.url === '/api/health' && req.method === 'GET') {
-    sendJson(res, 200, { ok: true });
-    return;
+// Mail failures are logged, not returned: the account action itself succeeded.
+async function sendMail(message) {
+  try {
+    await mailer.send(message);
+  } catch (error) {
+    console.error('Mail not sent:', error.message);
   }
+}
 
-  if (req.url === '/api/auth/register' && req.method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const email = normalizeEmail(body.email);
-      const password = normalizePassword(body.password);
+// Emails are written in the language of the request that sends them.
+async function sendTextEmail(to, language, name, params) {
+  await sendMail({
+    to,
+    subject: translate(`${name}_subject`, language),
+    text: `${translate('mail_greeting', language)}\n\n${translate(`${name}_body`, language, params)}`,
+  });
+}
 
-      if (!isValidEmail(email)) {
-        sendJson(res, 400, { error: 'Adresse email invalide.' });
-        return;
-      }
+async function sendVerificationEmail(user, language) {
+  const token = await createEmailToken(user.id, 'verify');
+  await sendTextEmail(user.email, language, 'verify_email', { link: `${APP_URL}/#verify=${token}` });
+}
 
-      if (!isValidPassword(password)) {
-        sendJson(res, 400, { error: 'Mot de passe trop court (8 caracteres minimum).' });
-        return;
-      }
+async function sendPasswordResetEmail(user, language) {
+  const token = await createEmailToken(user.id, 'reset');
+  await sendTextEmail(user.email, language, 'reset_email', { link: `${APP_URL}/#reset=${token}` });
+}
 
-      const existing = await pool.query('SELECT id FROM users WHERE email = $1 LIMIT 1', [email]);
-      if (existing.rows[0]) {
-        sendJson(res, 409, { error: 'Ce compte existe deja. Connecte-toi.' });
-        return;
-      }
+async function sendPasswordChangedEmail(user, language) {
+  await sendTextEmail(user.email, language, 'password_changed_email', { link: APP_URL });
+}
+
+async function sendAccountDeletedEmail(user, language) {
+  await sendTextEmail(user.email, language, 'account_deleted_email', { link: APP_URL });
+}
+
+async function sendShareInvitationEmail(owner, share, token, language) {
+  await sendTextEmail(share.email, language, 'share_email', {
+    owner: owner.email,
+    access: translate(`share_access_${share.access}`, language),
+    link: `${APP_URL}/#share=${token}`,
+  });
+}
+
+// Exports. Dates are written and periods are compared in the candidate's
+// time zone rather than the server's (UTC on most hosts).
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', name: 'contacts' },
+  vcf: { contentType: 'text/vcard; charset=utf-8', name: 'contacts' },
+  ics: { contentType: 'text/calendar; charset=utf-8', name: 'appels' },
+  pdf: { contentType: 'application/pdf', name: 'activite' },
+};
 
-      const userId = crypto.randomUUID();
-      const { hash, salt } = hashPassword(password);
-
-      await pool.query(
-        `
-          INSERT INTO users(id, email, password_hash, password_salt)
-          VALUES($1, $2, $3, $4)
-        `,
-        [userId, email, hash, salt]
-      );
-
-      const token = await issueSession(userId);
-      sendJson(res, 201, { token, user: { id: userId, email } });
-    } catch {
-      sendJson(res, 400, { error: 'Requete invalide.' });
+// Labels match the import aliases so an exported sheet can be imported back.
+const CONTACT_EXPORT_COLUMNS = [
+  { key: 'nom', label: 'Nom' },
+  { key: 'organisation', label: 'Organisation' },
+  { key: 'dateAppel', label: "Date d'appel" },
+  { key: 'expertise', label: 'Expertise' },
+  { key: 'inclusivite', label: 'Valeurs inclusives' },
+  { key: 'notes', label: 'Notes' },
+  { key: 'dateRelance', label: 'Date de relance' },
+  { key: 'actionRelance', label: 'Prochaine action' },
+  { key: 'tags', label: 'Tags' },
+];
+
+// "YYYY-MM-DD HH:MM" in the export time zone: readable, and recognised as a
+// date by spreadsheets whatever their locale.
+function formatExportDate(value, withTime = true) {
+  if (!value) return '';
+  const parts = {};
+  const formatter = new Intl.DateTimeFormat('en-GB', {
+    timeZone: EXPORT_TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  });
+  for (const part of formatter.formatToParts(new Date(value))) parts[part.type] = part.value;
+  const date = `${parts.year}-${parts.month}-${parts.day}`;
+  return withTime ? `${date} ${parts.hour}:${parts.minute}` : date;
+}
+
+function formatReportDate(value, withTime = true) {
+  const [date, time] = formatExportDate(value, withTime).split(' ');
+  const [year, month, day] = date.split('-');
+  return time ? `${day}/${month}/${year} ${time}` : `${day}/${month}/${year}`;
+}
+
+function parseExportDay(value) {
+  if (!value) return null;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return undefined;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value) ? value : undefined;
+}
+
+// Period filters are whole days, both ends included. Returns null if invalid.
+function parseExportPeriod(searchParams) {
+  const from = parseExportDay(searchParams.get('from'));
+  const to = parseExportDay(searchParams.get('to'));
+  if (from === undefined || to === undefined) return null;
+  if (from && to && from > to) return null;
+  return { from, to };
+}
+
+// Contacts called during the period, and application stages reached during it.
+async function loadActivity(userId, { from, to }) {
+  const period = { from, to, timeZone: EXPORT_TIMEZONE };
+  const [contacts, steps] = await Promise.all([
+    store.contacts.listCalled(userId, period),
+    store.applications.listSteps(userId, period),
+  ]);
+  return { contacts, steps };
+}
+
+function describePeriod({ from, to }, language) {
+  const day = (value) => value && formatReportDate(`${value}T12:00:00Z`, false);
+  const days = { from: day(from), to: day(to) };
+  if (from && to) return translate('period_between', language, days);
+  if (from) return translate('period_from', language, days);
+  if (to) return translate('period_to', language, days);
+  return translate('period_all', language);
+}
+
+// Printable log of job search actions ("actes positifs de recherche") to
+// hand over to a France Travail or Mission Locale counsellor.
+function buildActivityReport(user, period, { contacts, steps }, language) {
+  const t = (key, params) => translate(key, language, params);
+  const blocks = [
+    { text: t('report_title'), size: 18, bold: true },
+    { text: t('report_account', { email: user.email }), spaceBefore: 8 },
+    { text: t('report_period', { period: describePeriod(period, language) }) },
+    { text: t('report_generated', { date: formatReportDate(new Date()) }) },
+    { text: t('report_summary'), size: 13, bold: true, spaceBefore: 16 },
+    { text: t('report_totals', { contacts: contacts.length, steps: steps.length }), spaceBefore: 4 },
+    { text: t('report_contacts'), size: 13, bold: true, spaceBefore: 16 },
+  ];
+
+  if (!contacts.length) blocks.push({ text: t('report_no_contacts'), spaceBefore: 4 });
+  for (const contact of contacts) {
+    blocks.push({
+      text: `${formatReportDate(contact.dateAppel)} - ${contact.nom} (${contact.organisation})`,
+      bold: true,
+      spaceBefore: 6,
+    });
+    if (contact.expertise) blocks.push({ text: t('report_expertise', { value: contact.expertise }), indent: 12 });
+    if (contact.inclusivite) blocks.push({ text: t('report_inclusivity', { value: contact.inclusivite }), indent: 12 });
+    if (contact.notes) blocks.push({ text: t('report_notes', { value: contact.notes }), indent: 12 });
+    if (contact.dateRelance) {
+      const date = formatReportDate(contact.dateRelance);
+      blocks.push({ text: t('report_follow_up', { date, action: contact.actionRelance }), indent: 12 });
     }
-    return;
   }
 
-  if (req.url === '/api/auth/login' && req.method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const email = normalizeEmail(body.email);
-      const password = normalizePassword(body.password);
+  blocks.push({ text: t('report_applications'), size: 13, bold: true, spaceBefore: 16 });
+  if (!steps.length) blocks.push({ text: t('report_no_applications'), spaceBefore: 4 });
+  for (const step of steps) {
+    const stage = APPLICATION_STATUSES.includes(step.statut) ? t(`stage_${step.statut}`) : step.statut;
+    blocks.push({
+      text: t('report_step', { ...step, date: formatReportDate(step.date, false), stage }),
+      spaceBefore: 6,
+    });
+    if (step.lien) blocks.push({ text: step.lien, indent: 12, size: 9 });
+  }
 
-      if (!isValidEmail(email)) {
-        sendJson(res, 400, { error: 'Adresse email invalide.' });
-        return;
-      }
+  return buildPdf(blocks, { title: t('report_title') });
+}
 
-      const result = await pool.query(
-        `
-          SELECT id, email, password_hash, password_salt
-          FROM users
-          WHERE email = $1
-          LIMIT 1
-        `,
-        [email]
-      );
-
-      const user = result.rows[0];
-      if (!user) {
-        sendJson(res, 404, { error: 'Compte introuvable. Cree un compte.' });
-        return;
-      }
+async function buildExport(user, format, period, language) {
+  const activity = await loadActivity(user.id, period);
 
-      const ok = verifyPassword(password, user.password_salt, user.password_hash);
-      if (!ok) {
-        sendJson(res, 401, { error: 'Email ou mot de passe incorrect.' });
-        return;
-      }
+  if (format === 'csv') {
+    const rows = activity.contacts.map((contact) => ({
+      ...contact,
+      dateAppel: formatExportDate(contact.dateAppel),
+      dateRelance: formatExportDate(contact.dateRelance),
+      tags: contact.tags.join(', '),
+    }));
+    return csv.stringify(CONTACT_EXPORT_COLUMNS, rows);
+  }
 
-      const token = await issueSession(user.id);
-      sendJson(res, 200, { token, user: { id: user.id, email: user.email } });
-    } catch {
-      sendJson(res, 400, { error: 'Requete invalide.' });
-    }
-    return;
+  if (format === 'vcf') return vcard.build(activity.contacts);
+
+  if (format === 'ics') {
+    return buildCalendar({
+      name: translate('calendar_calls', language),
+      events: activity.contacts.map((contact) => ({
+        uid: `appel-${contact.id}@organijob`,
+        start: contact.dateAppel,
+        durationMinutes: 30,
+        summary: translate('calendar_call', language, contact),
+        description: [contact.expertise, contact.notes].filter(Boolean).join('\n\n'),
+      })),
+    });
   }
 
-  if (req.url === '/api/auth/logout' && req.method === 'POST') {
-    const auth = req.headers.authorization || '';
-    const token = auth.startsWith('Bearer ') ? auth.slice(7) : '';
-    if (token) {
-      await pool.query('DELETE FROM sessions WHERE token = $1', [token]);
-    }
-    sendJson(res, 200, { ok: true });
-    return;
+  return buildActivityReport(user, period, activity, language);
+}
+
+// Each login opens a new session; the user's other devices stay signed in.
+async function issueSession(userId, req) {
+  const token = createToken();
+  const userAgent = String(req.headers['user-agent'] || '').slice(0, 300) || null;
+  await store.sessions.deleteExpired(userId);
+  await store.sessions.create({ token, id: crypto.randomUUID(), userId, userAgent, ttlDays: SESSION_TTL_DAYS });
+  await store.users.markActive(userId);
+  return token;
+}
+
+// Deletes the accounts unused for ACCOUNT_RETENTION_DAYS; returns how many.
+async function purgeInactiveAccounts(now = new Date()) {
+  if (!ACCOUNT_RETENTION_DAYS) return 0;
+  const before = new Date(now.getTime() - ACCOUNT_RETENTION_DAYS * DAY_MS);
+  const deleted = await store.users.deleteInactive(before.toISOString());
+  if (deleted) console.log(`${deleted} account(s) inactive for ${ACCOUNT_RETENTION_DAYS} days deleted.`);
+  return deleted;
+}
+
+// Loads the session into req.auth; routes that need a signed-in user start with it.
+async function requireAuth(req, res, next) {
+  req.auth = await getUserFromAuth(req);
+  if (!req.auth) throw new HttpError(401, 'unauthorized');
+  await next();
+}
+
+function isAdmin(user) {
+  return Boolean(user && user.emailVerified && ADMIN_EMAILS.includes(user.email));
+}
+
+async function requireAdmin(req, res, next) {
+  if (!isAdmin(req.auth.user)) throw new HttpError(403, 'admin_only');
+  await next();
+}
+
+// Postgres rejects malformed values (class 22, e.g. an impossible date) and
+// constraint violations (class 23): those come from the request, not a bug.
+async function rejectInvalidData(req, res, next) {
+  try {
+    await next();
+  } catch (error) {
+    if (/^2[23]/.test(error.code || '')) throw new HttpError(400, 'invalid_request');
+    throw error;
   }
+}
 
-  if (req.url === '/api/sync' && req.method === 'GET') {
-    try {
-      const authData = await getUserFromAuth(req);
-      if (!authData) {
-        sendJson(res, 401, { error: 'Non autorise.' });
-        return;
-      }
+// Only the app shell is public: the same directory holds the server code and,
+// without DATABASE_URL, the data file.
+const PUBLIC_FILES = new Set([
+  '/index.html',
+  '/styles.css',
+  '/app.js',
+  '/offline-store.js',
+  '/safe-html.js',
+  '/i18n.js',
+  '/sw.js',
+]);
 
-      const contactsResult = await pool.query(
-        `
-          SELECT id, user_id AS "userId", nom, organisation,
-                 date_appel AS "dateAppel", expertise, inclusivite, notes,
-                 updated_at AS "updatedAt"
-          FROM contacts
-          WHERE user_id = $1
-          ORDER BY date_appel DESC
-        `,
-        [authData.user.id]
-      );
-
-      sendJson(res, 200, {
-        user: { id: authData.user.id, email: authData.user.email },
-        contacts: contactsResult.rows,
-        syncedAt: new Date().toISOString(),
-      });
-    } catch {
-      sendJson(res, 500, { error: 'Erreur serveur.' });
-    }
+function serveStatic(req, res) {
+  if (req.path.startsWith('/api/')) throw new HttpError(404, 'route_not_found');
+
+  const file = req.path === '/' ? '/index.html' : req.path;
+  if (!PUBLIC_FILES.has(file)) {
+    res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('Not found');
     return;
   }
 
-  if (req.url === '/api/sync' && req.method === 'PUT') {
-    const client = await pool.connect();
-    try {
-      const authData = await getUserFromAuth(req);
-      if (!authData) {
-        sendJson(res, 401, { error: 'Non autorise.' });
-        return;
-      }
+  sendFile(res, path.join(PUBLIC_DIR, file));
+}
 
-      const body = await parseBody(req);
-      const incomingContacts = Array.isArray(body.contacts) ? body.contacts : null;
-      if (!incomingContacts) {
-        sendJson(res, 400, { error: 'Format invalide: contacts attendus.' });
-        return;
-      }
+const router = createRouter({ fallback: serveStatic });
+router.use(logRequests({ skip: (req) => !LOG_REQUESTS || req.route === '/api/health' }));
+router.use(cors({ origins: CORS_ORIGINS }));
+router.use(rejectInvalidData);
 
-      const userId = authData.user.id;
-      const sanitizedContacts = incomingContacts
-        .map((c) => ({
-          id: c.id || crypto.randomUUID(),
-          userId,
-          nom: String(c.nom || '').trim(),
-          organisation: String(c.organisation || '').trim(),
-          dateAppel: normalizeDate(c.dateAppel),
-          expertise: String(c.expertise || '').trim(),
-          inclusivite: String(c.inclusivite || '').trim(),
-          notes: String(c.notes || '').trim(),
-        }))
-        .filter((c) => c.nom && c.organisation && c.dateAppel);
-
-      await client.query('BEGIN');
-      await client.query('DELETE FROM contacts WHERE user_id = $1', [userId]);
-
-      for (const c of sanitizedContacts) {
-        await client.query(
-          `
-            INSERT INTO contacts(id, user_id, nom, organisation, date_appel, expertise, inclusivite, notes, updated_at)
-            VALUES($1, $2, $3, $4, $5, $6, $7, $8, NOW())
-          `,
-          [c.id, c.userId, c.nom, c.organisation, c.dateAppel, c.expertise, c.inclusivite, c.notes]
-        );
-      }
+router.get('/api/health', async (req, res) => {
+  sendJson(res, 200, { ok: true });
+});
 
-      await client.query('COMMIT');
-      sendJson(res, 200, {
-        ok: true,
-        count: sanitizedContacts.length,
-        syncedAt: new Date().toISOString(),
-      });
-    } catch {
-      await client.query('ROLLBACK');
-      sendJson(res, 400, { error: 'Requete invalide.' });
-    } finally {
-      client.release();
-    }
+router.post('/api/auth/register', async (req, res) => {
+  const retryAfter = limits.registerIp.hit(getClientIp(req));
+  if (retryAfter) throw tooManyRequests(retryAfter);
+
+  const body = await readJson(req);
+  const email = normalizeEmail(body.email);
+  const password = normalizePassword(body.password);
+
+  if (!isValidEmail(email)) {
+    sendJson(res, 400, { error: 'email_invalid' });
     return;
   }
 
-  const safePath = req.url === '/' ? '/index.html' : req.url;
-  const cleaned = safePath.split('?')[0];
-  const filepath = path.join(PUBLIC_DIR, cleaned);
+  if (!isValidPassword(password)) {
+    sendJson(res, 400, { error: 'password_too_short' });
+    return;
+  }
 
-  if (!filepath.startsWith(PUBLIC_DIR)) {
-    res.writeHead(403, { 'Content-Type': 'text/plain; charset=utf-8' });
-    res.end('Forbidden');
+  // Registration has to say the address is taken; the per-IP limit keeps
+  // this from being used to test addresses in bulk.
+  if (await store.users.findByEmail(email)) {
+    sendJson(res, 409, { error: 'account_exists' });
     return;
   }
 
-  sendFile(res, filepath);
+  const userId = crypto.randomUUID();
+  await store.users.create({ id: userId, email, passwordHash: await hashPassword(password) });
+
+  const token = await issueSession(userId, req);
+  await sendVerificationEmail({ id: userId, email }, requestLanguage(req));
+  sendJson(res, 201, { token, user: { id: userId, email, emailVerified: false } });
 });
 
-initDb()
-  .then(() => {
-    server.listen(PORT, () => {
-      console.log(`OrganiJob server running on http://localhost:${PORT}`);
+router.post('/api/auth/login', async (req, res) => {
+  const ip = getClientIp(req);
+  const ipRetryAfter = limits.loginIp.retryAfter(ip);
+  if (ipRetryAfter) throw tooManyRequests(ipRetryAfter);
+
+  const body = await readJson(req);
+  const email = normalizeEmail(body.email);
+  const password = normalizePassword(body.password);
+
+  if (!isValidEmail(email)) {
+    sendJson(res, 400, { error: 'email_invalid' });
+    return;
+  }
+
+  // Locked by email, existing or not, so a lockout reveals nothing either.
+  const accountRetryAfter = limits.loginAccount.retryAfter(email);
+  if (accountRetryAfter) throw tooManyRequests(accountRetryAfter);
+
+  const user = await store.users.findByEmail(email);
+  const ok = user
+    ? await verifyPassword(password, user.passwordHash, user.passwordSalt)
+    : (await verifyPassword(password, await getDummyPasswordHash())) && false;
+  if (!ok) {
+    limits.loginIp.hit(ip);
+    const retryAfter = limits.loginAccount.fail(email);
+    if (retryAfter) throw tooManyRequests(retryAfter);
+    sendJson(res, 401, { error: 'login_failed' });
+    return;
+  }
+
+  limits.loginAccount.succeed(email);
+  if (needsRehash(user.passwordHash)) await storePassword(store, user.id, password);
+
+  const token = await issueSession(user.id, req);
+  sendJson(res, 200, {
+    token,
+    user: { id: user.id, email: user.email, emailVerified: user.emailVerified },
+  });
+});
+
+router.post('/api/auth/logout', async (req, res) => {
+  const auth = req.headers.authorization || '';
+  const token = auth.startsWith('Bearer ') ? auth.slice(7) : '';
+  if (token) {
+    await store.sessions.deleteByToken(token);
+  }
+  sendJson(res, 200, { ok: true });
+});
+
+router.post('/api/auth/verify-email', async (req, res) => {
+  const retryAfter = limits.tokenIp.hit(getClientIp(req));
+  if (retryAfter) throw tooManyRequests(retryAfter);
+
+  const body = await readJson(req);
+  const userId = await consumeEmailToken(store, body.token, 'verify');
+  if (!userId) {
+    sendJson(res, 400, { error: 'email_link_invalid' });
+    return;
+  }
+
+  const user = await store.users.markEmailVerified(userId);
+  sendJson(res, 200, { ok: true, email: user.email });
+});
+
+router.post('/api/auth/verify-email/resend', requireAuth, async (req, res) => {
+  if (req.auth.user.emailVerified) {
+    sendJson(res, 200, { ok: true, alreadyVerified: true });
+    return;
+  }
+
+  const retryAfter = limits.emailLinkAccount.hit(req.auth.user.id);
+  if (retryAfter) throw tooManyRequests(retryAfter);
+
+  await sendVerificationEmail(req.auth.user, requestLanguage(req));
+  sendJson(res, 200, { ok: true });
+});
+
+// Same answer whether or not the account exists, so the form cannot be used
+// to find out which addresses are registered.
+router.post('/api/auth/password-reset/request', async (req, res) => {
+  const retryAfter = limits.emailLinkIp.hit(getClientIp(req));
+  if (retryAfter) throw tooManyRequests(retryAfter);
+
+  const body = await readJson(req);
+  const email = normalizeEmail(body.email);
+  if (!isValidEmail(email)) {
+    sendJson(res, 400, { error: 'email_invalid' });
+    return;
+  }
+
+  // Past a few emails per hour and address, further requests are silently
+  // dropped: answering 429 here would confirm that the account exists. The
+  // email is sent after the answer, so a known address is not slower either.
+  const user = await store.users.findByEmail(email);
+  sendJson(res, 200, { ok: true });
+  if (user && !limits.emailLinkAccount.hit(user.id)) {
+    sendPasswordResetEmail(user, requestLanguage(req)).catch((error) => console.error('Reset email not sent:', error.message));
+  }
+});
+
+router.post('/api/auth/password-reset/confirm', async (req, res) => {
+  const retryAfter = limits.tokenIp.hit(getClientIp(req));
+  if (retryAfter) throw tooManyRequests(retryAfter);
+
+  const body = await readJson(req);
+  const password = normalizePassword(body.password);
+  if (!isValidPassword(password)) {
+    sendJson(res, 400, { error: 'password_too_short' });
+    return;
+  }
+
+  const account = await store.transaction(async (tx) => {
+    const userId = await consumeEmailToken(tx, body.token, 'reset');
+    if (!userId) throw new HttpError(400, 'email_link_invalid');
+
+    // The link proves access to the mailbox; every existing session is closed.
+    await storePassword(tx, userId, password);
+    const user = await tx.users.markEmailVerified(userId);
+    await tx.sessions.deleteAll(userId);
+    return user;
+  });
+
+  limits.loginAccount.succeed(account.email);
+  await sendPasswordChangedEmail(account, requestLanguage(req));
+  sendJson(res, 200, { ok: true, email: account.email });
+});
+
+router.post('/api/auth/password', requireAuth, async (req, res) => {
+  const { user: account, sessionId } = req.auth;
+  const lockedFor = limits.passwordChange.retryAfter(account.id);
+  if (lockedFor) throw tooManyRequests(lockedFor);
+
+  const body = await readJson(req);
+  const currentPassword = normalizePassword(body.currentPassword);
+  const newPassword = normalizePassword(body.newPassword);
+  if (!isValidPassword(newPassword)) {
+    sendJson(res, 400, { error: 'password_too_short' });
+    return;
+  }
+
+  const user = await store.users.findById(account.id);
+  // 400 rather than 401: the session is valid, only the confirmation failed.
+  if (!(await verifyPassword(currentPassword, user.passwordHash, user.passwordSalt))) {
+    const retryAfter = limits.passwordChange.fail(account.id);
+    if (retryAfter) throw tooManyRequests(retryAfter);
+    sendJson(res, 400, { error: 'current_password_wrong' });
+    return;
+  }
+
+  limits.passwordChange.succeed(account.id);
+  await storePassword(store, account.id, newPassword);
+  // Other devices must sign in again with the new password.
+  await store.sessions.deleteAll(account.id, { exceptId: sessionId });
+
+  await sendPasswordChangedEmail(account, requestLanguage(req));
+  sendJson(res, 200, { ok: true });
+});
+
+router.get('/api/auth/sessions', requireAuth, async (req, res) => {
+  const sessions = await store.sessions.listActive(req.auth.user.id);
+  sendJson(res, 200, {
+    sessions: sessions.map((session) => ({ ...session, current: session.id === req.auth.sessionId })),
+  });
+});
+
+// Signs out every other device.
+router.delete('/api/auth/sessions', requireAuth, async (req, res) => {
+  const revoked = await store.sessions.deleteAll(req.auth.user.id, { exceptId: req.auth.sessionId });
+  sendJson(res, 200, { ok: true, revoked });
+});
+
+router.delete('/api/auth/sessions/:id', requireAuth, async (req, res) => {
+  if (!(await store.sessions.deleteById(req.auth.user.id, req.params.id))) {
+    sendJson(res, 404, { error: 'session_not_found' });
+    return;
+  }
+
+  sendJson(res, 200, { ok: true, current: req.params.id === req.auth.sessionId });
+});
+
+// Everything stored for the user, in one JSON file. Session tokens and the
+// password hash stay out.
+router.get('/api/account/export', requireAuth, async (req, res) => {
+  const userId = req.auth.user.id;
+  const [account, sessions, contacts, interactions, organisations, applications, formations, granted, received] =
+    await Promise.all([
+      store.users.getAccount(userId),
+      store.sessions.listActive(userId),
+      store.contacts.listIncludingDeleted(userId),
+      store.interactions.listByUser(userId),
+      store.organisations.list(userId),
+      store.applications.list(userId),
+      store.formations.listSuivis(userId),
+      store.shares.listByOwner(userId),
+      store.shares.listByCounsellor(userId),
+    ]);
+  const comments = await Promise.all([...granted, ...received].map((share) => store.comments.list(share.id)));
+
+  const archive = {
+    exportedAt: new Date().toISOString(),
+    account,
+    sessions: sessions.map((session) => ({ ...session, current: session.id === req.auth.sessionId })),
+    contacts,
+    interactions,
+    organisations,
+    applications,
+    formations,
+    shares: { granted: granted.map(grantedShare), received: received.map(receivedShare) },
+    comments: comments.flat(),
+    auditLog: await store.auditLog.list(userId),
+  };
+  const filename = `organijob-compte-${formatExportDate(new Date(), false)}.json`;
+  sendDownload(res, 'application/json; charset=utf-8', filename, JSON.stringify(archive, null, 2));
+});
+
+// Deletes the account and everything it holds. The password is asked again,
+// with the same lockout as a password change.
+router.delete('/api/account', requireAuth, async (req, res) => {
+  const { user: account } = req.auth;
+  const lockedFor = limits.passwordChange.retryAfter(account.id);
+  if (lockedFor) throw tooManyRequests(lockedFor);
+
+  const body = await readJson(req);
+  const user = await store.users.findById(account.id);
+  if (!(await verifyPassword(normalizePassword(body.password), user.passwordHash, user.passwordSalt))) {
+    const retryAfter = limits.passwordChange.fail(account.id);
+    if (retryAfter) throw tooManyRequests(retryAfter);
+    sendJson(res, 400, { error: 'password_wrong' });
+    return;
+  }
+
+  limits.passwordChange.succeed(account.id);
+  await store.users.delete(account.id);
+  await sendAccountDeletedEmail(account, requestLanguage(req));
+  sendJson(res, 200, { ok: true });
+});
+
+// Sync cursors are change positions of the store (digits). The timestamps
+// that older clients still hold get a full sync instead.
+router.get('/api/sync', requireAuth, async (req, res) => {
+  const since = req.query.get('since');
+  const delta = /^\d+$/.test(since || '');
+  if (since && !delta && Number.isNaN(Date.parse(since))) {
+    sendJson(res, 400, { error: 'sync_cursor_invalid' });
+    return;
+  }
+
+  // The cursor is read first: a change committed meanwhile is sent next time.
+  const userId = req.auth.user.id;
+  const cursor = await store.contacts.syncCursor(userId);
+  const contacts = delta
+    ? await store.contacts.listChangedSince(userId, since)
+    : await store.contacts.list(userId);
+
+  sendJson(res, 200, {
+    user: { ...req.auth.user, admin: isAdmin(req.auth.user) },
+    full: !delta,
+    contacts: contacts.filter((c) => !c.deletedAt),
+    deleted: contacts.filter((c) => c.deletedAt).map((c) => c.id),
+    cursor: cursor || (delta ? since : null),
+    syncedAt: new Date().toISOString(),
+  });
+});
+
+router.put('/api/sync', requireAuth, async (req, res) => {
+  const body = await readJson(req);
+  const changes = Array.isArray(body.changes) ? body.changes : null;
+  if (!changes) {
+    sendJson(res, 400, { error: 'sync_changes_expected' });
+    return;
+  }
+
+  const userId = req.auth.user.id;
+  const applied = [];
+  const conflicts = [];
+  const rejected = [];
+
+  await store.transaction(async (tx) => {
+    for (const change of changes) {
+      const outcome = await applyContactChange(tx, userId, change || {});
+      if (outcome.status === 'applied') applied.push({ id: outcome.id, contact: outcome.contact });
+      if (outcome.status === 'conflict') conflicts.push({ id: outcome.id, current: outcome.current });
+      if (outcome.status === 'rejected') rejected.push({ id: outcome.id, error: outcome.error });
+    }
+  });
+  // Read once committed, so that these changes are behind it.
+  const cursor = await store.contacts.syncCursor(userId);
+
+  sendJson(res, 200, {
+    ok: true,
+    applied,
+    conflicts,
+    rejected,
+    cursor,
+    syncedAt: new Date().toISOString(),
+  });
+});
+
+router.get('/api/contacts', requireAuth, async (req, res) => {
+  const { page, pageSize, ...filters } = parseContactQuery(req.query);
+  const { contacts, total } = await store.contacts.search(req.auth.user.id, {
+    ...filters,
+    limit: pageSize,
+    offset: (page - 1) * pageSize,
+  });
+  sendJson(res, 200, { contacts, total, page, pageSize });
+});
+
+router.post('/api/contacts', requireAuth, async (req, res) => {
+  const body = await readJson(req);
+  const contact = sanitizeContact(body, req.auth.user.id);
+  const validationError = validateContact(contact);
+  if (validationError) {
+    sendJson(res, 400, { error: validationError });
+    return;
+  }
+
+  const outcome = await store.transaction((tx) => applyContactChange(tx, contact.userId, { ...contact, version: null }));
+  if (outcome.status !== 'applied') {
+    sendJson(res, 409, { error: 'contact_exists' });
+    return;
+  }
+
+  sendJson(res, 201, { contact: outcome.contact });
+});
+
+router.post('/api/contacts/import', requireAuth, async (req, res) => {
+  const body = await readJson(req);
+  const format = String(body.format || '').toLowerCase();
+  let parsed;
+  try {
+    parsed = parseContactImport({ format, content: body.content, mapping: body.mapping });
+  } catch (error) {
+    sendJson(res, 400, { error: 'file_unreadable', format, reason: fileErrorReason(error), list: 'contacts' });
+    return;
+  }
+
+  const userId = req.auth.user.id;
+  const plan = planContactImport(userId, await store.contacts.list(userId), parsed.rows, {
+    firstLine: parsed.firstLine,
+    defaultDate: body.defaultDate,
+    duplicates: body.duplicates,
+  });
+
+  const dryRun = body.dryRun !== false;
+  let conflicts = 0;
+  if (!dryRun) {
+    await store.transaction(async (tx) => {
+      for (const contact of plan.creates.values()) {
+        const outcome = await applyContactChange(tx, userId, { ...contact, version: null });
+        if (outcome.status !== 'applied') conflicts += 1;
+      }
+      for (const contact of plan.updates.values()) {
+        const outcome = await applyContactChange(tx, userId, contact);
+        if (outcome.status !== 'applied') conflicts += 1;
+      }
+    });
+  }
+
+  sendJson(res, dryRun ? 200 : 201, {
+    dryRun,
+    format,
+    columns: parsed.columns || null,
+    mapping: parsed.mapping || null,
+    summary: {
+      total: parsed.rows.length,
+      created: plan.creates.size,
+      merged: plan.updates.size,
+      duplicates: plan.duplicates.length,
+      invalid: plan.invalid.length,
+      conflicts,
+    },
+    created: [...plan.creates.values()].slice(0, IMPORT_PREVIEW_LIMIT).map((c) => ({
+      nom: c.nom,
+      organisation: c.organisation,
+      dateAppel: c.dateAppel,
+    })),
+    duplicates: plan.duplicates.slice(0, IMPORT_PREVIEW_LIMIT),
+    invalid: plan.invalid.slice(0, IMPORT_PREVIEW_LIMIT),
+  });
+});
+
+router.get('/api/contacts/:id', requireAuth, async (req, res) => {
+  const contact = await store.contacts.find(req.auth.user.id, req.params.id);
+  if (!contact) {
+    sendJson(res, 404, { error: 'contact_not_found' });
+    return;
+  }
+
+  sendJson(res, 200, { contact });
+});
+
+router.patch('/api/contacts/:id', requireAuth, async (req, res) => {
+  const existing = await store.contacts.find(req.auth.user.id, req.params.id);
+  if (!existing) {
+    sendJson(res, 404, { error: 'contact_not_found' });
+    return;
+  }
+
+  const body = await readJson(req);
+  const outcome = await store.transaction((tx) =>
+    applyContactChange(tx, req.auth.user.id, {
+      ...existing,
+      ...body,
+      id: existing.id,
+      version: body.version ?? existing.version,
+      deleted: false,
+    })
+  );
+
+  if (outcome.status === 'rejected') {
+    sendJson(res, 400, { error: outcome.error });
+    return;
+  }
+  if (outcome.status === 'conflict') {
+    sendJson(res, 409, { error: 'contact_conflict', current: outcome.current });
+    return;
+  }
+
+  sendJson(res, 200, { contact: outcome.contact });
+});
+
+router.delete('/api/contacts/:id', requireAuth, async (req, res) => {
+  const userId = req.auth.user.id;
+  const version = req.query.get('version');
+  // In a transaction like PUT /api/sync: the row stays locked from the version
+  // check to the deletion.
+  const outcome = await store.transaction(async (tx) => {
+    const existing = await tx.contacts.findForUpdate(userId, req.params.id);
+    if (!existing || existing.deletedAt) throw new HttpError(404, 'contact_not_found');
+    return applyContactChange(tx, userId, {
+      id: existing.id,
+      version: version === null ? existing.version : version,
+      deleted: true,
+    });
+  });
+
+  if (outcome.status === 'conflict') {
+    sendJson(res, 409, { error: 'contact_conflict', current: outcome.current });
+    return;
+  }
+
+  sendJson(res, 200, { ok: true, contact: outcome.contact });
+});
+
+router.get('/api/contacts/:id/interactions', requireAuth, async (req, res) => {
+  const userId = req.auth.user.id;
+  if (!(await store.contacts.find(userId, req.params.id))) {
+    sendJson(res, 404, { error: 'contact_not_found' });
+    return;
+  }
+
+  sendJson(res, 200, { interactions: await store.interactions.list(userId, req.params.id), types: INTERACTION_TYPES });
+});
+
+router.post('/api/contacts/:id/interactions', requireAuth, async (req, res) => {
+  const userId = req.auth.user.id;
+  const body = await readJson(req);
+
+  const result = await store.transaction(async (tx) => {
+    const contact = await tx.contacts.findForUpdate(userId, req.params.id);
+    if (!contact || contact.deletedAt) throw new HttpError(404, 'contact_not_found');
+
+    const interaction = sanitizeInteraction(body, contact);
+    const validationError = validateInteraction(interaction);
+    if (validationError) throw new HttpError(400, validationError);
+
+    const created = await tx.interactions.insert(interaction);
+    return { interaction: created, contact: await refreshContactCallDate(tx, contact) };
+  });
+
+  sendJson(res, 201, result);
+});
+
+router.delete('/api/contacts/:id/interactions/:interactionId', requireAuth, async (req, res) => {
+  const userId = req.auth.user.id;
+
+  const contact = await store.transaction(async (tx) => {
+    const current = await tx.contacts.findForUpdate(userId, req.params.id);
+    if (!current || current.deletedAt) throw new HttpError(404, 'contact_not_found');
+    if (!(await tx.interactions.remove(userId, current.id, req.params.interactionId))) {
+      throw new HttpError(404, 'interaction_not_found');
+    }
+    return refreshContactCallDate(tx, current);
+  });
+
+  sendJson(res, 200, { ok: true, contact });
+});
+
+router.get('/api/applications', requireAuth, async (req, res) => {
+  const applications = await store.applications.list(req.auth.user.id);
+  sendJson(res, 200, { applications, statuses: APPLICATION_STATUSES });
+});
+
+router.post('/api/applications', requireAuth, async (req, res) => {
+  const body = await readJson(req);
+  const application = sanitizeApplication(body, req.auth.user.id);
+  const validationError = validateApplication(application);
+  if (validationError) {
+    sendJson(res, 400, { error: validationError });
+    return;
+  }
+
+  await store.transaction(async (tx) => {
+    await linkApplicationOrganisation(tx, application);
+    if (!(await tx.applications.insert(application))) {
+      throw new HttpError(409, 'application_exists');
+    }
+    if (!(await saveApplicationContacts(tx, application.userId, application.id, application.contactIds))) {
+      throw new HttpError(400, 'linked_contact_not_found');
+    }
+  });
+
+  sendJson(res, 201, { application: await store.applications.find(application.userId, application.id) });
+});
+
+router.get('/api/applications/:id', requireAuth, async (req, res) => {
+  const application = await store.applications.find(req.auth.user.id, req.params.id);
+  if (!application) {
+    sendJson(res, 404, { error: 'application_not_found' });
+    return;
+  }
+
+  sendJson(res, 200, { application });
+});
+
+router.patch('/api/applications/:id', requireAuth, async (req, res) => {
+  const userId = req.auth.user.id;
+  const existing = await store.applications.find(userId, req.params.id);
+  if (!existing) {
+    sendJson(res, 404, { error: 'application_not_found' });
+    return;
+  }
+
+  const body = await readJson(req);
+  const application = sanitizeApplication(
+    {
+      ...existing,
+      ...body,
+      id: existing.id,
+      datesEtapes: { ...existing.datesEtapes, ...(body.datesEtapes || {}) },
+    },
+    userId
+  );
+  const validationError = validateApplication(application);
+  if (validationError) {
+    sendJson(res, 400, { error: validationError });
+    return;
+  }
+
+  await store.transaction(async (tx) => {
+    await linkApplicationOrganisation(tx, application);
+    await tx.applications.update(application);
+    if (!(await saveApplicationContacts(tx, userId, application.id, application.contactIds))) {
+      throw new HttpError(400, 'linked_contact_not_found');
+    }
+  });
+
+  sendJson(res, 200, { application: await store.applications.find(userId, application.id) });
+});
+
+router.delete('/api/applications/:id', requireAuth, async (req, res) => {
+  if (!(await store.applications.remove(req.auth.user.id, req.params.id))) {
+    sendJson(res, 404, { error: 'application_not_found' });
+    return;
+  }
+
+  sendJson(res, 200, { ok: true });
+});
+
+router.get('/api/organisations', requireAuth, async (req, res) => {
+  sendJson(res, 200, { organisations: await store.organisations.list(req.auth.user.id) });
+});
+
+router.get('/api/organisations/:id', requireAuth, async (req, res) => {
+  const userId = req.auth.user.id;
+  const organisation = await store.organisations.find(userId, req.params.id);
+  if (!organisation) {
+    sendJson(res, 404, { error: 'organisation_not_found' });
+    return;
+  }
+
+  const [contacts, applications, interactions] = await Promise.all([
+    store.contacts.listByOrganisation(userId, organisation.id),
+    store.applications.listByOrganisation(userId, organisation.id),
+    store.interactions.listByOrganisation(userId, organisation.id),
+  ]);
+  sendJson(res, 200, {
+    organisation: { id: organisation.id, name: organisation.name },
+    contacts,
+    applications,
+    timeline: buildOrganisationTimeline(interactions, applications),
+  });
+});
+
+// Renaming to a name that matches another organisation is refused: merge
+// them instead.
+router.patch('/api/organisations/:id', requireAuth, async (req, res) => {
+  const userId = req.auth.user.id;
+  const body = await readJson(req);
+  const name = String(body.name || '').trim();
+  if (!name) throw new HttpError(400, 'organisation_required');
+
+  const organisation = await store.transaction(async (tx) => {
+    const current = await tx.organisations.find(userId, req.params.id);
+    if (!current) throw new HttpError(404, 'organisation_not_found');
+    const nameKey = organisationKey(name);
+    const other = await tx.organisations.findByKey(userId, nameKey);
+    if (other && other.id !== current.id) {
+      throw new HttpError(409, 'organisation_name_taken', {
+        details: { organisation: { id: other.id, name: other.name } },
+      });
+    }
+    await tx.organisations.rename({ userId, id: current.id, name, nameKey });
+    return { id: current.id, name };
+  });
+
+  sendJson(res, 200, { organisation });
+});
+
+// Moves every contact and application to `into` and deletes this organisation.
+router.post('/api/organisations/:id/merge', requireAuth, async (req, res) => {
+  const userId = req.auth.user.id;
+  const body = await readJson(req);
+
+  const organisation = await store.transaction(async (tx) => {
+    const from = await tx.organisations.find(userId, req.params.id);
+    const into = await tx.organisations.find(userId, String(body.into || ''));
+    if (!from || !into) throw new HttpError(404, 'organisation_not_found');
+    if (from.id === into.id) throw new HttpError(400, 'organisation_merge_self');
+    await tx.organisations.merge(userId, from.id, into);
+    return { id: into.id, name: into.name };
+  });
+
+  sendJson(res, 200, { organisation });
+});
+
+const MAX_AI_CONTEXT_LENGTH = 2000;
+
+// Writes a suggestion for the IA tab. With contactId, the contact's notes, its
+// latest exchanges and the applications at its organisation go into the prompt.
+router.post('/api/ai/generate', requireAuth, async (req, res) => {
+  const userId = req.auth.user.id;
+  const body = await readJson(req);
+  const objectif = String(body.objectif || '').trim();
+  const domaine = String(body.domaine || '').trim();
+  const contexte = String(body.contexte || '').trim();
+  if (!OBJECTIVES.includes(objectif)) throw new HttpError(400, 'objective_unknown');
+  if (domaine.length > MAX_AI_CONTEXT_LENGTH || contexte.length > MAX_AI_CONTEXT_LENGTH) {
+    throw new HttpError(400, 'text_too_long');
+  }
+
+  const request = { objectif, domaine, contexte, language: requestLanguage(req) };
+  if (body.contactId) {
+    request.contact = await store.contacts.find(userId, String(body.contactId));
+    if (!request.contact) throw new HttpError(404, 'contact_not_found');
+    [request.interactions, request.applications] = await Promise.all([
+      store.interactions.list(userId, request.contact.id),
+      request.contact.organisationId
+        ? store.applications.listByOrganisation(userId, request.contact.organisationId)
+        : [],
+    ]);
+  }
+
+  // Only requests that will really be answered count against the quota.
+  const retryAfter = limits.aiUser.hit(userId);
+  if (retryAfter) throw tooManyRequests(retryAfter);
+
+  sendJson(res, 200, await assistant.generate(request));
+});
+
+// The catalogue is public; with a session, each formation carries the status
+// the user gave it (`suivi`).
+router.get('/api/formations', async (req, res) => {
+  const { page, pageSize, ...filters } = parseFormationQuery(req.query);
+  const auth = await getUserFromAuth(req);
+  if (filters.suivies && !auth) throw new HttpError(401, 'unauthorized');
+
+  const { formations, total } = await store.formations.search({
+    ...filters,
+    userId: auth ? auth.user.id : null,
+    limit: pageSize,
+    offset: (page - 1) * pageSize,
+  });
+  sendJson(res, 200, { formations: formations.map(withDistance), total, page, pageSize });
+});
+
+// Bookmarks a formation or moves it along (candidature, inscrit...).
+router.put('/api/formations/:id/suivi', requireAuth, async (req, res) => {
+  const body = await readJson(req);
+  const statut = String(body.statut || 'favori').trim();
+  if (!FORMATION_STATUSES.includes(statut)) throw new HttpError(400, 'formation_status_unknown');
+
+  const userId = req.auth.user.id;
+  if (!(await store.formations.find(req.params.id, userId))) throw new HttpError(404, 'formation_not_found');
+  await store.formations.setSuivi(userId, req.params.id, statut);
+  sendJson(res, 200, { formation: withDistance(await store.formations.find(req.params.id, userId)) });
+});
+
+router.delete('/api/formations/:id/suivi', requireAuth, async (req, res) => {
+  const userId = req.auth.user.id;
+  if (!(await store.formations.find(req.params.id, userId))) throw new HttpError(404, 'formation_not_found');
+  await store.formations.removeSuivi(userId, req.params.id);
+  sendJson(res, 200, { formation: withDistance(await store.formations.find(req.params.id, userId)) });
+});
+
+router.get('/api/services', async (req, res) => {
+  const { page, pageSize, ...filters } = parseServiceQuery(req.query);
+  const { services, total } = await store.services.search({
+    ...filters,
+    limit: pageSize,
+    offset: (page - 1) * pageSize,
+  });
+  sendJson(res, 200, { services: services.map(withDistance), total, page, pageSize });
+});
+
+// Admin import of a catalogue (`table`) from an open-data dump, checked
+// (dryRun, the default) before it is saved. Dumps too big for a request body
+// go through `npm run import-formations` or `npm run import-services`.
+function catalogueImport(table, parse) {
+  return async (req, res) => {
+    const body = await readJson(req);
+    const format = String(body.format || '').toLowerCase();
+    let parsed;
+    try {
+      parsed = parse({ format, content: body.content });
+    } catch (error) {
+      throw new HttpError(400, 'file_unreadable', { details: { format, reason: fileErrorReason(error), list: table } });
+    }
+
+    const dryRun = body.dryRun !== false;
+    const { created, updated } = await importRecords(store, table, parsed[table], { dryRun });
+    sendJson(res, dryRun ? 200 : 201, {
+      dryRun,
+      format,
+      summary: { total: parsed.total, created, updated, invalid: parsed.invalid.length },
+      invalid: parsed.invalid.slice(0, IMPORT_PREVIEW_LIMIT),
+    });
+  };
+}
+
+router.post(
+  '/api/admin/formations/import',
+  requireAuth,
+  requireAdmin,
+  catalogueImport('formations', parseFormationImport)
+);
+router.post('/api/admin/services/import', requireAuth, requireAdmin, catalogueImport('services', parseServiceImport));
+
+router.get('/api/todo', requireAuth, async (req, res) => {
+  const days = Math.min(Math.max(Number.parseInt(req.query.get('days'), 10) || 7, 1), 90);
+  const now = new Date();
+  const until = new Date(now.getTime() + days * DAY_MS);
+  const followUps = await store.followUps.list(req.auth.user.id, until.toISOString());
+
+  sendJson(res, 200, { ...scheduleFollowUps(followUps, now), days, generatedAt: now.toISOString() });
+});
+
+router.get('/api/stats', requireAuth, async (req, res) => {
+  const weeks = parsePageNumber(req.query.get('weeks'), STATS_WEEKS);
+  if (!weeks || weeks > STATS_WEEKS_MAX) throw new HttpError(400, 'stats_weeks_invalid');
+
+  const userId = req.auth.user.id;
+  const [contacts, interactions, applications, goals] = await Promise.all([
+    store.contacts.list(userId),
+    store.interactions.listByUser(userId),
+    store.applications.list(userId),
+    store.users.getWeeklyGoals(userId),
+  ]);
+  sendJson(res, 200, buildStats({ contacts, interactions, applications, goals }, { weeks, timeZone: EXPORT_TIMEZONE }));
+});
+
+router.put('/api/stats/goals', requireAuth, async (req, res) => {
+  const goals = sanitizeWeeklyGoals(await readJson(req));
+  await store.users.setWeeklyGoals(req.auth.user.id, goals);
+  sendJson(res, 200, { goals: Object.fromEntries(STAT_METRICS.map((metric) => [metric, goals[metric] ?? null])) });
+});
+
+router.get('/api/shares', requireAuth, async (req, res) => {
+  const [granted, received] = await Promise.all([
+    store.shares.listByOwner(req.auth.user.id),
+    store.shares.listByCounsellor(req.auth.user.id),
+  ]);
+  sendJson(res, 200, { granted: granted.map(grantedShare), received: received.map(receivedShare) });
+});
+
+router.post('/api/shares', requireAuth, async (req, res) => {
+  const owner = req.auth.user;
+  if (!owner.emailVerified) throw new HttpError(403, 'share_needs_verified_email');
+
+  const body = await readJson(req);
+  const email = normalizeEmail(body.email);
+  const access = body.access || 'lecture';
+  if (!isValidEmail(email)) throw new HttpError(400, 'email_invalid');
+  if (!SHARE_ACCESS.includes(access)) throw new HttpError(400, 'share_access_unknown');
+  if (email === owner.email) throw new HttpError(400, 'share_self');
+
+  const retryAfter = limits.shareInvite.hit(owner.id);
+  if (retryAfter) throw tooManyRequests(retryAfter);
+
+  // An expired invitation may be sent again; anything else is already there.
+  const existing = await store.shares.findByEmail(owner.id, email);
+  if (existing && grantedShare(existing).status !== 'expiree') {
+    throw new HttpError(409, 'share_exists');
+  }
+  const token = createToken();
+  const share = await store.transaction(async (tx) => {
+    if (existing) await tx.shares.revoke(existing.id);
+    return tx.shares.create({
+      id: crypto.randomUUID(),
+      ownerId: owner.id,
+      email,
+      access,
+      tokenHash: hashEmailToken(token),
+      ttlDays: SHARE_INVITE_TTL_DAYS,
     });
-  })
-  .catch((error) => {
-    console.error('Database init failed:', error.message);
-    process.exit(1);
   });
+  await sendShareInvitationEmail(owner, share, token, requestLanguage(req));
+  sendJson(res, 201, { share: grantedShare(share) });
+});
+
+// The invitation link only works for the invited address.
+router.post('/api/shares/accept', requireAuth, async (req, res) => {
+  const retryAfter = limits.tokenIp.hit(getClientIp(req));
+  if (retryAfter) throw tooManyRequests(retryAfter);
+
+  const body = await readJson(req);
+  const share = await store.shares.findByTokenHash(hashEmailToken(String(body.token || '')));
+  if (!share) throw new HttpError(400, 'share_invitation_invalid');
+  if (share.email !== req.auth.user.email) {
+    throw new HttpError(403, 'share_wrong_address');
+  }
+  const accepted = await store.shares.accept(share.id, req.auth.user.id);
+  if (!accepted) throw new HttpError(400, 'share_invitation_invalid');
+  sendJson(res, 200, { share: receivedShare(accepted) });
+});
+
+// Who read the candidate's data, newest first.
+router.get('/api/shares/audit', requireAuth, async (req, res) => {
+  sendJson(res, 200, { entries: await store.auditLog.list(req.auth.user.id, AUDIT_LOG_LIMIT) });
+});
+
+async function findOwnShare(req) {
+  const share = await store.shares.find(req.params.id);
+  if (!share || share.ownerId !== req.auth.user.id) throw new HttpError(404, 'share_not_found');
+  return share;
+}
+
+router.patch('/api/shares/:id', requireAuth, async (req, res) => {
+  const share = await findOwnShare(req);
+  const body = await readJson(req);
+  if (!SHARE_ACCESS.includes(body.access)) throw new HttpError(400, 'share_access_unknown');
+  sendJson(res, 200, { share: grantedShare(await store.shares.setAccess(share.id, body.access)) });
+});
+
+router.delete('/api/shares/:id', requireAuth, async (req, res) => {
+  const share = await findOwnShare(req);
+  await store.shares.revoke(share.id);
+  sendJson(res, 200, { ok: true });
+});
+
+// The share as seen by the signed-in user: its candidate, or its counsellor
+// once the invitation is accepted. Reads by the counsellor are written to the
+// candidate's audit log before anything is returned.
+async function openShare(req, action) {
+  const user = req.auth.user;
+  const share = await store.shares.find(req.params.id);
+  const isOwner = Boolean(share && share.ownerId === user.id);
+  if (!share || (!isOwner && share.counsellorId !== user.id)) throw new HttpError(404, 'share_not_found');
+  if (!isOwner) {
+    await store.auditLog.record({
+      id: crypto.randomUUID(),
+      ownerId: share.ownerId,
+      actorId: user.id,
+      actorEmail: user.email,
+      shareId: share.id,
+      action,
+    });
+  }
+  return { share, isOwner };
+}
+
+router.get('/api/shares/:id/contacts', requireAuth, async (req, res) => {
+  const { share } = await openShare(req, 'contacts.read');
+  sendJson(res, 200, { contacts: await store.contacts.list(share.ownerId) });
+});
+
+router.get('/api/shares/:id/applications', requireAuth, async (req, res) => {
+  const { share } = await openShare(req, 'applications.read');
+  sendJson(res, 200, { applications: await store.applications.list(share.ownerId) });
+});
+
+router.get('/api/shares/:id/comments', requireAuth, async (req, res) => {
+  const { share } = await openShare(req, 'comments.read');
+  sendJson(res, 200, { comments: await store.comments.list(share.id) });
+});
+
+// The candidate may always answer; the counsellor needs 'commentaire' access.
+router.post('/api/shares/:id/comments', requireAuth, async (req, res) => {
+  const body = await readJson(req);
+  const { share, isOwner } = await openShare(req, 'comments.create');
+  if (!isOwner && share.access !== 'commentaire') throw new HttpError(403, 'share_read_only');
+
+  const targetType = String(body.targetType || '');
+  const targetId = String(body.targetId || '');
+  const text = String(body.body || '').trim();
+  if (!COMMENT_TARGETS.includes(targetType)) throw new HttpError(400, 'comment_target_unknown');
+  if (!text) throw new HttpError(400, 'comment_empty');
+  if (text.length > COMMENT_MAX_LENGTH) throw new HttpError(400, 'comment_too_long');
+  const target =
+    targetType === 'contact'
+      ? await store.contacts.find(share.ownerId, targetId)
+      : await store.applications.find(share.ownerId, targetId);
+  if (!target) throw new HttpError(404, 'comment_target_not_found');
+
+  const comment = await store.comments.insert({
+    id: crypto.randomUUID(),
+    shareId: share.id,
+    authorId: req.auth.user.id,
+    targetType,
+    targetId,
+    body: text,
+  });
+  sendJson(res, 201, { comment });
+});
+
+// GET reads the current feed, POST creates or rotates it, DELETE disables it.
+async function handleCalendarFeed(req, res) {
+  if (req.method !== 'GET') {
+    await store.users.setCalendarToken(req.auth.user.id, req.method === 'POST' ? createToken() : null);
+  }
+
+  const user = await store.users.findById(req.auth.user.id);
+  const current = user && user.calendarToken;
+  // Calendar apps send no Accept-Language: the feed keeps the language in its URL.
+  sendJson(res, 200, { path: current ? `/api/calendar/${current}.ics?lang=${requestLanguage(req)}` : null });
+}
+
+router.get('/api/todo/calendar', requireAuth, handleCalendarFeed);
+router.post('/api/todo/calendar', requireAuth, handleCalendarFeed);
+router.delete('/api/todo/calendar', requireAuth, handleCalendarFeed);
+
+router.get('/api/export', requireAuth, async (req, res) => {
+  const format = req.query.get('format') || 'csv';
+  const exportFormat = EXPORT_FORMATS[format];
+  if (!exportFormat) {
+    sendJson(res, 400, { error: 'export_format_unknown' });
+    return;
+  }
+
+  const period = parseExportPeriod(req.query);
+  if (!period) {
+    sendJson(res, 400, { error: 'period_invalid' });
+    return;
+  }
+
+  const body = await buildExport(req.auth.user, format, period, requestLanguage(req));
+  const filename = `organijob-${exportFormat.name}-${formatExportDate(new Date(), false)}.${format}`;
+  sendDownload(res, exportFormat.contentType, filename, body);
+});
+
+// The token in the URL is the credential: calendar apps cannot send headers.
+router.get('/api/calendar/:token.ics', async (req, res) => {
+  const user = await store.users.findByCalendarToken(req.params.token);
+  if (!user) {
+    sendJson(res, 404, { error: 'calendar_not_found' });
+    return;
+  }
+
+  const language = LANGUAGES.includes(req.query.get('lang')) ? req.query.get('lang') : requestLanguage(req);
+  const body = buildFollowUpCalendar(await store.followUps.list(user.id), language);
+  res.writeHead(200, {
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Length': Buffer.byteLength(body),
+    'Cache-Control': 'no-store',
+  });
+  res.end(body);
+});
+
+const server = http.createServer(router.handle);
+
+// Applies pending migrations, then listens. Tests require this module and call
+// start(0) for a random port; `node server.js` starts on PORT.
+function start(port = PORT) {
+  return store.init().then(
+    () =>
+      new Promise((resolve) => {
+        server.listen(port, () => resolve(server));
+      })
+  );
+}
+
+if (require.main === module) {
+  start()
+    .then(() => {
+      if (!DATABASE_URL) console.log(`No DATABASE_URL: data is stored in ${store.description}.`);
+      console.log(`OrganiJob server running on http://localhost:${PORT}`);
+      if (ACCOUNT_RETENTION_DAYS) {
+        const purge = () =>
+          purgeInactiveAccounts().catch((error) => console.error('Account purge failed:', error.message));
+        purge();
+        setInterval(purge, ACCOUNT_PURGE_INTERVAL_MS).unref();
+      }
+    })
+    .catch((error) => {
+      console.error('Database migration failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { server, store, start, purgeInactiveAccounts };
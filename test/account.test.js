@@ -0,0 +1,182 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, request, register, verifyEmail, mailToken } = require('./helpers');
+const { purgeInactiveAccounts } = require('../server');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+let app;
+
+before(async () => {
+  app = await startServer();
+});
+
+after(async () => {
+  await app.close();
+});
+
+// An account with a contact, an interaction and an application.
+async function filledAccount() {
+  const account = await register(app.port);
+  const contactId = `c-${account.user.id}`;
+  await request(app.port, {
+    method: 'PUT',
+    path: '/api/sync',
+    token: account.token,
+    body: {
+      changes: [
+        {
+          id: contactId,
+          nom: 'Mme Martin',
+          organisation: 'ABC',
+          dateAppel: new Date().toISOString(),
+          inclusivite: 'RQTH',
+          notes: 'Rappeler lundi',
+        },
+      ],
+    },
+  });
+  await request(app.port, {
+    method: 'POST',
+    path: `/api/contacts/${contactId}/interactions`,
+    token: account.token,
+    body: { type: 'email', notes: 'CV envoye' },
+  });
+  await request(app.port, {
+    method: 'POST',
+    path: '/api/applications',
+    token: account.token,
+    body: { poste: 'Assistante RH', entreprise: 'ABC', contactIds: [contactId] },
+  });
+  return { ...account, contactId };
+}
+
+function login(account) {
+  return request(app.port, {
+    method: 'POST',
+    path: '/api/auth/login',
+    body: { email: account.email, password: account.password },
+  });
+}
+
+test('the export holds the account, its sessions and all its data, without secrets', async () => {
+  const account = await filledAccount();
+  await login(account);
+  assert.equal((await request(app.port, { path: '/api/account/export' })).status, 401);
+
+  const res = await request(app.port, { path: '/api/account/export', token: account.token });
+  assert.equal(res.status, 200, res.text);
+  assert.match(res.headers['content-disposition'], /attachment; filename="organijob-compte-\d{4}-\d{2}-\d{2}\.json"/);
+  const archive = JSON.parse(res.text);
+
+  assert.equal(archive.account.email, account.email);
+  assert.equal(archive.account.emailVerified, false);
+  assert.ok(archive.account.createdAt && archive.account.lastActiveAt);
+  assert.equal(archive.sessions.length, 2);
+  assert.equal(archive.sessions.filter((session) => session.current).length, 1);
+  assert.deepEqual(
+    archive.contacts.map(({ nom, inclusivite, notes }) => [nom, inclusivite, notes]),
+    [['Mme Martin', 'RQTH', 'Rappeler lundi']]
+  );
+  assert.ok(archive.interactions.some((interaction) => interaction.notes === 'CV envoye'));
+  assert.deepEqual(
+    archive.organisations.map(({ name }) => name),
+    ['ABC']
+  );
+  assert.deepEqual(archive.applications[0].contactIds, [account.contactId]);
+  assert.deepEqual(archive.shares, { granted: [], received: [] });
+  for (const secret of [account.token, account.password, 'passwordHash', 'calendarToken']) {
+    assert.ok(!res.text.includes(secret), secret);
+  }
+});
+
+test('the export keeps deleted contacts and the shares of both sides', async () => {
+  const owner = await filledAccount();
+  await verifyEmail(app.port, owner.email);
+  const counsellor = await register(app.port);
+  await request(app.port, { method: 'POST', path: '/api/shares', token: owner.token, body: { email: counsellor.email } });
+  await request(app.port, {
+    method: 'POST',
+    path: '/api/shares/accept',
+    token: counsellor.token,
+    body: { token: mailToken(counsellor.email, 'share') },
+  });
+  const { body: pulled } = await request(app.port, { path: '/api/sync', token: owner.token });
+  await request(app.port, {
+    method: 'PUT',
+    path: '/api/sync',
+    token: owner.token,
+    body: { changes: [{ id: owner.contactId, deleted: true, version: pulled.contacts[0].version }] },
+  });
+
+  const ownerArchive = JSON.parse((await request(app.port, { path: '/api/account/export', token: owner.token })).text);
+  assert.equal(ownerArchive.contacts.length, 1);
+  assert.ok(ownerArchive.contacts[0].deletedAt);
+  assert.deepEqual(
+    ownerArchive.shares.granted.map(({ email, status }) => [email, status]),
+    [[counsellor.email, 'active']]
+  );
+
+  const counsellorArchive = JSON.parse(
+    (await request(app.port, { path: '/api/account/export', token: counsellor.token })).text
+  );
+  assert.deepEqual(
+    counsellorArchive.shares.received.map(({ ownerEmail }) => ownerEmail),
+    [owner.email]
+  );
+  assert.deepEqual(counsellorArchive.contacts, []);
+});
+
+test('deleting the account needs the password and removes everything', async () => {
+  const owner = await filledAccount();
+  const counsellor = await register(app.port);
+  await verifyEmail(app.port, owner.email);
+  await request(app.port, { method: 'POST', path: '/api/shares', token: owner.token, body: { email: counsellor.email } });
+  const accepted = await request(app.port, {
+    method: 'POST',
+    path: '/api/shares/accept',
+    token: counsellor.token,
+    body: { token: mailToken(counsellor.email, 'share') },
+  });
+  const shareId = accepted.body.share.id;
+
+  const refused = await request(app.port, {
+    method: 'DELETE',
+    path: '/api/account',
+    token: owner.token,
+    body: { password: 'pas le bon' },
+  });
+  assert.equal(refused.status, 400);
+  assert.equal(refused.body.code, 'password_wrong');
+  assert.equal((await request(app.port, { path: '/api/contacts', token: owner.token })).status, 200);
+
+  const deleted = await request(app.port, {
+    method: 'DELETE',
+    path: '/api/account',
+    token: owner.token,
+    body: { password: owner.password },
+  });
+  assert.equal(deleted.status, 200, deleted.text);
+
+  assert.equal((await request(app.port, { path: '/api/contacts', token: owner.token })).status, 401);
+  assert.equal((await login(owner)).status, 401);
+  const shared = await request(app.port, { path: `/api/shares/${shareId}/contacts`, token: counsellor.token });
+  assert.equal(shared.status, 404);
+  assert.deepEqual((await request(app.port, { path: '/api/shares', token: counsellor.token })).body.received, []);
+
+  // The address is free again, for a new and empty account.
+  const again = await register(app.port, { email: owner.email });
+  const archive = JSON.parse((await request(app.port, { path: '/api/account/export', token: again.token })).text);
+  assert.deepEqual([archive.contacts, archive.applications, archive.interactions], [[], [], []]);
+});
+
+test('accounts unused for the retention period are purged', async () => {
+  const account = await filledAccount();
+
+  assert.equal(await purgeInactiveAccounts(new Date(Date.now() + 1000 * DAY_MS)), 0);
+  assert.equal((await login(account)).status, 200);
+
+  const purged = await purgeInactiveAccounts(new Date(Date.now() + 1096 * DAY_MS));
+  assert.ok(purged >= 1);
+  assert.equal((await login(account)).status, 401);
+  assert.equal((await request(app.port, { path: '/api/contacts', token: account.token })).status, 401);
+});
@@ -0,0 +1,174 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { startServer, request, register } = require('./helpers');
+const { createAssistant } = require('../lib/ai');
+
+let app;
+
+before(async () => {
+  app = await startServer();
+});
+
+after(async () => {
+  await app.close();
+});
+
+// A stand-in for a local model server: records the last request and answers
+// with `status`.
+async function fakeModel(status) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      received.push({ path: req.url, headers: req.headers, body: JSON.parse(Buffer.concat(chunks).toString('utf8')) });
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      const message = { role: 'assistant', content: '  Objet: Relance\n\nBonjour Mme Martin,  ' };
+      res.end(JSON.stringify({ choices: [{ message }] }));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/v1/`,
+    received,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+const contactRequest = {
+  objectif: 'relance',
+  domaine: 'data',
+  contact: {
+    nom: 'Mme Martin',
+    organisation: 'Société ABC',
+    notes: 'Poste de data analyst en mars',
+    dateAppel: '2026-01-10T10:00:00Z',
+  },
+  interactions: [{ type: 'rendez_vous', date: '2026-01-10T10:00:00Z', notes: 'Cafe informel' }],
+  applications: [{ poste: 'Data analyst', statut: 'envoyee' }],
+};
+
+test('the openai provider sends the contact and its notes to the model and returns its answer', async () => {
+  const model = await fakeModel(200);
+  try {
+    const assistant = createAssistant({ provider: 'openai', url: model.url, apiKey: 'secret', model: 'mistral' });
+    const result = await assistant.generate(contactRequest);
+    assert.deepEqual(result, { text: 'Objet: Relance\n\nBonjour Mme Martin,', provider: 'openai', fallback: false });
+
+    const [call] = model.received;
+    assert.equal(call.path, '/v1/chat/completions');
+    assert.equal(call.headers.authorization, 'Bearer secret');
+    assert.equal(call.body.model, 'mistral');
+    const prompt = call.body.messages.at(-1).content;
+    assert.match(prompt, /Mme Martin, Société ABC/);
+    assert.match(prompt, /Poste de data analyst en mars/);
+    assert.match(prompt, /rendez-vous: Cafe informel/);
+    assert.match(prompt, /Data analyst \(étape : envoyee\)/);
+  } finally {
+    await model.close();
+  }
+});
+
+test('when the model fails, the templates answer and the result says so', async () => {
+  const model = await fakeModel(500);
+  const logged = [];
+  try {
+    const logger = { error: (line) => logged.push(line) };
+    const assistant = createAssistant({ provider: 'openai', url: model.url, logger });
+    const result = await assistant.generate(contactRequest);
+    assert.equal(result.provider, 'templates');
+    assert.equal(result.fallback, true);
+    assert.match(result.text, /^Objet : Relance candidature data\n\nBonjour Mme Martin,/);
+    assert.match(logged[0], /HTTP 500/);
+  } finally {
+    await model.close();
+  }
+});
+
+test('unknown providers and an openai provider without URL are refused', () => {
+  assert.throws(() => createAssistant({ provider: 'oracle' }), /Unknown AI provider/);
+  assert.throws(() => createAssistant({ provider: 'openai' }), /AI_API_URL is required/);
+});
+
+test('POST /api/ai/generate writes to the chosen contact of the user', async () => {
+  const account = await register(app.port);
+  await request(app.port, {
+    method: 'PUT',
+    path: '/api/sync',
+    token: account.token,
+    body: { changes: [{ id: 'a1', nom: 'Mme Martin', organisation: 'ABC', dateAppel: '2026-01-10T10:00:00Z' }] },
+  });
+
+  const res = await request(app.port, {
+    method: 'POST',
+    path: '/api/ai/generate',
+    token: account.token,
+    body: { objectif: 'relance', domaine: 'data', contactId: 'a1' },
+  });
+  assert.equal(res.status, 200, res.text);
+  assert.equal(res.body.provider, 'templates');
+  assert.equal(res.body.fallback, false);
+  assert.match(res.body.text, /Bonjour Mme Martin,/);
+  assert.match(res.body.text, /chez ABC/);
+
+  const other = await register(app.port);
+  const hidden = await request(app.port, {
+    method: 'POST',
+    path: '/api/ai/generate',
+    token: other.token,
+    body: { objectif: 'relance', contactId: 'a1' },
+  });
+  assert.equal(hidden.status, 404);
+  assert.equal(hidden.body.code, 'contact_not_found');
+});
+
+test('POST /api/ai/generate needs an account, a known objective and short texts', async () => {
+  const anonymous = await request(app.port, {
+    method: 'POST',
+    path: '/api/ai/generate',
+    body: { objectif: 'relance' },
+  });
+  assert.equal(anonymous.status, 401);
+
+  const account = await register(app.port);
+  for (const [body, error] of [
+    [{ objectif: 'horoscope' }, 'objective_unknown'],
+    [{ objectif: 'reseau', contexte: 'x'.repeat(2001) }, 'text_too_long'],
+  ]) {
+    const res = await request(app.port, { method: 'POST', path: '/api/ai/generate', token: account.token, body });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, error);
+  }
+});
+
+test('each user gets 20 suggestions per hour, refused requests aside', async () => {
+  const account = await register(app.port);
+  const generate = (body = { objectif: 'motivation' }) =>
+    request(app.port, {
+      method: 'POST',
+      path: '/api/ai/generate',
+      token: account.token,
+      body,
+    });
+  for (const body of [{ objectif: 'horoscope' }, { objectif: 'motivation', contactId: 'inconnu' }]) {
+    for (let i = 0; i < 5; i += 1) {
+      assert.notEqual((await generate(body)).status, 200);
+    }
+  }
+  for (let i = 0; i < 20; i += 1) {
+    assert.equal((await generate()).status, 200);
+  }
+  const limited = await generate();
+  assert.equal(limited.status, 429);
+  assert.ok(Number(limited.headers['retry-after']) > 0);
+
+  const other = await register(app.port);
+  const res = await request(app.port, {
+    method: 'POST',
+    path: '/api/ai/generate',
+    token: other.token,
+    body: { objectif: 'motivation' },
+  });
+  assert.equal(res.status, 200);
+});
@@ -0,0 +1,142 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, request, register, mailToken } = require('./helpers');
+
+let app;
+
+before(async () => {
+  app = await startServer();
+});
+
+after(async () => {
+  await app.close();
+});
+
+function login(body) {
+  return request(app.port, { method: 'POST', path: '/api/auth/login', body });
+}
+
+test('register creates an account and returns a working session', async () => {
+  const account = await register(app.port, { email: 'Nouvelle@Example.fr' });
+  assert.equal(account.user.email, 'nouvelle@example.fr');
+  assert.equal(account.user.emailVerified, false);
+
+  const res = await request(app.port, { path: '/api/sync', token: account.token });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.user.id, account.user.id);
+});
+
+test('register rejects an invalid email or a short password', async () => {
+  const badEmail = await request(app.port, {
+    method: 'POST',
+    path: '/api/auth/register',
+    body: { email: 'pas-un-email', password: 'motdepasse' },
+  });
+  assert.equal(badEmail.status, 400);
+  assert.deepEqual(badEmail.body, { error: 'Adresse email invalide.', code: 'email_invalid' });
+
+  const shortPassword = await request(app.port, {
+    method: 'POST',
+    path: '/api/auth/register',
+    body: { email: 'court@example.fr', password: '1234567' },
+  });
+  assert.equal(shortPassword.status, 400);
+  assert.equal(shortPassword.body.code, 'password_too_short');
+});
+
+test('register refuses an address that already has an account, whatever its case', async () => {
+  await register(app.port, { email: 'double@example.fr' });
+  const res = await request(app.port, {
+    method: 'POST',
+    path: '/api/auth/register',
+    body: { email: ' DOUBLE@example.fr ', password: 'autremotdepasse' },
+  });
+  assert.equal(res.status, 409);
+});
+
+test('login accepts the right password and normalizes the email', async () => {
+  const account = await register(app.port);
+  const res = await login({ email: account.email.toUpperCase(), password: account.password });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.user.id, account.user.id);
+  assert.notEqual(res.body.token, account.token);
+});
+
+test('login gives the same answer for a wrong password and an unknown account', async () => {
+  const account = await register(app.port);
+  const wrongPassword = await login({ email: account.email, password: 'mauvaismotdepasse' });
+  const unknown = await login({ email: 'inconnu@example.fr', password: account.password });
+
+  assert.equal(wrongPassword.status, 401);
+  assert.equal(unknown.status, 401);
+  assert.deepEqual(wrongPassword.body, unknown.body);
+});
+
+test('a password reset request answers the same for known and unknown addresses', async () => {
+  const account = await register(app.port);
+  const resetRequest = (email) =>
+    request(app.port, { method: 'POST', path: '/api/auth/password-reset/request', body: { email } });
+  const known = await resetRequest(account.email);
+  const unknown = await resetRequest('inconnu@example.fr');
+
+  assert.equal(known.status, 200);
+  assert.deepEqual(known.body, unknown.body);
+
+  // The email leaves after the answer.
+  let token = null;
+  for (let attempt = 0; !token && attempt < 50; attempt += 1) {
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    try {
+      token = mailToken(account.email, 'reset');
+    } catch {
+      // Not written yet.
+    }
+  }
+  const confirmed = await request(app.port, {
+    method: 'POST',
+    path: '/api/auth/password-reset/confirm',
+    body: { token, password: 'nouveaumotdepasse' },
+  });
+  assert.equal(confirmed.status, 200, confirmed.text);
+  assert.equal((await login({ email: account.email, password: 'nouveaumotdepasse' })).status, 200);
+});
+
+test('login locks an account after repeated failures, even for the right password', async () => {
+  const account = await register(app.port);
+  for (let attempt = 1; attempt < 5; attempt += 1) {
+    assert.equal((await login({ email: account.email, password: 'mauvaismotdepasse' })).status, 401);
+  }
+
+  const locked = await login({ email: account.email, password: 'mauvaismotdepasse' });
+  assert.equal(locked.status, 429);
+  assert.ok(Number(locked.headers['retry-after']) > 0);
+
+  const rightPassword = await login({ email: account.email, password: account.password });
+  assert.equal(rightPassword.status, 429);
+});
+
+test('logout ends only the session it was called with', async () => {
+  const account = await register(app.port);
+  const other = await login({ email: account.email, password: account.password });
+
+  const res = await request(app.port, { method: 'POST', path: '/api/auth/logout', token: account.token });
+  assert.equal(res.status, 200);
+
+  assert.equal((await request(app.port, { path: '/api/sync', token: account.token })).status, 401);
+  assert.equal((await request(app.port, { path: '/api/sync', token: other.body.token })).status, 200);
+});
+
+test('logout without a token or with an unknown one still succeeds', async () => {
+  const anonymous = await request(app.port, { method: 'POST', path: '/api/auth/logout' });
+  assert.equal(anonymous.status, 200);
+
+  const unknown = await request(app.port, { method: 'POST', path: '/api/auth/logout', token: 'inconnu' });
+  assert.equal(unknown.status, 200);
+});
+
+test('protected routes answer 401 without a valid token', async () => {
+  assert.equal((await request(app.port, { path: '/api/sync' })).status, 401);
+  assert.equal((await request(app.port, { path: '/api/sync', token: 'inconnu' })).status, 401);
+  const basic = await request(app.port, { path: '/api/sync', headers: { Authorization: 'Basic abc' } });
+  assert.equal(basic.status, 401);
+});
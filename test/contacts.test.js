@@ -0,0 +1,162 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, request, register } = require('./helpers');
+
+let app;
+let alice;
+
+const CONTACTS = [
+  { id: 'c1', nom: 'Mme Martin', organisation: 'Société ABC', dateAppel: '2026-01-10T10:00:00Z', tags: ['RH', '#Lyon'] },
+  { id: 'c2', nom: 'M Durand', organisation: 'XYZ', dateAppel: '2026-02-15T10:00:00Z', expertise: 'Data', tags: ['data'] },
+  {
+    id: 'c3',
+    nom: 'Mme Bernard',
+    organisation: 'société abc',
+    dateAppel: '2026-03-20T10:00:00Z',
+    notes: 'Rappeler pour le poste de développeuse',
+    dateRelance: '2026-04-01T09:00:00Z',
+    tags: ['rh'],
+  },
+  { id: 'c4', nom: 'Alain Petit', organisation: 'Mairie', dateAppel: '2026-03-25T10:00:00Z', expertise: null, notes: null },
+];
+
+before(async () => {
+  app = await startServer();
+  alice = await register(app.port);
+  const res = await request(app.port, {
+    method: 'PUT',
+    path: '/api/sync',
+    token: alice.token,
+    body: { changes: CONTACTS },
+  });
+  assert.equal(res.body.applied.length, CONTACTS.length);
+
+  const bob = await register(app.port);
+  await request(app.port, {
+    method: 'PUT',
+    path: '/api/sync',
+    token: bob.token,
+    body: { changes: [{ id: 'b1', nom: 'Mme Martin', organisation: 'Société ABC', dateAppel: '2026-01-11', tags: ['rh'] }] },
+  });
+});
+
+after(async () => {
+  await app.close();
+});
+
+async function list(query = '') {
+  const res = await request(app.port, { path: `/api/contacts${query}`, token: alice.token });
+  assert.equal(res.status, 200, res.text);
+  return res.body;
+}
+
+const ids = (body) => body.contacts.map((contact) => contact.id);
+
+test('without parameters, the most recent calls come first on one page', async () => {
+  const body = await list();
+  assert.deepEqual(ids(body), ['c4', 'c3', 'c2', 'c1']);
+  assert.equal(body.total, 4);
+  assert.equal(body.page, 1);
+  assert.equal(body.pageSize, 50);
+});
+
+test('tags are stored lowercased, without "#" and without duplicates', async () => {
+  const body = await list('?sort=ancien');
+  assert.deepEqual(body.contacts[0].tags, ['rh', 'lyon']);
+  assert.deepEqual(body.contacts[3].tags, []);
+});
+
+test('q matches every word across nom, organisation, expertise and notes, ignoring case and accents', async () => {
+  assert.deepEqual(ids(await list('?q=martin')), ['c1']);
+  assert.deepEqual(ids(await list('?q=SOCIETE')), ['c3', 'c1']);
+  assert.deepEqual(ids(await list('?q=data')), ['c2']);
+  assert.deepEqual(ids(await list('?q=developpeuse')), ['c3']);
+  assert.deepEqual(ids(await list(`?q=${encodeURIComponent('abc rappeler')}`)), ['c3']);
+  assert.deepEqual(ids(await list('?q=introuvable')), []);
+  assert.deepEqual(ids(await list('?q=%25')), []);
+});
+
+test('q matches by name a contact without expertise or notes', async () => {
+  assert.deepEqual(ids(await list('?q=petit')), ['c4']);
+  assert.deepEqual(ids(await list(`?q=${encodeURIComponent('alain mairie')}`)), ['c4']);
+});
+
+test('organisation and tag filters ignore case', async () => {
+  assert.deepEqual(ids(await list(`?organisation=${encodeURIComponent('SOCIÉTÉ ABC')}`)), ['c3', 'c1']);
+  assert.deepEqual(ids(await list('?tag=RH')), ['c3', 'c1']);
+  assert.deepEqual(ids(await list('?tag=rh&q=bernard')), ['c3']);
+});
+
+test('from and to filter on the call day, both included', async () => {
+  assert.deepEqual(ids(await list('?from=2026-02-15&to=2026-03-20')), ['c3', 'c2']);
+  assert.deepEqual(ids(await list('?from=2026-03-21')), ['c4']);
+});
+
+test('sort orders', async () => {
+  assert.deepEqual(ids(await list('?sort=ancien')), ['c1', 'c2', 'c3', 'c4']);
+  assert.deepEqual(ids(await list('?sort=nom')), ['c4', 'c2', 'c3', 'c1']);
+  assert.deepEqual(ids(await list('?sort=organisation')), ['c4', 'c3', 'c1', 'c2']);
+  assert.deepEqual(ids(await list('?sort=relance')), ['c3', 'c4', 'c2', 'c1']);
+});
+
+test('pages do not overlap and total counts every match', async () => {
+  const first = await list('?pageSize=3');
+  const second = await list('?pageSize=3&page=2');
+  assert.deepEqual(ids(first), ['c4', 'c3', 'c2']);
+  assert.deepEqual(ids(second), ['c1']);
+  assert.equal(second.total, 4);
+  assert.deepEqual(ids(await list('?pageSize=3&page=3')), []);
+});
+
+test('invalid parameters are rejected', async () => {
+  for (const [query, error] of [
+    ['?sort=prix', 'sort_unknown'],
+    ['?page=0', 'pagination_invalid'],
+    ['?pageSize=500', 'pagination_invalid'],
+    ['?page=abc', 'pagination_invalid'],
+    ['?from=2026-13-01', 'period_invalid'],
+    ['?from=2026-03-01&to=2026-02-01', 'period_invalid'],
+  ]) {
+    const res = await request(app.port, { path: `/api/contacts${query}`, token: alice.token });
+    assert.equal(res.status, 400, query);
+    assert.equal(res.body.code, error, query);
+  }
+});
+
+test('a sync change without tags keeps the current ones; too many tags are rejected', async () => {
+  const current = (await list('?q=durand')).contacts[0];
+  const { tags, ...withoutTags } = current;
+  const res = await request(app.port, {
+    method: 'PUT',
+    path: '/api/sync',
+    token: alice.token,
+    body: {
+      changes: [
+        { ...withoutTags, notes: 'mis a jour' },
+        { id: 'c9', nom: 'N', organisation: 'O', dateAppel: '2026-01-01', tags: Array.from({ length: 21 }, (_, i) => `t${i}`) },
+      ],
+    },
+  });
+  assert.deepEqual(res.body.applied[0].contact.tags, tags);
+  assert.deepEqual(res.body.rejected[0], { id: 'c9', error: '20 tags maximum par contact.', code: 'tags_too_many' });
+});
+
+test('tags go out in CSV and vCard exports and come back on import', async () => {
+  const csvExport = await request(app.port, { path: '/api/export?format=csv', token: alice.token });
+  assert.match(csvExport.text, /;Tags\r\n/);
+  assert.match(csvExport.text, /;"?rh, lyon"?\r\n/);
+
+  const vcf = await request(app.port, { path: '/api/export?format=vcf', token: alice.token });
+  assert.match(vcf.text, /CATEGORIES:rh,lyon\r\n/);
+
+  const bob = await register(app.port);
+  const imported = await request(app.port, {
+    method: 'POST',
+    path: '/api/contacts/import',
+    token: bob.token,
+    body: { format: 'vcf', content: vcf.text, dryRun: false },
+  });
+  assert.equal(imported.status, 201, imported.text);
+  const martin = await request(app.port, { path: '/api/contacts?q=martin', token: bob.token });
+  assert.deepEqual(martin.body.contacts[0].tags, ['rh', 'lyon']);
+});
@@ -0,0 +1,231 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.ADMIN_EMAILS = 'catalogue@example.fr';
+const { startServer, request, register, verifyEmail } = require('./helpers');
+const { parseFormationImport } = require('../lib/formations');
+
+let app;
+let admin;
+
+const CATALOGUE = [
+  {
+    id: 'f1',
+    titre: 'Initiation Data Analyst',
+    organisme: 'Ecole Data',
+    ville: 'Paris',
+    latitude: 48.8566,
+    longitude: 2.3522,
+    niveau: 'debutant',
+    dureeHeures: 280,
+    modalite: 'presentiel',
+    cpf: true,
+    dateDebut: '2026-03-02',
+    dateFin: '2026-05-29',
+    lien: 'https://formations.example/f1',
+  },
+  {
+    id: 'f2',
+    titre: 'Bootcamp Développement Web',
+    ville: 'Lyon',
+    latitude: 45.764,
+    longitude: 4.8357,
+    niveau: 'intermediaire',
+    dureeHeures: 420,
+    modalite: 'mixte',
+    cpf: true,
+    dateDebut: '2026-04-06',
+  },
+  { id: 'f3', titre: 'Anglais professionnel', organisme: 'Langues Plus', dureeHeures: 30, modalite: 'distanciel' },
+  {
+    id: 'f4',
+    titre: 'Data visualisation',
+    ville: 'Versailles',
+    latitude: 48.8049,
+    longitude: 2.1204,
+    niveau: 'avance',
+    dureeHeures: 35,
+    dateDebut: '2026-02-01',
+  },
+];
+
+function importCatalogue(token, body) {
+  return request(app.port, { method: 'POST', path: '/api/admin/formations/import', token, body });
+}
+
+before(async () => {
+  app = await startServer();
+  admin = await register(app.port, { email: 'catalogue@example.fr' });
+});
+
+after(async () => {
+  await app.close();
+});
+
+async function search(query = '', token) {
+  const res = await request(app.port, { path: `/api/formations${query}`, token });
+  assert.equal(res.status, 200, res.text);
+  return res.body;
+}
+
+const ids = (body) => body.formations.map((formation) => formation.id);
+
+test('open-data CSV columns, French dates and mode codes are understood', () => {
+  const content = [
+    'Intitule formation;Nom OF;Commune;Latitude;Longitude;Niveau entree;Nombre heures total;' +
+      'Modalites enseignement;Eligible CPF;Date debut;Date fin',
+    'Soudure;Afpa;Lille;50,6292;3,0573;Sans niveau specifique;399,5;0;Oui;07/09/2026;18/12/2026',
+    'Comptabilite;Cnam;;;;Confirme;120;1;non;;',
+    ';Sans titre;;;;;;;;;',
+    'Cuisine;Ecole;Nice;;;;;2;;31/02/2026;',
+  ].join('\n');
+  const { formations, invalid, total } = parseFormationImport({ format: 'csv', content });
+
+  assert.equal(total, 4);
+  assert.deepEqual(
+    invalid.map(({ line, error }) => [line, error]),
+    [
+      [4, 'formation_title_required'],
+      [5, 'session_date_invalid'],
+    ]
+  );
+  const [soudure, compta] = formations;
+  assert.deepEqual(
+    { ...soudure, id: undefined },
+    {
+      id: undefined,
+      titre: 'Soudure',
+      organisme: 'Afpa',
+      description: '',
+      ville: 'Lille',
+      latitude: 50.6292,
+      longitude: 3.0573,
+      niveau: 'debutant',
+      dureeHeures: 400,
+      modalite: 'presentiel',
+      cpf: true,
+      dateDebut: '2026-09-07',
+      dateFin: '2026-12-18',
+      lien: '',
+    }
+  );
+  assert.equal(compta.niveau, 'avance');
+  assert.equal(compta.modalite, 'distanciel');
+  assert.equal(compta.cpf, false);
+  // Without an id column, the same session gets the same id on every import.
+  assert.equal(parseFormationImport({ format: 'csv', content }).formations[0].id, soudure.id);
+});
+
+test('only a verified admin account may import, and imports are checked before they are saved', async () => {
+  const user = await register(app.port);
+  const refused = await importCatalogue(user.token, { format: 'json', content: '[]', dryRun: false });
+  assert.equal(refused.status, 403);
+  assert.equal(refused.body.code, 'admin_only');
+  assert.equal((await importCatalogue(admin.token, { format: 'json', content: '[]' })).status, 403);
+
+  await verifyEmail(app.port, admin.email);
+  const sync = await request(app.port, { path: '/api/sync', token: admin.token });
+  assert.equal(sync.body.user.admin, true);
+
+  const content = JSON.stringify({ formations: [...CATALOGUE, { id: 'f5', titre: 'Sans lien', lien: 'ftp://x' }] });
+  const preview = await importCatalogue(admin.token, { format: 'json', content });
+  assert.equal(preview.status, 200, preview.text);
+  assert.deepEqual(preview.body.summary, { total: 5, created: 4, updated: 0, invalid: 1 });
+  assert.equal(preview.body.invalid[0].code, 'link_invalid');
+  assert.equal((await search()).total, 0);
+
+  const saved = await importCatalogue(admin.token, { format: 'json', content, dryRun: false });
+  assert.equal(saved.status, 201, saved.text);
+  assert.equal((await search()).total, 4);
+
+  const again = await importCatalogue(admin.token, { format: 'json', content, dryRun: false });
+  assert.deepEqual(again.body.summary, { total: 5, created: 0, updated: 4, invalid: 1 });
+
+  const unreadable = await importCatalogue(admin.token, { format: 'json', content: '{"formations":' });
+  assert.equal(unreadable.status, 400);
+  assert.equal(unreadable.body.code, 'file_unreadable');
+  assert.equal(unreadable.body.reason, 'file_syntax_invalid');
+  assert.equal(unreadable.body.error, 'Fichier illisible (json) : Contenu JSON invalide.');
+});
+
+test('the catalogue is public, sorted by start date, and filters combine', async () => {
+  const all = await search();
+  assert.deepEqual(ids(all), ['f4', 'f1', 'f2', 'f3']);
+  assert.equal(all.formations[1].suivi, null);
+  assert.equal(all.formations[1].distanceKm, null);
+
+  assert.deepEqual(ids(await search('?q=DATA')), ['f4', 'f1']);
+  assert.deepEqual(ids(await search('?q=developpement')), ['f2']);
+  assert.deepEqual(ids(await search('?ville=lyon')), ['f2']);
+  assert.deepEqual(ids(await search('?niveau=debutant')), ['f1']);
+  assert.deepEqual(ids(await search('?dureeMax=40')), ['f4', 'f3']);
+  assert.deepEqual(ids(await search('?modalite=distanciel')), ['f3']);
+  assert.deepEqual(ids(await search('?cpf=true')), ['f1', 'f2']);
+  assert.deepEqual(ids(await search('?from=2026-03-01&to=2026-04-30')), ['f1', 'f2']);
+  assert.deepEqual(ids(await search('?cpf=true&q=data')), ['f1']);
+
+  const page = await search('?pageSize=3&page=2');
+  assert.deepEqual(ids(page), ['f3']);
+  assert.equal(page.total, 4);
+});
+
+test('near lists the formations within the radius, closest first', async () => {
+  const near = await search('?near=48.8566,2.3522&rayon=30');
+  assert.deepEqual(ids(near), ['f1', 'f4']);
+  assert.equal(near.formations[0].distanceKm, 0);
+  assert.ok(near.formations[1].distanceKm > 15 && near.formations[1].distanceKm < 20);
+  assert.deepEqual(ids(await search('?near=45.75,4.85')), ['f2']);
+});
+
+test('invalid parameters are rejected', async () => {
+  for (const [query, error] of [
+    ['?niveau=expert', 'level_unknown'],
+    ['?modalite=hybride', 'mode_unknown'],
+    ['?dureeMax=-3', 'duration_invalid'],
+    ['?near=48.8', 'position_invalid'],
+    ['?near=91,2', 'position_invalid'],
+    ['?near=48.8,2.3&rayon=1000', 'position_invalid'],
+    ['?from=2026-05-01&to=2026-04-01', 'period_invalid'],
+    ['?pageSize=101', 'pagination_invalid'],
+  ]) {
+    const res = await request(app.port, { path: `/api/formations${query}` });
+    assert.equal(res.status, 400, query);
+    assert.equal(res.body.code, error, query);
+  }
+});
+
+test('users bookmark formations and track their enrolment, each for themselves', async () => {
+  const alice = await register(app.port);
+  const bob = await register(app.port);
+  const follow = (account, id, body) =>
+    request(app.port, { method: 'PUT', path: `/api/formations/${id}/suivi`, token: account.token, body });
+
+  const bookmarked = await follow(alice, 'f2', {});
+  assert.equal(bookmarked.status, 200, bookmarked.text);
+  assert.equal(bookmarked.body.formation.suivi, 'favori');
+  assert.equal((await follow(alice, 'f1', { statut: 'inscrit' })).body.formation.suivi, 'inscrit');
+
+  const mine = await search('?suivies=true', alice.token);
+  assert.deepEqual(
+    mine.formations.map((formation) => [formation.id, formation.suivi]),
+    [
+      ['f1', 'inscrit'],
+      ['f2', 'favori'],
+    ]
+  );
+  assert.deepEqual(ids(await search('?suivies=true', bob.token)), []);
+  assert.equal((await search('', bob.token)).formations.find((f) => f.id === 'f1').suivi, null);
+  assert.equal((await request(app.port, { path: '/api/formations?suivies=true' })).status, 401);
+
+  assert.equal((await follow(alice, 'f1', { statut: 'diplome' })).status, 400);
+  assert.equal((await follow(alice, 'inconnue', {})).status, 404);
+  assert.equal(
+    (await request(app.port, { method: 'PUT', path: '/api/formations/f1/suivi', body: {} })).status,
+    401
+  );
+
+  const removed = await request(app.port, { method: 'DELETE', path: '/api/formations/f2/suivi', token: alice.token });
+  assert.equal(removed.status, 200);
+  assert.equal(removed.body.formation.suivi, null);
+  assert.deepEqual(ids(await search('?suivies=true', alice.token)), ['f1']);
+});
@@ -0,0 +1,100 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, request, register } = require('./helpers');
+
+let app;
+
+before(async () => {
+  app = await startServer();
+});
+
+after(async () => {
+  await app.close();
+});
+
+test('the app shell and its assets are served', async () => {
+  const home = await request(app.port, { path: '/' });
+  assert.equal(home.status, 200);
+  assert.match(home.headers['content-type'], /^text\/html/);
+
+  const files = ['/index.html', '/styles.css', '/app.js', '/offline-store.js', '/safe-html.js', '/i18n.js', '/sw.js'];
+  for (const file of files) {
+    assert.equal((await request(app.port, { path: file })).status, 200, file);
+  }
+});
+
+test('pages are served with a Content-Security-Policy that blocks inline script', async () => {
+  const res = await request(app.port, { path: '/' });
+  const policy = res.headers['content-security-policy'];
+  assert.match(policy, /script-src 'self'(;|$)/);
+  assert.doesNotMatch(policy, /unsafe-inline|unsafe-eval/);
+  assert.match(policy, /object-src 'none'/);
+});
+
+test('static serving never leaves the public files', async () => {
+  const paths = [
+    '/../server.js',
+    '/..%2fserver.js',
+    '/%2e%2e/%2e%2e/etc/passwd',
+    '/server.js',
+    '/package.json',
+    '/lib/router.js',
+    '/migrations/001_baseline.up.sql',
+    '/data/db.json',
+    '/.git/config',
+    '/index.html/../server.js',
+    '/index.html%00.js',
+  ];
+  for (const path of paths) {
+    const res = await request(app.port, { path });
+    assert.equal(res.status, 404, path);
+    assert.equal(res.text, 'Not found', path);
+  }
+});
+
+test('unknown API routes and methods answer JSON errors', async () => {
+  const missing = await request(app.port, { path: '/api/inconnu' });
+  assert.equal(missing.status, 404);
+  assert.deepEqual(missing.body, { error: 'Route introuvable.', code: 'route_not_found' });
+
+  const wrongMethod = await request(app.port, { method: 'PATCH', path: '/api/sync' });
+  assert.equal(wrongMethod.status, 405);
+  assert.match(wrongMethod.headers.allow, /GET/);
+});
+
+test('malformed JSON bodies are rejected with 400', async () => {
+  const account = await register(app.port);
+  for (const body of ['{"changes": [', 'null', '"texte"', '42', 'pas du json']) {
+    const res = await request(app.port, { method: 'PUT', path: '/api/sync', token: account.token, body });
+    assert.equal(res.status, 400, body);
+    assert.equal(res.body.code, 'invalid_request', body);
+  }
+
+  const login = await request(app.port, { method: 'POST', path: '/api/auth/login', body: '{"email":' });
+  assert.equal(login.status, 400);
+  assert.equal(login.body.code, 'invalid_request');
+});
+
+test('bodies over 1 MB are refused with 413', async () => {
+  const account = await register(app.port);
+  const notes = 'x'.repeat(1024 * 1024);
+  const body = { changes: [{ id: 'gros', nom: 'Gros', organisation: 'Org', dateAppel: '2026-03-02', notes }] };
+
+  const res = await request(app.port, { method: 'PUT', path: '/api/sync', token: account.token, body });
+  assert.equal(res.status, 413);
+  assert.equal(res.body.code, 'request_too_large');
+  assert.equal(res.headers.connection, 'close');
+
+  const after = await request(app.port, { path: '/api/sync', token: account.token });
+  assert.deepEqual(after.body.contacts, []);
+});
+
+test('a body just under the limit is accepted', async () => {
+  const account = await register(app.port);
+  const notes = 'x'.repeat(900 * 1000);
+  const body = { changes: [{ id: 'presque', nom: 'Presque', organisation: 'Org', dateAppel: '2026-03-02', notes }] };
+
+  const res = await request(app.port, { method: 'PUT', path: '/api/sync', token: account.token, body });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.applied.length, 1);
+});
@@ -0,0 +1,154 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, request, register } = require('./helpers');
+const { LANGUAGES, MESSAGES, TEXTS, pickLanguage, message, translate } = require('../lib/i18n');
+
+let app;
+
+before(async () => {
+  app = await startServer();
+});
+
+after(async () => {
+  await app.close();
+});
+
+test('the language comes from Accept-Language, French by default', () => {
+  assert.equal(pickLanguage(undefined), 'fr');
+  assert.equal(pickLanguage('en-GB,en;q=0.9,fr;q=0.8'), 'en');
+  assert.equal(pickLanguage('de-DE, fr;q=0.5, en;q=0.7'), 'en');
+  assert.equal(pickLanguage('en;q=0, fr-CA'), 'fr');
+  assert.equal(pickLanguage('de, it'), 'fr');
+});
+
+test('every message exists in every language', () => {
+  for (const [code, entry] of Object.entries(MESSAGES)) {
+    for (const language of LANGUAGES) {
+      const text = message(code, language, { retryAfter: 90, format: 'csv', reason: 'file_list_expected', list: 'contacts' });
+      assert.ok(entry[language] && typeof text === 'string' && text.trim(), `${code} ${language}`);
+    }
+  }
+  assert.equal(message('too_many_attempts', 'fr', { retryAfter: 90 }), 'Trop de tentatives. Réessaie dans 2 minute(s).');
+
+  for (const [key, entry] of Object.entries(TEXTS)) {
+    for (const language of LANGUAGES) {
+      assert.ok(entry[language] && translate(key, language, {}).trim(), `${key} ${language}`);
+    }
+  }
+});
+
+test('errors carry a stable code and a message in the language of the request', async () => {
+  const french = await request(app.port, { method: 'POST', path: '/api/auth/register', body: { email: 'x' } });
+  assert.deepEqual(french.body, { error: 'Adresse email invalide.', code: 'email_invalid' });
+
+  const english = await request(app.port, {
+    method: 'POST',
+    path: '/api/auth/register',
+    headers: { 'Accept-Language': 'en-US,en;q=0.9' },
+    body: { email: 'x' },
+  });
+  assert.equal(english.status, 400);
+  assert.deepEqual(english.body, { error: 'Invalid email address.', code: 'email_invalid' });
+
+  const account = await register(app.port);
+  const synced = await request(app.port, {
+    method: 'PUT',
+    path: '/api/sync',
+    token: account.token,
+    headers: { 'Accept-Language': 'en' },
+    body: { changes: [{ id: 'l1', organisation: 'ABC', dateAppel: '2026-01-10T10:00:00Z' }] },
+  });
+  assert.deepEqual(synced.body.rejected, [{ id: 'l1', error: 'Contact name required.', code: 'contact_name_required' }]);
+
+  const importFile = (body) =>
+    request(app.port, {
+      method: 'POST',
+      path: '/api/contacts/import',
+      token: account.token,
+      headers: { 'Accept-Language': 'en' },
+      body,
+    });
+  const unknownFormat = await importFile({ format: 'xml', content: '<contacts/>' });
+  assert.equal(unknownFormat.status, 400);
+  assert.equal(unknownFormat.body.error, 'Unreadable file (xml): Unknown format.');
+  assert.equal(unknownFormat.body.reason, 'file_format_unknown');
+  const notAList = await importFile({ format: 'json', content: '{"nom": "Mme Martin"}' });
+  assert.equal(notAList.body.error, 'Unreadable file (json): List expected (contacts).');
+});
+
+test('the assistant templates follow the language of the request', async () => {
+  const account = await register(app.port);
+  const generate = (language) =>
+    request(app.port, {
+      method: 'POST',
+      path: '/api/ai/generate',
+      token: account.token,
+      headers: { 'Accept-Language': language },
+      body: { objectif: 'relance', domaine: 'data' },
+    });
+
+  const english = await generate('en');
+  assert.equal(english.status, 200, english.text);
+  assert.match(english.body.text, /^Subject: Following up on my application in data\n\nHello,/);
+  const french = await generate('fr-FR');
+  assert.match(french.body.text, /^Objet : Relance candidature data\n\nBonjour,\nJe me permets de revenir vers vous suite à/);
+});
+
+// Text of the last email sent to `email`.
+function lastMail(email) {
+  const files = fs.readdirSync(process.env.MAIL_DIR).sort().reverse();
+  for (const file of files) {
+    const [headers, body] = fs.readFileSync(path.join(process.env.MAIL_DIR, file), 'utf8').split('\r\n\r\n');
+    if (headers.includes(`To: ${email}`)) return { headers, text: Buffer.from(body, 'base64').toString('utf8') };
+  }
+  return null;
+}
+
+test('emails, exports and the calendar feed are written in the language of the request', async () => {
+  const email = 'english@example.fr';
+  const registered = await request(app.port, {
+    method: 'POST',
+    path: '/api/auth/register',
+    headers: { 'Accept-Language': 'en' },
+    body: { email, password: 'motdepasse' },
+  });
+  assert.equal(registered.status, 201, registered.text);
+  const mail = lastMail(email);
+  assert.match(mail.headers, /Subject: OrganiJob - confirm your email address/);
+  assert.match(mail.text, /^Hello,\n\nTo confirm your email address/);
+
+  const token = registered.body.token;
+  await request(app.port, {
+    method: 'PUT',
+    path: '/api/sync',
+    token,
+    body: {
+      changes: [
+        {
+          id: 'e1',
+          nom: 'Mme Martin',
+          organisation: 'ABC',
+          dateAppel: new Date().toISOString(),
+          dateRelance: new Date(Date.now() + 86400000).toISOString(),
+        },
+      ],
+    },
+  });
+  const ics = await request(app.port, { path: '/api/export?format=ics', token, headers: { 'Accept-Language': 'en' } });
+  assert.match(ics.text, /SUMMARY:Call: Mme Martin \(ABC\)/);
+
+  const feed = await request(app.port, {
+    method: 'POST',
+    path: '/api/todo/calendar',
+    token,
+    headers: { 'Accept-Language': 'en' },
+  });
+  assert.match(feed.body.path, /\?lang=en$/);
+  const calendar = await request(app.port, { path: feed.body.path });
+  assert.match(calendar.text, /SUMMARY:Follow-up: Mme Martin/);
+  assert.match(calendar.text, /DESCRIPTION:Next action to be decided\./);
+  const french = await request(app.port, { path: feed.body.path.replace('lang=en', 'lang=fr') });
+  assert.match(french.text, /DESCRIPTION:Prochaine action à définir\./);
+});
@@ -0,0 +1,236 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, request, register } = require('./helpers');
+const { organisationKey } = require('../lib/organisations');
+
+let app;
+
+before(async () => {
+  app = await startServer();
+});
+
+after(async () => {
+  await app.close();
+});
+
+async function sync(account, changes) {
+  const res = await request(app.port, { method: 'PUT', path: '/api/sync', token: account.token, body: { changes } });
+  assert.equal(res.status, 200, res.text);
+  return res.body;
+}
+
+async function organisations(account) {
+  const res = await request(app.port, { path: '/api/organisations', token: account.token });
+  assert.equal(res.status, 200, res.text);
+  return res.body.organisations;
+}
+
+test('organisation keys ignore case, accents, spaces and punctuation', () => {
+  assert.equal(organisationKey('Société A.B.C.'), 'societeabc');
+  assert.equal(organisationKey('  societe abc '), 'societeabc');
+  assert.equal(organisationKey('Mairie de Lyon'), organisationKey('MAIRIE-DE-LYON'));
+  assert.equal(organisationKey('東京'), '東京');
+});
+
+test('contacts and applications with the same organisation share one, named as first typed', async () => {
+  const account = await register(app.port);
+  const body = await sync(account, [
+    { id: 'o1', nom: 'Mme Martin', organisation: 'Entreprise ABC', dateAppel: '2026-01-10T10:00:00Z' },
+    { id: 'o2', nom: 'M Durand', organisation: 'entreprise  abc', dateAppel: '2026-02-10T10:00:00Z' },
+    { id: 'o3', nom: 'Alain Petit', organisation: 'Mairie', dateAppel: '2026-03-10T10:00:00Z' },
+  ]);
+  const [martin, durand] = body.applied.map((change) => change.contact);
+  assert.equal(durand.organisation, 'Entreprise ABC');
+  assert.equal(durand.organisationId, martin.organisationId);
+
+  const application = await request(app.port, {
+    method: 'POST',
+    path: '/api/applications',
+    token: account.token,
+    body: { poste: 'Developpeuse', entreprise: 'ENTREPRISE ABC' },
+  });
+  assert.equal(application.body.application.entreprise, 'Entreprise ABC');
+  assert.equal(application.body.application.organisationId, martin.organisationId);
+
+  const list = await organisations(account);
+  assert.deepEqual(
+    list.map(({ name, contactCount, applicationCount }) => ({ name, contactCount, applicationCount })),
+    [
+      { name: 'Entreprise ABC', contactCount: 2, applicationCount: 1 },
+      { name: 'Mairie', contactCount: 1, applicationCount: 0 },
+    ]
+  );
+});
+
+test('interactions are listed newest first and move the call date of the contact', async () => {
+  const account = await register(app.port);
+  const [{ contact }] = (
+    await sync(account, [{ id: 'i1', nom: 'Mme Martin', organisation: 'ABC', dateAppel: '2026-01-10T10:00:00Z' }])
+  ).applied;
+
+  const path = '/api/contacts/i1/interactions';
+  const added = await request(app.port, {
+    method: 'POST',
+    path,
+    token: account.token,
+    body: { type: 'rendez_vous', date: '2026-02-01T14:00:00Z', notes: 'Entretien informel' },
+  });
+  assert.equal(added.status, 201, added.text);
+  assert.equal(added.body.contact.dateAppel, '2026-02-01T14:00:00.000Z');
+  assert.equal(added.body.contact.version, contact.version + 1);
+
+  const listed = await request(app.port, { path, token: account.token });
+  assert.deepEqual(listed.body.interactions.map((interaction) => interaction.type), ['rendez_vous', 'appel']);
+
+  const removed = await request(app.port, {
+    method: 'DELETE',
+    path: `${path}/${added.body.interaction.id}`,
+    token: account.token,
+  });
+  assert.equal(removed.status, 200);
+  assert.equal(removed.body.contact.dateAppel, '2026-01-10T10:00:00.000Z');
+
+  const changes = await request(app.port, { path: '/api/sync', token: account.token });
+  assert.equal(changes.body.contacts[0].dateAppel, '2026-01-10T10:00:00.000Z');
+});
+
+test('a planned interaction does not move the call date of the contact', async () => {
+  const account = await register(app.port);
+  await sync(account, [{ id: 'p1', nom: 'Mme Martin', organisation: 'ABC', dateAppel: '2026-01-10T10:00:00Z' }]);
+
+  const planned = await request(app.port, {
+    method: 'POST',
+    path: '/api/contacts/p1/interactions',
+    token: account.token,
+    body: { type: 'rendez_vous', date: '2099-01-01T09:00:00Z', notes: 'Entretien' },
+  });
+  assert.equal(planned.status, 201, planned.text);
+  assert.equal(planned.body.contact.dateAppel, '2026-01-10T10:00:00.000Z');
+
+  const call = await request(app.port, {
+    method: 'POST',
+    path: '/api/contacts/p1/interactions',
+    token: account.token,
+    body: { type: 'appel', date: '2026-02-01T10:00:00Z' },
+  });
+  assert.equal(call.body.contact.dateAppel, '2026-02-01T10:00:00.000Z');
+});
+
+test('interactions are validated and stay private', async () => {
+  const account = await register(app.port);
+  await sync(account, [{ id: 'v1', nom: 'N', organisation: 'O', dateAppel: '2026-01-10T10:00:00Z' }]);
+
+  for (const [body, error] of [
+    [{ type: 'pigeon' }, 'interaction_type_unknown'],
+    [{ type: 'email', date: 'hier' }, 'interaction_date_invalid'],
+  ]) {
+    const res = await request(app.port, {
+      method: 'POST',
+      path: '/api/contacts/v1/interactions',
+      token: account.token,
+      body,
+    });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, error);
+  }
+
+  const other = await register(app.port);
+  const res = await request(app.port, {
+    method: 'POST',
+    path: '/api/contacts/v1/interactions',
+    token: other.token,
+    body: { type: 'note' },
+  });
+  assert.equal(res.status, 404);
+  assert.equal((await request(app.port, { path: '/api/contacts/v1/interactions', token: other.token })).status, 404);
+});
+
+test('the organisation page lists its contacts, applications and a timeline, newest first', async () => {
+  const account = await register(app.port);
+  const { applied } = await sync(account, [
+    { id: 't1', nom: 'Mme Martin', organisation: 'Société ABC', dateAppel: '2026-01-10T10:00:00Z' },
+    { id: 't2', nom: 'M Durand', organisation: 'Autre', dateAppel: '2026-01-12T10:00:00Z' },
+  ]);
+  const organisationId = applied[0].contact.organisationId;
+
+  await request(app.port, {
+    method: 'POST',
+    path: '/api/contacts/t1/interactions',
+    token: account.token,
+    body: { type: 'note', date: '2026-03-01T09:00:00Z', notes: 'Poste ouvert au printemps' },
+  });
+  await request(app.port, {
+    method: 'POST',
+    path: '/api/applications',
+    token: account.token,
+    body: {
+      poste: 'Data analyst',
+      entreprise: 'societe abc',
+      statut: 'envoyee',
+      datesEtapes: { envoyee: '2026-02-01' },
+    },
+  });
+
+  const res = await request(app.port, { path: `/api/organisations/${organisationId}`, token: account.token });
+  assert.equal(res.status, 200, res.text);
+  assert.equal(res.body.organisation.name, 'Société ABC');
+  assert.deepEqual(res.body.contacts.map((contact) => contact.id), ['t1']);
+  assert.equal(res.body.applications.length, 1);
+  assert.deepEqual(
+    res.body.timeline.map((event) => [event.source, event.type, event.date.slice(0, 10)]),
+    [
+      ['interaction', 'note', '2026-03-01'],
+      ['application', 'envoyee', '2026-02-01'],
+      ['interaction', 'appel', '2026-01-10'],
+    ]
+  );
+  assert.equal(res.body.timeline[0].contactNom, 'Mme Martin');
+
+  const other = await register(app.port);
+  const hidden = await request(app.port, { path: `/api/organisations/${organisationId}`, token: other.token });
+  assert.equal(hidden.status, 404);
+});
+
+test('renaming an organisation renames its contacts and applications; a taken name asks for a merge', async () => {
+  const account = await register(app.port);
+  const { applied } = await sync(account, [
+    { id: 'r1', nom: 'Mme Martin', organisation: 'ABC', dateAppel: '2026-01-10T10:00:00Z' },
+    { id: 'r2', nom: 'M Durand', organisation: 'ABC Conseil', dateAppel: '2026-01-12T10:00:00Z' },
+  ]);
+  const [abc, conseil] = applied.map((change) => change.contact);
+
+  const renamed = await request(app.port, {
+    method: 'PATCH',
+    path: `/api/organisations/${abc.organisationId}`,
+    token: account.token,
+    body: { name: 'ABC Industries' },
+  });
+  assert.equal(renamed.status, 200, renamed.text);
+  const contact = (await request(app.port, { path: '/api/contacts/r1', token: account.token })).body.contact;
+  assert.equal(contact.organisation, 'ABC Industries');
+  assert.equal(contact.version, abc.version + 1);
+
+  const taken = await request(app.port, {
+    method: 'PATCH',
+    path: `/api/organisations/${abc.organisationId}`,
+    token: account.token,
+    body: { name: 'abc conseil' },
+  });
+  assert.equal(taken.status, 409);
+  assert.equal(taken.body.organisation.id, conseil.organisationId);
+
+  const merged = await request(app.port, {
+    method: 'POST',
+    path: `/api/organisations/${conseil.organisationId}/merge`,
+    token: account.token,
+    body: { into: abc.organisationId },
+  });
+  assert.equal(merged.status, 200, merged.text);
+  const durand = (await request(app.port, { path: '/api/contacts/r2', token: account.token })).body.contact;
+  assert.equal(durand.organisation, 'ABC Industries');
+  assert.equal(durand.organisationId, abc.organisationId);
+  assert.deepEqual((await organisations(account)).map((organisation) => organisation.contactCount), [2]);
+
+  const gone = await request(app.port, { path: `/api/organisations/${conseil.organisationId}`, token: account.token });
+  assert.equal(gone.status, 404);
+});
@@ -0,0 +1,36 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// safe-html.js is a browser script that defines a global; run it in a sandbox.
+const source = fs.readFileSync(path.join(__dirname, '..', 'safe-html.js'), 'utf8');
+const { html, render, escapeHtml } = vm.runInNewContext(`${source}\nsafeHtml;`);
+
+test('interpolated values are escaped', () => {
+  const nom = '<img src=x onerror="alert(1)">';
+  assert.equal(String(html`<strong>${nom}</strong>`), '<strong>&lt;img src=x onerror=&quot;alert(1)&quot;&gt;</strong>');
+  assert.equal(escapeHtml(`Tom & "Jerry" l'ami`), 'Tom &amp; &quot;Jerry&quot; l&#39;ami');
+});
+
+test('nested fragments and arrays of fragments are kept as markup', () => {
+  const items = ['<a>', 'b'].map((item) => html`<li>${item}</li>`);
+  assert.equal(String(html`<ul>${items}</ul>`), '<ul><li>&lt;a&gt;</li><li>b</li></ul>');
+  const relance = html`<em>${'demain'}</em>`;
+  assert.equal(String(html`<p>${relance}</p>`), '<p><em>demain</em></p>');
+});
+
+test('empty values render as nothing, numbers as text', () => {
+  assert.equal(String(html`[${null}${undefined}${false}${0}]`), '[0]');
+});
+
+test('render refuses plain strings', () => {
+  const element = { innerHTML: '' };
+  // TypeError from the sandbox realm, so match on the name.
+  assert.throws(() => render(element, '<img src=x onerror=alert(1)>'), { name: 'TypeError' });
+  assert.equal(element.innerHTML, '');
+
+  render(element, html`<p>${'<b>'}</p>`);
+  assert.equal(element.innerHTML, '<p>&lt;b&gt;</p>');
+});
@@ -0,0 +1,160 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.ADMIN_EMAILS = 'annuaire@example.fr';
+const { startServer, request, register, verifyEmail } = require('./helpers');
+const { parseServiceImport } = require('../lib/services');
+
+let app;
+let admin;
+
+const DIRECTORY = [
+  {
+    id: 's1',
+    nom: 'France Travail Lyon Part-Dieu',
+    adresse: '12 rue Servient',
+    codePostal: '69003',
+    ville: 'Lyon',
+    latitude: 45.7597,
+    longitude: 4.8422,
+    horaires: 'Lundi-vendredi 8h30-12h30',
+    telephone: '3949',
+  },
+  {
+    id: 's2',
+    nom: 'Mission Locale de Lyon',
+    codePostal: '69001',
+    ville: 'Lyon',
+    latitude: 45.7676,
+    longitude: 4.8344,
+    email: 'contact@ml-lyon.example',
+  },
+  {
+    id: 's3',
+    nom: 'Cap Emploi Rhône',
+    codePostal: '69100',
+    ville: 'Villeurbanne',
+    latitude: 45.7719,
+    longitude: 4.8902,
+    site: 'https://capemploi.example/69',
+  },
+  { id: 's4', nom: 'Club Recherche Emploi', type: 'associatif', codePostal: '69003', ville: 'Lyon' },
+  {
+    id: 's5',
+    nom: 'Maison de l’Emploi Marseille',
+    codePostal: '13001',
+    ville: 'Marseille',
+    latitude: 43.2965,
+    longitude: 5.3698,
+  },
+];
+
+function importDirectory(token, body) {
+  return request(app.port, { method: 'POST', path: '/api/admin/services/import', token, body });
+}
+
+async function search(query = '') {
+  const res = await request(app.port, { path: `/api/services${query}` });
+  assert.equal(res.status, 200, res.text);
+  return res.body;
+}
+
+const ids = (body) => body.services.map((service) => service.id);
+
+before(async () => {
+  app = await startServer();
+  admin = await register(app.port, { email: 'annuaire@example.fr' });
+  await verifyEmail(app.port, admin.email);
+  const res = await importDirectory(admin.token, { format: 'json', content: JSON.stringify(DIRECTORY), dryRun: false });
+  assert.equal(res.status, 201, res.text);
+});
+
+after(async () => {
+  await app.close();
+});
+
+test('listings get their audience, department and a stable id', () => {
+  const content = [
+    'Nom structure;Typologie;Adresse;Code postal;Commune;Horaires;Telephone;Courriel',
+    'Mission Locale Ajaccio;ML;2 cours Napoleon;20000;Ajaccio;9h-17h;04 95 00 00 00;ML@ajaccio.example',
+    'Cap Emploi 01;;;1000;Bourg-en-Bresse;;;',
+    'Agence France Travail;;;97400;Saint-Denis;;;',
+    'Sans adresse;;;;;;;',
+    'Mauvais code;;;ABCDE;Paris;;;',
+  ].join('\n');
+  const { services, invalid, total } = parseServiceImport({ format: 'csv', content });
+
+  assert.equal(total, 5);
+  assert.deepEqual(
+    invalid.map(({ line, error }) => [line, error]),
+    [
+      [5, 'postcode_or_city_required'],
+      [6, 'postcode_invalid'],
+    ]
+  );
+  assert.deepEqual(
+    services.map(({ type, codePostal, departement }) => [type, codePostal, departement]),
+    [
+      ['jeunes', '20000', '2A'],
+      ['handicap', '01000', '01'],
+      ['public', '97400', '974'],
+    ]
+  );
+  assert.equal(services[0].email, 'ml@ajaccio.example');
+  assert.equal(parseServiceImport({ format: 'csv', content }).services[0].id, services[0].id);
+});
+
+test('only verified admins import, after a dry run that saves nothing', async () => {
+  const user = await register(app.port);
+  const refused = await importDirectory(user.token, { format: 'json', content: '[]', dryRun: false });
+  assert.equal(refused.status, 403);
+
+  const content = JSON.stringify({ structures: [...DIRECTORY.slice(0, 2), { nom: 'Sans lieu' }] });
+  const preview = await importDirectory(admin.token, { format: 'json', content });
+  assert.equal(preview.status, 200, preview.text);
+  assert.deepEqual(preview.body.summary, { total: 3, created: 0, updated: 2, invalid: 1 });
+  assert.deepEqual(preview.body.invalid, [
+    { line: 3, nom: 'Sans lieu', error: 'Code postal ou ville requis.', code: 'postcode_or_city_required' },
+  ]);
+  assert.equal((await search()).total, DIRECTORY.length);
+});
+
+test('a postcode lists its department, that postcode first', async () => {
+  const body = await search('?codePostal=69003');
+  assert.deepEqual(ids(body), ['s4', 's1', 's2', 's3']);
+  assert.deepEqual(
+    body.services.map((service) => service.type),
+    ['associatif', 'public', 'jeunes', 'handicap']
+  );
+  assert.equal(body.services[1].horaires, 'Lundi-vendredi 8h30-12h30');
+  assert.equal(body.services[0].distanceKm, null);
+
+  assert.deepEqual(ids(await search('?departement=13')), ['s5']);
+  assert.deepEqual(ids(await search('?ville=villeurbanne')), ['s3']);
+  assert.deepEqual(ids(await search('?codePostal=69003&type=jeunes')), ['s2']);
+});
+
+test('near ranks the located services by distance within the radius', async () => {
+  const body = await search('?near=45.7640,4.8357&rayon=5');
+  assert.deepEqual(ids(body), ['s2', 's1', 's3']);
+  assert.equal(body.services[0].distanceKm, 0.4);
+  assert.ok(body.services[2].distanceKm > body.services[1].distanceKm);
+
+  assert.deepEqual(ids(await search('?near=45.7640,4.8357&rayon=5&type=handicap')), ['s3']);
+  assert.equal((await search('?near=45.7640,4.8357&rayon=500')).total, 4);
+});
+
+test('unknown types, postcodes and positions are refused', async () => {
+  for (const [query, error] of [
+    ['type=mairie', 'service_type_unknown'],
+    ['codePostal=6900', 'postcode_invalid'],
+    ['departement=2C', 'department_invalid'],
+    ['near=45.76', 'position_invalid'],
+    ['near=45.76,4.83&rayon=0', 'position_invalid'],
+    ['pageSize=500', 'pagination_invalid'],
+  ]) {
+    const res = await request(app.port, { path: `/api/services?${query}` });
+    assert.equal(res.status, 400, query);
+    assert.equal(res.body.code, error);
+  }
+});
@@ -0,0 +1,234 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, request, register, verifyEmail, mailToken } = require('./helpers');
+
+let app;
+
+before(async () => {
+  app = await startServer();
+});
+
+after(async () => {
+  await app.close();
+});
+
+// A verified candidate with one contact and one application.
+async function candidate() {
+  const account = await register(app.port);
+  await verifyEmail(app.port, account.email);
+  const synced = await request(app.port, {
+    method: 'PUT',
+    path: '/api/sync',
+    token: account.token,
+    body: { changes: [{ id: `c-${account.user.id}`, nom: 'Mme Martin', organisation: 'ABC', dateAppel: new Date() }] },
+  });
+  assert.equal(synced.status, 200, synced.text);
+  const created = await request(app.port, {
+    method: 'POST',
+    path: '/api/applications',
+    token: account.token,
+    body: { poste: 'Assistante RH', entreprise: 'ABC' },
+  });
+  assert.equal(created.status, 201, created.text);
+  return { ...account, contactId: `c-${account.user.id}`, applicationId: created.body.application.id };
+}
+
+function invite(owner, body) {
+  return request(app.port, { method: 'POST', path: '/api/shares', token: owner.token, body });
+}
+
+function accept(account, token) {
+  return request(app.port, { method: 'POST', path: '/api/shares/accept', token: account.token, body: { token } });
+}
+
+// Invites a new counsellor and accepts the invitation as them.
+async function share(owner, access = 'lecture') {
+  const counsellor = await register(app.port);
+  const invited = await invite(owner, { email: counsellor.email, access });
+  assert.equal(invited.status, 201, invited.text);
+  const accepted = await accept(counsellor, mailToken(counsellor.email, 'share'));
+  assert.equal(accepted.status, 200, accepted.text);
+  return { counsellor, id: accepted.body.share.id };
+}
+
+function comment(account, shareId, body) {
+  return request(app.port, { method: 'POST', path: `/api/shares/${shareId}/comments`, token: account.token, body });
+}
+
+test('an invitation is accepted only by the invited address', async () => {
+  const owner = await candidate();
+  const counsellor = await register(app.port);
+
+  const unverified = await register(app.port);
+  const refused = await invite(unverified, { email: counsellor.email });
+  assert.equal(refused.status, 403);
+
+  for (const [body, error] of [
+    [{ email: 'pas-une-adresse' }, 'email_invalid'],
+    [{ email: counsellor.email, access: 'ecriture' }, 'share_access_unknown'],
+    [{ email: owner.email }, 'share_self'],
+  ]) {
+    const res = await invite(owner, body);
+    assert.equal(res.status, 400, JSON.stringify(body));
+    assert.equal(res.body.code, error);
+  }
+
+  const invited = await invite(owner, { email: counsellor.email.toUpperCase() });
+  assert.equal(invited.status, 201, invited.text);
+  assert.deepEqual(
+    { email: invited.body.share.email, access: invited.body.share.access, status: invited.body.share.status },
+    { email: counsellor.email, access: 'lecture', status: 'en_attente' }
+  );
+  assert.equal((await invite(owner, { email: counsellor.email })).status, 409);
+
+  const token = mailToken(counsellor.email, 'share');
+  const intruder = await register(app.port);
+  const wrongAddress = await accept(intruder, token);
+  assert.equal(wrongAddress.status, 403);
+  assert.equal((await accept(counsellor, 'abcdef')).status, 400);
+
+  const accepted = await accept(counsellor, token);
+  assert.equal(accepted.status, 200, accepted.text);
+  assert.deepEqual(accepted.body.share, {
+    id: invited.body.share.id,
+    role: 'conseiller',
+    ownerEmail: owner.email,
+    access: 'lecture',
+    acceptedAt: accepted.body.share.acceptedAt,
+  });
+  assert.equal((await accept(counsellor, token)).status, 400);
+
+  const granted = await request(app.port, { path: '/api/shares', token: owner.token });
+  assert.deepEqual(
+    granted.body.granted.map(({ role, status }) => [role, status]),
+    [['candidat', 'active']]
+  );
+  const received = await request(app.port, { path: '/api/shares', token: counsellor.token });
+  assert.deepEqual(
+    received.body.received.map(({ ownerEmail }) => ownerEmail),
+    [owner.email]
+  );
+});
+
+test('a counsellor reads the candidate data and comments only with comment access', async () => {
+  const owner = await candidate();
+  const { counsellor, id } = await share(owner);
+
+  const contacts = await request(app.port, { path: `/api/shares/${id}/contacts`, token: counsellor.token });
+  assert.equal(contacts.status, 200, contacts.text);
+  assert.deepEqual(
+    contacts.body.contacts.map(({ nom }) => nom),
+    ['Mme Martin']
+  );
+  const applications = await request(app.port, { path: `/api/shares/${id}/applications`, token: counsellor.token });
+  assert.deepEqual(
+    applications.body.applications.map(({ poste }) => poste),
+    ['Assistante RH']
+  );
+
+  const readOnly = await comment(counsellor, id, { targetType: 'contact', targetId: owner.contactId, body: 'Relance' });
+  assert.equal(readOnly.status, 403);
+  assert.equal(readOnly.body.code, 'share_read_only');
+
+  const upgraded = await request(app.port, {
+    method: 'PATCH',
+    path: `/api/shares/${id}`,
+    token: owner.token,
+    body: { access: 'commentaire' },
+  });
+  assert.equal(upgraded.body.share.access, 'commentaire');
+  const advice = await comment(counsellor, id, {
+    targetType: 'application',
+    targetId: owner.applicationId,
+    body: ' Ajoute une lettre. ',
+  });
+  assert.equal(advice.status, 201, advice.text);
+  assert.equal(advice.body.comment.body, 'Ajoute une lettre.');
+  const answer = await comment(owner, id, { targetType: 'application', targetId: owner.applicationId, body: 'Merci' });
+  assert.equal(answer.status, 201, answer.text);
+
+  for (const body of [
+    { targetType: 'contact', targetId: 'inconnu', body: 'Relance' },
+    { targetType: 'agenda', targetId: owner.contactId, body: 'Relance' },
+    { targetType: 'contact', targetId: owner.contactId, body: '   ' },
+    { targetType: 'contact', targetId: owner.contactId, body: 'x'.repeat(2001) },
+  ]) {
+    const res = await comment(counsellor, id, body);
+    assert.ok([400, 404].includes(res.status), JSON.stringify(body).slice(0, 80));
+  }
+
+  const thread = await request(app.port, { path: `/api/shares/${id}/comments`, token: owner.token });
+  assert.deepEqual(
+    thread.body.comments.map(({ authorEmail, body }) => [authorEmail, body]),
+    [
+      [counsellor.email, 'Ajoute une lettre.'],
+      [owner.email, 'Merci'],
+    ]
+  );
+});
+
+test('only the candidate revokes, and a revoked share reads nothing', async () => {
+  const owner = await candidate();
+  const { counsellor, id } = await share(owner);
+
+  const byCounsellor = await request(app.port, { method: 'DELETE', path: `/api/shares/${id}`, token: counsellor.token });
+  assert.equal(byCounsellor.status, 404);
+  const revoked = await request(app.port, { method: 'DELETE', path: `/api/shares/${id}`, token: owner.token });
+  assert.equal(revoked.status, 200, revoked.text);
+
+  const contacts = await request(app.port, { path: `/api/shares/${id}/contacts`, token: counsellor.token });
+  assert.equal(contacts.status, 404);
+  const received = await request(app.port, { path: '/api/shares', token: counsellor.token });
+  assert.deepEqual(received.body.received, []);
+
+  // Invited again after revocation.
+  assert.equal((await invite(owner, { email: counsellor.email })).status, 201);
+});
+
+test('every read by the counsellor is in the candidate audit log', async () => {
+  const owner = await candidate();
+  const { counsellor, id } = await share(owner, 'commentaire');
+
+  await request(app.port, { path: `/api/shares/${id}/contacts`, token: counsellor.token });
+  await request(app.port, { path: `/api/shares/${id}/applications`, token: counsellor.token });
+  await comment(counsellor, id, { targetType: 'contact', targetId: owner.contactId, body: 'Relance' });
+  await request(app.port, { path: `/api/shares/${id}/comments`, token: counsellor.token });
+  // The candidate's own reads are not logged.
+  await request(app.port, { path: `/api/shares/${id}/comments`, token: owner.token });
+
+  const audit = await request(app.port, { path: '/api/shares/audit', token: owner.token });
+  assert.equal(audit.status, 200, audit.text);
+  assert.deepEqual(
+    audit.body.entries.map(({ actorEmail, shareId, action }) => [actorEmail, shareId, action]).reverse(),
+    [
+      [counsellor.email, id, 'contacts.read'],
+      [counsellor.email, id, 'applications.read'],
+      [counsellor.email, id, 'comments.create'],
+      [counsellor.email, id, 'comments.read'],
+    ]
+  );
+  const counsellorAudit = await request(app.port, { path: '/api/shares/audit', token: counsellor.token });
+  assert.deepEqual(counsellorAudit.body.entries, []);
+});
+
+test('a share opens nothing of other candidates', async () => {
+  const owner = await candidate();
+  const other = await candidate();
+  const { counsellor, id } = await share(owner, 'commentaire');
+
+  const foreign = await comment(counsellor, id, { targetType: 'contact', targetId: other.contactId, body: 'Relance' });
+  assert.equal(foreign.status, 404);
+
+  const stranger = await register(app.port);
+  for (const path of [`/api/shares/${id}/contacts`, `/api/shares/${id}/applications`, `/api/shares/${id}/comments`]) {
+    assert.equal((await request(app.port, { path, token: stranger.token })).status, 404, path);
+    assert.equal((await request(app.port, { path, token: other.token })).status, 404, path);
+  }
+  const patched = await request(app.port, {
+    method: 'PATCH',
+    path: `/api/shares/${id}`,
+    token: other.token,
+    body: { access: 'lecture' },
+  });
+  assert.equal(patched.status, 404);
+});
@@ -0,0 +1,145 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, request, register } = require('./helpers');
+const { buildStats } = require('../lib/stats');
+
+let app;
+
+before(async () => {
+  app = await startServer();
+});
+
+after(async () => {
+  await app.close();
+});
+
+test('weeks, response rates, streaks and leads are counted in the time zone', () => {
+  const contacts = [
+    {
+      id: 'c1',
+      nom: 'Mme Martin',
+      organisation: 'ABC',
+      organisationId: 'o1',
+      expertise: 'RH, Data',
+      dateAppel: '2026-03-17T23:30:00Z',
+    },
+    {
+      id: 'c2',
+      nom: 'M Durand',
+      organisation: 'Mairie',
+      organisationId: 'o2',
+      expertise: 'data',
+      dateAppel: '2026-03-10T10:00:00Z',
+    },
+  ];
+  const interactions = [
+    { contactId: 'c2', type: 'note', date: '2026-02-01T10:00:00Z' },
+    { contactId: 'c2', type: 'appel', date: '2026-03-10T10:00:00Z' },
+    { contactId: 'c1', type: 'appel', date: '2026-03-16T09:00:00Z' },
+    // Already Wednesday in Paris.
+    { contactId: 'c1', type: 'email', date: '2026-03-17T23:30:00Z' },
+  ];
+  const applications = [
+    {
+      entreprise: 'ABC',
+      organisationId: 'o1',
+      statut: 'entretien',
+      datesEtapes: { envoyee: '2026-03-09T08:00:00Z', entretien: '2026-03-17T08:00:00Z' },
+      contactIds: ['c1'],
+    },
+    { entreprise: 'ABC', organisationId: 'o1', statut: 'envoyee', datesEtapes: { envoyee: '2026-03-16T12:00:00Z' } },
+    { entreprise: 'Mairie', organisationId: 'o2', statut: 'a_postuler', datesEtapes: {} },
+  ];
+
+  const stats = buildStats(
+    { contacts, interactions, applications, goals: { calls: 5 } },
+    { weeks: 3, timeZone: 'Europe/Paris', now: new Date('2026-03-18T10:00:00Z') }
+  );
+
+  assert.equal(stats.today, '2026-03-18');
+  assert.deepEqual(stats.goals, { calls: 5, exchanges: null, applications: null });
+  assert.deepEqual(stats.weeks, [
+    { start: '2026-03-02', calls: 0, exchanges: 0, applications: 0 },
+    { start: '2026-03-09', calls: 1, exchanges: 1, applications: 1 },
+    { start: '2026-03-16', calls: 1, exchanges: 2, applications: 1 },
+  ]);
+  assert.deepEqual(stats.responseRates.organisations, [{ name: 'ABC', sent: 2, responses: 1, rate: 0.5 }]);
+  assert.deepEqual(
+    stats.responseRates.expertises.map(({ name, sent }) => [name, sent]),
+    [
+      ['Data', 2],
+      ['RH', 2],
+    ]
+  );
+  assert.deepEqual(stats.streak, { current: 3, longest: 3, lastActiveDay: '2026-03-18' });
+  assert.deepEqual(
+    stats.leads.map(({ id, daysSince }) => [id, daysSince]),
+    [
+      ['c2', 8],
+      ['c1', 0],
+    ]
+  );
+});
+
+test('the stats of the signed-in user follow their contacts and applications', async () => {
+  const account = await register(app.port);
+  assert.equal((await request(app.port, { path: '/api/stats' })).status, 401);
+
+  const now = new Date().toISOString();
+  await request(app.port, {
+    method: 'PUT',
+    path: '/api/sync',
+    token: account.token,
+    body: { changes: [{ id: 's1', nom: 'Mme Martin', organisation: 'ABC', dateAppel: now, expertise: 'RH' }] },
+  });
+  await request(app.port, {
+    method: 'POST',
+    path: '/api/applications',
+    token: account.token,
+    body: { poste: 'Assistante RH', entreprise: 'abc', statut: 'envoyee' },
+  });
+
+  const res = await request(app.port, { path: '/api/stats', token: account.token });
+  assert.equal(res.status, 200, res.text);
+  assert.equal(res.body.weeks.length, 12);
+  const { calls, exchanges, applications } = res.body.weeks.at(-1);
+  assert.deepEqual({ calls, exchanges, applications }, { calls: 1, exchanges: 1, applications: 1 });
+  assert.deepEqual(res.body.responseRates.expertises, [{ name: 'RH', sent: 1, responses: 0, rate: 0 }]);
+  assert.equal(res.body.streak.current, 1);
+  assert.deepEqual(res.body.leads.map(({ nom, daysSince }) => [nom, daysSince]), [['Mme Martin', 0]]);
+
+  const other = await register(app.port);
+  const empty = await request(app.port, { path: '/api/stats?weeks=4', token: other.token });
+  assert.equal(empty.body.weeks.length, 4);
+  assert.deepEqual(empty.body.leads, []);
+  assert.equal(empty.body.streak.current, 0);
+
+  const invalid = await request(app.port, { path: '/api/stats?weeks=60', token: account.token });
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.code, 'stats_weeks_invalid');
+});
+
+test('weekly goals are saved per user and validated', async () => {
+  const account = await register(app.port);
+  const goals = (body) => request(app.port, { method: 'PUT', path: '/api/stats/goals', token: account.token, body });
+
+  const saved = await goals({ calls: 10, applications: '3' });
+  assert.equal(saved.status, 200, saved.text);
+  assert.deepEqual(saved.body.goals, { calls: 10, exchanges: null, applications: 3 });
+  const stats = await request(app.port, { path: '/api/stats', token: account.token });
+  assert.deepEqual(stats.body.goals, { calls: 10, exchanges: null, applications: 3 });
+
+  for (const body of [{ calls: 2.5 }, { applications: 0 }, { exchanges: 'beaucoup' }, { calls: 5000 }]) {
+    const res = await goals(body);
+    assert.equal(res.status, 400, JSON.stringify(body));
+    assert.equal(res.body.code, 'weekly_goal_invalid');
+  }
+
+  await goals({ calls: null });
+  const cleared = await request(app.port, { path: '/api/stats', token: account.token });
+  assert.deepEqual(cleared.body.goals, { calls: null, exchanges: null, applications: null });
+
+  const other = await register(app.port);
+  const untouched = await request(app.port, { path: '/api/stats', token: other.token });
+  assert.deepEqual(untouched.body.goals, { calls: null, exchanges: null, applications: null });
+});
@@ -0,0 +1,30 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStore } = require('../lib/store/memory');
+
+test('a failed transaction keeps the writes made outside it while it was running', async () => {
+  const store = createMemoryStore();
+  let started;
+  let release;
+  const running = new Promise((resolve) => {
+    started = resolve;
+  });
+  const paused = new Promise((resolve) => {
+    release = resolve;
+  });
+
+  const failed = store.transaction(async (tx) => {
+    await tx.users.create({ id: 'u1', email: 'annule@example.test', passwordHash: 'x' });
+    started();
+    await paused;
+    throw new Error('abandon');
+  });
+  await running;
+  const outside = store.users.create({ id: 'u2', email: 'garde@example.test', passwordHash: 'x' });
+  release();
+
+  await assert.rejects(failed, /abandon/);
+  await outside;
+  assert.equal(await store.users.findById('u1'), null);
+  assert.equal((await store.users.findById('u2')).email, 'garde@example.test');
+});
@@ -0,0 +1,134 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, request, register } = require('./helpers');
+
+let app;
+
+before(async () => {
+  app = await startServer();
+});
+
+after(async () => {
+  await app.close();
+});
+
+function contact(id, fields = {}) {
+  return { id, nom: `Contact ${id}`, organisation: 'Entreprise', dateAppel: '2026-03-02T10:00:00.000Z', ...fields };
+}
+
+function push(account, changes) {
+  return request(app.port, { method: 'PUT', path: '/api/sync', token: account.token, body: { changes } });
+}
+
+function pull(account, since) {
+  const query = since ? `?since=${encodeURIComponent(since)}` : '';
+  return request(app.port, { path: `/api/sync${query}`, token: account.token });
+}
+
+test('a full pull returns only the caller contacts', async () => {
+  const alice = await register(app.port);
+  const bob = await register(app.port);
+
+  assert.equal((await push(alice, [contact('a1')])).body.applied.length, 1);
+  assert.equal((await push(bob, [contact('b1')])).body.applied.length, 1);
+
+  const aliceView = await pull(alice);
+  assert.equal(aliceView.status, 200);
+  assert.equal(aliceView.body.full, true);
+  assert.deepEqual(aliceView.body.contacts.map((c) => c.id), ['a1']);
+
+  const bobView = await pull(bob);
+  assert.deepEqual(bobView.body.contacts.map((c) => c.id), ['b1']);
+});
+
+test('a user cannot overwrite or delete another user contact by reusing its id', async () => {
+  const alice = await register(app.port);
+  const bob = await register(app.port);
+
+  await push(alice, [contact('shared', { notes: 'alice' })]);
+  const overwrite = await push(bob, [contact('shared', { notes: 'bob', version: 1 })]);
+  assert.equal(overwrite.body.applied.length, 0);
+  assert.deepEqual(overwrite.body.rejected.map((change) => change.id), ['shared']);
+
+  await push(bob, [{ id: 'shared', deleted: true, version: 1 }]);
+
+  const aliceView = await pull(alice);
+  assert.equal(aliceView.body.contacts.length, 1);
+  assert.equal(aliceView.body.contacts[0].notes, 'alice');
+  assert.deepEqual(aliceView.body.deleted, []);
+});
+
+test('an incremental pull only sees the caller own changes and deletions', async () => {
+  const alice = await register(app.port);
+  const bob = await register(app.port);
+
+  const first = await push(alice, [contact('c1'), contact('c2')]);
+  const cursor = first.body.cursor;
+
+  await push(alice, [{ id: 'c2', deleted: true, version: 1 }]);
+  await push(bob, [contact('intrus')]);
+
+  const res = await pull(alice, cursor);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.full, false);
+  assert.deepEqual(res.body.contacts, []);
+  assert.deepEqual(res.body.deleted, ['c2']);
+});
+
+test('a stale version is reported as a conflict with the current contact', async () => {
+  const alice = await register(app.port);
+  await push(alice, [contact('v1')]);
+  await push(alice, [contact('v1', { notes: 'appareil 1', version: 1 })]);
+
+  const res = await push(alice, [contact('v1', { notes: 'appareil 2', version: 1 })]);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.applied.length, 0);
+  assert.equal(res.body.conflicts.length, 1);
+  assert.equal(res.body.conflicts[0].current.notes, 'appareil 1');
+  assert.equal(res.body.conflicts[0].current.version, 2);
+});
+
+test('invalid changes are rejected one by one without blocking the others', async () => {
+  const alice = await register(app.port);
+  const res = await push(alice, [contact('ok'), contact('sans-organisation', { organisation: '' })]);
+
+  assert.deepEqual(res.body.applied.map((change) => change.id), ['ok']);
+  assert.deepEqual(res.body.rejected.map((change) => change.id), ['sans-organisation']);
+});
+
+test('sync rejects a malformed cursor or body', async () => {
+  const alice = await register(app.port);
+
+  const badCursor = await pull(alice, 'pas-une-date');
+  assert.equal(badCursor.status, 400);
+  assert.equal(badCursor.body.code, 'sync_cursor_invalid');
+
+  // A date cursor from an older client gets a full sync.
+  const legacy = await pull(alice, '2026-03-02T10:00:00.000Z');
+  assert.equal(legacy.status, 200);
+  assert.equal(legacy.body.full, true);
+  assert.match(legacy.body.cursor || '', /^(\d+)?$/);
+
+  const noChanges = await request(app.port, { method: 'PUT', path: '/api/sync', token: alice.token, body: {} });
+  assert.equal(noChanges.status, 400);
+  assert.equal(noChanges.body.code, 'sync_changes_expected');
+});
+
+test('deleting a contact checks its version and shows up in the next pull', async () => {
+  const alice = await register(app.port);
+  await push(alice, [contact('d1')]);
+  await push(alice, [contact('d1', { notes: 'appareil 1', version: 1 })]);
+  const { cursor } = (await pull(alice)).body;
+  const remove = (version) =>
+    request(app.port, { method: 'DELETE', path: `/api/contacts/d1?version=${version}`, token: alice.token });
+
+  const stale = await remove(1);
+  assert.equal(stale.status, 409);
+  assert.equal(stale.body.current.version, 2);
+
+  const removed = await remove(2);
+  assert.equal(removed.status, 200, removed.text);
+  assert.ok(removed.body.contact.deletedAt);
+  assert.equal((await remove(3)).status, 404);
+  assert.deepEqual((await pull(alice, cursor)).body.deleted, ['d1']);
+});